@@ -1,19 +1,32 @@
+import config from '../../config/index.js';
 import { ApiError } from '../../utils/ApiError.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
-import { UserRoles } from '../../utils/constants.js';
+import { SeriesEditScopes, UserRoles } from '../../utils/constants.js';
 import logger from '../../utils/logger.js';
 import {
 	cancelAppointment as cancelAppointmentService,
 	createAppointment as createAppointmentService,
 	deleteAppointment as deleteAppointmentService,
 	getAppointmentById,
+	getAppointmentStatusHistory,
 	getAppointments,
 	updateAppointment as updateAppointmentService
 } from '../services/appointment.service.js';
+import {
+	cancelSeriesOccurrences,
+	createAppointmentSeries,
+	getAppointmentSeriesById,
+	updateSeriesOccurrences
+} from '../services/appointmentSeries.service.js';
+import { subscribeToAppointmentEvents } from '../services/appointmentEvents.service.js';
+import { checkInAppointment as checkInAppointmentService, getCheckInCode as getCheckInCodeService } from '../services/queue.service.js';
+
+// Whether an edit applies to more than the one occurrence it was made on
+const isSeriesScope = (scope) => scope === SeriesEditScopes.FOLLOWING || scope === SeriesEditScopes.ALL;
 
 /**
- * @desc    Create/Request an appointment
+ * @desc    Create/Request an appointment, or a recurring series when a recurrence rule is given
  * @route   POST /api/appointments
  * @access  Private (Patient, Staff, Admin)
  */
@@ -26,6 +39,14 @@ export const createAppointment = asyncHandler(async (req, res) => {
     } else if (!appointmentData.patient) {
         throw new ApiError(400, 'Patient ID is required when creating appointment as Staff/Admin.');
     }
+    if (appointmentData.recurrence) {
+        const result = await createAppointmentSeries(appointmentData, req.user);
+        const message = result.conflicts.length
+            ? `Appointment series created; ${result.conflicts.length} conflicting date(s) were skipped.`
+            : 'Appointment series created successfully.';
+        res.status(201).json(new ApiResponse(201, result, message));
+        return;
+    }
     const createdAppointment = await createAppointmentService(appointmentData, req.user);
     res.status(201).json(new ApiResponse(201, createdAppointment, 'Appointment created successfully.'));
 });
@@ -57,33 +78,135 @@ export const getMyAppointments = asyncHandler(async (req, res) => {
 export const getAppointment = asyncHandler(async (req, res) => {
     const appointmentId = req.params.appointmentId;
     logger.info(`Controller: getAppointment called by user ${req.user?._id} for appointment ${appointmentId}`);
-    const appointment = await getAppointmentById(appointmentId);
+    const appointment = await getAppointmentById(appointmentId, req.user); // 404 unless the user may see it
     res.status(200).json(new ApiResponse(200, appointment, 'Appointment retrieved successfully.'));
 });
 
 /**
- * @desc    Update an appointment (e.g., confirm, complete, reschedule)
- * @route   PATCH /api/appointments/:appointmentId
+ * @desc    Get the status change history of an appointment
+ * @route   GET /api/appointments/:appointmentId/history
+ * @access  Private (Involved Patient/Doctor, Staff, Admin)
+ */
+export const getAppointmentHistory = asyncHandler(async (req, res) => {
+    const appointmentId = req.params.appointmentId;
+    logger.info(`Controller: getAppointmentHistory called by user ${req.user?._id} for appointment ${appointmentId}`);
+    const history = await getAppointmentStatusHistory(appointmentId, req.user);
+    res.status(200).json(new ApiResponse(200, history, 'Appointment history retrieved successfully.'));
+});
+
+/**
+ * @desc    Stream appointment changes the user may see as Server-Sent Events ("appointment.created", "appointment.updated",
+ *          "appointment.cancelled", "appointment.deleted"). The stream ends when the access token expires
+ *          ("reauthenticate" event); reconnect with a fresh token and refetch, as missed events are not replayed.
+ * @route   GET /api/appointments/events
+ * @access  Private (Patient: own, Doctor: own schedule, Staff/Admin: clinic)
+ */
+export const streamAppointmentEvents = asyncHandler(async (req, res) => {
+    logger.info(`Controller: streamAppointmentEvents opened by user ${req.user?._id}`);
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no', // Stop nginx from buffering the stream
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    res.write(`retry: ${config.appointmentEvents.retryMs}\n\n`);
+    send('ready', { userId: req.user._id, role: req.user.role });
+
+    let expiryTimer = null;
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.appointmentEvents.heartbeatSeconds * 1000);
+    const unsubscribe = subscribeToAppointmentEvents(req.user, {
+        onEvent: (event) => send(`appointment.${event.type}`, event),
+        onClose: () => res.end(),
+    });
+    const cleanup = () => {
+        clearInterval(heartbeat);
+        clearTimeout(expiryTimer);
+        unsubscribe();
+    };
+    // The token is only checked once, so the stream must not outlive it
+    if (req.tokenExpiresAt) {
+        expiryTimer = setTimeout(() => {
+            send('reauthenticate', { reason: 'Access token expired.' });
+            res.end();
+        }, Math.max(0, req.tokenExpiresAt.getTime() - Date.now()));
+    }
+    req.on('close', () => {
+        cleanup();
+        logger.info(`Controller: streamAppointmentEvents closed for user ${req.user._id}`);
+    });
+});
+
+/**
+ * @desc    Check a patient in for today's appointment and assign a queue number (patients: with the clinic's QR code)
+ * @route   POST /api/appointments/:appointmentId/check-in
+ * @access  Private (Patient-Own with QR code, Doctor-Own, Staff, Admin)
+ */
+export const checkInAppointment = asyncHandler(async (req, res) => {
+    const appointmentId = req.params.appointmentId;
+    logger.info(`Controller: checkInAppointment called by user ${req.user?._id} for appointment ${appointmentId}`);
+    const appointment = await checkInAppointmentService(appointmentId, req.body, req.user);
+    res.status(200).json(new ApiResponse(200, appointment, `Checked in. Queue number ${appointment.queueNumber}.`));
+});
+
+/**
+ * @desc    Get the current check-in code to show as a QR code at the clinic
+ * @route   GET /api/appointments/check-in-code
  * @access  Private (Doctor, Staff, Admin)
  */
+export const getCheckInCode = asyncHandler(async (req, res) => {
+    logger.info(`Controller: getCheckInCode called by user ${req.user?._id}`);
+    const checkInCode = getCheckInCodeService();
+    res.status(200).json(new ApiResponse(200, checkInCode, 'Check-in code retrieved successfully.'));
+});
+
+/**
+ * @desc    Get a recurring appointment series with its occurrences
+ * @route   GET /api/appointments/series/:seriesId
+ * @access  Private (Involved Patient/Doctor, Staff, Admin)
+ */
+export const getAppointmentSeries = asyncHandler(async (req, res) => {
+    const seriesId = req.params.seriesId;
+    logger.info(`Controller: getAppointmentSeries called by user ${req.user?._id} for series ${seriesId}`);
+    const result = await getAppointmentSeriesById(seriesId, req.user); // 404 unless the user may see it
+    res.status(200).json(new ApiResponse(200, result, 'Appointment series retrieved successfully.'));
+});
+
+/**
+ * @desc    Update an appointment (e.g., confirm, complete, reschedule); scope "following"/"all" moves several occurrences of a series
+ * @route   PATCH /api/appointments/:appointmentId
+ * @access  Private (Involved Patient (reschedule only)/Doctor, Staff, Admin)
+ */
 export const updateAppointment = asyncHandler(async (req, res) => {
     const appointmentId = req.params.appointmentId;
     logger.info(`Controller: updateAppointment called by user ${req.user?._id} for appointment ${appointmentId}`);
     const updateData = req.body;
+    if (isSeriesScope(updateData.scope)) {
+        const result = await updateSeriesOccurrences(appointmentId, updateData, req.user);
+        res.status(200).json(new ApiResponse(200, result, 'Appointment series updated successfully.'));
+        return;
+    }
     const updatedAppointment = await updateAppointmentService(appointmentId, updateData, req.user);
     res.status(200).json(new ApiResponse(200, updatedAppointment, 'Appointment updated successfully.'));
 });
 
 /**
- * @desc    Cancel an appointment
+ * @desc    Cancel an appointment; scope "following"/"all" cancels several occurrences of a series
  * @route   PATCH /api/appointments/:appointmentId/cancel
  * @access  Private (Involved Patient/Doctor/Staff, Admin)
  */
 export const cancelAppointment = asyncHandler(async (req, res) => {
     const appointmentId = req.params.appointmentId;
     logger.warn(`Controller: cancelAppointment called by user ${req.user?._id} for appointment ${appointmentId}`);
-    const { reason } = req.body;
+    const { reason, scope } = req.body;
     if (!reason) throw new ApiError(400, 'Cancellation reason is required.');
+    if (isSeriesScope(scope)) {
+        const result = await cancelSeriesOccurrences(appointmentId, reason, scope, req.user);
+        res.status(200).json(new ApiResponse(200, result, 'Appointment series occurrences cancelled successfully.'));
+        return;
+    }
     const cancelledAppointment = await cancelAppointmentService(appointmentId, reason, req.user);
     res.status(200).json(new ApiResponse(200, cancelledAppointment, 'Appointment cancelled successfully.'));
 });
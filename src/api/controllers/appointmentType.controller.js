@@ -0,0 +1,79 @@
+// src/api/controllers/appointmentType.controller.js
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import logger from '../../utils/logger.js';
+import {
+    createAppointmentType as createAppointmentTypeService,
+    deleteAppointmentType as deleteAppointmentTypeService,
+    getAppointmentTypeById,
+    listAppointmentTypes,
+    updateAppointmentType as updateAppointmentTypeService
+} from '../services/appointmentType.service.js';
+
+/**
+ * @desc    List the bookable appointment types (optionally the types a doctor offers, or one category)
+ * @route   GET /api/appointment-types?doctorId=&category=
+ * @access  Public
+ */
+export const getAppointmentTypes = asyncHandler(async (req, res) => {
+    logger.info('Controller: getAppointmentTypes called', { query: req.query });
+    const { doctorId, category } = req.query;
+    const appointmentTypes = await listAppointmentTypes({ doctorId, category });
+    res.status(200).json(new ApiResponse(200, appointmentTypes, 'Appointment types retrieved successfully.'));
+});
+
+/**
+ * @desc    List the whole catalog, including inactive types
+ * @route   GET /api/appointment-types/all?doctorId=&category=
+ * @access  Private (Admin)
+ */
+export const getAllAppointmentTypes = asyncHandler(async (req, res) => {
+    logger.info(`Controller: getAllAppointmentTypes called by user ${req.user?._id}`, { query: req.query });
+    const { doctorId, category } = req.query;
+    const appointmentTypes = await listAppointmentTypes({ doctorId, category, includeInactive: true });
+    res.status(200).json(new ApiResponse(200, appointmentTypes, 'Appointment types retrieved successfully.'));
+});
+
+/**
+ * @desc    Get one appointment type
+ * @route   GET /api/appointment-types/:typeId
+ * @access  Public
+ */
+export const getAppointmentType = asyncHandler(async (req, res) => {
+    logger.info(`Controller: getAppointmentType called for ${req.params.typeId}`);
+    const appointmentType = await getAppointmentTypeById(req.params.typeId);
+    res.status(200).json(new ApiResponse(200, appointmentType, 'Appointment type retrieved successfully.'));
+});
+
+/**
+ * @desc    Add an appointment type to the catalog
+ * @route   POST /api/appointment-types
+ * @access  Private (Admin)
+ */
+export const createAppointmentType = asyncHandler(async (req, res) => {
+    logger.info(`Controller: createAppointmentType called by user ${req.user?._id}`);
+    const appointmentType = await createAppointmentTypeService(req.body, req.user);
+    res.status(201).json(new ApiResponse(201, appointmentType, 'Appointment type created successfully.'));
+});
+
+/**
+ * @desc    Update an appointment type (existing appointments keep their booked duration and price)
+ * @route   PATCH /api/appointment-types/:typeId
+ * @access  Private (Admin)
+ */
+export const updateAppointmentType = asyncHandler(async (req, res) => {
+    logger.info(`Controller: updateAppointmentType ${req.params.typeId} called by user ${req.user?._id}`);
+    const appointmentType = await updateAppointmentTypeService(req.params.typeId, req.body, req.user);
+    res.status(200).json(new ApiResponse(200, appointmentType, 'Appointment type updated successfully.'));
+});
+
+/**
+ * @desc    Remove an appointment type from the catalog
+ * @route   DELETE /api/appointment-types/:typeId
+ * @access  Private (Admin)
+ */
+export const deleteAppointmentType = asyncHandler(async (req, res) => {
+    logger.warn(`Controller: deleteAppointmentType ${req.params.typeId} called by user ${req.user?._id}`);
+    await deleteAppointmentTypeService(req.params.typeId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Appointment type removed successfully.'));
+});
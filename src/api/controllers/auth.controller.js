@@ -4,18 +4,47 @@ import { asyncHandler } from '../../utils/asyncHandler.js';
 import config from '../../config/index.js';
 import logger from '../../utils/logger.js';
 import {
+    changePassword as changePasswordService,
     getUserProfile,
     loginUser,
+    logoutUser,
+    refreshAuthTokens,
     registerUser,
     requestPasswordReset,
-    resetPasswordWithToken
+    resendVerificationEmail,
+    resetPasswordWithToken,
+    verifyEmailWithToken,
+    verifyTwoFactorLogin
 } from '../services/auth.service.js';
+import { listUserSessions, revokeAllUserSessions, revokeUserSession } from '../services/session.service.js';
+import {
+    beginTwoFactorSetup,
+    confirmTwoFactorSetup,
+    disableTwoFactor as disableTwoFactorService,
+    regenerateRecoveryCodes as regenerateRecoveryCodesService,
+    startChallengeEnrollment
+} from '../services/twoFactor.service.js';
 
 // --- Cookie Options ---
 const cookieOptions = {
     httpOnly: true, secure: config.nodeEnv === 'production', sameSite: 'strict',
     maxAge: config.jwt.cookieExpiresInDays * 24 * 60 * 60 * 1000,
 };
+// Refresh token cookie is only sent to the auth endpoints
+const refreshCookieOptions = { ...cookieOptions, path: '/api/auth' };
+
+// Metadata recorded on the session for the requesting device
+const getRequestMeta = (req) => ({ userAgent: req.get('user-agent'), ipAddress: req.ip });
+
+const setAuthCookies = (res, accessToken, refreshToken) => {
+    res.cookie(config.jwt.cookieName, accessToken, cookieOptions);
+    res.cookie(config.jwt.refreshCookieName, refreshToken, refreshCookieOptions);
+};
+
+const clearAuthCookies = (res) => {
+    res.cookie(config.jwt.cookieName, '', { ...cookieOptions, expires: new Date(0) });
+    res.cookie(config.jwt.refreshCookieName, '', { ...refreshCookieOptions, expires: new Date(0) });
+};
 
 /**
  * @desc    Register a new user
@@ -25,9 +54,11 @@ const cookieOptions = {
 export const register = asyncHandler(async (req, res) => {
     logger.info('Controller: register called');
     const userData = req.body;
-    const { user, accessToken } = await registerUser(userData);
-    res.cookie(config.jwt.cookieName, accessToken, cookieOptions);
-    res.status(201).json(new ApiResponse(201, { user, accessToken }, 'User registered successfully.'));
+    const result = await registerUser(userData, getRequestMeta(req));
+    if (!result.twoFactorRequired) {
+        setAuthCookies(res, result.accessToken, result.refreshToken);
+    }
+    res.status(201).json(new ApiResponse(201, result, 'User registered successfully.'));
 });
 
 /**
@@ -38,9 +69,52 @@ export const register = asyncHandler(async (req, res) => {
 export const login = asyncHandler(async (req, res) => {
     logger.info('Controller: login called');
     const { email, password } = req.body;
-    const { user, accessToken } = await loginUser(email, password);
-    res.cookie(config.jwt.cookieName, accessToken, cookieOptions);
-    res.status(200).json(new ApiResponse(200, { user, accessToken }, 'Login successful.'));
+    const result = await loginUser(email, password, getRequestMeta(req));
+    if (result.twoFactorRequired) {
+        return res.status(200).json(new ApiResponse(200, result, 'Two-factor authentication required.'));
+    }
+    setAuthCookies(res, result.accessToken, result.refreshToken);
+    res.status(200).json(new ApiResponse(200, result, 'Login successful.'));
+});
+
+/**
+ * @desc    Complete login with a TOTP code or recovery code
+ * @route   POST /api/auth/2fa/challenge/verify
+ * @access  Public (Requires a login challenge token)
+ */
+export const verifyTwoFactorChallenge = asyncHandler(async (req, res) => {
+    logger.info('Controller: verifyTwoFactorChallenge called');
+    const { challengeToken, code, recoveryCode } = req.body;
+    const result = await verifyTwoFactorLogin(challengeToken, { code, recoveryCode }, getRequestMeta(req));
+    setAuthCookies(res, result.accessToken, result.refreshToken);
+    res.status(200).json(new ApiResponse(200, result, 'Login successful.'));
+});
+
+/**
+ * @desc    Start mandatory 2FA enrollment during login (roles with enforced 2FA)
+ * @route   POST /api/auth/2fa/challenge/setup
+ * @access  Public (Requires a login challenge token)
+ */
+export const setupTwoFactorChallenge = asyncHandler(async (req, res) => {
+    logger.info('Controller: setupTwoFactorChallenge called');
+    const setup = await startChallengeEnrollment(req.body.challengeToken);
+    res.status(200).json(new ApiResponse(200, setup, 'Scan the QR code with your authenticator app, then verify a code to finish logging in.'));
+});
+
+/**
+ * @desc    Rotate the refresh token and issue a new access token
+ * @route   POST /api/auth/refresh
+ * @access  Public (Requires a valid refresh token in cookie or body)
+ */
+export const refresh = asyncHandler(async (req, res) => {
+    logger.info('Controller: refresh called');
+    const presentedToken = req.cookies?.[config.jwt.refreshCookieName] || req.body.refreshToken;
+    if (!presentedToken) {
+        throw new ApiError(401, 'Refresh token is required.');
+    }
+    const { accessToken, refreshToken } = await refreshAuthTokens(presentedToken, getRequestMeta(req));
+    setAuthCookies(res, accessToken, refreshToken);
+    res.status(200).json(new ApiResponse(200, { accessToken, refreshToken }, 'Token refreshed successfully.'));
 });
 
 /**
@@ -50,7 +124,8 @@ export const login = asyncHandler(async (req, res) => {
  */
 export const logout = asyncHandler(async (req, res) => {
     logger.info(`Controller: logout called by user ${req.user?._id}`);
-    res.cookie(config.jwt.cookieName, '', { ...cookieOptions, expires: new Date(0) });
+    await logoutUser(req.sessionId);
+    clearAuthCookies(res);
     res.status(200).json(new ApiResponse(200, null, 'Logout successful.'));
 });
 
@@ -94,6 +169,128 @@ export const forgotPassword = asyncHandler(async (req, res) => {
 export const resetPassword = asyncHandler(async (req, res) => {
     logger.info('Controller: resetPassword called');
     await resetPasswordWithToken(req.params.token, req.body.password);
-    res.cookie(config.jwt.cookieName, '', { ...cookieOptions, expires: new Date(0) });
+    clearAuthCookies(res);
     res.status(200).json(new ApiResponse(200, null, 'Password has been reset successfully. Please log in.'));
 });
+
+/**
+ * @desc    Change password of the logged-in user
+ * @route   PATCH /api/auth/change-password
+ * @access  Private (Requires authentication, allowed with an expired password)
+ */
+export const changePassword = asyncHandler(async (req, res) => {
+    logger.info(`Controller: changePassword called by user ${req.user?._id}`);
+    const { currentPassword, newPassword } = req.body;
+    const tokens = await changePasswordService(req.user._id, currentPassword, newPassword, req.sessionId, getRequestMeta(req));
+    setAuthCookies(res, tokens.accessToken, tokens.refreshToken);
+    res.status(200).json(new ApiResponse(200, tokens, 'Password changed successfully. Other devices have been signed out.'));
+});
+
+/**
+ * @desc    Verify email address using the emailed token
+ * @route   POST /api/auth/verify-email/:token
+ * @access  Public
+ */
+export const verifyEmail = asyncHandler(async (req, res) => {
+    logger.info('Controller: verifyEmail called');
+    await verifyEmailWithToken(req.params.token);
+    res.status(200).json(new ApiResponse(200, null, 'Email address verified successfully.'));
+});
+
+/**
+ * @desc    Resend the email verification link
+ * @route   POST /api/auth/resend-verification
+ * @access  Private (Requires authentication)
+ */
+export const resendVerification = asyncHandler(async (req, res) => {
+    logger.info(`Controller: resendVerification called by user ${req.user?._id}`);
+    await resendVerificationEmail(req.user._id);
+    res.status(200).json(new ApiResponse(200, null, 'Verification email sent.'));
+});
+
+/**
+ * @desc    List active sessions (devices) of the current user
+ * @route   GET /api/auth/sessions
+ * @access  Private (Requires authentication)
+ */
+export const getMySessions = asyncHandler(async (req, res) => {
+    logger.info(`Controller: getMySessions called by user ${req.user?._id}`);
+    const sessions = await listUserSessions(req.user._id);
+    const result = sessions.map(session => ({
+        ...session.toObject(),
+        isCurrent: session._id.equals(req.sessionId),
+    }));
+    res.status(200).json(new ApiResponse(200, result, 'Active sessions retrieved successfully.'));
+});
+
+/**
+ * @desc    Revoke one of the current user's sessions
+ * @route   DELETE /api/auth/sessions/:sessionId
+ * @access  Private (Requires authentication)
+ */
+export const revokeMySession = asyncHandler(async (req, res) => {
+    const sessionId = req.params.sessionId;
+    logger.warn(`Controller: revokeMySession called by user ${req.user?._id} for session ${sessionId}`);
+    await revokeUserSession(req.user._id, sessionId, 'user_revoked');
+    if (sessionId === req.sessionId?.toString()) {
+        clearAuthCookies(res);
+    }
+    res.status(200).json(new ApiResponse(200, null, 'Session revoked successfully.'));
+});
+
+/**
+ * @desc    Log out everywhere (revoke all sessions of the current user)
+ * @route   DELETE /api/auth/sessions
+ * @access  Private (Requires authentication)
+ */
+export const revokeAllMySessions = asyncHandler(async (req, res) => {
+    logger.warn(`Controller: revokeAllMySessions called by user ${req.user?._id}`);
+    const revokedCount = await revokeAllUserSessions(req.user._id, 'logout_everywhere');
+    clearAuthCookies(res);
+    res.status(200).json(new ApiResponse(200, { revokedCount }, 'Logged out from all devices.'));
+});
+
+/**
+ * @desc    Start optional 2FA enrollment (returns secret and otpauth URI)
+ * @route   POST /api/auth/2fa/setup
+ * @access  Private (Requires authentication)
+ */
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+    logger.info(`Controller: setupTwoFactor called by user ${req.user?._id}`);
+    const setup = await beginTwoFactorSetup(req.user._id);
+    res.status(200).json(new ApiResponse(200, setup, 'Scan the QR code with your authenticator app, then confirm with a code.'));
+});
+
+/**
+ * @desc    Confirm 2FA enrollment with a TOTP code
+ * @route   POST /api/auth/2fa/enable
+ * @access  Private (Requires authentication)
+ */
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+    logger.info(`Controller: enableTwoFactor called by user ${req.user?._id}`);
+    const recoveryCodes = await confirmTwoFactorSetup(req.user._id, req.body.code);
+    res.status(200).json(new ApiResponse(200, { recoveryCodes }, 'Two-factor authentication enabled. Store your recovery codes safely.'));
+});
+
+/**
+ * @desc    Disable 2FA (not allowed where 2FA is enforced for the role)
+ * @route   POST /api/auth/2fa/disable
+ * @access  Private (Requires authentication)
+ */
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+    logger.warn(`Controller: disableTwoFactor called by user ${req.user?._id}`);
+    const { password, code } = req.body;
+    await disableTwoFactorService(req.user._id, password, code);
+    res.status(200).json(new ApiResponse(200, null, 'Two-factor authentication disabled.'));
+});
+
+/**
+ * @desc    Regenerate 2FA recovery codes
+ * @route   POST /api/auth/2fa/recovery-codes
+ * @access  Private (Requires authentication)
+ */
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+    logger.info(`Controller: regenerateRecoveryCodes called by user ${req.user?._id}`);
+    const recoveryCodes = await regenerateRecoveryCodesService(req.user._id, req.body.code);
+    res.status(200).json(new ApiResponse(200, { recoveryCodes }, 'Recovery codes regenerated. Previous codes no longer work.'));
+});
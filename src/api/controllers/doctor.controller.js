@@ -2,8 +2,27 @@
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
 import logger from '../../utils/logger.js';
-import { getDoctorsForBooking, fetchDoctorAvailabilitySlots } from '../services/doctor.service.js';
+import {
+    getDoctorsForBooking,
+    fetchDoctorAvailabilityRange,
+    findNextAvailableSlot,
+    getDoctorSchedule,
+    updateDoctorSchedule,
+    updateDoctorProfile
+} from '../services/doctor.service.js';
+import {
+    createSlotHold as createSlotHoldService,
+    releaseSlotHold as releaseSlotHoldService
+} from '../services/appointment.service.js';
+import {
+    createScheduleException as createScheduleExceptionService,
+    deleteScheduleException as deleteScheduleExceptionService,
+    listScheduleExceptions
+} from '../services/schedule.service.js';
+import { callNextPatient as callNextPatientService, getDoctorQueueToday } from '../services/queue.service.js';
+import { getActiveAppointmentType, resolveAppointmentType } from '../services/appointmentType.service.js';
 import { ApiError } from '../../utils/ApiError.js';
+import { getBlockedMinutes } from '../../utils/schedule.js';
 
 /**
  * @desc    Get a list of doctors suitable for booking (publicly accessible)
@@ -27,26 +46,190 @@ export const listPublicDoctors = asyncHandler(async (req, res) => {
 });
 
 /**
- * @desc    Get available appointment slots for a specific doctor on a given date
- * @route   GET /api/doctors/:doctorId/availability
+ * @desc    Get available appointment slots for a specific doctor on a given date, or for a range of dates grouped by day
+ * @route   GET /api/doctors/:doctorId/availability?date=YYYY-MM-DD
+ * @route   GET /api/doctors/:doctorId/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
+ * @route   GET /api/doctors/:doctorId/availability?date=YYYY-MM-DD&appointmentType=<typeId> (slots fit the type's duration plus buffer)
  * @access  Public (or Authenticated, depending on your needs)
  */
 export const getDoctorAvailabilitySlots = asyncHandler(async (req, res) => {
     const { doctorId } = req.params;
-    const { date, duration } = req.query; // date in 'YYYY-MM-DD', duration in minutes
+    const { date, from, to, duration, appointmentType } = req.query; // dates in 'YYYY-MM-DD', duration in minutes
 
-    logger.info(`Controller: getDoctorAvailabilitySlots for doctor ${doctorId} on date ${date}`);
+    logger.info(`Controller: getDoctorAvailabilitySlots for doctor ${doctorId}`, { date, from, to, appointmentType });
+
+    let durationMinutes = duration ? parseInt(duration) : 30; // Default to 30 mins
+    if (isNaN(durationMinutes) || durationMinutes <= 0) {
+        throw new ApiError(400, 'Invalid duration specified.');
+    }
+    if (appointmentType) {
+        const offeredType = await resolveAppointmentType(appointmentType, doctorId);
+        durationMinutes = getBlockedMinutes({ durationMinutes: offeredType.defaultDurationMinutes, bufferMinutes: offeredType.bufferMinutes });
+    }
+
+    if (from || to) {
+        if (!from || !to) throw new ApiError(400, 'Both from and to query parameters are required for a range.');
+        const { timezone, days } = await fetchDoctorAvailabilityRange(doctorId, from, to, durationMinutes);
+        res.status(200).json(new ApiResponse(200, { from, to, timezone, days }, 'Doctor availability retrieved successfully.'));
+        return;
+    }
 
     if (!date) {
-        throw new ApiError(400, 'Date query parameter is required.');
+        throw new ApiError(400, 'Date query parameter (or from and to) is required.');
     }
-    // Optional: Validate date format here
+    // Slot times are wall-clock times in the doctor's timezone, which is returned alongside them
+    const { timezone, days: [day] } = await fetchDoctorAvailabilityRange(doctorId, date, date, durationMinutes);
+    res.status(200).json(new ApiResponse(200, { date, timezone, availableSlots: day.availableSlots }, 'Doctor availability retrieved successfully.'));
+});
+
+/**
+ * @desc    Find the earliest open slot across all doctors of a specialty
+ * @route   GET /api/doctors/next-available?specialty=Anak&duration=30
+ * @route   GET /api/doctors/next-available?specialty=Anak&appointmentType=<typeId>
+ * @access  Public
+ */
+export const getNextAvailableSlot = asyncHandler(async (req, res) => {
+    const { specialty, duration, appointmentType } = req.query;
+    logger.info(`Controller: getNextAvailableSlot for specialty ${specialty}`, { appointmentType });
 
     const durationMinutes = duration ? parseInt(duration) : 30; // Default to 30 mins
     if (isNaN(durationMinutes) || durationMinutes <= 0) {
         throw new ApiError(400, 'Invalid duration specified.');
     }
+    const offeredType = appointmentType ? await getActiveAppointmentType(appointmentType) : null;
+    const slot = await findNextAvailableSlot(specialty, durationMinutes, offeredType);
+    const message = slot ? 'Next available slot found.' : 'No available slot found for this specialty.';
+    res.status(200).json(new ApiResponse(200, slot, message));
+});
+
+/**
+ * @desc    Hold a slot for a few minutes while the patient completes booking
+ * @route   POST /api/doctors/:doctorId/holds
+ * @access  Private (Patient for themselves, Staff/Admin for any patient)
+ */
+export const createSlotHold = asyncHandler(async (req, res) => {
+    logger.info(`Controller: createSlotHold for doctor ${req.params.doctorId} by user ${req.user._id}`);
+    const hold = await createSlotHoldService(req.params.doctorId, req.body, req.user);
+    res.status(201).json(new ApiResponse(201, hold, 'Slot held successfully. Complete the booking before the hold expires.'));
+});
+
+/**
+ * @desc    Release a slot hold before it expires
+ * @route   DELETE /api/doctors/:doctorId/holds/:holdId
+ * @access  Private (the user who placed the hold)
+ */
+export const releaseSlotHold = asyncHandler(async (req, res) => {
+    logger.info(`Controller: releaseSlotHold ${req.params.holdId} by user ${req.user._id}`);
+    await releaseSlotHoldService(req.params.doctorId, req.params.holdId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Slot hold released.'));
+});
+
+/**
+ * @desc    List a doctor's schedule exceptions (days off, blocked hours, extra hours)
+ * @route   GET /api/doctors/:doctorId/schedule-exceptions?from=&to=
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const getScheduleExceptions = asyncHandler(async (req, res) => {
+    const { doctorId } = req.params;
+    logger.info(`Controller: getScheduleExceptions for doctor ${doctorId} by user ${req.user?._id}`);
+    const exceptions = await listScheduleExceptions(doctorId, { from: req.query.from, to: req.query.to }, req.user);
+    res.status(200).json(new ApiResponse(200, exceptions, 'Schedule exceptions retrieved successfully.'));
+});
+
+/**
+ * @desc    Add a schedule exception; warns about existing appointments inside new time-off
+ * @route   POST /api/doctors/:doctorId/schedule-exceptions
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const createScheduleException = asyncHandler(async (req, res) => {
+    const { doctorId } = req.params;
+    logger.info(`Controller: createScheduleException for doctor ${doctorId} by user ${req.user?._id}`);
+    const result = await createScheduleExceptionService(doctorId, req.body, req.user);
+    const message = result.warning ? `Schedule exception added. Warning: ${result.warning}` : 'Schedule exception added successfully.';
+    res.status(201).json(new ApiResponse(201, result, message));
+});
+
+/**
+ * @desc    Remove a schedule exception
+ * @route   DELETE /api/doctors/:doctorId/schedule-exceptions/:exceptionId
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const deleteScheduleException = asyncHandler(async (req, res) => {
+    const { doctorId, exceptionId } = req.params;
+    logger.warn(`Controller: deleteScheduleException ${exceptionId} for doctor ${doctorId} by user ${req.user?._id}`);
+    await deleteScheduleExceptionService(doctorId, exceptionId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Schedule exception removed successfully.'));
+});
+
+// "me" routes act on the logged-in doctor's own profile
+const resolveDoctorId = (req) => {
+    if (req.params.doctorId) return req.params.doctorId;
+    if (!req.user.doctorProfile) throw new ApiError(400, 'Doctor profile not found for the current user.');
+    return req.user.doctorProfile.toString();
+};
 
-    const availableSlots = await fetchDoctorAvailabilitySlots(doctorId, date, durationMinutes);
-    res.status(200).json(new ApiResponse(200, { availableSlots }, 'Doctor availability retrieved successfully.'));
+/**
+ * @desc    Get a doctor's weekly schedule
+ * @route   GET /api/doctors/me/schedule
+ * @route   GET /api/doctors/:doctorId/schedule
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const getSchedule = asyncHandler(async (req, res) => {
+    const doctorId = resolveDoctorId(req);
+    logger.info(`Controller: getSchedule for doctor ${doctorId} by user ${req.user?._id}`);
+    const schedule = await getDoctorSchedule(doctorId, req.user);
+    res.status(200).json(new ApiResponse(200, schedule, 'Weekly schedule retrieved successfully.'));
+});
+
+/**
+ * @desc    Replace a doctor's weekly schedule; reports upcoming appointments outside the new schedule
+ * @route   PUT /api/doctors/me/schedule
+ * @route   PUT /api/doctors/:doctorId/schedule
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const updateSchedule = asyncHandler(async (req, res) => {
+    const doctorId = resolveDoctorId(req);
+    logger.info(`Controller: updateSchedule for doctor ${doctorId} by user ${req.user?._id}`);
+    const result = await updateDoctorSchedule(doctorId, req.body.weeklySchedule, req.user);
+    const message = result.warning ? `Weekly schedule updated. Warning: ${result.warning}` : 'Weekly schedule updated successfully.';
+    res.status(200).json(new ApiResponse(200, result, message));
+});
+
+/**
+ * @desc    Update a doctor's profile (specialty and license number: Staff/Admin only)
+ * @route   PATCH /api/doctors/me/profile
+ * @route   PATCH /api/doctors/:doctorId/profile
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const updateProfile = asyncHandler(async (req, res) => {
+    const doctorId = resolveDoctorId(req);
+    logger.info(`Controller: updateProfile for doctor ${doctorId} by user ${req.user?._id}`);
+    const doctorProfile = await updateDoctorProfile(doctorId, req.body, req.user);
+    res.status(200).json(new ApiResponse(200, doctorProfile, 'Doctor profile updated successfully.'));
+});
+
+/**
+ * @desc    Get a doctor's queue for today: patient in consultation, waiting order with estimated waits, not yet arrived
+ * @route   GET /api/doctors/me/queue/today
+ * @route   GET /api/doctors/:doctorId/queue/today
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const getQueueToday = asyncHandler(async (req, res) => {
+    const doctorId = resolveDoctorId(req);
+    logger.info(`Controller: getQueueToday for doctor ${doctorId} by user ${req.user?._id}`);
+    const queue = await getDoctorQueueToday(doctorId, req.user);
+    res.status(200).json(new ApiResponse(200, queue, 'Queue retrieved successfully.'));
+});
+
+/**
+ * @desc    Call the next waiting patient in (or a specific checked-in appointment with body.appointmentId)
+ * @route   POST /api/doctors/me/queue/next
+ * @route   POST /api/doctors/:doctorId/queue/next
+ * @access  Private (Doctor-Own, Staff, Admin)
+ */
+export const callNextPatient = asyncHandler(async (req, res) => {
+    const doctorId = resolveDoctorId(req);
+    logger.info(`Controller: callNextPatient for doctor ${doctorId} by user ${req.user?._id}`);
+    const result = await callNextPatientService(doctorId, req.body, req.user);
+    res.status(200).json(new ApiResponse(200, result, `Queue number ${result.appointment.queueNumber} called in.`));
 });
@@ -0,0 +1,56 @@
+// src/api/controllers/holiday.controller.js
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import logger from '../../utils/logger.js';
+import {
+    createHoliday as createHolidayService,
+    deleteHoliday as deleteHolidayService,
+    importHolidaysFromFile,
+    listHolidays
+} from '../services/schedule.service.js';
+
+/**
+ * @desc    List clinic holidays
+ * @route   GET /api/holidays?year=&from=&to=
+ * @access  Public
+ */
+export const getHolidays = asyncHandler(async (req, res) => {
+    logger.info('Controller: getHolidays called', { query: req.query });
+    const holidays = await listHolidays({ year: req.query.year, from: req.query.from, to: req.query.to });
+    res.status(200).json(new ApiResponse(200, holidays, 'Holidays retrieved successfully.'));
+});
+
+/**
+ * @desc    Add a clinic holiday; warns about appointments already booked on that date
+ * @route   POST /api/holidays
+ * @access  Private (Staff, Admin)
+ */
+export const createHoliday = asyncHandler(async (req, res) => {
+    logger.info(`Controller: createHoliday called by user ${req.user?._id}`);
+    const result = await createHolidayService(req.body, req.user);
+    const message = result.warning ? `Holiday added. Warning: ${result.warning}` : 'Holiday added successfully.';
+    res.status(201).json(new ApiResponse(201, result, message));
+});
+
+/**
+ * @desc    Import the clinic holiday calendar from the configured local file (HOLIDAYS_FILE)
+ * @route   POST /api/holidays/import
+ * @access  Private (Staff, Admin)
+ */
+export const importHolidays = asyncHandler(async (req, res) => {
+    logger.info(`Controller: importHolidays called by user ${req.user?._id}`);
+    const result = await importHolidaysFromFile(req.user);
+    const message = result.warning ? `Holidays imported. Warning: ${result.warning}` : 'Holidays imported successfully.';
+    res.status(200).json(new ApiResponse(200, result, message));
+});
+
+/**
+ * @desc    Remove a clinic holiday
+ * @route   DELETE /api/holidays/:holidayId
+ * @access  Private (Staff, Admin)
+ */
+export const deleteHoliday = asyncHandler(async (req, res) => {
+    logger.warn(`Controller: deleteHoliday ${req.params.holidayId} called by user ${req.user?._id}`);
+    await deleteHolidayService(req.params.holidayId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Holiday removed successfully.'));
+});
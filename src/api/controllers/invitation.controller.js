@@ -0,0 +1,81 @@
+// src/api/controllers/invitation.controller.js
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import logger from '../../utils/logger.js';
+import {
+    acceptInvitation as acceptInvitationService,
+    createInvitation as createInvitationService,
+    getInvitationByToken,
+    getInvitations,
+    resendInvitation as resendInvitationService,
+    revokeInvitation as revokeInvitationService
+} from '../services/invitation.service.js';
+
+/**
+ * @desc    Invite a Doctor/Staff/Admin (creates a pending invitation and emails the link)
+ * @route   POST /api/invitations
+ * @access  Private (Admin)
+ */
+export const createInvitation = asyncHandler(async (req, res) => {
+    logger.info(`Controller: createInvitation called by admin ${req.user?._id}`);
+    const invitation = await createInvitationService(req.body, req.user);
+    res.status(201).json(new ApiResponse(201, invitation, 'Invitation sent successfully.'));
+});
+
+/**
+ * @desc    List invitations
+ * @route   GET /api/invitations
+ * @access  Private (Admin)
+ */
+export const listInvitations = asyncHandler(async (req, res) => {
+    logger.info(`Controller: listInvitations called by admin ${req.user?._id}`, { query: req.query });
+    const result = await getInvitations({ ...req.query });
+    res.status(200).json(new ApiResponse(200, result, 'Invitations retrieved successfully.'));
+});
+
+/**
+ * @desc    Resend a pending invitation with a new link
+ * @route   POST /api/invitations/:invitationId/resend
+ * @access  Private (Admin)
+ */
+export const resendInvitation = asyncHandler(async (req, res) => {
+    const invitationId = req.params.invitationId;
+    logger.info(`Controller: resendInvitation called by admin ${req.user?._id} for invitation ${invitationId}`);
+    const invitation = await resendInvitationService(invitationId, req.user);
+    res.status(200).json(new ApiResponse(200, invitation, 'Invitation resent successfully.'));
+});
+
+/**
+ * @desc    Revoke a pending invitation
+ * @route   DELETE /api/invitations/:invitationId
+ * @access  Private (Admin)
+ */
+export const revokeInvitation = asyncHandler(async (req, res) => {
+    const invitationId = req.params.invitationId;
+    logger.warn(`Controller: revokeInvitation called by admin ${req.user?._id} for invitation ${invitationId}`);
+    await revokeInvitationService(invitationId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Invitation revoked successfully.'));
+});
+
+/**
+ * @desc    Get invitation details for the accept form
+ * @route   GET /api/invitations/token/:token
+ * @access  Public (Requires the emailed token)
+ */
+export const getInvitation = asyncHandler(async (req, res) => {
+    logger.info('Controller: getInvitation called');
+    const invitation = await getInvitationByToken(req.params.token);
+    res.status(200).json(new ApiResponse(200, invitation, 'Invitation retrieved successfully.'));
+});
+
+/**
+ * @desc    Accept an invitation and set a password
+ * @route   POST /api/invitations/token/:token/accept
+ * @access  Public (Requires the emailed token)
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+    logger.info('Controller: acceptInvitation called');
+    const { password, phoneNumber } = req.body;
+    const user = await acceptInvitationService(req.params.token, { password, phoneNumber });
+    res.status(201).json(new ApiResponse(201, user, 'Account created successfully. Please log in.'));
+});
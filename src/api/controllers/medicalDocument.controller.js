@@ -1,7 +1,6 @@
 import { ApiError } from '../../utils/ApiError.js';
 import { ApiResponse } from '../../utils/ApiResponse.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
-import { UserRoles } from '../../utils/constants.js';
 import logger from '../../utils/logger.js';
 import {
 	deleteMedicalDocument as deleteMedicalDocumentService,
@@ -37,11 +36,8 @@ export const getMedicalDocuments = asyncHandler(async (req, res) => {
     const patientId = req.query.patientId;
     logger.info(`Controller: getMedicalDocuments called by user ${req.user?._id} for patient ${patientId}`);
     if (!patientId) throw new ApiError(400, 'Patient ID query parameter is required.');
-    if (req.user.role === UserRoles.PATIENT && req.user.patientProfile?.toString() !== patientId) {
-		throw new ApiError(403, 'Forbidden: You can only view your own documents.');
-    }
     const queryOptions = { ...req.query };
-    const result = await getMedicalDocumentsByPatient(patientId, queryOptions);
+    const result = await getMedicalDocumentsByPatient(patientId, queryOptions, req.user);
     res.status(200).json(new ApiResponse(200, result, 'Medical documents retrieved successfully.'));
 });
 
@@ -54,10 +50,7 @@ export const getMedicalDocuments = asyncHandler(async (req, res) => {
 export const getMedicalDocumentById = asyncHandler(async (req, res) => {
     const documentId = req.params.documentId;
     logger.info(`Controller: getMedicalDocumentById called by user ${req.user?._id} for document ${documentId}`);
-    const document = await getMedicalDocumentByIdService(documentId); // Use the alias here
-    if (req.user.role === UserRoles.PATIENT && document.patient?.userAccount?._id.toString() !== req.user._id.toString()) {
-		throw new ApiError(403, 'Forbidden: You cannot view this document.');
-    }
+    const document = await getMedicalDocumentByIdService(documentId, req.user); // Use the alias here (checks read permission)
     res.status(200).json(new ApiResponse(200, document, 'Medical document retrieved successfully.'));
 });
 
@@ -5,7 +5,6 @@ import { ApiError } from '../../utils/ApiError.js'; // Adjust path
 import { ApiResponse } from '../../utils/ApiResponse.js'; // Adjust path
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust path
 // Import specific service functions using aliases where names conflict
-import { UserRoles } from '../../utils/constants.js'; // Adjust path
 import logger from '../../utils/logger.js'; // Adjust path
 import {
 	createMedicalNote as createMedicalNoteService, // Alias
@@ -40,15 +39,9 @@ export const getMedicalNotes = asyncHandler(async (req, res) => {
     logger.info(`Controller: getMedicalNotes called by user ${req.user?._id} for patient ${patientId}`);
     if (!patientId) throw new ApiError(400, 'Patient ID query parameter is required.');
 
-    // Permission check example
-    if (req.user.role === UserRoles.PATIENT && req.user.patientProfile?.toString() !== patientId) {
-		throw new ApiError(403, 'Forbidden: You can only view your own medical notes.');
-    }
-    // Add checks for Doctor/Staff roles if needed
-
     const queryOptions = { ...req.query }; // Pass other query params for filtering/pagination
-    // Call service function directly
-    const result = await getMedicalNotesByPatient(patientId, queryOptions);
+    // Call service function directly (permission check happens in the service)
+    const result = await getMedicalNotesByPatient(patientId, queryOptions, req.user);
     res.status(200).json(new ApiResponse(200, result, 'Medical notes retrieved successfully.'));
 });
 
@@ -62,12 +55,7 @@ export const getMedicalNoteById = asyncHandler(async (req, res) => {
     const noteId = req.params.noteId;
     logger.info(`Controller: getMedicalNoteById called by user ${req.user?._id} for note ${noteId}`);
     // Call the aliased service function
-    const note = await getMedicalNoteByIdService(noteId); // Use the alias here
-    // Permission check example
-    if (req.user.role === UserRoles.PATIENT && note.patient?.toString() !== req.user.patientProfile?.toString()) {
-		throw new ApiError(403, 'Forbidden: You cannot view this medical note.');
-    }
-    // Add checks for Doctor/Staff roles if needed
+    const note = await getMedicalNoteByIdService(noteId, req.user); // Use the alias here (checks read permission)
     res.status(200).json(new ApiResponse(200, note, 'Medical note retrieved successfully.'));
 });
 
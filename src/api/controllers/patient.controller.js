@@ -5,7 +5,6 @@ import { ApiError } from '../../utils/ApiError.js'; // Adjust path
 import { ApiResponse } from '../../utils/ApiResponse.js'; // Adjust path
 import { asyncHandler } from '../../utils/asyncHandler.js'; // Adjust path
 // Import specific service functions
-import { UserRoles } from '../../utils/constants.js'; // Adjust path
 import logger from '../../utils/logger.js'; // Adjust path
 import {
 	createPatientProfile as createPatientProfileService, // Alias
@@ -40,7 +39,7 @@ export const getAllPatientProfiles = asyncHandler(async (req, res) => {
     logger.info(`Controller: getAllPatientProfiles called by user ${req.user?._id}`);
     const queryOptions = { ...req.query }; // For filtering/pagination
     // Call service function directly
-    const result = await getPatientProfiles(queryOptions);
+    const result = await getPatientProfiles(queryOptions, req.user);
     res.status(200).json(new ApiResponse(200, result, 'Patient profiles retrieved successfully.'));
 });
 
@@ -52,12 +51,8 @@ export const getAllPatientProfiles = asyncHandler(async (req, res) => {
 export const getPatientProfile = asyncHandler(async (req, res) => {
     const profileId = req.params.profileId;
     logger.info(`Controller: getPatientProfile called by user ${req.user?._id} for profile ${profileId}`);
-    // Call service function directly
-    const profile = await getPatientProfileById(profileId);
-    // Permission check example
-    if (req.user.role === UserRoles.PATIENT && req.user.patientProfile?.toString() !== profileId) {
-        throw new ApiError(403, 'Forbidden: You can only access your own profile.');
-    }
+    // Call service function directly (checks read permission, e.g. patients can only read their own)
+    const profile = await getPatientProfileById(profileId, req.user);
     res.status(200).json(new ApiResponse(200, profile, 'Patient profile retrieved successfully.'));
 });
 
@@ -72,7 +67,7 @@ export const getMyPatientProfile = asyncHandler(async (req, res) => {
         throw new ApiError(404, 'Patient profile not found for this user.');
     }
     // Call service function directly
-    const profile = await getPatientProfileById(req.user.patientProfile);
+    const profile = await getPatientProfileById(req.user.patientProfile, req.user);
     res.status(200).json(new ApiResponse(200, profile, 'Patient profile retrieved successfully.'));
 });
 
@@ -85,7 +80,7 @@ export const updatePatientProfile = asyncHandler(async (req, res) => {
     const profileId = req.params.profileId;
     logger.info(`Controller: updatePatientProfile called by user ${req.user?._id} for profile ${profileId}`);
     const updateData = req.body;
-    // Permission check (Staff/Admin) is handled by the route middleware
+    // Permission check happens in the service
     // Call service function directly (using alias)
     const updatedProfile = await updatePatientProfileService(profileId, updateData, req.user);
     res.status(200).json(new ApiResponse(200, updatedProfile, 'Patient profile updated successfully.'));
@@ -99,7 +94,7 @@ export const updatePatientProfile = asyncHandler(async (req, res) => {
 export const deletePatientProfile = asyncHandler(async (req, res) => {
     const profileId = req.params.profileId;
     logger.warn(`Controller: deletePatientProfile called by admin ${req.user?._id} for profile ${profileId}`);
-    // Permission check (Admin) is handled by the route middleware
+    // Permission check happens in the service
     // Call service function directly (using alias)
     await deletePatientProfileService(profileId, req.user);
     res.status(200).json(new ApiResponse(200, null, 'Patient profile deleted successfully.'));
@@ -0,0 +1,27 @@
+// src/api/controllers/permission.controller.js
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import logger from '../../utils/logger.js';
+import { listRolePermissions, updateRolePermissions as updateRolePermissionsService } from '../services/permission.service.js';
+
+/**
+ * @desc    List the permissions of every role and the available permissions
+ * @route   GET /api/permissions
+ * @access  Private (Admin)
+ */
+export const getRolePermissions = asyncHandler(async (req, res) => {
+    logger.info(`Controller: getRolePermissions called by admin ${req.user?._id}`);
+    const result = await listRolePermissions();
+    res.status(200).json(new ApiResponse(200, result, 'Role permissions retrieved successfully.'));
+});
+
+/**
+ * @desc    Replace the permissions of a role
+ * @route   PUT /api/permissions/:role
+ * @access  Private (Admin)
+ */
+export const updateRolePermissions = asyncHandler(async (req, res) => {
+    logger.warn(`Controller: updateRolePermissions called by admin ${req.user?._id} for role ${req.params.role}`);
+    const mapping = await updateRolePermissionsService(req.params.role, req.body.permissions, req.user);
+    res.status(200).json(new ApiResponse(200, mapping, 'Role permissions updated successfully.'));
+});
@@ -7,9 +7,14 @@ import {
     getUserById as getUserByIdService,
     updateUser as updateUserService,
     deleteUser as deleteUserService,
-    updateUserProfilePicture as updateUserProfilePictureService
+    updateUserProfilePicture as updateUserProfilePictureService,
+    getUserSessions as getUserSessionsService,
+    revokeSessionsByAdmin
 } from '../services/user.service.js';
 import { ApiError } from '../../utils/ApiError.js';
+import { unlockAccount } from '../services/accountLockout.service.js';
+import { startImpersonation } from '../services/auth.service.js';
+import { resetTwoFactorByAdmin } from '../services/twoFactor.service.js';
 
 /**
  * @desc    Get all users (Admin only)
@@ -107,3 +112,75 @@ export const updateProfilePicture = asyncHandler(async (req, res) => {
 
     res.status(200).json(new ApiResponse(200, updatedUser, 'Profile picture updated successfully.'));
 });
+
+/**
+ * @desc    List active sessions of any user (Admin only)
+ * @route   GET /api/users/:userId/sessions
+ * @access  Private (Admin)
+ */
+export const getUserSessions = asyncHandler(async (req, res) => {
+    const userId = req.params.userId;
+    logger.info(`Controller: getUserSessions called by admin ${req.user?._id} for user ${userId}`);
+    const sessions = await getUserSessionsService(userId);
+    res.status(200).json(new ApiResponse(200, sessions, 'User sessions retrieved successfully.'));
+});
+
+/**
+ * @desc    Revoke a single session of any user (Admin only)
+ * @route   DELETE /api/users/:userId/sessions/:sessionId
+ * @access  Private (Admin)
+ */
+export const revokeUserSession = asyncHandler(async (req, res) => {
+    const { userId, sessionId } = req.params;
+    logger.warn(`Controller: revokeUserSession called by admin ${req.user?._id} for user ${userId}, session ${sessionId}`);
+    await revokeSessionsByAdmin(userId, sessionId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Session revoked successfully by admin.'));
+});
+
+/**
+ * @desc    Log a user out everywhere (Admin only)
+ * @route   DELETE /api/users/:userId/sessions
+ * @access  Private (Admin)
+ */
+export const revokeAllUserSessions = asyncHandler(async (req, res) => {
+    const userId = req.params.userId;
+    logger.warn(`Controller: revokeAllUserSessions called by admin ${req.user?._id} for user ${userId}`);
+    const revokedCount = await revokeSessionsByAdmin(userId, null, req.user);
+    res.status(200).json(new ApiResponse(200, { revokedCount }, 'All user sessions revoked successfully by admin.'));
+});
+
+/**
+ * @desc    Reset a user's two-factor authentication (e.g. lost device) (Admin only)
+ * @route   DELETE /api/users/:userId/two-factor
+ * @access  Private (Admin)
+ */
+export const resetUserTwoFactor = asyncHandler(async (req, res) => {
+    const userId = req.params.userId;
+    logger.warn(`Controller: resetUserTwoFactor called by admin ${req.user?._id} for user ${userId}`);
+    await resetTwoFactorByAdmin(userId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Two-factor authentication reset successfully by admin.'));
+});
+
+/**
+ * @desc    Unlock an account locked after too many failed logins (Admin only)
+ * @route   POST /api/users/:userId/unlock
+ * @access  Private (Admin)
+ */
+export const unlockUser = asyncHandler(async (req, res) => {
+    const userId = req.params.userId;
+    logger.warn(`Controller: unlockUser called by admin ${req.user?._id} for user ${userId}`);
+    const user = await unlockAccount(userId, req.user);
+    res.status(200).json(new ApiResponse(200, user, 'Account unlocked successfully by admin.'));
+});
+
+/**
+ * @desc    Start impersonating a user (support mode); returns a short-lived Bearer token
+ * @route   POST /api/users/:userId/impersonate
+ * @access  Private (Admin)
+ */
+export const impersonateUser = asyncHandler(async (req, res) => {
+    const userId = req.params.userId;
+    logger.warn(`Controller: impersonateUser called by admin ${req.user?._id} for user ${userId}`);
+    const result = await startImpersonation(userId, req.user, req.sessionId);
+    res.status(200).json(new ApiResponse(200, result, 'Impersonation started. Send the token as a Bearer token; destructive actions are disabled.'));
+});
@@ -0,0 +1,79 @@
+// src/api/controllers/waitlist.controller.js
+import { ApiResponse } from '../../utils/ApiResponse.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import logger from '../../utils/logger.js';
+import {
+    claimWaitlistOffer,
+    declineWaitlistOffer,
+    getWaitlistEntries,
+    getWaitlistOfferByToken,
+    joinWaitlist,
+    leaveWaitlist
+} from '../services/waitlist.service.js';
+
+/**
+ * @desc    Join a doctor's waitlist (optionally limited to a date range and time of day)
+ * @route   POST /api/waitlist
+ * @access  Private (Patient for self, Staff/Admin for any patient)
+ */
+export const createWaitlistEntry = asyncHandler(async (req, res) => {
+    logger.info(`Controller: createWaitlistEntry called by user ${req.user?._id}`);
+    const entry = await joinWaitlist(req.body, req.user);
+    res.status(201).json(new ApiResponse(201, entry, 'Added to the waitlist successfully.'));
+});
+
+/**
+ * @desc    List waitlist entries in queue order
+ * @route   GET /api/waitlist
+ * @access  Private (Patient: own, Doctor: own, Staff/Admin: any)
+ */
+export const listWaitlistEntries = asyncHandler(async (req, res) => {
+    logger.info(`Controller: listWaitlistEntries called by user ${req.user?._id}`, { query: req.query });
+    const result = await getWaitlistEntries({ ...req.query }, req.user);
+    res.status(200).json(new ApiResponse(200, result, 'Waitlist entries retrieved successfully.'));
+});
+
+/**
+ * @desc    Leave the waitlist
+ * @route   DELETE /api/waitlist/:entryId
+ * @access  Private (Patient for self, Staff/Admin)
+ */
+export const deleteWaitlistEntry = asyncHandler(async (req, res) => {
+    const entryId = req.params.entryId;
+    logger.info(`Controller: deleteWaitlistEntry called by user ${req.user?._id} for entry ${entryId}`);
+    await leaveWaitlist(entryId, req.user);
+    res.status(200).json(new ApiResponse(200, null, 'Removed from the waitlist successfully.'));
+});
+
+/**
+ * @desc    Get the details of a slot offered from the waitlist
+ * @route   GET /api/waitlist/offers/:token
+ * @access  Public (Requires the emailed token)
+ */
+export const getWaitlistOffer = asyncHandler(async (req, res) => {
+    logger.info('Controller: getWaitlistOffer called');
+    const offer = await getWaitlistOfferByToken(req.params.token);
+    res.status(200).json(new ApiResponse(200, offer, 'Offer retrieved successfully.'));
+});
+
+/**
+ * @desc    Claim an offered slot (books the appointment)
+ * @route   POST /api/waitlist/offers/:token/claim
+ * @access  Public (Requires the emailed token)
+ */
+export const claimOffer = asyncHandler(async (req, res) => {
+    logger.info('Controller: claimOffer called');
+    const appointment = await claimWaitlistOffer(req.params.token);
+    res.status(201).json(new ApiResponse(201, appointment, 'Slot claimed and appointment created successfully.'));
+});
+
+/**
+ * @desc    Decline an offered slot (passes it on; the patient stays on the waitlist)
+ * @route   POST /api/waitlist/offers/:token/decline
+ * @access  Public (Requires the emailed token)
+ */
+export const declineOffer = asyncHandler(async (req, res) => {
+    logger.info('Controller: declineOffer called');
+    await declineWaitlistOffer(req.params.token);
+    res.status(200).json(new ApiResponse(200, null, 'Offer declined. You remain on the waitlist.'));
+});
@@ -3,6 +3,24 @@ import config from '../../config/index.js';
 import User from '../../models/user.model.js';
 import { ApiError } from '../../utils/ApiError.js';
 import { asyncHandler } from '../../utils/asyncHandler.js';
+import { UserRoles } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+import { isPasswordExpired } from '../../utils/passwordPolicy.js';
+import { assertActiveSession } from '../services/session.service.js';
+
+// Loads the admin behind an impersonation token; they must still be an active admin
+const resolveImpersonator = async (decoded) => {
+    const impersonator = await User.findOne({
+        _id: decoded.imp,
+        role: UserRoles.ADMIN,
+        isActive: true,
+        isDeleted: { $ne: true }
+    }).select('+passwordChangedAt -passwordResetToken -passwordResetExpires');
+    if (!impersonator || impersonator.passwordChangedAfter(decoded.iat)) {
+        throw new ApiError(401, 'Impersonation session is no longer valid. Please start it again.');
+    }
+    return impersonator;
+};
 
 /**
  * Middleware to protect routes by verifying JWT token.
@@ -52,12 +70,37 @@ export const authenticate = asyncHandler(async (req, res, next) => {
             throw new ApiError(401, 'User recently changed password. Please log in again.');
         }
 
-        // 8. Attach the user object (excluding sensitive fields not needed downstream) to the request object
+        // 8. Check that the session the token belongs to has not been revoked (logout, remote revocation)
+        // Impersonation tokens are bound to the admin's session, so ending it ends the impersonation too
+        await assertActiveSession(decoded.sid, decoded.imp || currentUser._id);
+
+        // 8b. Impersonation: the token also carries the admin's identity (imp)
+        if (decoded.imp) {
+            req.impersonator = await resolveImpersonator(decoded);
+            // Destructive actions are never allowed while impersonating
+            if (req.method === 'DELETE') {
+                throw new ApiError(403, 'This action is not allowed while impersonating a user.');
+            }
+            // Audit every impersonated request once the response is sent
+            res.on('finish', () => {
+                logger.warn(`Impersonation audit: admin ${req.impersonator._id} as user ${currentUser._id} (${currentUser.role}) ${req.method} ${req.originalUrl} -> ${res.statusCode}`);
+            });
+        }
+
+        // 9. Users whose password passed the maximum age may only reach routes that let them change it
+        // (support staff impersonating such a user can still see what they see)
+        if (isPasswordExpired(currentUser) && !req.allowExpiredPassword && !req.impersonator) {
+            throw new ApiError(403, 'Your password has expired. Please change your password to continue.');
+        }
+
+        // 10. Attach the user object (excluding sensitive fields not needed downstream) to the request object
         // Manually create a user object to attach if needed, to avoid attaching the Mongoose document directly
         // or ensure sensitive fields like passwordChangedAt are not inadvertently exposed later.
         // For simplicity here, we attach the fetched user, assuming downstream code is careful.
         // Consider creating a plain object: req.user = { id: currentUser.id, role: currentUser.role, ... };
         req.user = currentUser;
+        req.sessionId = decoded.sid; // Session (refresh token family) the token was issued for
+        req.tokenExpiresAt = decoded.exp ? new Date(decoded.exp * 1000) : null; // Long-lived streams end here
 
         next(); // Proceed to the next middleware or route handler
 
@@ -78,3 +121,23 @@ export const authenticate = asyncHandler(async (req, res, next) => {
         }
     }
 });
+
+/**
+ * Marks a route as reachable with an expired password (change-password, logout, me).
+ * Must be placed before authenticate.
+ */
+export const allowExpiredPassword = (req, res, next) => {
+    req.allowExpiredPassword = true;
+    next();
+};
+
+/**
+ * Blocks a route while an admin is impersonating a user (password/2FA changes, logout, cancellations).
+ * Must be placed after authenticate.
+ */
+export const denyImpersonation = (req, res, next) => {
+    if (req.impersonator) {
+        return next(new ApiError(403, 'This action is not allowed while impersonating a user.'));
+    }
+    next();
+};
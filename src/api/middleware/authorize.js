@@ -1,4 +1,6 @@
 import { ApiError } from '../../utils/ApiError.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { hasPermission } from '../services/permission.service.js';
 
 /**
  * Creates a middleware function that checks if the authenticated user's role
@@ -27,3 +29,28 @@ export const authorize = (...allowedRoles) => {
         next();
     };
 };
+
+/**
+ * Creates a middleware function that checks if the authenticated user's role
+ * grants an action at any scope (e.g. 'notes:read').
+ * Record-level scopes (own, authored, own-patients) are checked in the services with can().
+ *
+ * @param {string} action - "<resource>:<action>" permission to require.
+ * @returns {Function} Express middleware function.
+ */
+export const requirePermission = (action) => {
+    return asyncHandler(async (req, res, next) => {
+        if (!req.user || !req.user.role) {
+            throw new ApiError(401, 'Authentication required before authorization.');
+        }
+
+        if (!(await hasPermission(req.user, action))) {
+            throw new ApiError(
+                403, // Forbidden
+                `Forbidden. Your role (${req.user.role}) is not authorized to access this resource.`
+            );
+        }
+
+        next();
+    });
+};
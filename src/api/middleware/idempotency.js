@@ -0,0 +1,130 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import config from '../../config/index.js';
+import IdempotencyRecord from '../../models/idempotencyRecord.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { IdempotencyStates } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+
+const IDEMPOTENCY_KEY_HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+const KEY_REGEX = /^[A-Za-z0-9_.:-]{8,255}$/; // e.g. a UUID generated by the client
+
+// JSON with sorted object keys, so the same body always gives the same fingerprint
+const stableStringify = (value) => {
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+// SHA-256 over method, path, body and the content of an uploaded file
+const fingerprintRequest = async (req) => {
+    const hash = crypto.createHash('sha256');
+    hash.update(`${req.method} ${req.baseUrl}${req.path}\n`);
+    hash.update(stableStringify(req.body ?? {}));
+    if (req.file?.path) hash.update(await fs.promises.readFile(req.file.path));
+    return hash.digest('hex');
+};
+
+// The handler will not run, so the temp file uploaded by multer would be left behind
+const discardUploadedFile = (req) => {
+    if (!req.file?.path) return;
+    fs.promises.unlink(req.file.path).catch(error => logger.error(`Failed to remove temp file ${req.file.path}: ${error.message}`));
+};
+
+// Removes dotted paths (e.g. "data.accessToken") from a copy of the response body
+const omitPaths = (body, paths) => {
+    paths.forEach(path => {
+        const keys = path.split('.');
+        const parent = keys.slice(0, -1).reduce((object, key) => object?.[key], body);
+        if (parent && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+    });
+    return body;
+};
+
+// Stores successful responses for replay; anything else frees the key so the client can retry
+const recordResponse = (res, record, omitFromReplay) => {
+    const originalJson = res.json.bind(res);
+    let responseBody;
+    res.json = (body) => {
+        responseBody = body;
+        return originalJson(body);
+    };
+
+    res.on('finish', () => {
+        const succeeded = res.statusCode >= 200 && res.statusCode < 300;
+        const operation = succeeded
+            ? IdempotencyRecord.updateOne({ _id: record._id }, {
+                $set: {
+                    state: IdempotencyStates.COMPLETED,
+                    responseStatus: res.statusCode,
+                    responseBody: omitPaths(JSON.parse(JSON.stringify(responseBody ?? null)), omitFromReplay),
+                    expiresAt: new Date(Date.now() + config.idempotency.ttlHours * 60 * 60 * 1000),
+                },
+            })
+            : IdempotencyRecord.deleteOne({ _id: record._id });
+        operation.catch(error => logger.error(`Idempotency: Failed to store the outcome of key ${record.key}: ${error.message}`));
+    });
+};
+
+/**
+ * Makes a POST endpoint safe to retry with an Idempotency-Key header.
+ * The first request with a key runs normally and its successful response is stored for
+ * config.idempotency.ttlHours; repeats with the same key and the same request get the stored
+ * response (with an Idempotent-Replayed header), a different request with the key gets 409.
+ * Requests without the header are not affected. Place after authentication, upload and validation middleware.
+ * @param {object} [options]
+ * @param {Array<string>} [options.omitFromReplay=[]] - Dotted response paths not to store (e.g. tokens).
+ * @returns {import('express').RequestHandler}
+ */
+export const idempotent = ({ omitFromReplay = [] } = {}) => async (req, res, next) => {
+    const key = req.get(IDEMPOTENCY_KEY_HEADER);
+    if (key === undefined) return next();
+
+    try {
+        if (!KEY_REGEX.test(key)) {
+            throw new ApiError(400, `${IDEMPOTENCY_KEY_HEADER} must be 8-255 characters of letters, digits, "-", "_", "." or ":".`);
+        }
+
+        const user = req.user?._id || null;
+        const requestHash = await fingerprintRequest(req);
+        const now = new Date();
+        // The TTL monitor only runs about once a minute, so an expired record may still be around
+        await IdempotencyRecord.deleteOne({ key, user, expiresAt: { $lte: now } });
+
+        let record;
+        try {
+            record = await IdempotencyRecord.create({
+                key,
+                user,
+                method: req.method,
+                path: `${req.baseUrl}${req.path}`,
+                requestHash,
+                expiresAt: new Date(now.getTime() + config.idempotency.processingTimeoutSeconds * 1000),
+            });
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+
+            const existing = await IdempotencyRecord.findOne({ key, user });
+            if (existing && existing.requestHash !== requestHash) {
+                throw new ApiError(409, `This ${IDEMPOTENCY_KEY_HEADER} was already used for a different request.`);
+            }
+            if (!existing || existing.state !== IdempotencyStates.COMPLETED) {
+                throw new ApiError(409, `A request with this ${IDEMPOTENCY_KEY_HEADER} is still being processed. Retry shortly.`);
+            }
+
+            discardUploadedFile(req);
+            logger.info(`Idempotency: Replaying stored response for key ${key} on ${req.method} ${req.originalUrl}`);
+            res.set(REPLAYED_HEADER, 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        recordResponse(res, record, omitFromReplay);
+        next();
+    } catch (error) {
+        discardUploadedFile(req);
+        next(error);
+    }
+};
@@ -35,6 +35,15 @@ const imageFileFilter = (req, file, cb) => {
     }
 };
 
+const documentFileFilter = (req, file, cb) => {
+    const allowedMimes = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+    if (allowedMimes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new ApiError(400, 'Invalid file type. Only PDF, JPEG, PNG and WEBP documents are allowed.'), false);
+    }
+};
+
 // Configure Multer upload instance
 const upload = multer({
     storage: storage,
@@ -50,6 +59,18 @@ const upload = multer({
  */
 export const uploadProfilePictureMiddleware = upload.single('profilePicture');
 
+/**
+ * Middleware to handle a single medical document upload (PDF or image).
+ * Expects the file to be in a field named 'document'.
+ */
+export const uploadMedicalDocumentMiddleware = multer({
+    storage: storage,
+    fileFilter: documentFileFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024 // 5 MB file size limit
+    }
+}).single('document');
+
 /**
  * Middleware to handle errors from Multer.
  * This should be placed after the Multer upload middleware in your route.
@@ -67,3 +88,18 @@ export const handleMulterError = (err, req, res, next) => {
     }
     next();
 };
+
+/**
+ * Error middleware that removes the temp file when a later step (e.g. validation) rejects the request.
+ * Place at the end of an upload route.
+ */
+export const discardUploadOnError = (err, req, res, next) => {
+    if (req.file?.path && fs.existsSync(req.file.path)) {
+        try {
+            fs.unlinkSync(req.file.path);
+        } catch (unlinkError) {
+            logger.error(`Failed to remove temp file ${req.file.path}: ${unlinkError.message}`);
+        }
+    }
+    next(err);
+};
@@ -31,3 +31,15 @@ export const loginRateLimiter = rateLimit({
     },
     keyGenerator: (req, res) => req.ip, // Limit login attempts by IP
 });
+
+// Public links sent by email (waitlist offers, invitations); counted separately so opening them does not use up login attempts
+export const emailLinkRateLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 30, // Enough to open, claim or decline a few links; too few to guess tokens
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: (req, res) => {
+        throw new ApiError(429, 'Too many requests for emailed links. Please try again later.');
+    },
+    keyGenerator: (req, res) => req.ip,
+});
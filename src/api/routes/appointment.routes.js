@@ -1,19 +1,23 @@
 import express from 'express';
 import {
 	cancelAppointment,
+	checkInAppointment,
 	createAppointment,
 	deleteAppointment,
 	getAppointment,
+	getAppointmentHistory,
+	getAppointmentSeries,
+	getCheckInCode,
 	getMyAppointments,
+	streamAppointmentEvents,
 	updateAppointment
 } from '../controllers/appointment.controller.js';
 // Import middleware and validators
-import { body } from 'express-validator';
-import { UserRoles } from '../../utils/constants.js';
-import { authenticate } from '../middleware/authenticate.js';
-import { authorize } from '../middleware/authorize.js';
+import { authenticate, denyImpersonation } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { idempotent } from '../middleware/idempotency.js';
 import { validate } from '../middleware/validate.js';
-import { createAppointmentValidator, updateAppointmentValidator } from '../validators/appointment.validator.js';
+import { cancelAppointmentValidator, checkInValidator, createAppointmentValidator, updateAppointmentValidator } from '../validators/appointment.validator.js';
 import { mongoIdParamValidator } from '../validators/user.validator.js';
 
 const router = express.Router();
@@ -23,19 +27,54 @@ router.use(authenticate);
 
 router.route('/')
     .get(getMyAppointments) // Use imported function
-    .post(authorize(UserRoles.PATIENT, UserRoles.STAFF, UserRoles.ADMIN), createAppointmentValidator, validate, createAppointment); // Use imported function
+    .post(requirePermission('appointments:create'), createAppointmentValidator, validate, idempotent(), createAppointment); // Use imported function
+
+// Live appointment changes (Server-Sent Events), scoped to what the user may see
+router.get('/events', requirePermission('appointments:read'), streamAppointmentEvents);
+
+// Rotating code for the check-in QR code shown at the clinic
+router.get('/check-in-code', requirePermission('queue:manage'), getCheckInCode);
+
+// Recurring series with all its occurrences
+router.get(
+    '/series/:seriesId',
+    requirePermission('appointments:read'),
+    mongoIdParamValidator('seriesId'),
+    validate,
+    getAppointmentSeries
+);
 
 // Routes for specific appointment ID
 router.route('/:appointmentId')
-    .get(mongoIdParamValidator('appointmentId'), validate, getAppointment) // Use imported function
-    .patch(mongoIdParamValidator('appointmentId'), updateAppointmentValidator, validate, updateAppointment) // Use imported function
-    .delete(authorize(UserRoles.ADMIN), mongoIdParamValidator('appointmentId'), validate, deleteAppointment); // Use imported function
+    .get(requirePermission('appointments:read'), mongoIdParamValidator('appointmentId'), validate, getAppointment) // Use imported function
+    .patch(requirePermission('appointments:update'), mongoIdParamValidator('appointmentId'), updateAppointmentValidator, validate, updateAppointment) // Use imported function
+    .delete(requirePermission('appointments:delete'), mongoIdParamValidator('appointmentId'), validate, deleteAppointment); // Use imported function
+
+// Status change history (who changed the status, when and why)
+router.get(
+    '/:appointmentId/history',
+    requirePermission('appointments:read'),
+    mongoIdParamValidator('appointmentId'),
+    validate,
+    getAppointmentHistory
+);
+
+// Arrival: puts the patient in the doctor's queue for today
+router.post(
+    '/:appointmentId/check-in',
+    requirePermission('appointments:check-in'),
+    mongoIdParamValidator('appointmentId'),
+    checkInValidator,
+    validate,
+    checkInAppointment
+);
 
 // Route specifically for cancelling an appointment
 router.patch(
     '/:appointmentId/cancel',
+    denyImpersonation,
     mongoIdParamValidator('appointmentId'),
-    body('reason').notEmpty().withMessage('Cancellation reason is required.').trim().escape(),
+    cancelAppointmentValidator,
     validate,
     cancelAppointment // Use imported function
 );
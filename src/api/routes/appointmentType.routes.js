@@ -0,0 +1,45 @@
+// src/api/routes/appointmentType.routes.js
+import express from 'express';
+import {
+    createAppointmentType,
+    deleteAppointmentType,
+    getAllAppointmentTypes,
+    getAppointmentType,
+    getAppointmentTypes,
+    updateAppointmentType
+} from '../controllers/appointmentType.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { validate } from '../middleware/validate.js';
+import {
+    createAppointmentTypeValidator,
+    listAppointmentTypesQueryValidator,
+    updateAppointmentTypeValidator
+} from '../validators/appointmentType.validator.js';
+import { mongoIdParamValidator } from '../validators/user.validator.js';
+
+const router = express.Router();
+
+// Public: patients pick a visit type when booking
+router.get('/', listAppointmentTypesQueryValidator, validate, getAppointmentTypes);
+
+// Admin view of the whole catalog (declared before /:typeId)
+router.get(
+    '/all',
+    authenticate,
+    requirePermission('appointment-types:manage'),
+    listAppointmentTypesQueryValidator,
+    validate,
+    getAllAppointmentTypes
+);
+
+router.get('/:typeId', mongoIdParamValidator('typeId'), validate, getAppointmentType);
+
+// --- Admin routes ---
+router.use(authenticate, requirePermission('appointment-types:manage'));
+
+router.post('/', createAppointmentTypeValidator, validate, createAppointmentType);
+router.patch('/:typeId', mongoIdParamValidator('typeId'), updateAppointmentTypeValidator, validate, updateAppointmentType);
+router.delete('/:typeId', mongoIdParamValidator('typeId'), validate, deleteAppointmentType);
+
+export default router;
@@ -1,28 +1,70 @@
 import express from 'express';
 import {
+	changePassword,
+	disableTwoFactor,
+	enableTwoFactor,
 	forgotPassword,
 	getMe,
+	getMySessions,
 	login,
 	logout,
+	refresh,
+	regenerateRecoveryCodes,
 	register,
-	resetPassword
+	resendVerification,
+	resetPassword,
+	revokeAllMySessions,
+	revokeMySession,
+	setupTwoFactor,
+	setupTwoFactorChallenge,
+	verifyEmail,
+	verifyTwoFactorChallenge
 } from '../controllers/auth.controller.js';
 // Import validators and middleware
-import { authenticate } from '../middleware/authenticate.js';
+import { allowExpiredPassword, authenticate, denyImpersonation } from '../middleware/authenticate.js';
+import { idempotent } from '../middleware/idempotency.js';
 import { loginRateLimiter } from '../middleware/rateLimiter.js';
 import { validate } from '../middleware/validate.js';
-import { forgotPasswordValidator, loginValidator, registerValidator, resetPasswordValidator } from '../validators/auth.validator.js';
+import {
+	changePasswordValidator,
+	disableTwoFactorValidator,
+	forgotPasswordValidator,
+	loginValidator,
+	refreshTokenValidator,
+	registerValidator,
+	resetPasswordValidator,
+	twoFactorChallengeSetupValidator,
+	twoFactorChallengeVerifyValidator,
+	twoFactorCodeValidator,
+	verifyEmailValidator
+} from '../validators/auth.validator.js';
+import { mongoIdParamValidator } from '../validators/user.validator.js';
 
 const router = express.Router();
 
 // Public routes - Use imported functions directly
-router.post('/register', registerValidator, validate, register);
+// Tokens are never stored: a replayed registration returns the account without tokens, so the client logs in
+router.post('/register', registerValidator, validate, idempotent({ omitFromReplay: ['data.accessToken', 'data.refreshToken', 'data.challengeToken'] }), register);
 router.post('/login', loginRateLimiter, loginValidator, validate, login);
+router.post('/refresh', refreshTokenValidator, validate, refresh);
+router.post('/2fa/challenge/setup', loginRateLimiter, twoFactorChallengeSetupValidator, validate, setupTwoFactorChallenge);
+router.post('/2fa/challenge/verify', loginRateLimiter, twoFactorChallengeVerifyValidator, validate, verifyTwoFactorChallenge);
 router.post('/forgot-password', forgotPasswordValidator, validate, forgotPassword);
 router.patch('/reset-password/:token', resetPasswordValidator, validate, resetPassword);
+router.post('/verify-email/:token', verifyEmailValidator, validate, verifyEmail);
 
 // Protected routes - Use imported functions directly
-router.post('/logout', authenticate, logout);
-router.get('/me', authenticate, getMe);
+router.post('/logout', allowExpiredPassword, authenticate, denyImpersonation, logout);
+router.get('/me', allowExpiredPassword, authenticate, getMe);
+router.patch('/change-password', allowExpiredPassword, authenticate, denyImpersonation, changePasswordValidator, validate, changePassword);
+router.post('/resend-verification', authenticate, denyImpersonation, resendVerification);
+router.route('/sessions')
+    .get(authenticate, getMySessions)
+    .delete(authenticate, revokeAllMySessions);
+router.delete('/sessions/:sessionId', authenticate, mongoIdParamValidator('sessionId'), validate, revokeMySession);
+router.post('/2fa/setup', authenticate, denyImpersonation, setupTwoFactor);
+router.post('/2fa/enable', authenticate, denyImpersonation, twoFactorCodeValidator, validate, enableTwoFactor);
+router.post('/2fa/disable', authenticate, denyImpersonation, disableTwoFactorValidator, validate, disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, denyImpersonation, twoFactorCodeValidator, validate, regenerateRecoveryCodes);
 
 export default router;
@@ -1,7 +1,28 @@
 // src/api/routes/doctor.routes.js
 import express from 'express';
-import { listPublicDoctors, getDoctorAvailabilitySlots } from '../controllers/doctor.controller.js';
+import {
+    callNextPatient,
+    getQueueToday,
+    listPublicDoctors,
+    getDoctorAvailabilitySlots,
+    getNextAvailableSlot,
+    createSlotHold,
+    releaseSlotHold,
+    getScheduleExceptions,
+    createScheduleException,
+    deleteScheduleException,
+    getSchedule,
+    updateSchedule,
+    updateProfile
+} from '../controllers/doctor.controller.js';
 import { mongoIdParamValidator } from '../validators/user.validator.js'; // For doctorId param
+import { createScheduleExceptionValidator, dateRangeQueryValidator } from '../validators/schedule.validator.js';
+import { createSlotHoldValidator } from '../validators/appointment.validator.js';
+import { appointmentTypeQueryValidator } from '../validators/appointmentType.validator.js';
+import { callNextPatientValidator, nextAvailableQueryValidator, updateDoctorProfileValidator, weeklyScheduleValidator } from '../validators/doctor.validation.js';
+import { UserRoles } from '../../utils/constants.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { authorize, requirePermission } from '../middleware/authorize.js';
 import { validate } from '../middleware/validate.js';
 // Optional: Add specific query validators for listing doctors if needed
 // import { listDoctorsQueryValidator } from '../validators/doctor.validator.js';
@@ -12,18 +33,145 @@ const router = express.Router();
 router.get(
     '/list-for-booking',
     // listDoctorsQueryValidator, // Example: if you create validators for query params
-    // validate,
+    appointmentTypeQueryValidator, // ?appointmentType= lists only doctors offering it
+    validate,
     listPublicDoctors
 );
 
-// Route to get availability for a specific doctor
+// Public route to find the earliest open slot across all doctors of a specialty
+router.get(
+    '/next-available',
+    nextAvailableQueryValidator,
+    appointmentTypeQueryValidator,
+    validate,
+    getNextAvailableSlot
+);
+
+// --- Doctor self-service (own schedule and profile) ---
+router.route('/me/schedule')
+    .get(authenticate, authorize(UserRoles.DOCTOR), getSchedule)
+    .put(authenticate, authorize(UserRoles.DOCTOR), weeklyScheduleValidator, validate, updateSchedule);
+
+router.patch(
+    '/me/profile',
+    authenticate,
+    authorize(UserRoles.DOCTOR),
+    updateDoctorProfileValidator,
+    validate,
+    updateProfile
+);
+
+// Own queue for today (see the Staff/Admin equivalents below)
+router.get('/me/queue/today', authenticate, authorize(UserRoles.DOCTOR), getQueueToday);
+router.post('/me/queue/next', authenticate, authorize(UserRoles.DOCTOR), callNextPatientValidator, validate, callNextPatient);
+
+// Route to get availability for a specific doctor (one date, or from/to grouped by day)
 router.get(
     '/:doctorId/availability',
     mongoIdParamValidator('doctorId'), // Validate doctorId format
+    dateRangeQueryValidator,
+    appointmentTypeQueryValidator,
     validate,
     getDoctorAvailabilitySlots
 );
 
+// Short-lived slot holds during checkout (pass the hold's _id as holdId when creating the appointment)
+router.post(
+    '/:doctorId/holds',
+    authenticate,
+    requirePermission('appointments:create'),
+    mongoIdParamValidator('doctorId'),
+    createSlotHoldValidator,
+    validate,
+    createSlotHold
+);
+
+router.delete(
+    '/:doctorId/holds/:holdId',
+    authenticate,
+    mongoIdParamValidator('doctorId'),
+    mongoIdParamValidator('holdId'),
+    validate,
+    releaseSlotHold
+);
+
+// --- Staff/Admin equivalents (any doctor) ---
+router.route('/:doctorId/schedule')
+    .get(
+        authenticate,
+        requirePermission('schedules:manage'),
+        mongoIdParamValidator('doctorId'),
+        validate,
+        getSchedule
+    )
+    .put(
+        authenticate,
+        requirePermission('schedules:manage'),
+        mongoIdParamValidator('doctorId'),
+        weeklyScheduleValidator,
+        validate,
+        updateSchedule
+    );
+
+router.patch(
+    '/:doctorId/profile',
+    authenticate,
+    requirePermission('doctors:update'),
+    mongoIdParamValidator('doctorId'),
+    updateDoctorProfileValidator,
+    validate,
+    updateProfile
+);
+
+// Schedule exceptions (days off, blocked hours, extra hours) - the doctor themselves, Staff or Admin
+router.route('/:doctorId/schedule-exceptions')
+    .get(
+        authenticate,
+        requirePermission('schedules:manage'),
+        mongoIdParamValidator('doctorId'),
+        dateRangeQueryValidator,
+        validate,
+        getScheduleExceptions
+    )
+    .post(
+        authenticate,
+        requirePermission('schedules:manage'),
+        mongoIdParamValidator('doctorId'),
+        createScheduleExceptionValidator,
+        validate,
+        createScheduleException
+    );
+
+router.delete(
+    '/:doctorId/schedule-exceptions/:exceptionId',
+    authenticate,
+    requirePermission('schedules:manage'),
+    mongoIdParamValidator('doctorId'),
+    mongoIdParamValidator('exceptionId'),
+    validate,
+    deleteScheduleException
+);
+
+// Daily clinic queue - the doctor themselves, Staff or Admin
+router.get(
+    '/:doctorId/queue/today',
+    authenticate,
+    requirePermission('queue:read'),
+    mongoIdParamValidator('doctorId'),
+    validate,
+    getQueueToday
+);
+
+router.post(
+    '/:doctorId/queue/next',
+    authenticate,
+    requirePermission('queue:manage'),
+    mongoIdParamValidator('doctorId'),
+    callNextPatientValidator,
+    validate,
+    callNextPatient
+);
+
 // You can add more doctor-related public or protected routes here
 // For example, a public route to get a single doctor's detailed profile (excluding sensitive info)
 // router.get('/:doctorId/profile', mongoIdParamValidator('doctorId'), validate, getPublicDoctorProfile);
@@ -0,0 +1,22 @@
+// src/api/routes/holiday.routes.js
+import express from 'express';
+import { createHoliday, deleteHoliday, getHolidays, importHolidays } from '../controllers/holiday.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { validate } from '../middleware/validate.js';
+import { createHolidayValidator, dateRangeQueryValidator } from '../validators/schedule.validator.js';
+import { mongoIdParamValidator } from '../validators/user.validator.js';
+
+const router = express.Router();
+
+// Public: patients can see when the clinic is closed
+router.get('/', dateRangeQueryValidator, validate, getHolidays);
+
+// --- Staff/Admin routes ---
+router.use(authenticate, requirePermission('holidays:manage'));
+
+router.post('/', createHolidayValidator, validate, createHoliday);
+router.post('/import', importHolidays);
+router.delete('/:holidayId', mongoIdParamValidator('holidayId'), validate, deleteHoliday);
+
+export default router;
@@ -1,12 +1,17 @@
 // src/api/routes/index.js
 import express from 'express';
 import appointmentRoutes from './appointment.routes.js';
+import appointmentTypeRoutes from './appointmentType.routes.js';
 import authRoutes from './auth.routes.js';
 import medicalDocumentRoutes from './medicalDocument.routes.js';
 import medicalNoteRoutes from './medicalNote.routes.js';
 import patientRoutes from './patient.routes.js';
 import userRoutes from './user.routes.js';
 import doctorRoutes from './doctor.routes.js';
+import invitationRoutes from './invitation.routes.js';
+import permissionRoutes from './permission.routes.js';
+import holidayRoutes from './holiday.routes.js';
+import waitlistRoutes from './waitlist.routes.js';
 
 const router = express.Router();
 
@@ -19,8 +24,13 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/patients', patientRoutes);
 router.use('/appointments', appointmentRoutes);
+router.use('/appointment-types', appointmentTypeRoutes);
 router.use('/notes', medicalNoteRoutes);
 router.use('/documents', medicalDocumentRoutes);
 router.use('/doctors', doctorRoutes);
+router.use('/invitations', invitationRoutes);
+router.use('/permissions', permissionRoutes);
+router.use('/holidays', holidayRoutes);
+router.use('/waitlist', waitlistRoutes);
 
 export default router;
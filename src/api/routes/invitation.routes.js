@@ -0,0 +1,34 @@
+// src/api/routes/invitation.routes.js
+import express from 'express';
+import {
+    acceptInvitation,
+    createInvitation,
+    getInvitation,
+    listInvitations,
+    resendInvitation,
+    revokeInvitation
+} from '../controllers/invitation.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { emailLinkRateLimiter } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validate.js';
+import { acceptInvitationValidator, createInvitationValidator, invitationTokenValidator } from '../validators/invitation.validator.js';
+import { mongoIdParamValidator } from '../validators/user.validator.js';
+
+const router = express.Router();
+
+// --- Public routes for invitees (token from the emailed link) ---
+router.get('/token/:token', emailLinkRateLimiter, invitationTokenValidator, validate, getInvitation);
+router.post('/token/:token/accept', emailLinkRateLimiter, acceptInvitationValidator, validate, acceptInvitation);
+
+// --- Admin routes ---
+router.use(authenticate, requirePermission('invitations:manage'));
+
+router.route('/')
+    .get(listInvitations)
+    .post(createInvitationValidator, validate, createInvitation);
+
+router.delete('/:invitationId', mongoIdParamValidator('invitationId'), validate, revokeInvitation);
+router.post('/:invitationId/resend', mongoIdParamValidator('invitationId'), validate, resendInvitation);
+
+export default router;
@@ -5,16 +5,17 @@ import {
 	,
 	getMedicalDocumentById,
 	getMedicalDocuments,
-	updateMedicalDocument
+	updateMedicalDocument,
+	uploadDocument
 } from '../controllers/medicalDocument.controller.js';
 // Import middleware and validators
-import { UserRoles } from '../../utils/constants.js';
 import { authenticate } from '../middleware/authenticate.js';
-import { authorize } from '../middleware/authorize.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { idempotent } from '../middleware/idempotency.js';
+import { discardUploadOnError, handleMulterError, uploadMedicalDocumentMiddleware } from '../middleware/multer.middleware.js';
 import { validate } from '../middleware/validate.js';
 import { documentMetadataValidator } from '../validators/medicalDocument.validator.js';
 import { mongoIdParamValidator } from '../validators/user.validator.js';
-// import upload from '../middleware/multerUpload.js'; // Assuming multer middleware for file handling
 
 const router = express.Router();
 
@@ -22,7 +23,18 @@ const router = express.Router();
 router.use(authenticate);
 
 // --- File Upload ---
-// Example: router.post('/upload/:patientId', authorize(UserRoles.PATIENT, UserRoles.STAFF, UserRoles.DOCTOR), upload.single('document'), mongoIdParamValidator('patientId'), documentMetadataValidator, validate, uploadDocument);
+router.post(
+    '/upload/:patientId',
+    requirePermission('documents:create'),
+    uploadMedicalDocumentMiddleware, // Multer stores the file in temp_uploads
+    handleMulterError,
+    mongoIdParamValidator('patientId'),
+    documentMetadataValidator,
+    validate,
+    idempotent(), // Retries with the same Idempotency-Key replay the first upload
+    uploadDocument,
+    discardUploadOnError
+);
 
 // --- Metadata Management ---
 router.route('/')
@@ -30,8 +42,8 @@ router.route('/')
 
 router.route('/:documentId')
     .get(mongoIdParamValidator('documentId'), validate, getMedicalDocumentById) // Use imported function
-    .patch(authorize(UserRoles.STAFF, UserRoles.DOCTOR, UserRoles.ADMIN), mongoIdParamValidator('documentId'), documentMetadataValidator, validate, updateMedicalDocument) // Use imported function
-    .delete(authorize(UserRoles.STAFF, UserRoles.DOCTOR, UserRoles.ADMIN), mongoIdParamValidator('documentId'), validate, deleteMedicalDocument); // Use imported function
+    .patch(requirePermission('documents:update'), mongoIdParamValidator('documentId'), documentMetadataValidator, validate, updateMedicalDocument) // Use imported function
+    .delete(requirePermission('documents:delete'), mongoIdParamValidator('documentId'), validate, deleteMedicalDocument); // Use imported function
 
 // Optional: Route to get download link or stream file
 // router.get('/:documentId/download', mongoIdParamValidator('documentId'), validate, downloadMedicalDocument);
@@ -0,0 +1,17 @@
+// src/api/routes/permission.routes.js
+import express from 'express';
+import { getRolePermissions, updateRolePermissions } from '../controllers/permission.controller.js';
+import { authenticate, denyImpersonation } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { validate } from '../middleware/validate.js';
+import { updateRolePermissionsValidator } from '../validators/permission.validator.js';
+
+const router = express.Router();
+
+// All routes require an admin allowed to manage permissions
+router.use(authenticate, requirePermission('permissions:manage'));
+
+router.get('/', getRolePermissions);
+router.put('/:role', denyImpersonation, updateRolePermissionsValidator, validate, updateRolePermissions);
+
+export default router;
@@ -6,11 +6,16 @@ import {
     updateMyProfile,
     updateUserByAdmin,
     deleteUserByAdmin,
-    updateProfilePicture
+    updateProfilePicture,
+    getUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions,
+    resetUserTwoFactor,
+    unlockUser,
+    impersonateUser
 } from '../controllers/user.controller.js';
-import { UserRoles } from '../../utils/constants.js';
-import { authenticate } from '../middleware/authenticate.js';
-import { authorize } from '../middleware/authorize.js';
+import { authenticate, denyImpersonation } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
 import { validate } from '../middleware/validate.js';
 import {
     adminUpdateUserValidator,
@@ -36,6 +41,7 @@ router.patch(
 
 router.patch(
     '/profile/picture',
+    denyImpersonation,             // Replacing the picture deletes the old one
     uploadProfilePictureMiddleware, // 1. Multer handles file upload
     handleMulterError,             // 2. Handle Multer-specific errors
     updateProfilePicture           // 3. Controller processes the file
@@ -43,27 +49,75 @@ router.patch(
 
 // --- Routes for Admins (Managing All Users) ---
 router.route('/')
-    .get(authorize(UserRoles.ADMIN), getAllUsers);
+    .get(requirePermission('users:read'), getAllUsers);
 
 router.route('/:userId')
     .get(
-        authorize(UserRoles.ADMIN),
+        requirePermission('users:read'),
         mongoIdParamValidator('userId'),
         validate,
         getUser
     )
     .patch(
-        authorize(UserRoles.ADMIN),
+        requirePermission('users:update'),
         mongoIdParamValidator('userId'),
         adminUpdateUserValidator, // Validator for admin updates
         validate,
         updateUserByAdmin
     )
     .delete(
-        authorize(UserRoles.ADMIN),
+        requirePermission('users:delete'),
         mongoIdParamValidator('userId'),
         validate,
         deleteUserByAdmin
     );
 
+router.route('/:userId/sessions')
+    .get(
+        requirePermission('users:manage-security'),
+        mongoIdParamValidator('userId'),
+        validate,
+        getUserSessions
+    )
+    .delete(
+        requirePermission('users:manage-security'),
+        mongoIdParamValidator('userId'),
+        validate,
+        revokeAllUserSessions
+    );
+
+router.delete(
+    '/:userId/sessions/:sessionId',
+    requirePermission('users:manage-security'),
+    mongoIdParamValidator('userId'),
+    mongoIdParamValidator('sessionId'),
+    validate,
+    revokeUserSession
+);
+
+router.delete(
+    '/:userId/two-factor',
+    requirePermission('users:manage-security'),
+    mongoIdParamValidator('userId'),
+    validate,
+    resetUserTwoFactor
+);
+
+router.post(
+    '/:userId/unlock',
+    requirePermission('users:manage-security'),
+    mongoIdParamValidator('userId'),
+    validate,
+    unlockUser
+);
+
+router.post(
+    '/:userId/impersonate',
+    requirePermission('users:impersonate'),
+    denyImpersonation,
+    mongoIdParamValidator('userId'),
+    validate,
+    impersonateUser
+);
+
 export default router;
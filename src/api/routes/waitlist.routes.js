@@ -0,0 +1,34 @@
+// src/api/routes/waitlist.routes.js
+import express from 'express';
+import {
+    claimOffer,
+    createWaitlistEntry,
+    declineOffer,
+    deleteWaitlistEntry,
+    getWaitlistOffer,
+    listWaitlistEntries
+} from '../controllers/waitlist.controller.js';
+import { authenticate } from '../middleware/authenticate.js';
+import { requirePermission } from '../middleware/authorize.js';
+import { emailLinkRateLimiter } from '../middleware/rateLimiter.js';
+import { validate } from '../middleware/validate.js';
+import { mongoIdParamValidator } from '../validators/user.validator.js';
+import { createWaitlistEntryValidator, listWaitlistValidator, waitlistOfferTokenValidator } from '../validators/waitlist.validator.js';
+
+const router = express.Router();
+
+// --- Public routes for offered patients (token from the emailed link) ---
+router.get('/offers/:token', emailLinkRateLimiter, waitlistOfferTokenValidator, validate, getWaitlistOffer);
+router.post('/offers/:token/claim', emailLinkRateLimiter, waitlistOfferTokenValidator, validate, claimOffer);
+router.post('/offers/:token/decline', emailLinkRateLimiter, waitlistOfferTokenValidator, validate, declineOffer);
+
+// --- Authenticated routes ---
+router.use(authenticate);
+
+router.route('/')
+    .get(requirePermission('waitlist:read'), listWaitlistValidator, validate, listWaitlistEntries)
+    .post(requirePermission('waitlist:manage'), createWaitlistEntryValidator, validate, createWaitlistEntry);
+
+router.delete('/:entryId', requirePermission('waitlist:manage'), mongoIdParamValidator('entryId'), validate, deleteWaitlistEntry);
+
+export default router;
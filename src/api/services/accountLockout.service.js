@@ -0,0 +1,134 @@
+// src/api/services/accountLockout.service.js
+import config from '../../config/index.js';
+import User from '../../models/user.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { sendEmail } from '../../utils/emailSender.js';
+import logger from '../../utils/logger.js';
+import { assertCan } from './permission.service.js';
+
+const LOCKOUT_FIELDS = 'failedLoginAttempts lastFailedLoginAt lockUntil lockoutCount';
+
+// Lock duration doubles with each consecutive lockout, capped at maxLockMinutes
+const getLockMinutes = (previousLockouts) => {
+    const { baseLockMinutes, maxLockMinutes } = config.accountLockout;
+    return Math.min(baseLockMinutes * 2 ** previousLockouts, maxLockMinutes);
+};
+
+// Tells the account owner their account was locked, so they can reset the password if it wasn't them
+const sendLockoutEmail = async (user, lockMinutes, meta) => {
+    const resetURL = `${config.cors.origin[0]}/forgot-password`;
+    const message = `Hello ${user.firstName},\n\nYour KonsulDok account was locked for ${lockMinutes} minute(s) after ${config.accountLockout.maxFailedAttempts} failed login attempts${meta.ipAddress ? ` (last attempt from IP ${meta.ipAddress})` : ''}. Until then, logging in fails with "Invalid email or password." even with the correct password.\n\nIf this was not you, someone may be trying to guess your password. We recommend resetting it at ${resetURL}. Resetting your password also unlocks your account.`;
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Your KonsulDok account has been temporarily locked',
+        text: message,
+    });
+    logger.info(`Lockout notification sent to ${user.email}`);
+};
+
+/**
+ * Refuses the login attempt while the account is locked.
+ * Checked before the password so a locked account cannot be used to keep guessing.
+ * @param {object} user - The user attempting to log in.
+ * @param {boolean} [conceal=false] - Answer like a wrong email or password, so anonymous callers cannot tell a
+ *   locked (i.e. registered) email from an unknown one; the owner learns about the lock from the lockout email.
+ * @throws {ApiError} 423 when the account is locked (401 when concealed).
+ */
+export const assertAccountNotLocked = (user, conceal = false) => {
+    if (!user.isLocked) return;
+    logger.warn(`AccountLockoutService: Login attempt on locked account ${user._id}`);
+    if (conceal) throw new ApiError(401, 'Invalid email or password.');
+    const minutesLeft = Math.ceil((user.lockUntil.getTime() - Date.now()) / 60000);
+    throw new ApiError(423, `Account is temporarily locked due to too many failed login attempts. Try again in ${minutesLeft} minute(s) or reset your password.`);
+};
+
+/**
+ * Records a failed login for a user and locks the account once the threshold is reached.
+ * The counter is updated atomically so parallel attempts cannot slip past the limit.
+ * @param {object} user - The user whose login failed.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress), included in the owner notification.
+ * @returns {Promise<void>}
+ */
+export const recordFailedLogin = async (user, meta = {}) => {
+    const { maxFailedAttempts, attemptWindowMinutes } = config.accountLockout;
+    const now = new Date();
+    const windowStart = new Date(now.getTime() - attemptWindowMinutes * 60 * 1000);
+
+    // Restart the count when the previous failure is outside the attempt window
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        [{
+            $set: {
+                failedLoginAttempts: {
+                    $cond: [
+                        { $gt: [{ $ifNull: ['$lastFailedLoginAt', new Date(0)] }, windowStart] },
+                        { $add: [{ $ifNull: ['$failedLoginAttempts', 0] }, 1] },
+                        1,
+                    ],
+                },
+                lastFailedLoginAt: now,
+            },
+        }],
+        { new: true, projection: LOCKOUT_FIELDS }
+    );
+    if (!updated || updated.failedLoginAttempts < maxFailedAttempts) {
+        logger.debug(`AccountLockoutService: Failed login ${updated?.failedLoginAttempts}/${maxFailedAttempts} for user ${user._id}`);
+        return;
+    }
+
+    // Only the request that reaches the threshold locks the account and notifies the owner
+    const lockMinutes = getLockMinutes(updated.lockoutCount || 0);
+    const locked = await User.findOneAndUpdate(
+        { _id: user._id, failedLoginAttempts: updated.failedLoginAttempts },
+        {
+            $set: { failedLoginAttempts: 0, lockUntil: new Date(now.getTime() + lockMinutes * 60 * 1000) },
+            $inc: { lockoutCount: 1 },
+        },
+        { new: true }
+    );
+    if (!locked) return;
+
+    logger.warn(`AccountLockoutService: Account ${user._id} locked for ${lockMinutes} minute(s) (lockout #${locked.lockoutCount})`);
+    try {
+        await sendLockoutEmail(locked, lockMinutes, meta);
+    } catch (emailError) {
+        logger.error(`Failed to send lockout email to ${locked.email}`, emailError);
+    }
+};
+
+/**
+ * Clears failed attempts and the lockout history after a successful login.
+ * @param {object} user - The user who logged in.
+ * @returns {Promise<void>}
+ */
+export const clearFailedLogins = async (user) => {
+    if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockUntil) return;
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null }, $unset: { lastFailedLoginAt: 1 } }
+    );
+};
+
+/**
+ * Unlocks an account and resets its failed-login history - Admin only.
+ * @param {string} userId - The ID of the user to unlock.
+ * @param {object} requestingUser - The admin performing the unlock.
+ * @returns {Promise<object>} The updated user document.
+ */
+export const unlockAccount = async (userId, requestingUser) => {
+    logger.warn(`AccountLockoutService: Admin ${requestingUser?._id} unlocking account ${userId}`);
+    await assertCan(requestingUser, 'users:manage-security', null, 'Forbidden: Only administrators can unlock accounts.');
+    const user = await User.findOneAndUpdate(
+        { _id: userId, isDeleted: { $ne: true } },
+        {
+            $set: { failedLoginAttempts: 0, lockoutCount: 0, lockUntil: null, updatedBy: requestingUser._id },
+            $unset: { lastFailedLoginAt: 1 },
+        },
+        { new: true }
+    ).select(`${LOCKOUT_FIELDS} email firstName lastName role`);
+    if (!user) throw new ApiError(404, 'User not found.');
+
+    logger.info(`Account ${userId} unlocked by admin ${requestingUser._id}`);
+    return user;
+};
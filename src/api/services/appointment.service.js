@@ -1,20 +1,82 @@
 // src/api/services/appointment.service.js
+import config from '../../config/index.js';
 import Appointment from '../../models/appointment.model.js';
 import DoctorProfile from '../../models/doctorProfile.model.js';
 import PatientProfile from '../../models/patientProfile.model.js';
+import SlotHold from '../../models/slotHold.model.js';
 import { ApiError } from '../../utils/ApiError.js';
-import { AppointmentStatus, UserRoles } from '../../utils/constants.js';
+import { ActiveAppointmentStatuses, AppointmentEventTypes, AppointmentStatus, AppointmentStatusTransitions, QueueAppointmentStatuses, UserRoles } from '../../utils/constants.js';
 import logger from '../../utils/logger.js';
+import { addDaysToDateKey, blockedUntilExpression, getBlockedMinutes, getDoctorTimeZone, getMinutesOfDay, isValidDateKey, parseDateTimeInZone, timeToMinutes, toDateKey } from '../../utils/schedule.js';
+import { publishAppointmentEvent } from './appointmentEvents.service.js';
+import { resolveAppointmentType } from './appointmentType.service.js';
+import { isStaffConfirmationRequired, recordPatientNoShow } from './noShow.service.js';
+import { assertCan, can } from './permission.service.js';
+import { syncAppointmentReminders } from './reminder.service.js';
+import { getWorkingBlocksForDate } from './schedule.service.js';
+import { acquireSlotLocks, confirmSlotLocks, getLockSlotStarts, getPendingLockExpiry, releaseSlotLocks, transferHoldLocks } from './slotLock.service.js';
+import { announceFreedSlot } from './waitlist.service.js';
+
+// Who an appointment belongs to, in the shape expected by can()
+export const appointmentResource = (appointment) => ({
+    patient: appointment.patient?._id || appointment.patient,
+    doctor: appointment.doctor?._id || appointment.doctor,
+});
+
+/**
+ * Loads an appointment the user is allowed to see.
+ * Appointments outside the user's scope are reported as not found, so IDs cannot be probed.
+ * @param {string} appointmentId - The appointment ID.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<object>} The appointment document (not populated).
+ */
+export const findVisibleAppointment = async (appointmentId, user) => {
+    const appointment = await Appointment.findOne({ _id: appointmentId, isDeleted: { $ne: true } });
+    if (!appointment || !(await can(user, 'appointments:read', appointmentResource(appointment)))) {
+        throw new ApiError(404, 'Appointment not found.');
+    }
+    return appointment;
+};
+
+/**
+ * Moves an appointment to a new status after checking the transition table and the role rules,
+ * and records the change in statusHistory. The caller saves the document.
+ * @param {object} appointment - The appointment document.
+ * @param {string} toStatus - The new status.
+ * @param {object} user - The user making the change.
+ * @param {string} [reason] - Optional reason stored with the history entry.
+ */
+export const applyStatusTransition = (appointment, toStatus, user, reason) => {
+    const fromStatus = appointment.status;
+    const allowedRoles = AppointmentStatusTransitions[fromStatus]?.[toStatus];
+    if (!allowedRoles) {
+        throw new ApiError(400, `Cannot change appointment status from ${fromStatus} to ${toStatus}.`);
+    }
+    if (!allowedRoles.includes(user.role)) {
+        throw new ApiError(403, `Forbidden: Your role (${user.role}) cannot change appointment status from ${fromStatus} to ${toStatus}.`);
+    }
+    if (toStatus === AppointmentStatus.NO_SHOW && appointment.appointmentTime.getTime() > Date.now()) {
+        throw new ApiError(400, 'An appointment cannot be marked as no-show before its start time.');
+    }
+    if (toStatus === AppointmentStatus.CONFIRMED && appointment.requiresStaffConfirmation && ![UserRoles.STAFF, UserRoles.ADMIN].includes(user.role)) {
+        throw new ApiError(403, 'Forbidden: This appointment must be confirmed by clinic staff because of the patient\'s recent no-shows.');
+    }
+
+    appointment.status = toStatus;
+    appointment.statusHistory.push({ from: fromStatus, to: toStatus, changedBy: user._id, changedByRole: user.role, reason });
+    logger.debug(`AppointmentService: Appointment ${appointment._id} status ${fromStatus} -> ${toStatus} by user ${user._id}`);
+};
 
 /**
  * Check doctor's availability for a given time slot based on weeklySchedule.
+ * Existing bookings count with their buffer (see getBlockedMinutes).
  * @param {string} doctorId - DoctorProfile ID.
  * @param {Date} requestedStartTimeDate - Start Date object of the requested appointment.
- * @param {number} durationMinutes - Duration of the requested appointment.
- * @param {string} [excludeAppointmentId=null] - Optional: ID of an appointment to exclude from conflict checks.
+ * @param {number} durationMinutes - Minutes the requested appointment blocks (its duration plus any buffer).
+ * @param {string|Array<string>} [excludeAppointmentId=null] - Optional: ID(s) of appointments to exclude from conflict checks.
  * @returns {Promise<boolean>} True if available, false otherwise.
  */
-const checkDoctorAvailability = async (doctorId, requestedStartTimeDate, durationMinutes, excludeAppointmentId = null) => {
+export const checkDoctorAvailability = async (doctorId, requestedStartTimeDate, durationMinutes, excludeAppointmentId = null) => {
     logger.debug(`Checking availability for doctor ${doctorId} at ${requestedStartTimeDate} for ${durationMinutes} mins`);
 
     const doctorProfile = await DoctorProfile.findById(doctorId);
@@ -23,53 +85,42 @@ const checkDoctorAvailability = async (doctorId, requestedStartTimeDate, duratio
     }
 
     const requestedEndTimeDate = new Date(requestedStartTimeDate.getTime() + durationMinutes * 60000);
-    const requestedDayOfWeek = requestedStartTimeDate.getDay(); // 0 (Sunday) - 6 (Saturday)
 
-    // 1. Check if the doctor works on the requestedDayOfWeek and if the time falls within any scheduled block
-    const workingBlocksForDay = doctorProfile.weeklySchedule.filter(slot => slot.dayOfWeek === requestedDayOfWeek);
+    // The weekly schedule is wall-clock time in the doctor's timezone, independent of the server's
+    const timeZone = getDoctorTimeZone(doctorProfile);
+    const dateKey = toDateKey(requestedStartTimeDate, timeZone);
+    const requestedStartMinutes = getMinutesOfDay(requestedStartTimeDate, timeZone);
+    const requestedEndMinutes = requestedStartMinutes + durationMinutes;
+
+    // 1. Check if the doctor works on that date (weekly schedule, holidays and schedule exceptions) and if the time falls within a block
+    const workingBlocksForDay = await getWorkingBlocksForDate(doctorProfile, dateKey);
 
-    // --- FIX: Corrected variable name from workingSlotsForDay to workingBlocksForDay ---
     if (workingBlocksForDay.length === 0) {
-        logger.debug(`Doctor ${doctorId} has no working blocks scheduled for dayOfWeek ${requestedDayOfWeek}`);
+        logger.debug(`Doctor ${doctorId} has no working blocks on ${dateKey} (${timeZone})`);
         return false;
     }
 
-    // Convert requestedStartTimeDate and requestedEndTimeDate to "HH:MM" strings for comparison
-    const formatToHHMM = (date) => {
-        const hours = String(date.getHours()).padStart(2, '0');
-        const minutes = String(date.getMinutes()).padStart(2, '0');
-        return `${hours}:${minutes}`;
-    };
-    const requestedStartTimeHHMM = formatToHHMM(requestedStartTimeDate);
-    const requestedEndTimeHHMM = formatToHHMM(requestedEndTimeDate);
-
-    let isWithinScheduledBlock = false;
-    // --- FIX: Corrected variable name from workingSlotsForDay to workingBlocksForDay ---
-    for (const block of workingBlocksForDay) {
-        // block.startTime and block.endTime are "HH:MM" strings from the schema
-        if (requestedStartTimeHHMM >= block.startTime && requestedEndTimeHHMM <= block.endTime) {
-            isWithinScheduledBlock = true;
-            break;
-        }
-    }
+    const isWithinScheduledBlock = workingBlocksForDay.some(block =>
+        requestedStartMinutes >= timeToMinutes(block.startTime) && requestedEndMinutes <= timeToMinutes(block.endTime)
+    );
 
     if (!isWithinScheduledBlock) {
-        logger.debug(`Requested time ${requestedStartTimeHHMM}-${requestedEndTimeHHMM} is outside doctor's scheduled blocks for dayOfWeek ${requestedDayOfWeek}`);
+        logger.debug(`Requested time ${requestedStartMinutes}-${requestedEndMinutes} (minutes of day) is outside doctor's working blocks on ${dateKey} (${timeZone})`);
         return false;
     }
 
     // 2. Check for conflicting appointments (Confirmed or Requested status)
     const conflictQuery = {
         doctor: doctorId,
-        status: { $in: [AppointmentStatus.CONFIRMED, AppointmentStatus.REQUESTED] },
+        status: { $in: ActiveAppointmentStatuses },
         isDeleted: { $ne: true },
         // Check for overlap: (StartA < EndB) and (EndA > StartB)
         appointmentTime: { $lt: requestedEndTimeDate }, // Existing appointment starts before potential slot ends
-        $expr: { $gt: [{ $add: ["$appointmentTime", { $multiply: ["$durationMinutes", 60000] }] }, requestedStartTimeDate] } // Existing appointment ends after potential slot starts
+        $expr: { $gt: [blockedUntilExpression, requestedStartTimeDate] } // Existing appointment (with its buffer) ends after potential slot starts
     };
 
     if (excludeAppointmentId) {
-        conflictQuery._id = { $ne: excludeAppointmentId };
+        conflictQuery._id = { $nin: [].concat(excludeAppointmentId) };
     }
 
     const conflictingAppointment = await Appointment.findOne(conflictQuery);
@@ -84,6 +135,161 @@ const checkDoctorAvailability = async (doctorId, requestedStartTimeDate, duratio
 };
 
 
+/**
+ * Whether a user's account may be booked for: patients need a verified email while
+ * config.emailVerification.requiredForBooking is on. Other roles never need one.
+ * @param {object} user - The user the booking is made by or for (needs role and isEmailVerified).
+ * @returns {boolean}
+ */
+export const hasVerifiedEmailForBooking = (user) =>
+    user.role !== UserRoles.PATIENT || !config.emailVerification.requiredForBooking || !!user.isEmailVerified;
+
+/**
+ * The patient an appointment or hold is for: patients always book for themselves, Staff/Admin name the patient.
+ * @param {string} [requestedPatientId] - Patient from the request body.
+ * @param {object} user - The user booking.
+ * @returns {string} The PatientProfile ID.
+ */
+export const resolveBookingPatient = (requestedPatientId, user) => {
+    if (user.role === UserRoles.PATIENT) {
+        if (!user.patientProfile) {
+            throw new ApiError(400, 'Patient profile not found for the requesting user.');
+        }
+        if (!hasVerifiedEmailForBooking(user)) {
+            throw new ApiError(403, 'Please verify your email address before booking an appointment.');
+        }
+        return user.patientProfile.toString();
+    }
+    if (!requestedPatientId) {
+        throw new ApiError(400, 'Patient ID is required when Staff/Admin books for a patient.');
+    }
+    return requestedPatientId;
+};
+
+/**
+ * Loads the user's hold for a booking and checks that it covers exactly the requested slot.
+ * @param {string} holdId - The SlotHold ID.
+ * @param {object} booking - { doctor, patient, appointmentTime (Date), durationMinutes } of the booking.
+ * @param {object} user - The user booking (must be the one who placed the hold).
+ * @returns {Promise<object>} The hold document.
+ */
+const findUsableHold = async (holdId, booking, user) => {
+    const hold = await SlotHold.findOne({ _id: holdId, heldBy: user._id });
+    if (!hold) throw new ApiError(404, 'Slot hold not found.');
+    if (!hold.isActive()) throw new ApiError(409, 'Your hold on this slot has expired. Please pick a slot again.');
+
+    const matches = hold.doctor.toString() === booking.doctor.toString()
+        && hold.patient.toString() === booking.patient.toString()
+        && hold.appointmentTime.getTime() === booking.appointmentTime.getTime()
+        && hold.durationMinutes === booking.durationMinutes
+        && (hold.bufferMinutes || 0) === booking.bufferMinutes;
+    if (!matches) {
+        throw new ApiError(400, 'The slot hold does not match the requested doctor, patient, time or duration.');
+    }
+    return hold;
+};
+
+/**
+ * Claims the appointment's time atomically (see SlotLock), taking over the user's hold when one is given.
+ * The locks stay temporary until confirmSlotLocks runs after the appointment is saved.
+ * @param {object} appointment - The unsaved appointment.
+ * @param {object} [hold=null] - A hold returned by findUsableHold.
+ * @throws {ApiError} 409 when the slot was taken in the meantime.
+ */
+const claimAppointmentSlot = async (appointment, hold = null) => {
+    const expiresAt = getPendingLockExpiry();
+    if (hold) {
+        const expectedLocks = getLockSlotStarts(appointment.appointmentTime, getBlockedMinutes(appointment)).length;
+        const transferredLocks = await transferHoldLocks(hold._id, appointment._id, expiresAt);
+        if (transferredLocks === expectedLocks) return;
+        await releaseSlotLocks({ appointment: appointment._id });
+        throw new ApiError(409, 'Your hold on this slot has expired. Please pick a slot again.');
+    }
+
+    const locked = await acquireSlotLocks(appointment.doctor, appointment.appointmentTime, getBlockedMinutes(appointment), { appointment: appointment._id }, expiresAt);
+    if (!locked) {
+        throw new ApiError(409, 'This slot has just been booked or is being held by someone else. Please pick another time.');
+    }
+};
+
+/**
+ * Whether a user may give a typed appointment a duration other than its type's default (Staff/Admin only).
+ * @param {object} user
+ * @returns {boolean}
+ */
+export const mayChangeTypedDuration = (user) => [UserRoles.STAFF, UserRoles.ADMIN].includes(user.role);
+
+/**
+ * Rejects a duration change on a typed appointment by a user who may not override the type's duration.
+ * @param {object} appointment - The appointment being changed.
+ * @param {number} [durationMinutes] - The requested duration.
+ * @param {object} user - The user making the change.
+ * @throws {ApiError} 403
+ */
+export const assertMayChangeDuration = (appointment, durationMinutes, user) => {
+    if (durationMinutes && appointment.appointmentType && !mayChangeTypedDuration(user)) {
+        throw new ApiError(403, 'Forbidden: The duration of this appointment is set by its appointment type and can only be changed by staff.');
+    }
+};
+
+/**
+ * Duration, buffer and price of a booking. With an appointment type they come from the catalog
+ * (only Staff/Admin may book a different duration); without one, the requested duration (default 30) is used.
+ * @param {object} booking - { doctor, appointmentType, durationMinutes } from the request.
+ * @param {object} user - The user booking.
+ * @returns {Promise<{appointmentType: (string|null), durationMinutes: number, bufferMinutes: number, price: (number|null)}>}
+ */
+export const resolveBookingDetails = async ({ doctor, appointmentType, durationMinutes }, user) => {
+    if (!appointmentType) {
+        return { appointmentType: null, durationMinutes: durationMinutes || 30, bufferMinutes: 0, price: null };
+    }
+    const type = await resolveAppointmentType(appointmentType, doctor);
+    return {
+        appointmentType: type._id,
+        durationMinutes: (mayChangeTypedDuration(user) && durationMinutes) || type.defaultDurationMinutes,
+        bufferMinutes: type.bufferMinutes,
+        price: type.price,
+    };
+};
+
+/**
+ * Initial status of a new booking: patients request, Staff/Admin bookings are confirmed right away.
+ * Requests of patients over the no-show limit (see isStaffConfirmationRequired) can only be confirmed by Staff/Admin.
+ * @param {object} user - The user booking.
+ * @param {string} patientProfileId - The patient the booking is for.
+ * @returns {Promise<{status: string, scheduledByStaff: (string|null), requiresStaffConfirmation: boolean}>}
+ */
+export const getInitialBookingState = async (user, patientProfileId) => {
+    if (user.role === UserRoles.STAFF || user.role === UserRoles.ADMIN) {
+        return { status: AppointmentStatus.CONFIRMED, scheduledByStaff: user._id, requiresStaffConfirmation: false };
+    }
+    const requiresStaffConfirmation = await isStaffConfirmationRequired(patientProfileId);
+    return { status: AppointmentStatus.REQUESTED, scheduledByStaff: null, requiresStaffConfirmation };
+};
+
+/**
+ * Saves a new appointment after claiming its time, so overlapping concurrent bookings cannot both succeed.
+ * @param {object} appointment - The unsaved appointment document.
+ * @param {object} [hold=null] - A hold returned by findUsableHold, consumed on success.
+ * @returns {Promise<object>} The saved appointment.
+ * @throws {ApiError} 409 when the slot was taken in the meantime.
+ */
+export const saveNewAppointment = async (appointment, hold = null) => {
+    // The availability check is not atomic; the slot locks make sure only one overlapping booking wins
+    await claimAppointmentSlot(appointment, hold);
+    try {
+        await appointment.save();
+    } catch (error) {
+        await releaseSlotLocks({ appointment: appointment._id });
+        throw error;
+    }
+    await confirmSlotLocks(appointment);
+    if (hold) await SlotHold.deleteOne({ _id: hold._id });
+    await syncAppointmentReminders(appointment);
+    publishAppointmentEvent(AppointmentEventTypes.CREATED, appointment);
+    return appointment;
+};
+
 /**
  * Create a new appointment request.
  * @param {object} appointmentData - Appointment details.
@@ -91,57 +297,52 @@ const checkDoctorAvailability = async (doctorId, requestedStartTimeDate, duratio
  * @returns {Promise<object>} The created appointment document.
  */
 export const createAppointment = async (appointmentData, requestedByUser) => {
-    const { doctor: doctorProfileId, appointmentTime, durationMinutes = 30, reasonForVisit } = appointmentData;
-    let patientProfileId = appointmentData.patient; // May be provided by Staff/Admin
-
-    if (requestedByUser.role === UserRoles.PATIENT) {
-        if (!requestedByUser.patientProfile) {
-            throw new ApiError(400, 'Patient profile not found for the requesting user.');
-        }
-        patientProfileId = requestedByUser.patientProfile.toString();
-    } else if (!patientProfileId) {
-        throw new ApiError(400, 'Patient ID is required when Staff/Admin creates an appointment.');
-    }
+    const { doctor: doctorProfileId, appointmentTime, reasonForVisit, holdId } = appointmentData;
+    const patientProfileId = resolveBookingPatient(appointmentData.patient, requestedByUser); // Staff/Admin provide the patient
 
     logger.debug(`AppointmentService: Creating appointment request by user ${requestedByUser._id} (Role: ${requestedByUser.role}) for patient ${patientProfileId}`);
+    await assertCan(requestedByUser, 'appointments:create', { patient: patientProfileId }, 'Forbidden: You are not authorized to book appointments for this patient.');
 
     const patientExists = await PatientProfile.countDocuments({ _id: patientProfileId, isDeleted: { $ne: true } });
-    const doctorExists = await DoctorProfile.countDocuments({ _id: doctorProfileId, isDeleted: { $ne: true } });
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorProfileId, isDeleted: { $ne: true } }).select('timezone');
 
     if (!patientExists) throw new ApiError(404, 'Patient profile not found.');
-    if (!doctorExists) throw new ApiError(404, 'Doctor profile not found.');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
 
-    const requestedTimeDate = new Date(appointmentTime);
+    // Times without an offset are the doctor's local wall-clock time
+    const requestedTimeDate = parseDateTimeInZone(appointmentTime, getDoctorTimeZone(doctorProfile));
     if (isNaN(requestedTimeDate.getTime()) || requestedTimeDate.getTime() <= Date.now()) {
         throw new ApiError(400, 'Invalid or past appointment time specified.');
     }
 
-    const isAvailable = await checkDoctorAvailability(doctorProfileId, requestedTimeDate, durationMinutes);
+    const bookingDetails = await resolveBookingDetails(appointmentData, requestedByUser);
+    const hold = holdId
+        ? await findUsableHold(holdId, { doctor: doctorProfileId, patient: patientProfileId, appointmentTime: requestedTimeDate, ...bookingDetails }, requestedByUser)
+        : null;
+
+    const isAvailable = await checkDoctorAvailability(doctorProfileId, requestedTimeDate, getBlockedMinutes(bookingDetails));
     if (!isAvailable) {
         throw new ApiError(409, 'Doctor is not available at the requested time or a conflict exists.');
     }
 
-    let initialStatus = AppointmentStatus.REQUESTED;
-    let scheduledByStaff = null;
-    if (requestedByUser.role === UserRoles.STAFF || requestedByUser.role === UserRoles.ADMIN) {
-        initialStatus = AppointmentStatus.CONFIRMED;
-        scheduledByStaff = requestedByUser._id;
-    }
+    const { status: initialStatus, scheduledByStaff, requiresStaffConfirmation } = await getInitialBookingState(requestedByUser, patientProfileId);
 
     const newAppointment = new Appointment({
         patient: patientProfileId,
         doctor: doctorProfileId,
         appointmentTime: requestedTimeDate,
-        durationMinutes,
+        ...bookingDetails,
         reasonForVisit,
         status: initialStatus,
+        statusHistory: [{ from: null, to: initialStatus, changedBy: requestedByUser._id, changedByRole: requestedByUser.role }],
         scheduledByStaff: scheduledByStaff,
+        requiresStaffConfirmation,
         createdBy: requestedByUser._id,
         updatedBy: requestedByUser._id,
     });
 
-    await newAppointment.save();
-    logger.info(`Appointment ${newAppointment._id} created successfully with status ${initialStatus}`);
+    await saveNewAppointment(newAppointment, hold);
+    logger.info(`Appointment ${newAppointment._id} created successfully with status ${initialStatus}${hold ? ` from hold ${hold._id}` : ''}`);
 
     return getAppointmentById(newAppointment._id);
 };
@@ -159,8 +360,12 @@ export const getAppointments = async (filterOptions = {}, paginationOptions = {}
     if (status) filter.status = status;
     if (startDate || endDate) {
         filter.appointmentTime = {};
-        if (startDate) filter.appointmentTime.$gte = new Date(startDate);
-        if (endDate) filter.appointmentTime.$lte = new Date(endDate);
+        if (startDate) filter.appointmentTime.$gte = parseDateTimeInZone(startDate);
+        if (endDate && isValidDateKey(endDate)) {
+            filter.appointmentTime.$lt = parseDateTimeInZone(addDaysToDateKey(endDate, 1)); // Whole end date, in the clinic timezone
+        } else if (endDate) {
+            filter.appointmentTime.$lte = parseDateTimeInZone(endDate);
+        }
     }
 
     const sort = {};
@@ -195,8 +400,11 @@ export const getAppointments = async (filterOptions = {}, paginationOptions = {}
 
 /**
  * Get a single appointment by ID, populating details.
+ * @param {string} appointmentId - The appointment ID.
+ * @param {object} [requestingUser] - When given, only the patient, the assigned doctor and roles allowed to read any appointment can see it.
+ * @returns {Promise<object>} The populated appointment document.
  */
-export const getAppointmentById = async (appointmentId) => {
+export const getAppointmentById = async (appointmentId, requestingUser = null) => {
     logger.debug('AppointmentService: Fetching appointment by ID:', appointmentId);
     const appointment = await Appointment.findOne({ _id: appointmentId, isDeleted: { $ne: true } })
         .populate({ path: 'patient', select: 'userAccount dateOfBirth gender', populate: { path: 'userAccount', select: 'firstName lastName email phoneNumber' } })
@@ -204,7 +412,7 @@ export const getAppointmentById = async (appointmentId) => {
         .populate({ path: 'scheduledByStaff', select: 'firstName lastName role' })
         .select('-__v');
 
-    if (!appointment) {
+    if (!appointment || (requestingUser && !(await can(requestingUser, 'appointments:read', appointmentResource(appointment))))) {
         throw new ApiError(404, 'Appointment not found.');
     }
     return appointment;
@@ -217,34 +425,75 @@ export const updateAppointment = async (appointmentId, updateData, updatedByUser
     logger.debug(`AppointmentService: Updating appointment ${appointmentId} by user ${updatedByUser._id}`, { updateData });
     const { status, appointmentTime, durationMinutes, completionNotes } = updateData;
 
-    const appointment = await Appointment.findOne({ _id: appointmentId, isDeleted: { $ne: true } });
-    if (!appointment) throw new ApiError(404, 'Appointment not found.');
+    const appointment = await findVisibleAppointment(appointmentId, updatedByUser);
+    await assertCan(updatedByUser, 'appointments:update', appointmentResource(appointment), 'Forbidden: You are not authorized to update this appointment.');
+    const previousSlot = { doctor: appointment.doctor, patient: appointment.patient, appointmentTime: appointment.appointmentTime, durationMinutes: appointment.durationMinutes };
+    const wasActive = ActiveAppointmentStatuses.includes(appointment.status);
 
-    if ((status === AppointmentStatus.CONFIRMED || status === AppointmentStatus.COMPLETED) &&
-        ![UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN].includes(updatedByUser.role)) {
-        throw new ApiError(403, 'Forbidden: Only Doctor, Staff, or Admin can confirm/complete appointments.');
+    // Patients may only reschedule their own appointments that have not taken place yet
+    if (updatedByUser.role === UserRoles.PATIENT && ![AppointmentStatus.REQUESTED, AppointmentStatus.CONFIRMED].includes(appointment.status)) {
+        throw new ApiError(403, `Forbidden: Appointments with status ${appointment.status} can no longer be changed.`);
     }
 
-    if (appointmentTime) {
-        const newTime = new Date(appointmentTime);
-        const newDuration = durationMinutes || appointment.durationMinutes;
-        if (isNaN(newTime.getTime()) || newTime.getTime() <= Date.now()) {
-            throw new ApiError(400, 'Invalid or past appointment time specified for reschedule.');
+    // Reschedule and/or change the duration (a new duration alone keeps the current time)
+    if (appointmentTime || durationMinutes) {
+        assertMayChangeDuration(appointment, durationMinutes, updatedByUser);
+        let newTime = appointment.appointmentTime;
+        if (appointmentTime) {
+            const doctorProfile = await DoctorProfile.findById(appointment.doctor).select('timezone');
+            newTime = parseDateTimeInZone(appointmentTime, getDoctorTimeZone(doctorProfile));
+            if (isNaN(newTime.getTime()) || newTime.getTime() <= Date.now()) {
+                throw new ApiError(400, 'Invalid or past appointment time specified for reschedule.');
+            }
+        } else if (newTime.getTime() <= Date.now()) {
+            throw new ApiError(400, 'The duration of an appointment that has already started cannot be changed.');
         }
-        const isAvailable = await checkDoctorAvailability(appointment.doctor.toString(), newTime, newDuration, appointmentId);
+        const newDuration = durationMinutes || appointment.durationMinutes;
+        const isAvailable = await checkDoctorAvailability(appointment.doctor.toString(), newTime, getBlockedMinutes({ durationMinutes: newDuration, bufferMinutes: appointment.bufferMinutes }), appointmentId);
         if (!isAvailable) {
             throw new ApiError(409, 'Doctor is not available at the requested reschedule time or a conflict exists.');
         }
         appointment.appointmentTime = newTime;
-        if (durationMinutes) appointment.durationMinutes = newDuration;
+        appointment.durationMinutes = newDuration;
     }
 
-    if (status) appointment.status = status;
+    if (status && status !== appointment.status) {
+        if (QueueAppointmentStatuses.includes(status)) {
+            throw new ApiError(400, status === AppointmentStatus.CHECKED_IN
+                ? 'Use POST /api/appointments/:appointmentId/check-in to check a patient in.'
+                : 'Use POST /api/doctors/:doctorId/queue/next to call a patient in.');
+        }
+        applyStatusTransition(appointment, status, updatedByUser, updateData.cancellationReason);
+    }
     if (completionNotes && status === AppointmentStatus.COMPLETED) appointment.completionNotes = completionNotes;
     if (updateData.cancellationReason && status === AppointmentStatus.CANCELLED) appointment.cancellationReason = updateData.cancellationReason;
 
+    const isRescheduled = appointment.isModified('appointmentTime') || appointment.isModified('durationMinutes');
+    const isStatusChanged = appointment.isModified('status');
+    const isActive = ActiveAppointmentStatuses.includes(appointment.status);
+    if (isRescheduled && isActive) {
+        const locked = await acquireSlotLocks(appointment.doctor, appointment.appointmentTime, getBlockedMinutes(appointment), { appointment: appointment._id }, getPendingLockExpiry());
+        if (!locked) {
+            throw new ApiError(409, 'The requested reschedule time has just been booked or is being held by someone else.');
+        }
+    }
+
     appointment.updatedBy = updatedByUser._id;
-    await appointment.save();
+    try {
+        await appointment.save();
+    } catch (error) {
+        if (isRescheduled && isActive) await releaseSlotLocks({ appointment: appointment._id }, { pendingOnly: true });
+        throw error;
+    }
+    if (!isActive) {
+        await releaseSlotLocks({ appointment: appointment._id });
+    } else if (isRescheduled) {
+        await confirmSlotLocks(appointment);
+    }
+    if (isRescheduled || isStatusChanged) await syncAppointmentReminders(appointment);
+    if (isStatusChanged && appointment.status === AppointmentStatus.NO_SHOW) await recordPatientNoShow(appointment.patient, appointment.appointmentTime);
+    if (wasActive && (!isActive || isRescheduled)) announceFreedSlot(previousSlot);
+    publishAppointmentEvent(appointment.status === AppointmentStatus.CANCELLED ? AppointmentEventTypes.CANCELLED : AppointmentEventTypes.UPDATED, appointment);
     logger.info(`Appointment ${appointmentId} updated successfully by ${updatedByUser._id}`);
     return getAppointmentById(appointmentId);
 };
@@ -254,45 +503,46 @@ export const updateAppointment = async (appointmentId, updateData, updatedByUser
  */
 export const cancelAppointment = async (appointmentId, reason, cancelledByUser) => {
     logger.warn(`AppointmentService: Cancelling appointment ${appointmentId} by user ${cancelledByUser._id}`);
-    const appointment = await Appointment.findOne({ _id: appointmentId, isDeleted: { $ne: true } });
-    if (!appointment) throw new ApiError(404, 'Appointment not found.');
-
-    if ([AppointmentStatus.CANCELLED, AppointmentStatus.COMPLETED].includes(appointment.status)) {
-        throw new ApiError(400, `Cannot cancel appointment with status: ${appointment.status}`);
-    }
-
-    const isPatientOwner = cancelledByUser.role === UserRoles.PATIENT && appointment.patient.equals(cancelledByUser.patientProfile);
-    const isDoctorOwner = cancelledByUser.role === UserRoles.DOCTOR && appointment.doctor.equals(cancelledByUser.doctorProfile);
-    const isStaffOrAdmin = [UserRoles.STAFF, UserRoles.ADMIN].includes(cancelledByUser.role);
+    const appointment = await findVisibleAppointment(appointmentId, cancelledByUser);
 
-    let canCancel = false;
-    if (isPatientOwner && [AppointmentStatus.REQUESTED, AppointmentStatus.CONFIRMED].includes(appointment.status)) {
-        canCancel = true;
-    } else if (isDoctorOwner || isStaffOrAdmin) {
-        canCancel = true;
-    }
-
-    if (!canCancel) {
-        throw new ApiError(403, 'Forbidden: You are not authorized to cancel this appointment.');
-    }
-
-    appointment.status = AppointmentStatus.CANCELLED;
+    await assertCan(cancelledByUser, 'appointments:cancel', appointmentResource(appointment), 'Forbidden: You are not authorized to cancel this appointment.');
+    applyStatusTransition(appointment, AppointmentStatus.CANCELLED, cancelledByUser, reason);
     appointment.cancellationReason = reason;
     appointment.updatedBy = cancelledByUser._id;
 
     await appointment.save();
+    await releaseSlotLocks({ appointment: appointment._id });
+    await syncAppointmentReminders(appointment);
+    announceFreedSlot(appointment);
+    publishAppointmentEvent(AppointmentEventTypes.CANCELLED, appointment);
     logger.info(`Appointment ${appointmentId} cancelled successfully by ${cancelledByUser._id}`);
     return getAppointmentById(appointmentId);
 };
 
+/**
+ * Get the status change history of an appointment.
+ * @param {string} appointmentId - The appointment ID.
+ * @param {object} requestingUser - The user requesting the history (must be able to see the appointment).
+ * @returns {Promise<object>} The current status and the history entries, oldest first.
+ */
+export const getAppointmentStatusHistory = async (appointmentId, requestingUser) => {
+    logger.debug(`AppointmentService: Fetching status history of appointment ${appointmentId} for user ${requestingUser._id}`);
+    const appointment = await findVisibleAppointment(appointmentId, requestingUser);
+    await appointment.populate({ path: 'statusHistory.changedBy', select: 'firstName lastName role' });
+
+    return {
+        appointmentId: appointment._id,
+        status: appointment.status,
+        history: appointment.statusHistory,
+    };
+};
+
 /**
  * Delete an appointment (soft delete) - Admin only.
  */
 export const deleteAppointment = async (appointmentId, deletedByUser) => {
     logger.warn(`AppointmentService: Attempting delete for appointment ${appointmentId} by admin ${deletedByUser._id}`);
-    if (deletedByUser.role !== UserRoles.ADMIN) {
-        throw new ApiError(403, 'Forbidden: Only administrators can delete appointments.');
-    }
+    await assertCan(deletedByUser, 'appointments:delete', null, 'Forbidden: Only administrators can delete appointments.');
 
     const appointmentToDelete = await Appointment.findOne({ _id: appointmentId, isDeleted: { $ne: true } });
     if (!appointmentToDelete) {
@@ -300,5 +550,87 @@ export const deleteAppointment = async (appointmentId, deletedByUser) => {
     }
 
     await appointmentToDelete.softDelete(deletedByUser._id);
+    await releaseSlotLocks({ appointment: appointmentToDelete._id });
+    await syncAppointmentReminders(appointmentToDelete);
+    if (ActiveAppointmentStatuses.includes(appointmentToDelete.status)) announceFreedSlot(appointmentToDelete);
+    publishAppointmentEvent(AppointmentEventTypes.DELETED, appointmentToDelete);
     logger.info(`Appointment ${appointmentId} soft deleted successfully by admin ${deletedByUser._id}`);
 };
+
+/**
+ * Hold a doctor's slot for a few minutes (config.booking.holdMinutes) while the patient completes booking.
+ * Other users cannot book or hold overlapping time until the hold is used, released or expires.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {object} holdData - { appointmentTime, appointmentType or durationMinutes, patient (Staff/Admin only) }.
+ * @param {object} requestingUser - The user placing the hold.
+ * @returns {Promise<object>} The hold document (pass its _id as holdId when creating the appointment).
+ */
+export const createSlotHold = async (doctorId, holdData, requestingUser) => {
+    const { appointmentTime } = holdData;
+    const patientProfileId = resolveBookingPatient(holdData.patient, requestingUser);
+    logger.debug(`AppointmentService: Holding slot of doctor ${doctorId} at ${appointmentTime} for patient ${patientProfileId} by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'appointments:create', { patient: patientProfileId }, 'Forbidden: You are not authorized to book appointments for this patient.');
+
+    const patientExists = await PatientProfile.countDocuments({ _id: patientProfileId, isDeleted: { $ne: true } });
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } }).select('timezone');
+    if (!patientExists) throw new ApiError(404, 'Patient profile not found.');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+
+    const requestedTimeDate = parseDateTimeInZone(appointmentTime, getDoctorTimeZone(doctorProfile));
+    if (isNaN(requestedTimeDate.getTime()) || requestedTimeDate.getTime() <= Date.now()) {
+        throw new ApiError(400, 'Invalid or past appointment time specified.');
+    }
+
+    const { holdMinutes, maxActiveHoldsPerUser } = config.booking;
+    const activeHolds = await SlotHold.countDocuments({ heldBy: requestingUser._id, expiresAt: { $gt: new Date() } });
+    if (activeHolds >= maxActiveHoldsPerUser) {
+        throw new ApiError(429, `You can hold at most ${maxActiveHoldsPerUser} slot(s) at a time. Finish booking or release a hold first.`);
+    }
+
+    const { appointmentType, durationMinutes, bufferMinutes } = await resolveBookingDetails({ ...holdData, doctor: doctorId }, requestingUser);
+    const isAvailable = await checkDoctorAvailability(doctorId, requestedTimeDate, getBlockedMinutes({ durationMinutes, bufferMinutes }));
+    if (!isAvailable) {
+        throw new ApiError(409, 'Doctor is not available at the requested time or a conflict exists.');
+    }
+
+    const hold = new SlotHold({
+        doctor: doctorId,
+        patient: patientProfileId,
+        heldBy: requestingUser._id,
+        appointmentTime: requestedTimeDate,
+        durationMinutes,
+        appointmentType,
+        bufferMinutes,
+        expiresAt: new Date(Date.now() + holdMinutes * 60000),
+    });
+    const locked = await acquireSlotLocks(doctorId, requestedTimeDate, getBlockedMinutes(hold), { hold: hold._id }, hold.expiresAt);
+    if (!locked) {
+        throw new ApiError(409, 'This slot has just been booked or is being held by someone else. Please pick another time.');
+    }
+    try {
+        await hold.save();
+    } catch (error) {
+        await releaseSlotLocks({ hold: hold._id });
+        throw error;
+    }
+
+    logger.info(`Slot hold ${hold._id} placed on doctor ${doctorId} at ${requestedTimeDate.toISOString()} by user ${requestingUser._id} until ${hold.expiresAt.toISOString()}`);
+    return hold;
+};
+
+/**
+ * Release a slot hold before it expires (e.g. the patient leaves checkout).
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {string} holdId - The SlotHold ID.
+ * @param {object} requestingUser - The user who placed the hold.
+ * @returns {Promise<void>}
+ */
+export const releaseSlotHold = async (doctorId, holdId, requestingUser) => {
+    logger.debug(`AppointmentService: Releasing slot hold ${holdId} of doctor ${doctorId} by user ${requestingUser._id}`);
+    const hold = await SlotHold.findOne({ _id: holdId, doctor: doctorId, heldBy: requestingUser._id });
+    if (!hold) throw new ApiError(404, 'Slot hold not found.');
+
+    await releaseSlotLocks({ hold: hold._id });
+    await hold.deleteOne();
+    logger.info(`Slot hold ${holdId} released by user ${requestingUser._id}`);
+};
@@ -0,0 +1,73 @@
+// src/api/services/appointmentEvents.service.js
+import { EventEmitter } from 'events';
+import { now } from '../../utils/clock.js';
+import logger from '../../utils/logger.js';
+import { can } from './permission.service.js';
+
+const APPOINTMENT_EVENT = 'appointment';
+const CLOSE_EVENT = 'close';
+
+// In-process bus between the services that change appointments and the open event streams
+const appointmentEvents = new EventEmitter();
+appointmentEvents.setMaxListeners(0); // One listener per connected client
+
+const idOf = (ref) => ref?._id || ref || null;
+
+/**
+ * Announces a change to an appointment to every subscriber allowed to see it.
+ * Only IDs and scheduling fields are sent; clients fetch the appointment for details.
+ * @param {string} type - One of AppointmentEventTypes.
+ * @param {object} appointment - The appointment (document or plain object, populated or not).
+ */
+export const publishAppointmentEvent = (type, appointment) => {
+    appointmentEvents.emit(APPOINTMENT_EVENT, {
+        type,
+        appointment: {
+            _id: appointment._id,
+            patient: idOf(appointment.patient),
+            doctor: idOf(appointment.doctor),
+            status: appointment.status,
+            appointmentTime: appointment.appointmentTime,
+            durationMinutes: appointment.durationMinutes,
+            series: idOf(appointment.series),
+            queueDate: appointment.queueDate,
+            queueNumber: appointment.queueNumber,
+        },
+        occurredAt: now(),
+    });
+};
+
+/**
+ * Subscribes a user to the appointment events they may see: the same appointments:read check as
+ * GET /api/appointments/:id (patients their own, doctors their schedule, staff the whole clinic).
+ * @param {object} user - The connected user.
+ * @param {object} handlers
+ * @param {function(object): void} handlers.onEvent - Called with each visible event.
+ * @param {function(): void} [handlers.onClose] - Called when the server shuts down.
+ * @returns {function(): void} Unsubscribes.
+ */
+export const subscribeToAppointmentEvents = (user, { onEvent, onClose }) => {
+    const handleEvent = async (event) => {
+        try {
+            if (await can(user, 'appointments:read', event.appointment)) onEvent(event);
+        } catch (error) {
+            logger.error(`AppointmentEventsService: Failed to deliver ${event.type} event of appointment ${event.appointment._id} to user ${user._id}: ${error.message}`);
+        }
+    };
+    const handleClose = () => onClose?.();
+
+    appointmentEvents.on(APPOINTMENT_EVENT, handleEvent);
+    appointmentEvents.on(CLOSE_EVENT, handleClose);
+    logger.debug(`AppointmentEventsService: User ${user._id} subscribed (${appointmentEvents.listenerCount(APPOINTMENT_EVENT)} open)`);
+    return () => {
+        appointmentEvents.off(APPOINTMENT_EVENT, handleEvent);
+        appointmentEvents.off(CLOSE_EVENT, handleClose);
+    };
+};
+
+/**
+ * Ends all open event streams (called on shutdown, so they do not keep the HTTP server open).
+ */
+export const closeAppointmentEventStreams = () => {
+    appointmentEvents.emit(CLOSE_EVENT);
+};
@@ -0,0 +1,338 @@
+// src/api/services/appointmentSeries.service.js
+import config from '../../config/index.js';
+import Appointment from '../../models/appointment.model.js';
+import AppointmentSeries from '../../models/appointmentSeries.model.js';
+import DoctorProfile from '../../models/doctorProfile.model.js';
+import PatientProfile from '../../models/patientProfile.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { AppointmentEventTypes, AppointmentStatus, RecurrenceFrequencies, SeriesEditScopes } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+import {
+    addDaysToDateKey,
+    addMonthsToDateKey,
+    getBlockedMinutes,
+    getDoctorTimeZone,
+    getMinutesOfDay,
+    minutesToTime,
+    parseDateTimeInZone,
+    toDateKey,
+    zonedTimeToDate
+} from '../../utils/schedule.js';
+import {
+    appointmentResource,
+    applyStatusTransition,
+    assertMayChangeDuration,
+    checkDoctorAvailability,
+    findVisibleAppointment,
+    getInitialBookingState,
+    resolveBookingDetails,
+    resolveBookingPatient,
+    saveNewAppointment
+} from './appointment.service.js';
+import { publishAppointmentEvent } from './appointmentEvents.service.js';
+import { assertCan, can } from './permission.service.js';
+import { syncAppointmentReminders } from './reminder.service.js';
+import { acquireSlotLocks, confirmSlotLocks, getPendingLockExpiry, releaseSlotLocks } from './slotLock.service.js';
+import { announceFreedSlot } from './waitlist.service.js';
+
+// Occurrences that can still be moved or cancelled together
+const CHANGEABLE_STATUSES = [AppointmentStatus.REQUESTED, AppointmentStatus.CONFIRMED];
+
+const UNAVAILABLE_REASON = 'Doctor is not available at this time (outside working hours, day off, holiday or already booked).';
+
+/**
+ * Dates of a series' occurrences from its first date and recurrence rule.
+ * @param {string} firstDateKey - Date of the first occurrence (YYYY-MM-DD).
+ * @param {object} recurrence - { frequency, count } or { frequency, until }.
+ * @returns {Array<string>} Date keys, first one included.
+ */
+const buildOccurrenceDates = (firstDateKey, { frequency, count, until }) => {
+    const { maxOccurrences } = config.appointmentSeries;
+    const dates = [];
+    for (let index = 0; count ? index < count : true; index++) {
+        const dateKey = frequency === RecurrenceFrequencies.MONTHLY
+            ? addMonthsToDateKey(firstDateKey, index)
+            : addDaysToDateKey(firstDateKey, index * (frequency === RecurrenceFrequencies.BIWEEKLY ? 14 : 7));
+        if (until && dateKey > until) break;
+        if (dates.length === maxOccurrences) {
+            throw new ApiError(400, `A recurring series can have at most ${maxOccurrences} occurrences.`);
+        }
+        dates.push(dateKey);
+    }
+    if (dates.length < 2) {
+        throw new ApiError(400, 'A recurring series needs at least two occurrences.');
+    }
+    return dates;
+};
+
+// The series with its occurrences, oldest first
+const loadSeriesWithOccurrences = async (seriesId) => {
+    const series = await AppointmentSeries.findOne({ _id: seriesId, isDeleted: { $ne: true } }).select('-__v');
+    if (!series) throw new ApiError(404, 'Appointment series not found.');
+    const occurrences = await Appointment.find({ series: series._id, isDeleted: { $ne: true } })
+        .select('appointmentTime durationMinutes status cancellationReason')
+        .sort({ appointmentTime: 1 });
+    return { series, occurrences };
+};
+
+/**
+ * Create a recurring series of appointments (weekly, biweekly or monthly, by count or until a date).
+ * Every occurrence is checked against the doctor's schedule and bookings. Conflicting dates are reported;
+ * with recurrence.skipConflicts the free dates are booked and the conflicting ones skipped, otherwise nothing is booked.
+ * @param {object} appointmentData - Appointment details plus recurrence { frequency, count | until, skipConflicts }.
+ * @param {object} requestedByUser - The user booking.
+ * @returns {Promise<object>} { series, occurrences, conflicts }.
+ */
+export const createAppointmentSeries = async (appointmentData, requestedByUser) => {
+    const { doctor: doctorProfileId, appointmentTime, reasonForVisit, recurrence, holdId } = appointmentData;
+    if (holdId) {
+        throw new ApiError(400, 'Slot holds cannot be used for recurring appointments.');
+    }
+    const patientProfileId = resolveBookingPatient(appointmentData.patient, requestedByUser);
+
+    logger.debug(`AppointmentSeriesService: Creating ${recurrence.frequency} series by user ${requestedByUser._id} for patient ${patientProfileId}`, { recurrence });
+    await assertCan(requestedByUser, 'appointments:create', { patient: patientProfileId }, 'Forbidden: You are not authorized to book appointments for this patient.');
+
+    const patientExists = await PatientProfile.countDocuments({ _id: patientProfileId, isDeleted: { $ne: true } });
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorProfileId, isDeleted: { $ne: true } }).select('timezone');
+    if (!patientExists) throw new ApiError(404, 'Patient profile not found.');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+
+    const timeZone = getDoctorTimeZone(doctorProfile);
+    const firstTime = parseDateTimeInZone(appointmentTime, timeZone);
+    if (isNaN(firstTime.getTime()) || firstTime.getTime() <= Date.now()) {
+        throw new ApiError(400, 'Invalid or past appointment time specified.');
+    }
+
+    const bookingDetails = await resolveBookingDetails(appointmentData, requestedByUser);
+    const { durationMinutes } = bookingDetails;
+
+    // Every occurrence keeps the wall-clock time of the first one in the doctor's timezone
+    const firstDate = toDateKey(firstTime, timeZone);
+    const startTime = minutesToTime(getMinutesOfDay(firstTime, timeZone));
+    const occurrences = buildOccurrenceDates(firstDate, recurrence)
+        .map(date => ({ date, appointmentTime: zonedTimeToDate(date, startTime, timeZone) }));
+
+    const conflicts = [];
+    for (const occurrence of occurrences) {
+        if (!(await checkDoctorAvailability(doctorProfileId, occurrence.appointmentTime, getBlockedMinutes(bookingDetails)))) {
+            conflicts.push({ ...occurrence, reason: UNAVAILABLE_REASON });
+        }
+    }
+    if (conflicts.length === occurrences.length || (conflicts.length && !recurrence.skipConflicts)) {
+        throw new ApiError(
+            409,
+            `${conflicts.length} of ${occurrences.length} occurrence(s) conflict with the doctor's schedule or other bookings.${conflicts.length < occurrences.length ? ' Set recurrence.skipConflicts to book the remaining dates.' : ''}`,
+            conflicts
+        );
+    }
+
+    const series = await AppointmentSeries.create({
+        patient: patientProfileId,
+        doctor: doctorProfileId,
+        frequency: recurrence.frequency,
+        count: recurrence.count,
+        until: recurrence.until,
+        firstDate,
+        startTime,
+        timezone: timeZone,
+        durationMinutes,
+        appointmentType: bookingDetails.appointmentType,
+        reasonForVisit,
+        createdBy: requestedByUser._id,
+        updatedBy: requestedByUser._id,
+    });
+
+    const { status: initialStatus, scheduledByStaff, requiresStaffConfirmation } = await getInitialBookingState(requestedByUser, patientProfileId);
+    const conflictDates = new Set(conflicts.map(conflict => conflict.date));
+    let bookedCount = 0;
+    for (const occurrence of occurrences.filter(occurrence => !conflictDates.has(occurrence.date))) {
+        const appointment = new Appointment({
+            patient: patientProfileId,
+            doctor: doctorProfileId,
+            appointmentTime: occurrence.appointmentTime,
+            ...bookingDetails,
+            reasonForVisit,
+            status: initialStatus,
+            statusHistory: [{ from: null, to: initialStatus, changedBy: requestedByUser._id, changedByRole: requestedByUser.role }],
+            scheduledByStaff,
+            requiresStaffConfirmation,
+            series: series._id,
+            createdBy: requestedByUser._id,
+            updatedBy: requestedByUser._id,
+        });
+        try {
+            await saveNewAppointment(appointment);
+            bookedCount++;
+        } catch (error) {
+            if (error.statusCode !== 409) throw error;
+            conflicts.push({ ...occurrence, reason: 'The slot was booked by someone else a moment ago.' });
+        }
+    }
+
+    if (bookedCount === 0) {
+        await series.softDelete(requestedByUser._id);
+        throw new ApiError(409, 'None of the occurrences could be booked.', conflicts);
+    }
+
+    series.skippedDates = conflicts.map(({ date, reason }) => ({ date, reason }));
+    await series.save();
+    logger.info(`Appointment series ${series._id} created by ${requestedByUser._id}: ${bookedCount} occurrence(s) booked, ${conflicts.length} skipped`);
+
+    return { ...(await loadSeriesWithOccurrences(series._id)), conflicts };
+};
+
+/**
+ * Get a series with all its occurrences.
+ * @param {string} seriesId - The AppointmentSeries ID.
+ * @param {object} requestingUser - Must be allowed to read the series' appointments (else 404).
+ * @returns {Promise<object>} { series, occurrences }.
+ */
+export const getAppointmentSeriesById = async (seriesId, requestingUser) => {
+    logger.debug(`AppointmentSeriesService: Fetching series ${seriesId} for user ${requestingUser._id}`);
+    const result = await loadSeriesWithOccurrences(seriesId);
+    if (!(await can(requestingUser, 'appointments:read', appointmentResource(result.series)))) {
+        throw new ApiError(404, 'Appointment series not found.');
+    }
+    return result;
+};
+
+/**
+ * Loads an occurrence the user can see and the occurrences an edit with the given scope applies to:
+ * "following" is this one and the later ones, "all" every occurrence that has not started yet.
+ * Only occurrences that are still Requested or Confirmed are included.
+ * @returns {Promise<{appointment: object, occurrences: Array<object>}>}
+ */
+const findScopedOccurrences = async (appointmentId, scope, user) => {
+    const appointment = await findVisibleAppointment(appointmentId, user);
+    if (!appointment.series) {
+        throw new ApiError(400, 'This appointment is not part of a recurring series.');
+    }
+    const from = scope === SeriesEditScopes.FOLLOWING ? appointment.appointmentTime : new Date();
+    const occurrences = await Appointment.find({
+        series: appointment.series,
+        isDeleted: { $ne: true },
+        status: { $in: CHANGEABLE_STATUSES },
+        appointmentTime: { $gte: from },
+    }).sort({ appointmentTime: 1 });
+    if (occurrences.length === 0) {
+        throw new ApiError(400, 'No upcoming occurrences of this series can be changed.');
+    }
+    return { appointment, occurrences };
+};
+
+/**
+ * Move several occurrences of a series ("this and following" or "all"): the time shift from this
+ * occurrence to appointmentTime, and/or the new duration, is applied to each of them.
+ * All moved occurrences are checked first; if any of them conflicts nothing is changed and the conflicts are reported.
+ * @param {string} appointmentId - The occurrence the edit was made on.
+ * @param {object} updateData - { appointmentTime, durationMinutes, scope }.
+ * @param {object} updatedByUser - The user making the change.
+ * @returns {Promise<object>} { series, occurrences, conflicts } (conflicts only lists bookings lost to a race).
+ */
+export const updateSeriesOccurrences = async (appointmentId, updateData, updatedByUser) => {
+    const { appointmentTime, durationMinutes, scope } = updateData;
+    logger.debug(`AppointmentSeriesService: Updating ${scope} occurrences from appointment ${appointmentId} by user ${updatedByUser._id}`, { updateData });
+    if (updateData.status || updateData.completionNotes) {
+        throw new ApiError(400, 'Only the time and duration can be changed for several occurrences at once. Use cancel to cancel them.');
+    }
+    if (!appointmentTime && !durationMinutes) {
+        throw new ApiError(400, 'Provide a new appointment time and/or duration.');
+    }
+
+    const { appointment, occurrences } = await findScopedOccurrences(appointmentId, scope, updatedByUser);
+    await assertCan(updatedByUser, 'appointments:update', appointmentResource(appointment), 'Forbidden: You are not authorized to update this appointment.');
+    assertMayChangeDuration(appointment, durationMinutes, updatedByUser);
+
+    let shiftMs = 0;
+    if (appointmentTime) {
+        const doctorProfile = await DoctorProfile.findById(appointment.doctor).select('timezone');
+        const newTime = parseDateTimeInZone(appointmentTime, getDoctorTimeZone(doctorProfile));
+        if (isNaN(newTime.getTime())) throw new ApiError(400, 'Invalid appointment time specified for reschedule.');
+        shiftMs = newTime.getTime() - appointment.appointmentTime.getTime();
+    }
+
+    const seriesIds = occurrences.map(occurrence => occurrence._id);
+    const plan = occurrences.map(occurrence => ({
+        occurrence,
+        appointmentTime: new Date(occurrence.appointmentTime.getTime() + shiftMs),
+        durationMinutes: durationMinutes || occurrence.durationMinutes,
+        bufferMinutes: occurrence.bufferMinutes,
+    }));
+
+    // The moved occurrences may take each other's old slots, so they are excluded from the conflict check
+    const conflicts = [];
+    for (const step of plan) {
+        if (step.appointmentTime.getTime() <= Date.now()) {
+            conflicts.push({ appointmentId: step.occurrence._id, appointmentTime: step.appointmentTime, reason: 'The new time is in the past.' });
+        } else if (!(await checkDoctorAvailability(appointment.doctor.toString(), step.appointmentTime, getBlockedMinutes(step), seriesIds))) {
+            conflicts.push({ appointmentId: step.occurrence._id, appointmentTime: step.appointmentTime, reason: UNAVAILABLE_REASON });
+        }
+    }
+    if (conflicts.length) {
+        throw new ApiError(409, `${conflicts.length} of ${plan.length} occurrence(s) cannot be moved. Nothing was changed.`, conflicts);
+    }
+
+    // Moving later occurrences first (or earlier ones first when moving back) frees each slot before a sibling takes it
+    if (shiftMs > 0) plan.reverse();
+    const lostToRace = [];
+    for (const step of plan) {
+        const { occurrence } = step;
+        const locked = await acquireSlotLocks(occurrence.doctor, step.appointmentTime, getBlockedMinutes(step), { appointment: occurrence._id }, getPendingLockExpiry());
+        if (!locked) {
+            lostToRace.push({ appointmentId: occurrence._id, appointmentTime: step.appointmentTime, reason: 'The slot was booked by someone else a moment ago.' });
+            continue;
+        }
+        const previousSlot = { doctor: occurrence.doctor, patient: occurrence.patient, appointmentTime: occurrence.appointmentTime, durationMinutes: occurrence.durationMinutes };
+        occurrence.appointmentTime = step.appointmentTime;
+        occurrence.durationMinutes = step.durationMinutes;
+        occurrence.updatedBy = updatedByUser._id;
+        await occurrence.save();
+        await confirmSlotLocks(occurrence);
+        await syncAppointmentReminders(occurrence);
+        announceFreedSlot(previousSlot);
+        publishAppointmentEvent(AppointmentEventTypes.UPDATED, occurrence);
+    }
+
+    logger.info(`${plan.length - lostToRace.length} occurrence(s) of series ${appointment.series} moved by ${updatedByUser._id}`);
+    return { ...(await loadSeriesWithOccurrences(appointment.series)), conflicts: lostToRace };
+};
+
+/**
+ * Cancel several occurrences of a series ("this and following" or "all" upcoming ones).
+ * @param {string} appointmentId - The occurrence the cancellation was made on.
+ * @param {string} reason - Cancellation reason stored on every occurrence.
+ * @param {string} scope - SeriesEditScopes.FOLLOWING or SeriesEditScopes.ALL.
+ * @param {object} cancelledByUser - The user cancelling.
+ * @returns {Promise<object>} { series, occurrences }.
+ */
+export const cancelSeriesOccurrences = async (appointmentId, reason, scope, cancelledByUser) => {
+    logger.warn(`AppointmentSeriesService: Cancelling ${scope} occurrences from appointment ${appointmentId} by user ${cancelledByUser._id}`);
+    const { appointment, occurrences } = await findScopedOccurrences(appointmentId, scope, cancelledByUser);
+    await assertCan(cancelledByUser, 'appointments:cancel', appointmentResource(appointment), 'Forbidden: You are not authorized to cancel this appointment.');
+
+    for (const occurrence of occurrences) {
+        applyStatusTransition(occurrence, AppointmentStatus.CANCELLED, cancelledByUser, reason);
+        occurrence.cancellationReason = reason;
+        occurrence.updatedBy = cancelledByUser._id;
+        await occurrence.save();
+        await releaseSlotLocks({ appointment: occurrence._id });
+        await syncAppointmentReminders(occurrence);
+        announceFreedSlot(occurrence);
+        publishAppointmentEvent(AppointmentEventTypes.CANCELLED, occurrence);
+    }
+
+    // The series is over once nothing is left to attend
+    const remaining = await Appointment.countDocuments({
+        series: appointment.series,
+        isDeleted: { $ne: true },
+        status: { $in: CHANGEABLE_STATUSES },
+        appointmentTime: { $gte: new Date() },
+    });
+    if (remaining === 0) {
+        await AppointmentSeries.updateOne({ _id: appointment.series }, { $set: { cancelledAt: new Date(), updatedBy: cancelledByUser._id } });
+    }
+
+    logger.info(`${occurrences.length} occurrence(s) of series ${appointment.series} cancelled by ${cancelledByUser._id}`);
+    return loadSeriesWithOccurrences(appointment.series);
+};
@@ -0,0 +1,174 @@
+// src/api/services/appointmentType.service.js
+import AppointmentType from '../../models/appointmentType.model.js';
+import DoctorProfile from '../../models/doctorProfile.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import { assertCan } from './permission.service.js';
+
+// Fields an admin may set on a type
+const editableFields = ['name', 'description', 'category', 'defaultDurationMinutes', 'bufferMinutes', 'price', 'specialties', 'doctors', 'isActive'];
+
+const pickEditableFields = (data) => Object.fromEntries(
+    Object.entries(data).filter(([field, value]) => editableFields.includes(field) && value !== undefined)
+);
+
+/**
+ * Whether a doctor offers an appointment type: listed by ID or by specialty, or the type is open to all doctors.
+ * @param {object} appointmentType - The type (needs doctors and specialties).
+ * @param {object} doctorProfile - The doctor (needs _id and specialty).
+ * @returns {boolean}
+ */
+export const isOfferedByDoctor = (appointmentType, doctorProfile) => {
+    const { doctors = [], specialties = [] } = appointmentType;
+    if (doctors.length === 0 && specialties.length === 0) return true;
+    return doctors.some(doctorId => doctorId.toString() === doctorProfile._id.toString())
+        || specialties.includes(doctorProfile.specialty);
+};
+
+/**
+ * DoctorProfile filter matching the doctors who offer an appointment type.
+ * @param {object} appointmentType - The type.
+ * @returns {object} A MongoDB filter ({} when every doctor offers it).
+ */
+export const offeringDoctorsFilter = ({ doctors = [], specialties = [] }) => {
+    if (doctors.length === 0 && specialties.length === 0) return {};
+    return { $or: [{ _id: { $in: doctors } }, { specialty: { $in: specialties } }] };
+};
+
+// Loads a type that has not been deleted or throws 404
+const findAppointmentType = async (typeId) => {
+    const appointmentType = await AppointmentType.findOne({ _id: typeId, isDeleted: { $ne: true } });
+    if (!appointmentType) throw new ApiError(404, 'Appointment type not found.');
+    return appointmentType;
+};
+
+// Every listed doctor must exist
+const assertDoctorsExist = async (doctorIds = []) => {
+    const uniqueIds = [...new Set(doctorIds.map(String))];
+    if (uniqueIds.length === 0) return;
+    const found = await DoctorProfile.countDocuments({ _id: { $in: uniqueIds }, isDeleted: { $ne: true } });
+    if (found !== uniqueIds.length) {
+        throw new ApiError(400, 'One or more of the listed doctors were not found.');
+    }
+};
+
+const assertNameAvailable = async (name, excludeTypeId = null) => {
+    const filter = { name, isDeleted: { $ne: true } };
+    if (excludeTypeId) filter._id = { $ne: excludeTypeId };
+    if (await AppointmentType.exists(filter)) {
+        throw new ApiError(409, `An appointment type named "${name}" already exists.`);
+    }
+};
+
+/**
+ * Loads an appointment type that can currently be booked.
+ * @param {string} typeId - The AppointmentType ID.
+ * @returns {Promise<object>} The type document.
+ * @throws {ApiError} 404 when the type does not exist or is inactive.
+ */
+export const getActiveAppointmentType = async (typeId) => {
+    const appointmentType = await AppointmentType.findOne({ _id: typeId, isActive: true, isDeleted: { $ne: true } });
+    if (!appointmentType) throw new ApiError(404, 'Appointment type not found or no longer offered.');
+    return appointmentType;
+};
+
+/**
+ * Loads an active appointment type for booking with a doctor.
+ * @param {string} typeId - The AppointmentType ID.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @returns {Promise<object>} The type document.
+ * @throws {ApiError} 404 when the type does not exist or is inactive, 400 when the doctor does not offer it.
+ */
+export const resolveAppointmentType = async (typeId, doctorId) => {
+    const appointmentType = await getActiveAppointmentType(typeId);
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } }).select('specialty');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+    if (!isOfferedByDoctor(appointmentType, doctorProfile)) {
+        throw new ApiError(400, `This doctor does not offer "${appointmentType.name}".`);
+    }
+    return appointmentType;
+};
+
+/**
+ * Lists the appointment type catalog.
+ * @param {object} [filters] - { doctorId (types that doctor offers), category, includeInactive (admin listing) }.
+ * @returns {Promise<Array<object>>} Types sorted by name.
+ */
+export const listAppointmentTypes = async ({ doctorId, category, includeInactive = false } = {}) => {
+    logger.debug('AppointmentTypeService: Listing appointment types', { doctorId, category, includeInactive });
+    const filter = { isDeleted: { $ne: true } };
+    if (!includeInactive) filter.isActive = true;
+    if (category) filter.category = category;
+
+    const appointmentTypes = await AppointmentType.find(filter).sort({ name: 1 }).select('-__v').lean();
+    if (!doctorId) return appointmentTypes;
+
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } }).select('specialty');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+    return appointmentTypes.filter(appointmentType => isOfferedByDoctor(appointmentType, doctorProfile));
+};
+
+/**
+ * Gets one appointment type.
+ * @param {string} typeId - The AppointmentType ID.
+ * @returns {Promise<object>} The type document.
+ */
+export const getAppointmentTypeById = async (typeId) => findAppointmentType(typeId);
+
+/**
+ * Adds a type to the catalog.
+ * @param {object} typeData - { name, description, category, defaultDurationMinutes, bufferMinutes, price, specialties, doctors, isActive }.
+ * @param {object} requestingUser - The admin.
+ * @returns {Promise<object>} The created type.
+ */
+export const createAppointmentType = async (typeData, requestingUser) => {
+    logger.debug(`AppointmentTypeService: Creating appointment type "${typeData.name}" by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'appointment-types:manage', null, 'Forbidden: You are not authorized to manage appointment types.');
+    await assertNameAvailable(typeData.name);
+    await assertDoctorsExist(typeData.doctors);
+
+    const appointmentType = await AppointmentType.create({
+        ...pickEditableFields(typeData),
+        createdBy: requestingUser._id,
+        updatedBy: requestingUser._id,
+    });
+    logger.info(`Appointment type ${appointmentType._id} ("${appointmentType.name}") created by ${requestingUser._id}`);
+    return appointmentType;
+};
+
+/**
+ * Changes a type. Appointments already booked keep the duration, buffer and price they were booked with.
+ * @param {string} typeId - The AppointmentType ID.
+ * @param {object} updateData - Any of the fields accepted by createAppointmentType.
+ * @param {object} requestingUser - The admin.
+ * @returns {Promise<object>} The updated type.
+ */
+export const updateAppointmentType = async (typeId, updateData, requestingUser) => {
+    logger.debug(`AppointmentTypeService: Updating appointment type ${typeId} by user ${requestingUser._id}`, { updateData });
+    await assertCan(requestingUser, 'appointment-types:manage', null, 'Forbidden: You are not authorized to manage appointment types.');
+    const appointmentType = await findAppointmentType(typeId);
+
+    const changes = pickEditableFields(updateData);
+    if (changes.name && changes.name !== appointmentType.name) await assertNameAvailable(changes.name, typeId);
+    if (changes.doctors) await assertDoctorsExist(changes.doctors);
+
+    appointmentType.set({ ...changes, updatedBy: requestingUser._id });
+    await appointmentType.save();
+    logger.info(`Appointment type ${typeId} updated by ${requestingUser._id}`);
+    return appointmentType;
+};
+
+/**
+ * Removes a type from the catalog (soft delete). Existing appointments keep referring to it.
+ * @param {string} typeId - The AppointmentType ID.
+ * @param {object} requestingUser - The admin.
+ * @returns {Promise<void>}
+ */
+export const deleteAppointmentType = async (typeId, requestingUser) => {
+    logger.warn(`AppointmentTypeService: Deleting appointment type ${typeId} by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'appointment-types:manage', null, 'Forbidden: You are not authorized to manage appointment types.');
+    const appointmentType = await findAppointmentType(typeId);
+
+    await appointmentType.softDelete(requestingUser._id);
+    logger.info(`Appointment type ${typeId} deleted by ${requestingUser._id}`);
+};
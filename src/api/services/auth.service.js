@@ -4,64 +4,110 @@
 import crypto from 'crypto';
 import jwt from 'jsonwebtoken';
 import config from '../../config/index.js'; // Adjust path
-import DoctorProfile from '../../models/doctorProfile.model.js'; // Adjust path
 import PatientProfile from '../../models/patientProfile.model.js'; // Adjust path
-import StaffProfile from '../../models/staffProfile.model.js'; // Adjust path
 import User from '../../models/user.model.js'; // Adjust path
 import { ApiError } from '../../utils/ApiError.js'; // Adjust path
 import { UserRoles } from '../../utils/constants.js'; // Adjust path
 import { sendEmail } from '../../utils/emailSender.js'; // Adjust path
 import logger from '../../utils/logger.js'; // Adjust path
+import { assertPasswordPolicy, isPasswordExpired } from '../../utils/passwordPolicy.js';
+import { assertAccountNotLocked, clearFailedLogins, recordFailedLogin } from './accountLockout.service.js';
+import { assertCan } from './permission.service.js';
+import { createSession, renewSession, revokeAllUserSessions, revokeSession, rotateSession } from './session.service.js';
+import { completeLoginChallenge, createLoginChallenge, isTwoFactorEnforced } from './twoFactor.service.js';
+
+// Signs a short-lived access token bound to a session
+const signAccessToken = (user, sessionId) => {
+    const payload = { id: user._id, role: user.role, sid: sessionId };
+    return jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
+};
+
+// Starts a new session for the user and returns its access/refresh token pair
+const issueAuthTokens = async (user, meta) => {
+    const { session, refreshToken } = await createSession(user._id, meta);
+    const accessToken = signAccessToken(user, session._id);
+    return { accessToken, refreshToken };
+};
+
+// Issues tokens, or a 2FA challenge when the user has 2FA enabled or their role requires it
+const beginAuthentication = async (user, meta) => {
+    if (user.twoFactorEnabled || isTwoFactorEnforced(user.role)) {
+        logger.debug(`AuthService: Two-factor challenge issued for user ${user._id}`);
+        return {
+            twoFactorRequired: true,
+            enrollmentRequired: !user.twoFactorEnabled,
+            challengeToken: createLoginChallenge(user),
+        };
+    }
+    const tokens = await issueAuthTokens(user, meta);
+    return { twoFactorRequired: false, ...tokens };
+};
+
+// Signs an email verification token bound to the address it was sent to
+const createEmailVerificationToken = (user) => {
+    return jwt.sign(
+        { id: user._id, email: user.email, purpose: 'email_verification' },
+        config.jwt.secret,
+        { expiresIn: config.emailVerification.tokenExpiresIn }
+    );
+};
+
+// Sends the verification link to the user's email address
+const sendVerificationEmail = async (user) => {
+    const verificationToken = createEmailVerificationToken(user);
+    const verifyURL = `${config.cors.origin[0]}/verify-email/${verificationToken}`;
+    const message = `Welcome to KonsulDok! Please confirm your email address by submitting a POST request to: ${verifyURL}\nIf you did not create an account, please ignore this email. This link expires in ${config.emailVerification.tokenExpiresIn}.`;
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Confirm your KonsulDok email address',
+        text: message,
+    });
+    logger.info(`Verification email sent to ${user.email}`);
+};
 
 /**
- * Registers a new user and associated profile.
+ * Registers a new patient and their profile.
+ * Doctor, Staff and Admin accounts cannot self-register; they are created via admin invitations.
  * @param {object} userData - User registration data from controller.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress) for the new session.
  * @returns {Promise<object>} Object containing user and tokens.
  */
-export const registerUser = async (userData) => {
-    const { email, password, firstName, lastName, role, phoneNumber, ...profileData } = userData;
+export const registerUser = async (userData, meta = {}) => {
+    const { email, password, firstName, lastName, role = UserRoles.PATIENT, phoneNumber, ...profileData } = userData;
     logger.debug('AuthService: Attempting to register user:', email, role);
 
-    // 1. Check if email already exists
+    // 1. Only patients may self-register
+    if (role !== UserRoles.PATIENT) {
+        logger.warn(`AuthService: Rejected self-registration of privileged role ${role} for ${email}`);
+        throw new ApiError(403, 'Public registration is only available for patients. Doctor and Staff accounts are created by invitation.');
+    }
+
+    // 2. Check if email already exists
     const existingUser = await User.findOne({ email: email });
     if (existingUser) {
         throw new ApiError(400, 'Email address is already registered.');
     }
 
-    // 2. Create User instance (don't save yet)
+    // 3. Create User instance (don't save yet) and enforce the password policy
     const newUser = new User({ email, password, firstName, lastName, role, phoneNumber });
+    await assertPasswordPolicy(password, newUser);
 
-    // 3. Based on role, create corresponding Profile document
+    // 4. Create the patient profile, then save the user with the linked profile ID (triggers validation and password hash)
     let profile = null;
     try {
-        if (role === UserRoles.PATIENT) {
-            profile = new PatientProfile({ userAccount: newUser._id, ...profileData });
-            await profile.save();
-            newUser.patientProfile = profile._id;
-        } else if (role === UserRoles.DOCTOR) {
-            profile = new DoctorProfile({ userAccount: newUser._id, ...profileData });
-            await profile.save();
-            newUser.doctorProfile = profile._id;
-        } else if (role === UserRoles.STAFF) {
-            profile = new StaffProfile({ userAccount: newUser._id, ...profileData });
-            await profile.save();
-            newUser.staffProfile = profile._id;
-        }
+        profile = new PatientProfile({ userAccount: newUser._id, ...profileData });
+        await profile.save();
+        newUser.patientProfile = profile._id;
 
-        // 4. Save the user with the linked profile ID (triggers validation and password hash)
         await newUser.save();
 
     } catch (error) {
-        // Clean up created user/profile if linking fails
+        // Clean up created profile if linking fails
         logger.error(`Registration Error: Failed to create profile or link user for ${email}`, error);
         if (profile && profile._id) {
-            if (role === UserRoles.PATIENT) await PatientProfile.findByIdAndDelete(profile._id).catch(e => logger.error("Cleanup failed:", e));
-            if (role === UserRoles.DOCTOR) await DoctorProfile.findByIdAndDelete(profile._id).catch(e => logger.error("Cleanup failed:", e));
-            if (role === UserRoles.STAFF) await StaffProfile.findByIdAndDelete(profile._id).catch(e => logger.error("Cleanup failed:", e));
+            await PatientProfile.findByIdAndDelete(profile._id).catch(e => logger.error("Cleanup failed:", e));
         }
-        // If user was created but profile failed, delete user (or handle differently)
-        // This assumes user creation itself didn't fail validation before profile creation attempt
-        // await User.findByIdAndDelete(newUser._id).catch(e => logger.error("User cleanup failed:", e));
 
         if (error.code === 11000) throw new ApiError(400, 'Duplicate value error during profile creation.');
         // Rethrow Mongoose validation errors directly
@@ -69,40 +115,139 @@ export const registerUser = async (userData) => {
         throw new ApiError(500, `User registration failed: ${error.message}`);
     }
 
-    // 5. Generate JWT access token
-    const payload = { id: newUser._id, role: newUser.role };
-    const accessToken = jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
+    // 5. Send the email verification link (registration still succeeds if sending fails; user can resend)
+    try {
+        await sendVerificationEmail(newUser);
+    } catch (emailError) {
+        logger.error(`Failed to send verification email to ${newUser.email}`, emailError);
+    }
+
+    // 6. Start a session and generate access/refresh tokens (or a 2FA challenge)
+    const authResult = await beginAuthentication(newUser, meta);
 
     logger.info(`User registered successfully: ${newUser.email} (ID: ${newUser._id})`);
     // Return user object (re-fetch with populated profile)
     const userObject = await getUserProfile(newUser._id, newUser.role); // Use getUserProfile
-    return { user: userObject, accessToken };
+    return { user: userObject, ...authResult };
 };
 
 /**
  * Logs in a user.
  * @param {string} email - User's email.
  * @param {string} password - User's plain text password.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress) for the new session.
  * @returns {Promise<object>} Object containing user and tokens.
  */
-export const loginUser = async (email, password) => {
+export const loginUser = async (email, password, meta = {}) => {
     logger.debug('AuthService: Attempting login for user:', email);
     const user = await User.findOne({ email: email, isDeleted: { $ne: true } }).select('+password +passwordChangedAt');
 
-    if (!user || !(await user.comparePassword(password))) {
+    if (!user) {
+        throw new ApiError(401, 'Invalid email or password.');
+    }
+    assertAccountNotLocked(user, true); // Same answer as an unknown email
+    if (!(await user.comparePassword(password))) {
+        await recordFailedLogin(user, meta);
         throw new ApiError(401, 'Invalid email or password.');
     }
     if (!user.isActive) {
         throw new ApiError(401, 'Account is inactive. Please contact support.');
     }
 
-    const payload = { id: user._id, role: user.role };
-    const accessToken = jwt.sign(payload, config.jwt.secret, { expiresIn: config.jwt.expiresIn });
+    const authResult = await beginAuthentication(user, meta);
+    if (authResult.twoFactorRequired) {
+        // Failed attempts are only cleared once the second factor succeeds
+        logger.info(`Password verified for ${user.email} (ID: ${user._id}); awaiting two-factor verification`);
+        return authResult;
+    }
+    await clearFailedLogins(user);
 
     logger.info(`User logged in successfully: ${user.email} (ID: ${user._id})`);
     // Return user object (re-fetch with populated profile)
     const userObject = await getUserProfile(user._id, user.role); // Use getUserProfile
-    return { user: userObject, accessToken };
+    return { user: userObject, ...authResult, passwordExpired: isPasswordExpired(user) };
+};
+
+/**
+ * Completes a login that required two-factor verification.
+ * @param {string} challengeToken - Challenge token returned by loginUser.
+ * @param {object} credentials - Either { code } or { recoveryCode }.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress) for the new session.
+ * @returns {Promise<object>} Object containing user, tokens and (after enrollment) recovery codes.
+ */
+export const verifyTwoFactorLogin = async (challengeToken, credentials, meta = {}) => {
+    logger.debug('AuthService: Verifying two-factor login');
+    const { user, recoveryCodes } = await completeLoginChallenge(challengeToken, credentials, meta);
+    await clearFailedLogins(user);
+    const { accessToken, refreshToken } = await issueAuthTokens(user, meta);
+
+    logger.info(`User logged in successfully with 2FA: ${user.email} (ID: ${user._id})`);
+    const userObject = await getUserProfile(user._id, user.role);
+    return { user: userObject, accessToken, refreshToken, passwordExpired: isPasswordExpired(user), ...(recoveryCodes && { recoveryCodes }) };
+};
+
+/**
+ * Exchanges a refresh token for a new access/refresh token pair (rotation).
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress).
+ * @returns {Promise<object>} Object containing the new tokens.
+ */
+export const refreshAuthTokens = async (refreshToken, meta = {}) => {
+    logger.debug('AuthService: Refreshing auth tokens');
+    const { session, refreshToken: newRefreshToken } = await rotateSession(refreshToken, meta);
+
+    const user = await User.findOne({ _id: session.user, isActive: true, isDeleted: { $ne: true } });
+    if (!user) {
+        await session.revoke('user_inactive');
+        throw new ApiError(401, 'User belonging to this session no longer exists or is inactive.');
+    }
+
+    const accessToken = signAccessToken(user, session._id);
+    return { accessToken, refreshToken: newRefreshToken };
+};
+
+/**
+ * Issues a short-lived token that lets an admin act as another user (support mode) - Admin only.
+ * The token carries the target's identity plus the admin's (imp) and is bound to the admin's session.
+ * @param {string} targetUserId - The ID of the user to impersonate.
+ * @param {object} adminUser - The admin starting the impersonation.
+ * @param {string} sessionId - The admin's current session.
+ * @returns {Promise<object>} Object containing the impersonation token, its expiry and the target user.
+ */
+export const startImpersonation = async (targetUserId, adminUser, sessionId) => {
+    logger.warn(`AuthService: Admin ${adminUser._id} requested impersonation of user ${targetUserId}`);
+    await assertCan(adminUser, 'users:impersonate', null, 'Forbidden: Only administrators can impersonate users.');
+    if (adminUser._id.equals(targetUserId)) {
+        throw new ApiError(400, 'You cannot impersonate yourself.');
+    }
+
+    const targetUser = await User.findOne({ _id: targetUserId, isActive: true, isDeleted: { $ne: true } });
+    if (!targetUser) {
+        throw new ApiError(404, 'User not found or inactive.');
+    }
+    if (targetUser.role === UserRoles.ADMIN) {
+        throw new ApiError(403, 'Administrators cannot be impersonated.');
+    }
+
+    const accessToken = jwt.sign(
+        { id: targetUser._id, role: targetUser.role, sid: sessionId, imp: adminUser._id },
+        config.jwt.secret,
+        { expiresIn: config.impersonation.expiresIn }
+    );
+    const { exp } = jwt.decode(accessToken);
+
+    logger.warn(`Impersonation started: admin ${adminUser._id} (${adminUser.email}) as user ${targetUser._id} (${targetUser.email})`);
+    const userObject = await getUserProfile(targetUser._id, targetUser.role);
+    return { accessToken, expiresAt: new Date(exp * 1000), user: userObject };
+};
+
+/**
+ * Logs out a user by revoking the session the request was made with.
+ * @param {string} sessionId - The ID of the current session.
+ */
+export const logoutUser = async (sessionId) => {
+    if (!sessionId) return;
+    await revokeSession(sessionId, 'logout');
 };
 
 /**
@@ -162,13 +307,127 @@ export const resetPasswordWithToken = async (token, newPassword) => {
         throw new ApiError(400, 'Token is invalid or has expired.');
     }
 
+    await assertPasswordPolicy(newPassword, user);
+
     user.password = newPassword;
+    // Proving control of the email address also lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lockoutCount = 0;
+    user.lockUntil = null;
     // passwordResetToken and passwordResetExpires are cleared by pre-save hook
     await user.save(); // Triggers pre-save hook
 
+    // Refresh tokens would otherwise outlive the old password
+    await revokeAllUserSessions(user._id, 'password_reset');
+
     logger.info(`Password reset successfully for user ${user.email}`);
 };
 
+// Tells the user their password was changed, so an unexpected change can be reported
+const sendPasswordChangedEmail = async (user, meta) => {
+    const resetURL = `${config.cors.origin[0]}/forgot-password`;
+    const message = `Hello ${user.firstName},\n\nThe password of your KonsulDok account was changed on ${new Date().toUTCString()}${meta.ipAddress ? ` from IP ${meta.ipAddress}` : ''}. All other devices have been signed out.\n\nIf you did not make this change, reset your password immediately at ${resetURL} and contact support.`;
+
+    await sendEmail({
+        to: user.email,
+        subject: 'Your KonsulDok password was changed',
+        text: message,
+    });
+    logger.info(`Password change notification sent to ${user.email}`);
+};
+
+/**
+ * Changes the password of a logged-in user after checking the current password.
+ * Other sessions are revoked; the current session stays signed in with freshly issued tokens
+ * (access tokens issued before the change are rejected via passwordChangedAt).
+ * @param {string} userId - The ID of the user.
+ * @param {string} currentPassword - The user's current password.
+ * @param {string} newPassword - The new password.
+ * @param {string} sessionId - The session the request was made with.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress) for the notification email.
+ * @returns {Promise<object>} Object containing the new tokens for the current session.
+ */
+export const changePassword = async (userId, currentPassword, newPassword, sessionId, meta = {}) => {
+    logger.debug(`AuthService: Attempting password change for user ${userId}`);
+    const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } }).select('+password +passwordHistory');
+    if (!user) {
+        throw new ApiError(404, 'User not found.');
+    }
+    // Wrong current passwords count towards the lockout, so a hijacked session cannot guess it
+    assertAccountNotLocked(user);
+    if (!(await user.comparePassword(currentPassword))) {
+        await recordFailedLogin(user, meta);
+        throw new ApiError(401, 'Current password is incorrect.');
+    }
+    await assertPasswordPolicy(newPassword, user);
+
+    user.password = newPassword;
+    await user.save(); // Triggers pre-save hook (hash, passwordChangedAt, history)
+
+    await revokeAllUserSessions(user._id, 'password_changed', sessionId);
+    const { refreshToken } = await renewSession(sessionId, user._id);
+    const accessToken = signAccessToken(user, sessionId);
+
+    try {
+        await sendPasswordChangedEmail(user, meta);
+    } catch (emailError) {
+        logger.error(`Failed to send password change email to ${user.email}`, emailError);
+    }
+
+    logger.info(`Password changed successfully for user ${user.email}`);
+    return { accessToken, refreshToken };
+};
+
+/**
+ * Marks a user's email address as verified using a signed verification token.
+ * @param {string} token - The verification token from the emailed link.
+ * @returns {Promise<void>}
+ */
+export const verifyEmailWithToken = async (token) => {
+    logger.debug('AuthService: Attempting email verification with token');
+    let decoded;
+    try {
+        decoded = jwt.verify(token, config.jwt.secret);
+    } catch (error) {
+        throw new ApiError(400, 'Verification link is invalid or has expired.');
+    }
+    if (decoded.purpose !== 'email_verification') {
+        throw new ApiError(400, 'Verification link is invalid or has expired.');
+    }
+
+    // Token only counts for the address it was issued for
+    const user = await User.findOne({ _id: decoded.id, email: decoded.email, isDeleted: { $ne: true } });
+    if (!user) {
+        throw new ApiError(400, 'Verification link is invalid or has expired.');
+    }
+    if (user.isEmailVerified) {
+        logger.info(`Email already verified for user ${user.email}`);
+        return;
+    }
+
+    user.isEmailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+    logger.info(`Email verified successfully for user ${user.email}`);
+};
+
+/**
+ * Sends a new verification email to an authenticated user.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<void>}
+ */
+export const resendVerificationEmail = async (userId) => {
+    logger.debug(`AuthService: Resending verification email for user ${userId}`);
+    const user = await User.findOne({ _id: userId, isActive: true, isDeleted: { $ne: true } });
+    if (!user) {
+        throw new ApiError(404, 'User not found or is inactive.');
+    }
+    if (user.isEmailVerified) {
+        throw new ApiError(400, 'Email address is already verified.');
+    }
+    await sendVerificationEmail(user);
+};
+
 /**
  * Fetches detailed profile based on user role by populating the relevant field.
  * @param {string} userId - User ID.
@@ -1,21 +1,33 @@
 // src/api/services/doctor.service.js
+import config from '../../config/index.js';
 import DoctorProfile from '../../models/doctorProfile.model.js';
 import User from '../../models/user.model.js'; // Needed for populating user details
 import Appointment from '../../models/appointment.model.js'; // --- ADDED: For conflict checking ---
+import SlotHold from '../../models/slotHold.model.js';
 import { ApiError } from '../../utils/ApiError.js';
 import logger from '../../utils/logger.js';
-import { UserRoles, AppointmentStatus } from '../../utils/constants.js'; // --- ADDED: AppointmentStatus ---
+import { ActiveAppointmentStatuses, UserRoles } from '../../utils/constants.js';
+import { addDaysToDateKey, blockedUntilExpression, eachDateKey, getBlockedMinutes, getDoctorTimeZone, getMinutesOfDay, isValidDateKey, minutesToTime, timeToMinutes, toDateKey, zonedTimeToDate } from '../../utils/schedule.js';
+import { getActiveAppointmentType, isOfferedByDoctor, offeringDoctorsFilter } from './appointmentType.service.js';
+import { assertCan, can } from './permission.service.js';
+import { loadScheduleCalendar } from './schedule.service.js';
+
+// Profile fields a doctor may edit on their own profile
+const selfEditableProfileFields = ['yearsOfExperience', 'qualifications', 'consultationFee', 'biography', 'languagesSpoken'];
+// Credentials and settings only Staff/Admin may change
+const staffOnlyProfileFields = ['specialty', 'licenseNumber', 'timezone'];
 
 /**
  * Get a list of active doctors suitable for booking appointments.
  * Populates essential user account information like name and profile picture.
- * @param {object} queryOptions - Options for filtering (e.g., specialty) and pagination.
+ * @param {object} queryOptions - Options for filtering (e.g., specialty, appointmentType offered) and pagination.
  * @returns {Promise<object>} Object containing list of doctors and pagination info.
  */
 export const getDoctorsForBooking = async (queryOptions = {}) => {
     logger.debug('DoctorService: Fetching doctors for booking with options:', queryOptions);
     const {
         specialty,
+        appointmentType, // Only doctors who offer this appointment type
         search, // Search by doctor's name
         sortBy = 'userAccountInfo.firstName', // Default sort by name
         order = 'asc',
@@ -69,6 +81,12 @@ export const getDoctorsForBooking = async (queryOptions = {}) => {
         pipeline.push({ $match: { specialty: { $regex: specialty, $options: 'i' } } });
     }
 
+    // Stage 6b: Only doctors offering the requested appointment type
+    if (appointmentType) {
+        const offeredType = await getActiveAppointmentType(appointmentType);
+        pipeline.push({ $match: offeringDoctorsFilter(offeredType) });
+    }
+
     // Stage 7: Apply search filter by name (firstName or lastName)
     if (search) {
         const searchRegex = new RegExp(search, 'i');
@@ -143,6 +161,122 @@ export const getDoctorsForBooking = async (queryOptions = {}) => {
 };
 
 
+const SLOT_INCREMENT_MINUTES = 15; // Check availability in 15-minute increments
+
+/**
+ * Loads the active appointments and slot holds of the given doctors that overlap a time range (one query each).
+ * Held slots are reported as busy so they are not offered to other patients while someone is checking out.
+ * @param {Array<string>} doctorIds - DoctorProfile IDs.
+ * @param {Date} rangeStart - Start of the range.
+ * @param {Date} rangeEnd - End of the range.
+ * @returns {Promise<Map<string, Array<{start: number, end: number}>>>} Busy intervals (epoch ms) per doctor ID.
+ */
+const loadBusyIntervals = async (doctorIds, rangeStart, rangeEnd) => {
+    // Check for overlap: (StartA < EndB) and (EndA > StartB)
+    const overlapsRange = {
+        appointmentTime: { $lt: rangeEnd },
+        $expr: { $gt: [blockedUntilExpression, rangeStart] } // Including the buffer after each booking
+    };
+    const [appointments, holds] = await Promise.all([
+        Appointment.find({
+            doctor: { $in: doctorIds },
+            status: { $in: ActiveAppointmentStatuses },
+            isDeleted: { $ne: true },
+            ...overlapsRange,
+        })
+            .select('doctor appointmentTime durationMinutes bufferMinutes')
+            .lean(),
+        SlotHold.find({ doctor: { $in: doctorIds }, expiresAt: { $gt: new Date() }, ...overlapsRange })
+            .select('doctor appointmentTime durationMinutes bufferMinutes')
+            .lean(),
+    ]);
+
+    const busyByDoctor = new Map();
+    [...appointments, ...holds].forEach(appointment => {
+        const doctorKey = appointment.doctor.toString();
+        if (!busyByDoctor.has(doctorKey)) busyByDoctor.set(doctorKey, []);
+        const start = appointment.appointmentTime.getTime();
+        busyByDoctor.get(doctorKey).push({ start, end: start + getBlockedMinutes(appointment) * 60000 });
+    });
+    return busyByDoctor;
+};
+
+/**
+ * Computes the free slot start times of one day from the working blocks and busy intervals (no DB access).
+ * @param {Array<{startTime: string, endTime: string}>} workingBlocks - Working blocks of the day.
+ * @param {string} dateKey - The day (YYYY-MM-DD).
+ * @param {string} timeZone - Timezone the working blocks are expressed in.
+ * @param {number} durationMinutes - Slot length.
+ * @param {Array<{start: number, end: number}>} busyIntervals - Booked intervals (epoch ms).
+ * @param {Date} notBefore - Slots starting before this time are skipped (past slots).
+ * @returns {Array<string>} Sorted "HH:MM" start times, in the given timezone.
+ */
+export const computeFreeSlots = (workingBlocks, dateKey, timeZone, durationMinutes, busyIntervals, notBefore) => {
+    const availableTimeSlots = [];
+
+    for (const workBlock of workingBlocks) {
+        const blockEndMinutes = timeToMinutes(workBlock.endTime);
+
+        for (let slotMinutes = timeToMinutes(workBlock.startTime); slotMinutes + durationMinutes <= blockEndMinutes; slotMinutes += SLOT_INCREMENT_MINUTES) {
+            const slotTime = minutesToTime(slotMinutes);
+            const potentialSlotStart = zonedTimeToDate(dateKey, slotTime, timeZone).getTime();
+            const potentialSlotEnd = potentialSlotStart + durationMinutes * 60000;
+
+            const hasConflict = busyIntervals.some(busy => busy.start < potentialSlotEnd && busy.end > potentialSlotStart);
+            if (!hasConflict && potentialSlotStart >= notBefore.getTime()) {
+                availableTimeSlots.push(slotTime);
+            }
+        }
+    }
+    return [...new Set(availableTimeSlots)].sort();
+};
+
+// Validates a YYYY-MM-DD query value
+const assertDateKey = (dateString, label = 'date') => {
+    if (!isValidDateKey(dateString)) {
+        throw new ApiError(400, `Invalid ${label} format provided. Use YYYY-MM-DD.`);
+    }
+    return dateString;
+};
+
+/**
+ * Computes free slots for several doctors over a range of days with a fixed number of queries
+ * (holidays, schedule exceptions and appointments are each loaded once for the whole range).
+ * Each doctor's days and slot times are in that doctor's timezone.
+ * @param {Array<object>} doctorProfiles - DoctorProfile documents.
+ * @param {string} fromKey - First date (YYYY-MM-DD).
+ * @param {string} toKey - Last date (YYYY-MM-DD, inclusive).
+ * @param {number} durationMinutes - Slot length.
+ * @returns {Promise<Map<string, Array<{date: string, availableSlots: Array<string>}>>>} Days with slots per doctor ID.
+ */
+export const computeAvailabilityForRange = async (doctorProfiles, fromKey, toKey, durationMinutes) => {
+    const doctorIds = doctorProfiles.map(doctorProfile => doctorProfile._id);
+    // Busy intervals must cover the range in every doctor's timezone
+    const rangeBounds = doctorProfiles.map(doctorProfile => ({
+        start: zonedTimeToDate(fromKey, '00:00', getDoctorTimeZone(doctorProfile)).getTime(),
+        end: zonedTimeToDate(addDaysToDateKey(toKey, 1), '00:00', getDoctorTimeZone(doctorProfile)).getTime(),
+    }));
+    const rangeStart = new Date(Math.min(...rangeBounds.map(bound => bound.start)));
+    const rangeEnd = new Date(Math.max(...rangeBounds.map(bound => bound.end)));
+    const [calendar, busyByDoctor] = await Promise.all([
+        loadScheduleCalendar(doctorIds, fromKey, toKey),
+        loadBusyIntervals(doctorIds, rangeStart, rangeEnd),
+    ]);
+
+    const now = new Date();
+    const dateKeys = eachDateKey(fromKey, toKey);
+    const availabilityByDoctor = new Map();
+    doctorProfiles.forEach(doctorProfile => {
+        const timeZone = getDoctorTimeZone(doctorProfile);
+        const busyIntervals = busyByDoctor.get(doctorProfile._id.toString()) || [];
+        availabilityByDoctor.set(doctorProfile._id.toString(), dateKeys.map(dateKey => ({
+            date: dateKey,
+            availableSlots: computeFreeSlots(calendar.getWorkingBlocks(doctorProfile, dateKey), dateKey, timeZone, durationMinutes, busyIntervals, now),
+        })));
+    });
+    return availabilityByDoctor;
+};
+
 /**
  * Fetches availability for a specific doctor for a given date.
  * @param {string} doctorId - The ID of the DoctorProfile.
@@ -152,67 +286,235 @@ export const getDoctorsForBooking = async (queryOptions = {}) => {
  */
 export const fetchDoctorAvailabilitySlots = async (doctorId, dateString, durationMinutes = 30) => {
     logger.debug(`DoctorService: Fetching availability for doctor ${doctorId} on ${dateString} for ${durationMinutes} mins`);
+    const { days: [day] } = await fetchDoctorAvailabilityRange(doctorId, dateString, dateString, durationMinutes);
+    return day.availableSlots;
+};
+
+/**
+ * Fetches availability for a specific doctor over a range of dates, grouped by day.
+ * @param {string} doctorId - The ID of the DoctorProfile.
+ * @param {string} fromString - First date (YYYY-MM-DD).
+ * @param {string} toString - Last date (YYYY-MM-DD, inclusive, at most config.availability.maxRangeDays days after from).
+ * @param {number} [durationMinutes=30] - The duration of the appointment slot.
+ * @returns {Promise<{timezone: string, days: Array<{date: string, availableSlots: Array<string>}>}>} The doctor's timezone (dates and
+ *          slot times are expressed in it) and one entry per day.
+ */
+export const fetchDoctorAvailabilityRange = async (doctorId, fromString, toString, durationMinutes = 30) => {
+    logger.debug(`DoctorService: Fetching availability for doctor ${doctorId} from ${fromString} to ${toString} for ${durationMinutes} mins`);
+
+    const fromKey = assertDateKey(fromString, 'from date');
+    const toKey = assertDateKey(toString, 'to date');
+    const dayCount = eachDateKey(fromKey, toKey).length;
+    if (dayCount === 0) {
+        throw new ApiError(400, 'The "to" date must not be before the "from" date.');
+    }
+    if (dayCount > config.availability.maxRangeDays) {
+        throw new ApiError(400, `Availability can be requested for at most ${config.availability.maxRangeDays} days at a time.`);
+    }
 
-    const doctorProfile = await DoctorProfile.findById(doctorId);
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } });
     if (!doctorProfile) {
         throw new ApiError(404, 'Doctor profile not found.');
     }
 
-    // Ensure dateString is treated as local date to avoid timezone shifts when getting dayOfWeek
-    const [year, month, day] = dateString.split('-').map(Number);
-    const requestedDate = new Date(year, month - 1, day); // Month is 0-indexed
+    const availabilityByDoctor = await computeAvailabilityForRange([doctorProfile], fromKey, toKey, durationMinutes);
+    return { timezone: getDoctorTimeZone(doctorProfile), days: availabilityByDoctor.get(doctorProfile._id.toString()) };
+};
 
-    if (isNaN(requestedDate.getTime())) {
-        throw new ApiError(400, 'Invalid date format provided. Use YYYY-MM-DD.');
+/**
+ * Finds the earliest open slot across all active doctors of a specialty.
+ * Searches forward in windows of config.availability.searchWindowDays, up to config.availability.nextAvailableMaxDays.
+ * With an appointment type, only doctors offering it are searched and its duration and buffer are used.
+ * @param {string} specialty - Doctor specialty (case-insensitive exact match).
+ * @param {number} [durationMinutes=30] - The duration of the appointment slot (ignored with an appointment type).
+ * @param {object|null} [appointmentType=null] - An active AppointmentType document.
+ * @returns {Promise<object|null>} { doctor, date, startTime, appointmentTime } or null when nothing is free.
+ */
+export const findNextAvailableSlot = async (specialty, durationMinutes = 30, appointmentType = null) => {
+    if (appointmentType) durationMinutes = appointmentType.defaultDurationMinutes;
+    const bufferMinutes = appointmentType?.bufferMinutes || 0;
+    const slotMinutes = getBlockedMinutes({ durationMinutes, bufferMinutes });
+    logger.debug(`DoctorService: Searching next available ${slotMinutes} min slot for specialty ${specialty}`, { appointmentType: appointmentType?._id });
+    const { searchWindowDays, nextAvailableMaxDays } = config.availability;
+
+    const escapedSpecialty = specialty.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const doctorProfiles = (await DoctorProfile.find({ specialty: { $regex: `^${escapedSpecialty}$`, $options: 'i' }, isDeleted: { $ne: true } })
+        .populate('userAccount', 'firstName lastName profilePictureUrl isActive isDeleted role'))
+        .filter(doctorProfile => doctorProfile.userAccount?.isActive && !doctorProfile.userAccount.isDeleted && doctorProfile.userAccount.role === UserRoles.DOCTOR)
+        .filter(doctorProfile => !appointmentType || isOfferedByDoctor(appointmentType, doctorProfile));
+
+    if (doctorProfiles.length === 0) {
+        logger.debug(`DoctorService: No active doctors with specialty ${specialty}`);
+        return null;
     }
-    const dayOfWeek = requestedDate.getDay(); // 0 (Sunday) - 6 (Saturday)
 
-    const workingSlots = doctorProfile.weeklySchedule.filter(slot => slot.dayOfWeek === dayOfWeek);
-    if (workingSlots.length === 0) {
-        logger.debug(`Doctor ${doctorId} has no schedule for dayOfWeek ${dayOfWeek} on ${dateString}`);
-        return [];
+    // Start from the earliest "today" among the doctors' timezones so no doctor's current day is skipped
+    const searchStart = doctorProfiles.map(doctorProfile => toDateKey(new Date(), getDoctorTimeZone(doctorProfile))).sort()[0];
+    for (let offset = 0; offset < nextAvailableMaxDays; offset += searchWindowDays) {
+        const windowStart = addDaysToDateKey(searchStart, offset);
+        const windowEnd = addDaysToDateKey(searchStart, Math.min(offset + searchWindowDays, nextAvailableMaxDays) - 1);
+        const availabilityByDoctor = await computeAvailabilityForRange(doctorProfiles, windowStart, windowEnd, slotMinutes);
+
+        let earliest = null;
+        doctorProfiles.forEach(doctorProfile => {
+            const firstDay = availabilityByDoctor.get(doctorProfile._id.toString()).find(day => day.availableSlots.length > 0);
+            if (!firstDay) return;
+            const candidate = {
+                doctorProfile,
+                date: firstDay.date,
+                startTime: firstDay.availableSlots[0],
+                appointmentTime: zonedTimeToDate(firstDay.date, firstDay.availableSlots[0], getDoctorTimeZone(doctorProfile)),
+            };
+            // Compare instants, since doctors may be in different timezones
+            if (!earliest || candidate.appointmentTime < earliest.appointmentTime) {
+                earliest = candidate;
+            }
+        });
+
+        if (earliest) {
+            const { doctorProfile, appointmentTime } = earliest;
+            return {
+                doctor: {
+                    _id: doctorProfile._id,
+                    specialty: doctorProfile.specialty,
+                    consultationFee: doctorProfile.consultationFee,
+                    timezone: getDoctorTimeZone(doctorProfile),
+                    userAccount: {
+                        _id: doctorProfile.userAccount._id,
+                        firstName: doctorProfile.userAccount.firstName,
+                        lastName: doctorProfile.userAccount.lastName,
+                        fullName: `${doctorProfile.userAccount.firstName} ${doctorProfile.userAccount.lastName}`.trim(),
+                        profilePictureUrl: doctorProfile.userAccount.profilePictureUrl,
+                    },
+                },
+                date: earliest.date,
+                startTime: earliest.startTime,
+                durationMinutes,
+                bufferMinutes,
+                appointmentType: appointmentType?._id || null,
+                appointmentTime,
+            };
+        }
     }
 
-    const availableTimeSlots = [];
-    const slotIncrement = 15; // Check availability in 15-minute increments
+    logger.debug(`DoctorService: No free slot for specialty ${specialty} in the next ${nextAvailableMaxDays} days`);
+    return null;
+};
 
-    for (const workBlock of workingSlots) {
-        const blockStartTimeParts = workBlock.startTime.split(':').map(Number);
-        const blockEndTimeParts = workBlock.endTime.split(':').map(Number);
+// Loads an active doctor profile or throws 404
+const findDoctorProfile = async (doctorId) => {
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } });
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+    return doctorProfile;
+};
 
-        let currentSlotTime = new Date(requestedDate); // Use the correctly parsed local date
-        currentSlotTime.setHours(blockStartTimeParts[0], blockStartTimeParts[1], 0, 0);
+/**
+ * Finds the doctor's upcoming appointments that no longer fit into their working blocks
+ * (weekly schedule adjusted for holidays and schedule exceptions).
+ * @param {object} doctorProfile - The DoctorProfile document.
+ * @returns {Promise<Array<object>>} Appointments outside the schedule (lean, minimal fields).
+ */
+const findAppointmentsOutsideSchedule = async (doctorProfile) => {
+    const upcomingAppointments = await Appointment.find({
+        doctor: doctorProfile._id,
+        status: { $in: ActiveAppointmentStatuses },
+        isDeleted: { $ne: true },
+        appointmentTime: { $gte: new Date() },
+    })
+        .select('patient appointmentTime durationMinutes status')
+        .sort({ appointmentTime: 1 })
+        .lean();
+
+    if (upcomingAppointments.length === 0) return [];
+
+    const timeZone = getDoctorTimeZone(doctorProfile);
+    const calendar = await loadScheduleCalendar(
+        [doctorProfile._id],
+        toDateKey(upcomingAppointments[0].appointmentTime, timeZone),
+        toDateKey(upcomingAppointments[upcomingAppointments.length - 1].appointmentTime, timeZone)
+    );
+    return upcomingAppointments.filter(appointment => {
+        const start = getMinutesOfDay(appointment.appointmentTime, timeZone);
+        const end = start + appointment.durationMinutes;
+        return !calendar.getWorkingBlocks(doctorProfile, toDateKey(appointment.appointmentTime, timeZone))
+            .some(block => start >= timeToMinutes(block.startTime) && end <= timeToMinutes(block.endTime));
+    });
+};
 
-        const blockEndTime = new Date(requestedDate); // Use the correctly parsed local date
-        blockEndTime.setHours(blockEndTimeParts[0], blockEndTimeParts[1], 0, 0);
+/**
+ * Get a doctor's weekly schedule.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {object} requestingUser - The doctor themselves, Staff or Admin.
+ * @returns {Promise<object>} { doctorId, weeklySchedule }.
+ */
+export const getDoctorSchedule = async (doctorId, requestingUser) => {
+    logger.debug(`DoctorService: Fetching weekly schedule of doctor ${doctorId} for user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'schedules:manage', { doctor: doctorId }, "Forbidden: You are not authorized to view this doctor's schedule.");
+    const doctorProfile = await findDoctorProfile(doctorId);
+    return { doctorId: doctorProfile._id, weeklySchedule: doctorProfile.weeklySchedule };
+};
 
-        while (currentSlotTime < blockEndTime) {
-            const potentialSlotStart = new Date(currentSlotTime);
-            const potentialSlotEnd = new Date(potentialSlotStart.getTime() + durationMinutes * 60000);
+/**
+ * Replace a doctor's weekly schedule. Overlapping blocks are rejected by the DoctorProfile model.
+ * Existing appointments are never moved; the upcoming ones that fall outside the new schedule are reported.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {Array<object>} weeklySchedule - Full list of { dayOfWeek, startTime, endTime } blocks.
+ * @param {object} requestingUser - The doctor themselves, Staff or Admin.
+ * @returns {Promise<object>} { doctorId, weeklySchedule, appointmentsOutsideSchedule, warning }.
+ */
+export const updateDoctorSchedule = async (doctorId, weeklySchedule, requestingUser) => {
+    logger.debug(`DoctorService: Replacing weekly schedule of doctor ${doctorId} by user ${requestingUser._id}`, { weeklySchedule });
+    await assertCan(requestingUser, 'schedules:manage', { doctor: doctorId }, "Forbidden: You are not authorized to manage this doctor's schedule.");
+    const doctorProfile = await findDoctorProfile(doctorId);
+
+    doctorProfile.weeklySchedule = weeklySchedule;
+    doctorProfile.updatedBy = requestingUser._id;
+    await doctorProfile.save();
+    logger.info(`Weekly schedule of doctor ${doctorId} updated by ${requestingUser._id} (${weeklySchedule.length} block(s))`);
+
+    const appointmentsOutsideSchedule = await findAppointmentsOutsideSchedule(doctorProfile);
+    if (appointmentsOutsideSchedule.length) {
+        logger.warn(`DoctorService: ${appointmentsOutsideSchedule.length} upcoming appointment(s) of doctor ${doctorId} fall outside the new schedule`);
+    }
 
-            if (potentialSlotEnd > blockEndTime) {
-                break;
-            }
+    return {
+        doctorId: doctorProfile._id,
+        weeklySchedule: doctorProfile.weeklySchedule,
+        appointmentsOutsideSchedule,
+        warning: appointmentsOutsideSchedule.length
+            ? `${appointmentsOutsideSchedule.length} upcoming appointment(s) fall outside the new schedule. They were not changed; reschedule or cancel them as needed.`
+            : null,
+    };
+};
 
-            // Check for conflicts with existing appointments
-            const conflictQuery = {
-                doctor: doctorId,
-                status: { $in: [AppointmentStatus.CONFIRMED, AppointmentStatus.REQUESTED] },
-                isDeleted: { $ne: true },
-                // Check for overlap: (StartA < EndB) and (EndA > StartB)
-                appointmentTime: { $lt: potentialSlotEnd },
-                $expr: { $gt: [{ $add: ["$appointmentTime", { $multiply: ["$durationMinutes", 60000] }] }, potentialSlotStart] }
-            };
+/**
+ * Update a doctor's profile. Doctors can edit their own details;
+ * specialty, license number and timezone can only be changed by users allowed to update any doctor (Staff/Admin).
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {object} updateData - Profile fields to update.
+ * @param {object} requestingUser - The doctor themselves, Staff or Admin.
+ * @returns {Promise<object>} The updated doctor profile.
+ */
+export const updateDoctorProfile = async (doctorId, updateData, requestingUser) => {
+    logger.debug(`DoctorService: Updating profile of doctor ${doctorId} by user ${requestingUser._id}`, { updateData });
+    await assertCan(requestingUser, 'doctors:update', { doctor: doctorId }, "Forbidden: You are not authorized to update this doctor's profile.");
+    const canUpdateAnyDoctor = await can(requestingUser, 'doctors:update');
+    const doctorProfile = await findDoctorProfile(doctorId);
+
+    const allowedFields = canUpdateAnyDoctor ? [...selfEditableProfileFields, ...staffOnlyProfileFields] : selfEditableProfileFields;
+    const disallowed = staffOnlyProfileFields.filter(field => updateData[field] !== undefined && !allowedFields.includes(field));
+    if (disallowed.length) {
+        throw new ApiError(403, `Forbidden: Only Staff or Admin can change ${disallowed.join(', ')}.`);
+    }
 
-            const conflictingAppointment = await Appointment.findOne(conflictQuery);
+    allowedFields.forEach(field => {
+        if (updateData[field] !== undefined) doctorProfile[field] = updateData[field];
+    });
+    doctorProfile.updatedBy = requestingUser._id;
+    await doctorProfile.save();
 
-            if (!conflictingAppointment) {
-                availableTimeSlots.push(
-                    `${String(potentialSlotStart.getHours()).padStart(2, '0')}:${String(potentialSlotStart.getMinutes()).padStart(2, '0')}`
-                );
-            }
-            currentSlotTime = new Date(currentSlotTime.getTime() + slotIncrement * 60000);
-        }
-    }
-    return [...new Set(availableTimeSlots)].sort();
+    logger.info(`Profile of doctor ${doctorId} updated by ${requestingUser._id}`);
+    return DoctorProfile.findById(doctorId)
+        .populate('userAccount', 'firstName lastName email phoneNumber profilePictureUrl')
+        .select('-__v');
 };
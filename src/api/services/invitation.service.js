@@ -0,0 +1,257 @@
+// src/api/services/invitation.service.js
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import config from '../../config/index.js';
+import DoctorProfile from '../../models/doctorProfile.model.js';
+import Invitation from '../../models/invitation.model.js';
+import StaffProfile from '../../models/staffProfile.model.js';
+import User from '../../models/user.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { InvitationStatus, UserRoles } from '../../utils/constants.js';
+import { sendEmail } from '../../utils/emailSender.js';
+import logger from '../../utils/logger.js';
+import { assertPasswordPolicy } from '../../utils/passwordPolicy.js';
+import { getUserProfile } from './auth.service.js';
+import { assertCan } from './permission.service.js';
+
+// Profile document created for each invitable role (Admins have no profile)
+const profileConfigByRole = {
+    [UserRoles.DOCTOR]: { model: DoctorProfile, userField: 'doctorProfile' },
+    [UserRoles.STAFF]: { model: StaffProfile, userField: 'staffProfile' },
+};
+
+// Emails the invitation link to the invitee
+const sendInvitationEmail = async (invitation, token) => {
+    const acceptURL = `${config.cors.origin[0]}/accept-invitation/${token}`;
+    const message = `Hello ${invitation.firstName},\n\nYou have been invited to join KonsulDok as ${invitation.role}. Set your password by submitting a POST request to: ${acceptURL}\nThis link expires in ${config.invitation.expiresInDays} day(s). If you were not expecting this invitation, please ignore this email.`;
+
+    await sendEmail({
+        to: invitation.email,
+        subject: 'You have been invited to KonsulDok',
+        text: message,
+    });
+    logger.info(`Invitation email sent to ${invitation.email}`);
+};
+
+// Finds a pending, unexpired invitation by its unhashed token
+const findPendingInvitationByToken = async (token) => {
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const invitation = await Invitation.findOne({
+        tokenHash,
+        status: InvitationStatus.PENDING,
+        expiresAt: { $gt: Date.now() },
+    });
+    if (!invitation) {
+        throw new ApiError(400, 'Invitation is invalid, has expired or was already used.');
+    }
+    return invitation;
+};
+
+/**
+ * Creates a pending invitation for a Doctor/Staff/Admin account and emails the link - Admin only.
+ * @param {object} invitationData - Invitee details and role-specific profile fields.
+ * @param {object} invitedByUser - The admin sending the invitation.
+ * @returns {Promise<object>} The created invitation document.
+ */
+export const createInvitation = async (invitationData, invitedByUser) => {
+    const { email, role, firstName, lastName, phoneNumber, ...profileData } = invitationData;
+    logger.debug(`InvitationService: Admin ${invitedByUser._id} inviting ${email} as ${role}`);
+    await assertCan(invitedByUser, 'invitations:manage', null, 'Forbidden: You are not authorized to invite users.');
+
+    if (await User.countDocuments({ email })) {
+        throw new ApiError(400, 'Email address is already registered.');
+    }
+    if (await Invitation.countDocuments({ email, status: InvitationStatus.PENDING, expiresAt: { $gt: Date.now() } })) {
+        throw new ApiError(400, 'A pending invitation already exists for this email. Resend it instead.');
+    }
+
+    // Validate profile fields now so the invitee cannot hit a validation error when accepting
+    const profileConfig = profileConfigByRole[role];
+    if (profileConfig) {
+        const validationError = new profileConfig.model({ userAccount: new mongoose.Types.ObjectId(), ...profileData }).validateSync();
+        if (validationError) throw validationError;
+        if (role === UserRoles.DOCTOR && await DoctorProfile.countDocuments({ licenseNumber: profileData.licenseNumber })) {
+            throw new ApiError(400, 'A doctor with this license number already exists.');
+        }
+    }
+
+    const invitation = new Invitation({
+        email,
+        role,
+        firstName,
+        lastName,
+        phoneNumber,
+        profileData: profileConfig ? profileData : {},
+        invitedBy: invitedByUser._id,
+        createdBy: invitedByUser._id,
+    });
+    const token = invitation.createInvitationToken(config.invitation.expiresInDays);
+    await invitation.save();
+
+    try {
+        await sendInvitationEmail(invitation, token);
+    } catch (emailError) {
+        logger.error(`Failed to send invitation email to ${email}`, emailError);
+        await Invitation.deleteOne({ _id: invitation._id });
+        throw new ApiError(500, 'Failed to send invitation email. Please try again later.');
+    }
+
+    logger.info(`Invitation ${invitation._id} created for ${email} (${role}) by admin ${invitedByUser._id}`);
+    return invitation;
+};
+
+/**
+ * Get a list of invitations (with filtering/pagination) - Admin only.
+ * @param {object} queryOptions - Options for filtering (status, role), sorting, pagination (limit, page).
+ * @returns {Promise<object>} Object containing list of invitations and pagination info.
+ */
+export const getInvitations = async (queryOptions = {}) => {
+    logger.debug('InvitationService: Fetching invitations with options:', queryOptions);
+    const { status, role, sortBy = 'createdAt', order = 'desc', limit = 10, page = 1 } = queryOptions;
+
+    const filter = { isDeleted: { $ne: true } };
+    if (status) filter.status = status;
+    if (role) filter.role = role;
+
+    const sort = {};
+    sort[sortBy] = order === 'asc' ? 1 : -1;
+
+    const limitValue = parseInt(limit, 10);
+    const pageValue = parseInt(page, 10);
+    const skip = (pageValue - 1) * limitValue;
+
+    try {
+        const invitations = await Invitation.find(filter)
+            .populate('invitedBy', 'firstName lastName email')
+            .sort(sort)
+            .skip(skip)
+            .limit(limitValue)
+            .select('-__v');
+
+        const totalCount = await Invitation.countDocuments(filter);
+
+        return {
+            invitations,
+            totalPages: Math.ceil(totalCount / limitValue),
+            currentPage: pageValue,
+            totalCount,
+        };
+    } catch (error) {
+        logger.error('InvitationService: Error fetching invitations:', error);
+        throw new ApiError(500, 'Failed to retrieve invitations.');
+    }
+};
+
+/**
+ * Issues a new link for a pending invitation and emails it again - Admin only.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {object} requestingUser - The admin resending the invitation.
+ * @returns {Promise<object>} The updated invitation document.
+ */
+export const resendInvitation = async (invitationId, requestingUser) => {
+    logger.debug(`InvitationService: Resending invitation ${invitationId} by admin ${requestingUser._id}`);
+    await assertCan(requestingUser, 'invitations:manage', null, 'Forbidden: You are not authorized to manage invitations.');
+    const invitation = await Invitation.findOne({ _id: invitationId, status: InvitationStatus.PENDING });
+    if (!invitation) {
+        throw new ApiError(404, 'Pending invitation not found.');
+    }
+
+    const token = invitation.createInvitationToken(config.invitation.expiresInDays);
+    invitation.updatedBy = requestingUser._id;
+    await invitation.save();
+    await sendInvitationEmail(invitation, token);
+
+    logger.info(`Invitation ${invitationId} resent by admin ${requestingUser._id}`);
+    return invitation;
+};
+
+/**
+ * Revokes a pending invitation so its link can no longer be used - Admin only.
+ * @param {string} invitationId - The ID of the invitation.
+ * @param {object} requestingUser - The admin revoking the invitation.
+ * @returns {Promise<void>}
+ */
+export const revokeInvitation = async (invitationId, requestingUser) => {
+    logger.warn(`InvitationService: Revoking invitation ${invitationId} by admin ${requestingUser._id}`);
+    await assertCan(requestingUser, 'invitations:manage', null, 'Forbidden: You are not authorized to manage invitations.');
+    const invitation = await Invitation.findOne({ _id: invitationId, status: InvitationStatus.PENDING });
+    if (!invitation) {
+        throw new ApiError(404, 'Pending invitation not found.');
+    }
+    invitation.status = InvitationStatus.REVOKED;
+    invitation.updatedBy = requestingUser._id;
+    await invitation.save();
+    logger.info(`Invitation ${invitationId} revoked by admin ${requestingUser._id}`);
+};
+
+/**
+ * Returns the public details of a pending invitation (to prefill the accept form).
+ * @param {string} token - The unhashed invitation token from the emailed link.
+ * @returns {Promise<object>} Invitee email, name and role.
+ */
+export const getInvitationByToken = async (token) => {
+    const invitation = await findPendingInvitationByToken(token);
+    const { email, role, firstName, lastName, expiresAt } = invitation;
+    return { email, role, firstName, lastName, expiresAt };
+};
+
+/**
+ * Accepts an invitation: creates the user with the invited role and its profile.
+ * The email address counts as verified since the invitee received the link.
+ * @param {string} token - The unhashed invitation token from the emailed link.
+ * @param {object} acceptData - Data provided by the invitee (password, optional phoneNumber).
+ * @returns {Promise<object>} The created user populated with its profile.
+ */
+export const acceptInvitation = async (token, acceptData) => {
+    logger.debug('InvitationService: Accepting invitation');
+    const invitation = await findPendingInvitationByToken(token);
+
+    if (await User.countDocuments({ email: invitation.email })) {
+        throw new ApiError(400, 'Email address is already registered.');
+    }
+
+    const newUser = new User({
+        email: invitation.email,
+        password: acceptData.password,
+        firstName: invitation.firstName,
+        lastName: invitation.lastName,
+        phoneNumber: acceptData.phoneNumber || invitation.phoneNumber,
+        role: invitation.role,
+        isEmailVerified: true,
+        emailVerifiedAt: new Date(),
+        createdBy: invitation.invitedBy,
+    });
+    await assertPasswordPolicy(acceptData.password, newUser);
+
+    const profileConfig = profileConfigByRole[invitation.role];
+    let profile = null;
+    try {
+        if (profileConfig) {
+            profile = new profileConfig.model({
+                ...invitation.profileData,
+                userAccount: newUser._id,
+                createdBy: invitation.invitedBy,
+            });
+            await profile.save();
+            newUser[profileConfig.userField] = profile._id;
+        }
+        await newUser.save();
+    } catch (error) {
+        logger.error(`Invitation Error: Failed to create account for ${invitation.email}`, error);
+        if (profile && profile._id) {
+            await profileConfig.model.findByIdAndDelete(profile._id).catch(e => logger.error('Cleanup failed:', e));
+        }
+        if (error.code === 11000) throw new ApiError(400, 'Duplicate value error during account creation.');
+        if (error.name === 'ValidationError') throw error;
+        throw new ApiError(500, `Account creation failed: ${error.message}`);
+    }
+
+    invitation.status = InvitationStatus.ACCEPTED;
+    invitation.acceptedAt = new Date();
+    invitation.acceptedUser = newUser._id;
+    invitation.updatedBy = newUser._id;
+    await invitation.save();
+
+    logger.info(`Invitation ${invitation._id} accepted; ${invitation.role} user ${newUser._id} created for ${newUser.email}`);
+    return getUserProfile(newUser._id, newUser.role);
+};
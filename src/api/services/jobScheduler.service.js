@@ -0,0 +1,191 @@
+// src/api/services/jobScheduler.service.js
+import os from 'os';
+import config from '../../config/index.js';
+import ScheduledJob from '../../models/scheduledJob.model.js';
+import { now } from '../../utils/clock.js';
+import { JobStatus } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+// Job name -> async (payload, job) => void
+const handlers = new Map();
+
+/**
+ * Registers the function that runs jobs of a name. A handler that throws is retried with
+ * exponential backoff until the job's maxAttempts are used up (job.attempts counts the current run).
+ * @param {string} name - Job name, e.g. "appointment-reminder".
+ * @param {function(object, object): Promise<void>} handler - Called with the job payload and the job document.
+ */
+export const registerJobHandler = (name, handler) => {
+    handlers.set(name, handler);
+};
+
+/**
+ * Stores a job to run at runAt.
+ * @param {string} name - Job name (a handler must be registered before it runs).
+ * @param {Date} runAt - When the job becomes due.
+ * @param {object} [payload={}] - Data passed to the handler (stored as-is, keep it small).
+ * @param {object} [options]
+ * @param {string} [options.uniqueKey] - Deduplicates: an existing job with the key is returned instead of adding another.
+ * @param {number} [options.maxAttempts=config.jobs.maxAttempts]
+ * @returns {Promise<object>} The job document.
+ */
+export const scheduleJob = async (name, runAt, payload = {}, { uniqueKey, maxAttempts = config.jobs.maxAttempts } = {}) => {
+    if (!uniqueKey) {
+        return ScheduledJob.create({ name, runAt, payload, maxAttempts });
+    }
+    try {
+        return await ScheduledJob.findOneAndUpdate(
+            { uniqueKey },
+            { $setOnInsert: { name, runAt, payload, maxAttempts, status: JobStatus.PENDING, attempts: 0 } },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Two concurrent upserts of the same key: one of them inserted it
+        if (error.code !== 11000) throw error;
+        return ScheduledJob.findOne({ uniqueKey });
+    }
+};
+
+/**
+ * Makes sure a recurring job exists (one per name, shared by all server processes) and uses the given interval.
+ * A new recurring job is due right away; failures are not retried, the next run comes after the interval.
+ * @param {string} name - Job name.
+ * @param {number} intervalSeconds - Time between the end of one run and the next.
+ * @param {object} [payload={}] - Data passed to the handler.
+ * @returns {Promise<object>} The job document.
+ */
+export const scheduleRecurringJob = async (name, intervalSeconds, payload = {}) => {
+    const uniqueKey = `recurring:${name}`;
+    const update = {
+        $set: { repeatIntervalSeconds: intervalSeconds },
+        $setOnInsert: { name, payload, runAt: now(), status: JobStatus.PENDING, attempts: 0, maxAttempts: 1 },
+    };
+    try {
+        return await ScheduledJob.findOneAndUpdate({ uniqueKey }, update, { upsert: true, new: true });
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        return ScheduledJob.findOneAndUpdate({ uniqueKey }, update, { new: true });
+    }
+};
+
+/**
+ * Cancels the pending jobs of a name whose payload matches. Their unique keys are freed,
+ * so the same work can be scheduled again later.
+ * @param {string} name - Job name.
+ * @param {object} [payloadFilter={}] - Payload fields to match, e.g. { appointmentId }.
+ * @returns {Promise<number>} Number of jobs cancelled.
+ */
+export const cancelJobs = async (name, payloadFilter = {}) => {
+    const filter = { name, status: JobStatus.PENDING };
+    Object.entries(payloadFilter).forEach(([field, value]) => {
+        filter[`payload.${field}`] = value;
+    });
+    const result = await ScheduledJob.updateMany(filter, {
+        $set: { status: JobStatus.CANCELLED, finishedAt: now() },
+        $unset: { uniqueKey: 1 },
+    });
+    return result.modifiedCount;
+};
+
+// Runs one claimed job and records the outcome
+const runJob = async (job) => {
+    const handler = handlers.get(job.name);
+    try {
+        if (!handler) throw new Error(`No handler registered for job "${job.name}".`);
+        await handler(job.payload, job);
+        job.status = JobStatus.COMPLETED;
+        job.finishedAt = now();
+        logger.debug(`JobSchedulerService: Job ${job._id} (${job.name}) completed`);
+    } catch (error) {
+        job.lastError = error.message;
+        if (job.repeatIntervalSeconds) {
+            logger.error(`JobSchedulerService: Recurring job ${job._id} (${job.name}) failed: ${error.message}`);
+        } else if (!handler || job.attempts >= job.maxAttempts) {
+            job.status = JobStatus.FAILED;
+            job.finishedAt = now();
+            logger.error(`JobSchedulerService: Job ${job._id} (${job.name}) failed after ${job.attempts} attempt(s): ${error.message}`);
+        } else {
+            const delayMs = config.jobs.retryDelaySeconds * 1000 * 2 ** (job.attempts - 1);
+            job.status = JobStatus.PENDING;
+            job.runAt = new Date(now().getTime() + delayMs);
+            logger.warn(`JobSchedulerService: Job ${job._id} (${job.name}) attempt ${job.attempts} failed, retrying at ${job.runAt.toISOString()}: ${error.message}`);
+        }
+    }
+    // Recurring jobs never finish: whatever the outcome, they are due again after their interval
+    if (job.repeatIntervalSeconds) {
+        job.status = JobStatus.PENDING;
+        job.runAt = new Date(now().getTime() + job.repeatIntervalSeconds * 1000);
+        job.attempts = 0;
+        job.finishedAt = undefined;
+    }
+    job.lockedAt = null;
+    job.lockedBy = null;
+    await job.save();
+};
+
+/**
+ * Claims and runs the jobs that are due, oldest first. Jobs left "running" by a process that died
+ * are picked up again after config.jobs.lockTimeoutSeconds. Tests can call this directly after moving a fake clock.
+ * @param {object} [options]
+ * @param {number} [options.limit=config.jobs.batchSize] - Most jobs to run in this call.
+ * @returns {Promise<number>} Number of jobs run.
+ */
+export const runDueJobs = async ({ limit = config.jobs.batchSize } = {}) => {
+    let processed = 0;
+    while (processed < limit) {
+        const currentTime = now();
+        const staleLockTime = new Date(currentTime.getTime() - config.jobs.lockTimeoutSeconds * 1000);
+        const job = await ScheduledJob.findOneAndUpdate(
+            {
+                runAt: { $lte: currentTime },
+                $or: [
+                    { status: JobStatus.PENDING },
+                    { status: JobStatus.RUNNING, lockedAt: { $lte: staleLockTime } },
+                ],
+            },
+            { $set: { status: JobStatus.RUNNING, lockedAt: currentTime, lockedBy: WORKER_ID }, $inc: { attempts: 1 } },
+            { sort: { runAt: 1 }, new: true }
+        );
+        if (!job) break;
+        await runJob(job);
+        processed++;
+    }
+    return processed;
+};
+
+let pollTimer = null;
+
+/**
+ * Polls for due jobs every config.jobs.pollIntervalSeconds (called once at server start).
+ */
+export const startJobScheduler = () => {
+    if (pollTimer) return;
+    let isPolling = false;
+    const poll = async () => {
+        if (isPolling) return;
+        isPolling = true;
+        try {
+            await runDueJobs();
+        } catch (error) {
+            logger.error(`JobSchedulerService: Poll failed: ${error.message}`, { error });
+        } finally {
+            isPolling = false;
+        }
+    };
+    pollTimer = setInterval(poll, config.jobs.pollIntervalSeconds * 1000);
+    pollTimer.unref(); // Never keeps the process alive on its own
+    poll(); // Catch up on jobs that became due while the server was down
+    logger.info(`Job scheduler started (every ${config.jobs.pollIntervalSeconds}s) as ${WORKER_ID}`);
+};
+
+/**
+ * Stops polling (a job already running is allowed to finish).
+ */
+export const stopJobScheduler = () => {
+    if (!pollTimer) return;
+    clearInterval(pollTimer);
+    pollTimer = null;
+    logger.info('Job scheduler stopped.');
+};
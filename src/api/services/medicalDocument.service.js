@@ -4,8 +4,8 @@ import config from '../../config/index.js'; // Adjust path
 import MedicalDocument from '../../models/medicalDocument.model.js'; // Adjust path
 import PatientProfile from '../../models/patientProfile.model.js'; // Adjust path
 import { ApiError } from '../../utils/ApiError.js'; // Adjust path
-import { UserRoles } from '../../utils/constants.js'; // Adjust path
 import logger from '../../utils/logger.js'; // Adjust path
+import { assertCan, can } from './permission.service.js';
 
 /**
  * Uploads a file to Cloudinary and creates a corresponding metadata document.
@@ -32,8 +32,11 @@ export const uploadMedicalDocument = async (localPath, fileMetadata, patientId,
         throw new ApiError(404, `Patient profile not found with ID: ${patientId}`);
     }
 
-    // TODO: Add permission check: Is uploadedByUser allowed to upload for this patient?
-    // (e.g., Patient themselves, assigned Doctor/Staff, Admin)
+    // Permission check: patient themselves, the patient's doctors, or roles allowed to upload for anyone
+    if (!(await can(uploadedByUser, 'documents:create', { patient: patientId }))) {
+        try { fs.unlinkSync(localPath); } catch (e) { logger.error(`Failed to cleanup temp file ${localPath} after permission check failure.`); }
+        throw new ApiError(403, 'Forbidden: You are not authorized to upload documents for this patient.');
+    }
 
     try {
         // 1. Upload file to Cloudinary
@@ -94,10 +97,12 @@ export const uploadMedicalDocument = async (localPath, fileMetadata, patientId,
  * Get medical documents for a specific patient.
  * @param {string} patientId - The ID of the PatientProfile.
  * @param {object} queryOptions - Filtering (tags, date), sorting, pagination (limit, page).
+ * @param {object} requestingUser - The user requesting the documents (for permission check).
  * @returns {Promise<object>} List of document metadata and pagination info.
  */
-export const getMedicalDocumentsByPatient = async (patientId, queryOptions = {}) => {
+export const getMedicalDocumentsByPatient = async (patientId, queryOptions = {}, requestingUser) => {
     logger.debug(`MedicalDocumentService: Fetching documents for patient ${patientId} with options:`, queryOptions);
+    await assertCan(requestingUser, 'documents:read', { patient: patientId }, 'Forbidden: You are not authorized to view documents of this patient.');
     const { tags, startDate, endDate, sortBy = 'createdAt', order = 'desc', limit = 10, page = 1 } = queryOptions;
 
     const filter = { patient: patientId, isDeleted: { $ne: true } };
@@ -143,9 +148,10 @@ export const getMedicalDocumentsByPatient = async (patientId, queryOptions = {})
 /**
  * Get a single medical document metadata by ID.
  * @param {string} documentId - The ID of the document metadata.
+ * @param {object} [requestingUser] - When given, the user must be allowed to read the document.
  * @returns {Promise<object>} The document metadata object populated with patient/uploader.
  */
-export const getMedicalDocumentById = async (documentId) => {
+export const getMedicalDocumentById = async (documentId, requestingUser = null) => {
     logger.debug('MedicalDocumentService: Fetching document by ID:', documentId);
     const document = await MedicalDocument.findOne({ _id: documentId, isDeleted: { $ne: true } })
         .populate({ path: 'patient', select: 'userAccount', populate: { path: 'userAccount', select: 'firstName lastName' } })
@@ -155,6 +161,9 @@ export const getMedicalDocumentById = async (documentId) => {
     if (!document) {
         throw new ApiError(404, 'Medical document not found.');
     }
+    if (requestingUser) {
+        await assertCan(requestingUser, 'documents:read', { patient: document.patient?._id, author: document.uploadedBy?._id }, 'Forbidden: You cannot view this document.');
+    }
     return document;
 };
 
@@ -172,13 +181,8 @@ export const updateMedicalDocument = async (documentId, updateData, updatedByUse
     const docToUpdate = await MedicalDocument.findOne({ _id: documentId, isDeleted: { $ne: true } });
     if (!docToUpdate) throw new ApiError(404, 'Medical document not found.');
 
-    // Permission Check: e.g., Only Admin, Staff, or original Uploader?
-    const isAdminOrStaff = [UserRoles.ADMIN, UserRoles.STAFF, UserRoles.DOCTOR].includes(updatedByUser.role); // Doctors too?
-    const isUploader = docToUpdate.uploadedBy.equals(updatedByUser._id);
-
-    if (!isAdminOrStaff && !isUploader) {
-        throw new ApiError(403, 'Forbidden: You are not authorized to update this document metadata.');
-    }
+    // Permission Check: uploader, the patient's doctors, or roles allowed to update any document
+    await assertCan(updatedByUser, 'documents:update', { patient: docToUpdate.patient, author: docToUpdate.uploadedBy }, 'Forbidden: You are not authorized to update this document metadata.');
 
     // Update fields if provided
     if (description !== undefined) docToUpdate.description = description;
@@ -206,13 +210,8 @@ export const deleteMedicalDocument = async (documentId, deletedByUser) => {
     const docToDelete = await MedicalDocument.findOne({ _id: documentId, isDeleted: { $ne: true } }).select('+cloudinaryPublicId');
     if (!docToDelete) throw new ApiError(404, 'Medical document not found.');
 
-    // Permission Check: e.g., Only Admin, Staff, or original Uploader?
-    const isAdminOrStaff = [UserRoles.ADMIN, UserRoles.STAFF, UserRoles.DOCTOR].includes(deletedByUser.role);
-    const isUploader = docToDelete.uploadedBy.equals(deletedByUser._id);
-
-    if (!isAdminOrStaff && !isUploader) {
-        throw new ApiError(403, 'Forbidden: You are not authorized to delete this document.');
-    }
+    // Permission Check: uploader or roles allowed to delete any document
+    await assertCan(deletedByUser, 'documents:delete', { patient: docToDelete.patient, author: docToDelete.uploadedBy }, 'Forbidden: You are not authorized to delete this document.');
 
     // 1. Attempt to delete from Cloudinary
     try {
@@ -2,8 +2,8 @@ import mongoose from 'mongoose';
 import MedicalNote from '../../models/medicalNote.model.js'; // Adjust path
 import PatientProfile from '../../models/patientProfile.model.js'; // Adjust path
 import { ApiError } from '../../utils/ApiError.js'; // Adjust path
-import { UserRoles } from '../../utils/constants.js'; // Adjust path
 import logger from '../../utils/logger.js'; // Adjust path
+import { assertCan } from './permission.service.js';
 
 /**
  * Create a new medical note.
@@ -15,10 +15,8 @@ export const createMedicalNote = async (noteData, authorUser) => {
     const { patient: patientProfileId, noteContent, tags, consultationDate, appointment: appointmentId } = noteData;
     logger.debug(`MedicalNoteService: Creating note by user ${authorUser._id} for patient ${patientProfileId}`);
 
-    // 1. Check author role
-    if (![UserRoles.DOCTOR, UserRoles.STAFF].includes(authorUser.role)) {
-        throw new ApiError(403, 'Forbidden: Only Doctors or Staff can create medical notes.');
-    }
+    // 1. Check the author may write notes for this patient
+    await assertCan(authorUser, 'notes:create', { patient: patientProfileId }, 'Forbidden: You are not authorized to create medical notes for this patient.');
     // 2. Validate patientId exists
     const patientExists = await PatientProfile.countDocuments({ _id: patientProfileId, isDeleted: { $ne: true } });
     if (!patientExists) {
@@ -52,10 +50,12 @@ export const createMedicalNote = async (noteData, authorUser) => {
  * Get medical notes for a specific patient.
  * @param {string} patientId - The ID of the PatientProfile.
  * @param {object} queryOptions - Filtering (date range), sorting, pagination (limit, page).
+ * @param {object} requestingUser - The user requesting the notes (for permission check).
  * @returns {Promise<object>} List of notes and pagination info.
  */
-export const getMedicalNotesByPatient = async (patientId, queryOptions = {}) => {
+export const getMedicalNotesByPatient = async (patientId, queryOptions = {}, requestingUser) => {
     logger.debug(`MedicalNoteService: Fetching notes for patient ${patientId} with options:`, queryOptions);
+    await assertCan(requestingUser, 'notes:read', { patient: patientId }, 'Forbidden: You are not authorized to view medical notes of this patient.');
     const { startDate, endDate, sortBy = 'consultationDate', order = 'desc', limit = 10, page = 1 } = queryOptions;
 
     const filter = { patient: patientId, isDeleted: { $ne: true } };
@@ -97,9 +97,10 @@ export const getMedicalNotesByPatient = async (patientId, queryOptions = {}) =>
 /**
  * Get a single medical note by ID.
  * @param {string} noteId - The ID of the note.
+ * @param {object} [requestingUser] - When given, the user must be allowed to read the note.
  * @returns {Promise<object>} The medical note document populated with author/patient.
  */
-export const getMedicalNoteById = async (noteId) => {
+export const getMedicalNoteById = async (noteId, requestingUser = null) => {
     logger.debug('MedicalNoteService: Fetching note by ID:', noteId);
     const note = await MedicalNote.findOne({ _id: noteId, isDeleted: { $ne: true } })
         .populate('authoredBy', 'firstName lastName role')
@@ -109,6 +110,9 @@ export const getMedicalNoteById = async (noteId) => {
     if (!note) {
         throw new ApiError(404, 'Medical note not found.');
     }
+    if (requestingUser) {
+        await assertCan(requestingUser, 'notes:read', { patient: note.patient?._id, author: note.authoredBy?._id }, 'Forbidden: You cannot view this medical note.');
+    }
     return note;
 };
 
@@ -126,10 +130,8 @@ export const updateMedicalNote = async (noteId, updateData, updatedByUser) => {
     const noteToUpdate = await MedicalNote.findOne({ _id: noteId, isDeleted: { $ne: true } });
     if (!noteToUpdate) throw new ApiError(404, 'Medical note not found.');
 
-    // Permission Check: e.g., Only the original author can update? Or Admins?
-    if (!noteToUpdate.authoredBy.equals(updatedByUser._id) && updatedByUser.role !== UserRoles.ADMIN) {
-		throw new ApiError(403, 'Forbidden: You are not authorized to update this medical note.');
-    }
+    // Permission Check: author (authored scope) or roles allowed to update any note
+    await assertCan(updatedByUser, 'notes:update', { patient: noteToUpdate.patient, author: noteToUpdate.authoredBy }, 'Forbidden: You are not authorized to update this medical note.');
 
     // Validate appointmentId if provided
     if (appointmentId !== undefined) { // Check if field exists, even if null
@@ -167,10 +169,8 @@ export const deleteMedicalNote = async (noteId, deletedByUser) => {
     const noteToDelete = await MedicalNote.findOne({ _id: noteId, isDeleted: { $ne: true } });
     if (!noteToDelete) throw new ApiError(404, 'Medical note not found.');
 
-    // Permission Check: e.g., Only the original author or Admin?
-    if (!noteToDelete.authoredBy.equals(deletedByUser._id) && deletedByUser.role !== UserRoles.ADMIN) {
-		throw new ApiError(403, 'Forbidden: You are not authorized to delete this medical note.');
-    }
+    // Permission Check: author (authored scope) or roles allowed to delete any note
+    await assertCan(deletedByUser, 'notes:delete', { patient: noteToDelete.patient, author: noteToDelete.authoredBy }, 'Forbidden: You are not authorized to delete this medical note.');
 
     // Perform soft delete
     await noteToDelete.softDelete(deletedByUser._id);
@@ -0,0 +1,107 @@
+// src/api/services/noShow.service.js
+import config from '../../config/index.js';
+import Appointment from '../../models/appointment.model.js';
+import PatientProfile from '../../models/patientProfile.model.js';
+import { now } from '../../utils/clock.js';
+import { AppointmentEventTypes, AppointmentStatus } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+import { publishAppointmentEvent } from './appointmentEvents.service.js';
+import { registerJobHandler, scheduleRecurringJob } from './jobScheduler.service.js';
+import { releaseSlotLocks } from './slotLock.service.js';
+
+export const NO_SHOW_JOB = 'mark-no-shows';
+const SYSTEM_ROLE = 'System'; // changedByRole of status changes made by background jobs
+const BATCH_SIZE = 200;
+
+/**
+ * Adds a no-show to the patient's record (automatic and manual NoShow changes).
+ * @param {string} patientProfileId - The PatientProfile ID.
+ * @param {Date} appointmentTime - Start of the missed appointment.
+ * @returns {Promise<void>}
+ */
+export const recordPatientNoShow = async (patientProfileId, appointmentTime) => {
+    await PatientProfile.updateOne(
+        { _id: patientProfileId },
+        { $inc: { noShowCount: 1 }, $max: { lastNoShowAt: appointmentTime } }
+    );
+};
+
+/**
+ * Whether the no-show policy applies to a patient: config.noShow.policyMaxNoShows or more
+ * no-shows within the last config.noShow.policyWindowDays. Always false when the policy is off.
+ * @param {string} patientProfileId - The PatientProfile ID.
+ * @returns {Promise<boolean>}
+ */
+export const isStaffConfirmationRequired = async (patientProfileId) => {
+    const { policyMaxNoShows, policyWindowDays } = config.noShow;
+    if (!policyMaxNoShows) return false;
+    const since = new Date(now().getTime() - policyWindowDays * 24 * 60 * 60 * 1000);
+    const recentNoShows = await Appointment.countDocuments({
+        patient: patientProfileId,
+        status: AppointmentStatus.NO_SHOW,
+        isDeleted: { $ne: true },
+        appointmentTime: { $gte: since },
+    });
+    return recentNoShows >= policyMaxNoShows;
+};
+
+/**
+ * Marks Confirmed appointments that ended more than config.noShow.graceMinutes ago without a check-in as NoShow.
+ * Appointments that ended more than config.noShow.lookbackHours before that are left alone (historical data).
+ * Each appointment is switched atomically, so a check-in at the same moment wins.
+ * @returns {Promise<number>} Number of appointments marked.
+ */
+export const markNoShows = async () => {
+    const { graceMinutes, lookbackHours } = config.noShow;
+    const cutoff = new Date(now().getTime() - graceMinutes * 60000);
+    const since = new Date(cutoff.getTime() - lookbackHours * 60 * 60 * 1000);
+    const endTime = { $add: ['$appointmentTime', { $multiply: ['$durationMinutes', 60000] }] };
+    const overdueAppointments = await Appointment.find({
+        status: AppointmentStatus.CONFIRMED,
+        isDeleted: { $ne: true },
+        appointmentTime: { $lte: cutoff },
+        $expr: { $and: [{ $gt: [endTime, since] }, { $lte: [endTime, cutoff] }] },
+    })
+        .select('_id patient doctor appointmentTime durationMinutes')
+        .sort({ appointmentTime: 1 })
+        .limit(BATCH_SIZE)
+        .lean();
+
+    let marked = 0;
+    for (const appointment of overdueAppointments) {
+        const result = await Appointment.updateOne(
+            { _id: appointment._id, status: AppointmentStatus.CONFIRMED },
+            {
+                $set: { status: AppointmentStatus.NO_SHOW },
+                $push: {
+                    statusHistory: {
+                        from: AppointmentStatus.CONFIRMED,
+                        to: AppointmentStatus.NO_SHOW,
+                        changedBy: null,
+                        changedByRole: SYSTEM_ROLE,
+                        reason: `Not checked in within ${graceMinutes} minutes after the appointment ended.`,
+                        changedAt: now(),
+                    },
+                },
+            }
+        );
+        if (!result.modifiedCount) continue; // Checked in or cancelled in the meantime
+
+        await releaseSlotLocks({ appointment: appointment._id });
+        await recordPatientNoShow(appointment.patient, appointment.appointmentTime);
+        publishAppointmentEvent(AppointmentEventTypes.UPDATED, { ...appointment, status: AppointmentStatus.NO_SHOW });
+        marked++;
+    }
+
+    if (marked) logger.info(`NoShowService: Marked ${marked} appointment(s) as NoShow`);
+    return marked;
+};
+
+/**
+ * Registers the no-show job and makes sure it runs every config.noShow.checkIntervalSeconds (called once at server start).
+ * @returns {Promise<void>}
+ */
+export const registerNoShowJob = async () => {
+    registerJobHandler(NO_SHOW_JOB, () => markNoShows());
+    await scheduleRecurringJob(NO_SHOW_JOB, config.noShow.checkIntervalSeconds);
+};
@@ -3,6 +3,7 @@ import User from '../../models/user.model.js'; // Adjust path (needed for linkin
 import { ApiError } from '../../utils/ApiError.js'; // Adjust path
 import { UserRoles } from '../../utils/constants.js'; // Adjust path
 import logger from '../../utils/logger.js'; // Adjust path
+import { assertCan } from './permission.service.js';
 
 /**
  * Create a patient profile (linked to an existing user).
@@ -13,6 +14,7 @@ import logger from '../../utils/logger.js'; // Adjust path
  */
 export const createPatientProfile = async (profileData, userId, createdByUser) => {
     logger.debug(`PatientService: Creating profile for user ${userId} by user ${createdByUser._id}`);
+    await assertCan(createdByUser, 'patients:create', null, 'Forbidden: You are not authorized to create patient profiles.');
 
     // 1. Check if user exists and is a Patient
     const user = await User.findById(userId);
@@ -44,10 +46,12 @@ export const createPatientProfile = async (profileData, userId, createdByUser) =
 /**
  * Get a list of patient profiles (for staff/admin/doctor view).
  * @param {object} queryOptions - Filtering (name?), sorting, pagination (limit, page).
+ * @param {object} requestingUser - The user requesting the list (needs patients:read:any).
  * @returns {Promise<object>} List of profiles and pagination info.
  */
-export const getPatientProfiles = async (queryOptions = {}) => {
+export const getPatientProfiles = async (queryOptions = {}, requestingUser) => {
     logger.debug('PatientService: Fetching patient profiles with options:', queryOptions);
+    await assertCan(requestingUser, 'patients:read', null, 'Forbidden: You are not authorized to list patient profiles.');
     const { sortBy = 'createdAt', order = 'desc', limit = 10, page = 1, search } = queryOptions;
 
     const filter = { isDeleted: { $ne: true } };
@@ -90,9 +94,10 @@ export const getPatientProfiles = async (queryOptions = {}) => {
 /**
  * Get a single patient profile by its ID.
  * @param {string} profileId - The ID of the profile.
+ * @param {object} [requestingUser] - When given, the user must be allowed to read the profile.
  * @returns {Promise<object>} The patient profile document populated with user info.
  */
-export const getPatientProfileById = async (profileId) => {
+export const getPatientProfileById = async (profileId, requestingUser = null) => {
     logger.debug(`PatientService: Fetching patient profile by Profile ID: ${profileId}`);
     const profile = await PatientProfile.findOne({ _id: profileId, isDeleted: { $ne: true } })
         .populate({
@@ -104,6 +109,9 @@ export const getPatientProfileById = async (profileId) => {
     if (!profile) {
         throw new ApiError(404, 'Patient profile not found.');
     }
+    if (requestingUser) {
+        await assertCan(requestingUser, 'patients:read', { patient: profile._id, owner: profile.userAccount?._id }, 'Forbidden: You can only access your own profile.');
+    }
     // Check if the linked user account is active/not deleted if necessary
     // if (!profile.userAccount || !profile.userAccount.isActive || profile.userAccount.isDeleted) {
     //     throw new ApiError(404, 'Associated user account is inactive or not found.');
@@ -120,15 +128,17 @@ export const getPatientProfileById = async (profileId) => {
  */
 export const updatePatientProfile = async (profileId, updateData, updatedByUser) => {
     logger.debug(`PatientService: Updating profile ${profileId} by user ${updatedByUser._id}`);
-    // Permission check (Staff/Admin) is handled by route middleware/controller
 
     const profileToUpdate = await PatientProfile.findOne({ _id: profileId, isDeleted: { $ne: true } });
     if (!profileToUpdate) {
         throw new ApiError(404, 'Patient profile not found.');
     }
+    await assertCan(updatedByUser, 'patients:update', { patient: profileToUpdate._id, owner: profileToUpdate.userAccount }, 'Forbidden: You are not authorized to update this patient profile.');
 
-    // Prevent updating the userAccount link
+    // Prevent updating the userAccount link and the no-show record
     delete updateData.userAccount;
+    delete updateData.noShowCount;
+    delete updateData.lastNoShowAt;
 
     // Set audit field
     updateData.updatedBy = updatedByUser._id;
@@ -152,9 +162,7 @@ export const updatePatientProfile = async (profileId, updateData, updatedByUser)
  */
 export const deletePatientProfile = async (profileId, deletedByUser) => {
     logger.warn(`PatientService: Attempting delete for patient profile ${profileId} by admin ${deletedByUser._id}`);
-    if (deletedByUser.role !== UserRoles.ADMIN) {
-		throw new ApiError(403, 'Forbidden: Only administrators can delete patient profiles.');
-    }
+    await assertCan(deletedByUser, 'patients:delete', null, 'Forbidden: Only administrators can delete patient profiles.');
 
     const profileToDelete = await PatientProfile.findOne({ _id: profileId, isDeleted: { $ne: true } });
     if (!profileToDelete) {
@@ -0,0 +1,155 @@
+// src/api/services/permission.service.js
+import Appointment from '../../models/appointment.model.js';
+import RolePermission from '../../models/rolePermission.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import {
+    AvailablePermissions,
+    AvailableUserRoles,
+    DefaultRolePermissions,
+    LockedAdminPermissions,
+    PermissionActions,
+    PermissionScopes,
+    UserRoles
+} from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+
+// Role mappings are read on almost every request, so they are cached briefly per process
+const CACHE_TTL_MS = 60 * 1000;
+let cachedMappings = null;
+let cachedAt = 0;
+
+const loadRoleMappings = async () => {
+    if (cachedMappings && Date.now() - cachedAt < CACHE_TTL_MS) return cachedMappings;
+    const stored = await RolePermission.find({ isDeleted: { $ne: true } }).lean();
+    cachedMappings = Object.fromEntries(stored.map(mapping => [mapping.role, mapping.permissions]));
+    cachedAt = Date.now();
+    return cachedMappings;
+};
+
+const idEquals = (a, b) => !!a && !!b && a.toString() === b.toString();
+
+// Decides whether a scoped permission covers a record
+// resource: { patient, doctor, owner, author } - IDs describing the record (all optional)
+const scopeResolvers = {
+    [PermissionScopes.OWN]: async (user, resource) =>
+        idEquals(resource.owner, user._id)
+        || idEquals(resource.patient, user.patientProfile)
+        || idEquals(resource.doctor, user.doctorProfile),
+    [PermissionScopes.AUTHORED]: async (user, resource) => idEquals(resource.author, user._id),
+    [PermissionScopes.OWN_PATIENTS]: async (user, resource) => {
+        if (!user.doctorProfile || !resource.patient) return false;
+        return !!(await Appointment.exists({ doctor: user.doctorProfile, patient: resource.patient, isDeleted: { $ne: true } }));
+    },
+};
+
+/**
+ * Returns the permissions granted to a role (stored mapping, or the defaults).
+ * @param {string} role - User role.
+ * @returns {Promise<Array<string>>}
+ */
+export const getRolePermissions = async (role) => {
+    const mappings = await loadRoleMappings();
+    return mappings[role] || DefaultRolePermissions[role] || [];
+};
+
+/**
+ * Whether the role of a user grants an action at any scope (coarse, route-level check).
+ * @param {object} user - The user (needs role).
+ * @param {string} action - "<resource>:<action>", e.g. "notes:read".
+ * @returns {Promise<boolean>}
+ */
+export const hasPermission = async (user, action) => {
+    const permissions = await getRolePermissions(user.role);
+    return permissions.some(permission => permission.startsWith(`${action}:`));
+};
+
+/**
+ * Central policy check: can this user perform an action on a record?
+ * Without a resource only an "any" scope grants the action.
+ * @param {object} user - The user (role, _id, patientProfile, doctorProfile).
+ * @param {string} action - "<resource>:<action>", e.g. "notes:update".
+ * @param {object} [resource] - Record context: { patient, doctor, owner, author } IDs.
+ * @returns {Promise<boolean>}
+ */
+export const can = async (user, action, resource = null) => {
+    if (!user) return false;
+    const permissions = await getRolePermissions(user.role);
+    const scopes = permissions
+        .filter(permission => permission.startsWith(`${action}:`))
+        .map(permission => permission.slice(action.length + 1));
+
+    if (scopes.includes(PermissionScopes.ANY)) return true;
+    if (!resource) return false;
+    for (const scope of scopes) {
+        const resolver = scopeResolvers[scope];
+        if (resolver && await resolver(user, resource)) return true;
+    }
+    return false;
+};
+
+/**
+ * Like can(), but throws a 403 when the action is not allowed.
+ * @param {object} user - The user.
+ * @param {string} action - "<resource>:<action>".
+ * @param {object} [resource] - Record context.
+ * @param {string} [message] - Error message for the 403.
+ * @returns {Promise<void>}
+ */
+export const assertCan = async (user, action, resource = null, message = 'Forbidden: You are not authorized to perform this action.') => {
+    if (!(await can(user, action, resource))) {
+        logger.warn(`PermissionService: Denied ${action} for user ${user?._id} (${user?.role})`, { resource });
+        throw new ApiError(403, message);
+    }
+};
+
+/**
+ * Lists the permissions of every role plus the catalog of available permissions - Admin only.
+ * @returns {Promise<object>} Object containing roles and availablePermissions.
+ */
+export const listRolePermissions = async () => {
+    logger.debug('PermissionService: Listing role permissions');
+    const mappings = await loadRoleMappings();
+    const roles = AvailableUserRoles.map(role => ({
+        role,
+        permissions: mappings[role] || DefaultRolePermissions[role] || [],
+        isDefault: !mappings[role],
+    }));
+    return { roles, availablePermissions: AvailablePermissions, actions: PermissionActions };
+};
+
+/**
+ * Replaces the permissions of a role - Admin only.
+ * @param {string} role - The role to update.
+ * @param {Array<string>} permissions - Full list of permissions for the role.
+ * @param {object} requestingUser - The admin performing the change.
+ * @returns {Promise<object>} The stored role mapping.
+ */
+export const updateRolePermissions = async (role, permissions, requestingUser) => {
+    logger.warn(`PermissionService: Admin ${requestingUser._id} updating permissions of role ${role}`);
+    await assertCan(requestingUser, 'permissions:manage', null, 'Forbidden: You are not authorized to manage permissions.');
+
+    if (!AvailableUserRoles.includes(role)) {
+        throw new ApiError(404, `Role not found: ${role}`);
+    }
+    const unknown = permissions.filter(permission => !AvailablePermissions.includes(permission));
+    if (unknown.length) {
+        throw new ApiError(400, 'Unknown permissions specified.', unknown.map(permission => ({ field: 'permissions', message: `Unknown permission: ${permission}` })));
+    }
+
+    const uniquePermissions = [...new Set(permissions)];
+    if (role === UserRoles.ADMIN) {
+        LockedAdminPermissions.forEach(permission => {
+            if (!uniquePermissions.includes(permission)) uniquePermissions.push(permission);
+        });
+    }
+
+    const mapping = await RolePermission.findOneAndUpdate(
+        { role },
+        { permissions: uniquePermissions, updatedBy: requestingUser._id, $setOnInsert: { createdBy: requestingUser._id } },
+        { new: true, upsert: true, runValidators: true }
+    );
+    cachedMappings = null; // Apply immediately in this process
+
+    logger.info(`Permissions of role ${role} updated by admin ${requestingUser._id} (${uniquePermissions.length} permissions)`);
+    return mapping;
+};
@@ -0,0 +1,269 @@
+// src/api/services/queue.service.js
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import Appointment from '../../models/appointment.model.js';
+import DoctorProfile from '../../models/doctorProfile.model.js';
+import QueueCounter from '../../models/queueCounter.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { now } from '../../utils/clock.js';
+import { AppointmentEventTypes, AppointmentStatus, CheckInMethods, UserRoles } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+import { addDaysToDateKey, getDoctorTimeZone, toDateKey, zonedTimeToDate } from '../../utils/schedule.js';
+import { appointmentResource, applyStatusTransition, findVisibleAppointment, getAppointmentById } from './appointment.service.js';
+import { publishAppointmentEvent } from './appointmentEvents.service.js';
+import { assertCan } from './permission.service.js';
+import { syncAppointmentReminders } from './reminder.service.js';
+
+// --- Check-in QR code ---
+// The clinic shows a QR code that changes every config.checkIn.qrRotateMinutes; scanning it proves the patient is on site.
+
+const qrPeriodOf = (date) => Math.floor(date.getTime() / (config.checkIn.qrRotateMinutes * 60000));
+
+const qrCodeForPeriod = (period) => crypto
+    .createHmac('sha256', config.checkIn.qrSecret)
+    .update(`check-in:${period}`)
+    .digest('base64url')
+    .slice(0, 16);
+
+// The current and the previous code are accepted, so a code scanned just before it rotates still works
+const isValidCheckInCode = (code) => {
+    const currentPeriod = qrPeriodOf(now());
+    return [currentPeriod, currentPeriod - 1].some((period) => {
+        const expected = Buffer.from(qrCodeForPeriod(period));
+        const given = Buffer.from(String(code));
+        return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    });
+};
+
+/**
+ * The check-in code to show as a QR code at the clinic (reception screen or kiosk).
+ * @returns {{ code: string, checkInURL: string, validFrom: Date, refreshAt: Date }}
+ * @throws {ApiError} 500 when CHECK_IN_BASE_URL is not configured.
+ */
+export const getCheckInCode = () => {
+    if (!config.checkIn.baseUrl) {
+        logger.error('QueueService: CHECK_IN_BASE_URL is not set, cannot build the check-in QR code URL.');
+        throw new ApiError(500, 'Self check-in is not configured. Set CHECK_IN_BASE_URL to the address of the patient app.');
+    }
+    const period = qrPeriodOf(now());
+    const periodMs = config.checkIn.qrRotateMinutes * 60000;
+    const code = qrCodeForPeriod(period);
+    return {
+        code,
+        checkInURL: `${config.checkIn.baseUrl}/check-in?code=${code}`,
+        validFrom: new Date(period * periodMs),
+        refreshAt: new Date((period + 1) * periodMs), // Show the next code from then on
+    };
+};
+
+// --- Queue ---
+
+// A doctor's timezone and today's date there, with the instants the day starts and ends
+const getDoctorDay = async (doctorId) => {
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } }).select('timezone');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+    const timeZone = getDoctorTimeZone(doctorProfile);
+    const date = toDateKey(now(), timeZone);
+    return {
+        timeZone,
+        date,
+        dayStart: zonedTimeToDate(date, '00:00', timeZone),
+        dayEnd: zonedTimeToDate(addDaysToDateKey(date, 1), '00:00', timeZone),
+    };
+};
+
+// Takes the next queue number of a doctor's day
+const takeQueueNumber = async (doctorId, date) => {
+    const counter = await QueueCounter.findOneAndUpdate(
+        { doctor: doctorId, date },
+        { $inc: { lastNumber: 1 } },
+        { upsert: true, new: true }
+    );
+    return counter.lastNumber;
+};
+
+const CALL_LOCK_SECONDS = 30;
+
+// Takes the doctor's "call next" lock for the day, so two concurrent calls cannot both start a consultation
+const acquireCallLock = async (doctorId, date) => {
+    const currentTime = now();
+    try {
+        const counter = await QueueCounter.findOneAndUpdate(
+            { doctor: doctorId, date, $or: [{ callLockedUntil: null }, { callLockedUntil: { $lte: currentTime } }] },
+            { $set: { callLockedUntil: new Date(currentTime.getTime() + CALL_LOCK_SECONDS * 1000) } },
+            { upsert: true, new: true }
+        );
+        return Boolean(counter);
+    } catch (error) {
+        // The counter exists but is locked, so the upsert collided with it
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+const releaseCallLock = (doctorId, date) => QueueCounter.updateOne({ doctor: doctorId, date }, { $set: { callLockedUntil: null } });
+
+const describePatient = (appointment) => ({
+    _id: appointment.patient?._id,
+    firstName: appointment.patient?.userAccount?.firstName,
+    lastName: appointment.patient?.userAccount?.lastName,
+});
+
+/**
+ * Checks a patient in for today's appointment and gives them the next number in the doctor's queue.
+ * Staff (and doctors for their own appointments) check patients in at the front desk; patients check
+ * themselves in by scanning the clinic's QR code, from config.checkIn.earliestMinutesBefore before their time.
+ * @param {string} appointmentId - The appointment ID.
+ * @param {object} checkInData - { code } (the scanned QR code; required for patients).
+ * @param {object} user - The user checking in.
+ * @returns {Promise<object>} The populated appointment, with queueNumber set.
+ */
+export const checkInAppointment = async (appointmentId, { code } = {}, user) => {
+    logger.debug(`QueueService: Checking in appointment ${appointmentId} by user ${user._id}`);
+    const appointment = await findVisibleAppointment(appointmentId, user);
+    await assertCan(user, 'appointments:check-in', appointmentResource(appointment), 'Forbidden: You are not authorized to check in this appointment.');
+
+    const isSelfCheckIn = user.role === UserRoles.PATIENT;
+    if (isSelfCheckIn && (!code || !isValidCheckInCode(code))) {
+        throw new ApiError(400, 'Scan the check-in QR code at the clinic to check in. The code is missing or has expired.');
+    }
+    if (appointment.status !== AppointmentStatus.CONFIRMED) {
+        throw new ApiError(400, `Only confirmed appointments can be checked in (this one is ${appointment.status}).`);
+    }
+
+    const { timeZone, date } = await getDoctorDay(appointment.doctor);
+    if (toDateKey(appointment.appointmentTime, timeZone) !== date) {
+        throw new ApiError(400, 'Patients can only be checked in on the day of their appointment.');
+    }
+    const earliestCheckIn = new Date(appointment.appointmentTime.getTime() - config.checkIn.earliestMinutesBefore * 60000);
+    if (isSelfCheckIn && now() < earliestCheckIn) {
+        throw new ApiError(400, `Self check-in opens ${config.checkIn.earliestMinutesBefore} minutes before your appointment. Please ask at the front desk.`);
+    }
+
+    applyStatusTransition(appointment, AppointmentStatus.CHECKED_IN, user, isSelfCheckIn ? 'Self check-in with QR code.' : undefined);
+    appointment.checkedInAt = now();
+    appointment.checkInMethod = isSelfCheckIn ? CheckInMethods.QR : CheckInMethods.STAFF;
+    appointment.queueDate = date;
+    appointment.queueNumber = await takeQueueNumber(appointment.doctor, date);
+    appointment.updatedBy = user._id;
+    await appointment.save();
+    await syncAppointmentReminders(appointment);
+    publishAppointmentEvent(AppointmentEventTypes.UPDATED, appointment);
+
+    logger.info(`Appointment ${appointmentId} checked in (${appointment.checkInMethod}) with queue number ${appointment.queueNumber} on ${date}`);
+    return getAppointmentById(appointmentId);
+};
+
+/**
+ * A doctor's queue for today: who is with the doctor, who is waiting (in arrival order, with an estimated
+ * wait based on the booked durations of everyone ahead) and which confirmed patients have not arrived yet.
+ * @param {string} doctorId - DoctorProfile ID.
+ * @param {object} user - The requesting user.
+ * @returns {Promise<object>} { doctor, date, timezone, nowServing, waiting, notCheckedIn, completedCount }
+ */
+export const getDoctorQueueToday = async (doctorId, user) => {
+    const { timeZone, date, dayStart, dayEnd } = await getDoctorDay(doctorId);
+    await assertCan(user, 'queue:read', { doctor: doctorId }, 'Forbidden: You are not authorized to view this doctor\'s queue.');
+
+    const appointments = await Appointment.find({
+        doctor: doctorId,
+        isDeleted: { $ne: true },
+        $or: [
+            { queueDate: date },
+            { appointmentTime: { $gte: dayStart, $lt: dayEnd }, status: AppointmentStatus.CONFIRMED },
+        ],
+    })
+        .select('patient appointmentTime durationMinutes status checkedInAt queueNumber consultationStartedAt')
+        .populate({ path: 'patient', select: 'userAccount', populate: { path: 'userAccount', select: 'firstName lastName' } })
+        .sort({ queueNumber: 1, appointmentTime: 1 })
+        .lean();
+
+    const currentTime = now();
+    const current = appointments.find(appointment => appointment.status === AppointmentStatus.IN_CONSULTATION) || null;
+    // Minutes until the doctor is free again, assuming the current consultation takes its booked duration
+    let minutesAhead = current
+        ? Math.max(0, Math.ceil((current.consultationStartedAt.getTime() + current.durationMinutes * 60000 - currentTime.getTime()) / 60000))
+        : 0;
+
+    const waiting = appointments
+        .filter(appointment => appointment.status === AppointmentStatus.CHECKED_IN)
+        .map((appointment, index) => {
+            const entry = {
+                position: index + 1,
+                queueNumber: appointment.queueNumber,
+                appointmentId: appointment._id,
+                patient: describePatient(appointment),
+                appointmentTime: appointment.appointmentTime,
+                checkedInAt: appointment.checkedInAt,
+                durationMinutes: appointment.durationMinutes,
+                estimatedWaitMinutes: minutesAhead,
+                estimatedStartTime: new Date(currentTime.getTime() + minutesAhead * 60000),
+            };
+            minutesAhead += appointment.durationMinutes;
+            return entry;
+        });
+
+    return {
+        doctor: doctorId,
+        date,
+        timezone: timeZone,
+        nowServing: current && {
+            queueNumber: current.queueNumber,
+            appointmentId: current._id,
+            patient: describePatient(current),
+            consultationStartedAt: current.consultationStartedAt,
+        },
+        waiting,
+        notCheckedIn: appointments
+            .filter(appointment => appointment.status === AppointmentStatus.CONFIRMED)
+            .map(appointment => ({ appointmentId: appointment._id, patient: describePatient(appointment), appointmentTime: appointment.appointmentTime })),
+        completedCount: appointments.filter(appointment => appointment.status === AppointmentStatus.COMPLETED).length,
+    };
+};
+
+/**
+ * Calls the next patient in: the lowest queue number waiting today (or a specific checked-in
+ * appointment, to take someone out of turn) moves to InConsultation. The doctor must have finished
+ * the previous consultation first. Calls for the same doctor and day run one at a time, so a doctor
+ * and a staff member calling at the same moment cannot both start a consultation.
+ * @param {string} doctorId - DoctorProfile ID.
+ * @param {object} options - { appointmentId } (optional, to call a specific patient).
+ * @param {object} user - The doctor (or staff) calling.
+ * @returns {Promise<object>} { appointment, queue } (the called appointment and the updated queue).
+ */
+export const callNextPatient = async (doctorId, { appointmentId } = {}, user) => {
+    const { date } = await getDoctorDay(doctorId);
+    await assertCan(user, 'queue:manage', { doctor: doctorId }, 'Forbidden: You are not authorized to manage this doctor\'s queue.');
+
+    if (!(await acquireCallLock(doctorId, date))) {
+        throw new ApiError(409, 'Another patient is being called in for this doctor right now. Please try again in a moment.');
+    }
+    let appointment;
+    try {
+        const current = await Appointment.findOne({ doctor: doctorId, queueDate: date, status: AppointmentStatus.IN_CONSULTATION, isDeleted: { $ne: true } }).select('_id queueNumber');
+        if (current) {
+            throw new ApiError(409, `Patient number ${current.queueNumber} (appointment ${current._id}) is still in consultation. Complete it before calling the next patient.`);
+        }
+
+        const waitingFilter = { doctor: doctorId, queueDate: date, status: AppointmentStatus.CHECKED_IN, isDeleted: { $ne: true } };
+        if (appointmentId) waitingFilter._id = appointmentId;
+        appointment = await Appointment.findOne(waitingFilter).sort({ queueNumber: 1 });
+        if (!appointment) {
+            throw new ApiError(404, appointmentId ? 'That appointment is not waiting in today\'s queue.' : 'No checked-in patients are waiting.');
+        }
+
+        applyStatusTransition(appointment, AppointmentStatus.IN_CONSULTATION, user);
+        appointment.consultationStartedAt = now();
+        appointment.updatedBy = user._id;
+        await appointment.save();
+    } finally {
+        await releaseCallLock(doctorId, date);
+    }
+    publishAppointmentEvent(AppointmentEventTypes.UPDATED, appointment);
+
+    logger.info(`QueueService: Doctor ${doctorId} called queue number ${appointment.queueNumber} (appointment ${appointment._id}) by user ${user._id}`);
+    return {
+        appointment: await getAppointmentById(appointment._id),
+        queue: await getDoctorQueueToday(doctorId, user),
+    };
+};
@@ -0,0 +1,145 @@
+// src/api/services/reminder.service.js
+import config from '../../config/index.js';
+import Appointment from '../../models/appointment.model.js';
+import { now } from '../../utils/clock.js';
+import { AppointmentStatus, JobStatus, ReminderStatus } from '../../utils/constants.js';
+import { sendEmail } from '../../utils/emailSender.js';
+import logger from '../../utils/logger.js';
+import { getDoctorTimeZone, getMinutesOfDay, minutesToTime, toDateKey } from '../../utils/schedule.js';
+import { cancelJobs, registerJobHandler, scheduleJob } from './jobScheduler.service.js';
+
+export const APPOINTMENT_REMINDER_JOB = 'appointment-reminder';
+
+// One job per appointment, appointment time and offset, so syncing twice never sends twice
+const reminderJobKey = (appointmentId, appointmentTime, offsetMinutes) =>
+    `${APPOINTMENT_REMINDER_JOB}:${appointmentId}:${appointmentTime.toISOString()}:${offsetMinutes}`;
+
+// "24 hours" / "90 minutes"
+const describeOffset = (offsetMinutes) => (offsetMinutes % 60 === 0
+    ? `${offsetMinutes / 60} hour${offsetMinutes === 60 ? '' : 's'}`
+    : `${offsetMinutes} minutes`);
+
+// Updates the reminder entry of an appointment for one offset and appointment time
+const setReminderState = (appointmentId, appointmentTime, offsetMinutes, fields, onlyIfStatus = null) => {
+    const $set = {};
+    Object.entries(fields).forEach(([field, value]) => {
+        $set[`reminders.$[reminder].${field}`] = value;
+    });
+    const reminderFilter = { 'reminder.offsetMinutes': offsetMinutes, 'reminder.appointmentTime': appointmentTime };
+    if (onlyIfStatus) reminderFilter['reminder.status'] = onlyIfStatus;
+    return Appointment.updateOne({ _id: appointmentId }, { $set }, { arrayFilters: [reminderFilter] });
+};
+
+// Marks reminders that will no longer be sent as skipped (all of them, or those for times other than keepTime)
+const skipScheduledReminders = (appointmentId, reason, keepTime = null) => {
+    const reminderFilter = { 'reminder.status': ReminderStatus.SCHEDULED };
+    if (keepTime) reminderFilter['reminder.appointmentTime'] = { $ne: keepTime };
+    return Appointment.updateOne(
+        { _id: appointmentId },
+        { $set: { 'reminders.$[reminder].status': ReminderStatus.SKIPPED, 'reminders.$[reminder].detail': reason } },
+        { arrayFilters: [reminderFilter] }
+    );
+};
+
+const sendReminderEmail = async (appointment, offsetMinutes) => {
+    const patientUser = appointment.patient.userAccount;
+    const doctorUser = appointment.doctor?.userAccount;
+    const timeZone = getDoctorTimeZone(appointment.doctor);
+    const when = `${toDateKey(appointment.appointmentTime, timeZone)} at ${minutesToTime(getMinutesOfDay(appointment.appointmentTime, timeZone))} (${timeZone})`;
+    const message = `Hello ${patientUser.firstName},\n\nThis is a reminder that your appointment with Dr. ${doctorUser?.firstName || ''} ${doctorUser?.lastName || ''} is in ${describeOffset(offsetMinutes)}, on ${when}.\nIf you cannot attend, please cancel it so the slot can be offered to another patient.`;
+
+    await sendEmail({
+        to: patientUser.email,
+        subject: 'Appointment reminder - KonsulDok',
+        text: message,
+    });
+};
+
+/**
+ * Job handler: emails one reminder, unless the appointment was cancelled, rescheduled or deleted since it was scheduled.
+ * The outcome is recorded on the appointment's reminders.
+ * @param {object} payload - { appointmentId, appointmentTime, offsetMinutes }.
+ * @param {object} job - The running job (attempts/maxAttempts decide when a failed delivery is final).
+ */
+const sendAppointmentReminder = async ({ appointmentId, appointmentTime, offsetMinutes }, job) => {
+    const scheduledTime = new Date(appointmentTime);
+    const appointment = await Appointment.findOne({ _id: appointmentId, isDeleted: { $ne: true } })
+        .populate({ path: 'patient', select: 'userAccount', populate: { path: 'userAccount', select: 'firstName email' } })
+        .populate({ path: 'doctor', select: 'userAccount timezone', populate: { path: 'userAccount', select: 'firstName lastName' } });
+
+    let skipReason = null;
+    if (!appointment) skipReason = 'Appointment was deleted.';
+    else if (appointment.status !== AppointmentStatus.CONFIRMED) skipReason = `Appointment is ${appointment.status}.`;
+    else if (appointment.appointmentTime.getTime() !== scheduledTime.getTime()) skipReason = 'Appointment was rescheduled.';
+    else if (appointment.appointmentTime <= now()) skipReason = 'Appointment has already started.';
+    else if (!appointment.patient?.userAccount?.email) skipReason = 'Patient has no email address.';
+
+    if (skipReason) {
+        if (appointment) await setReminderState(appointmentId, scheduledTime, offsetMinutes, { status: ReminderStatus.SKIPPED, detail: skipReason });
+        logger.info(`ReminderService: Skipped ${offsetMinutes}-minute reminder of appointment ${appointmentId}: ${skipReason}`);
+        return;
+    }
+
+    try {
+        await sendReminderEmail(appointment, offsetMinutes);
+    } catch (error) {
+        const isFinal = job.attempts >= job.maxAttempts;
+        await setReminderState(appointmentId, scheduledTime, offsetMinutes, isFinal ? { status: ReminderStatus.FAILED, detail: error.message } : { detail: error.message });
+        throw error;
+    }
+    await setReminderState(appointmentId, scheduledTime, offsetMinutes, { status: ReminderStatus.SENT, sentAt: now(), detail: null });
+    logger.info(`ReminderService: Sent ${offsetMinutes}-minute reminder of appointment ${appointmentId}`);
+};
+
+/**
+ * Registers the reminder job handler with the scheduler (called once at server start, and by tests).
+ */
+export const registerAppointmentReminderJob = () => {
+    registerJobHandler(APPOINTMENT_REMINDER_JOB, sendAppointmentReminder);
+};
+
+/**
+ * Brings an appointment's reminder jobs in line with its current state: a Confirmed appointment gets one job
+ * per config.reminders.offsetsMinutes still in the future, anything else (cancelled, requested, deleted) gets none,
+ * and reminders for a previous time are dropped. Safe to call after every save; errors are logged, never thrown,
+ * so they cannot fail the change that triggered them.
+ * @param {object} appointment - The saved appointment document.
+ * @returns {Promise<void>}
+ */
+export const syncAppointmentReminders = async (appointment) => {
+    const appointmentId = appointment._id.toString();
+    try {
+        if (appointment.status !== AppointmentStatus.CONFIRMED || appointment.isDeleted) {
+            await cancelJobs(APPOINTMENT_REMINDER_JOB, { appointmentId });
+            await skipScheduledReminders(appointment._id, appointment.isDeleted ? 'Appointment was deleted.' : `Appointment is ${appointment.status}.`);
+            return;
+        }
+
+        const { appointmentTime } = appointment;
+        await cancelJobs(APPOINTMENT_REMINDER_JOB, { appointmentId, appointmentTime: { $ne: appointmentTime } });
+        await skipScheduledReminders(appointment._id, 'Appointment was rescheduled.', appointmentTime);
+
+        const currentTime = now();
+        for (const offsetMinutes of config.reminders.offsetsMinutes) {
+            const sendAt = new Date(appointmentTime.getTime() - offsetMinutes * 60000);
+            if (sendAt <= currentTime) continue; // Booked too close to the appointment for this reminder
+
+            const job = await scheduleJob(
+                APPOINTMENT_REMINDER_JOB,
+                sendAt,
+                { appointmentId, appointmentTime, offsetMinutes },
+                { uniqueKey: reminderJobKey(appointmentId, appointmentTime, offsetMinutes) }
+            );
+            if (job.status !== JobStatus.PENDING) continue; // Already sent (or given up) for this time
+
+            // Moved back to a time it had reminders for before: revive the skipped entry, otherwise add one
+            await setReminderState(appointment._id, appointmentTime, offsetMinutes, { status: ReminderStatus.SCHEDULED, sendAt, detail: null }, ReminderStatus.SKIPPED);
+            await Appointment.updateOne(
+                { _id: appointment._id, reminders: { $not: { $elemMatch: { offsetMinutes, appointmentTime } } } },
+                { $push: { reminders: { offsetMinutes, appointmentTime, sendAt } } }
+            );
+        }
+    } catch (error) {
+        logger.error(`ReminderService: Failed to schedule reminders of appointment ${appointmentId}: ${error.message}`, { error });
+    }
+};
@@ -0,0 +1,317 @@
+// src/api/services/schedule.service.js
+import fs from 'fs/promises';
+import config from '../../config/index.js';
+import Appointment from '../../models/appointment.model.js';
+import DoctorProfile from '../../models/doctorProfile.model.js';
+import Holiday from '../../models/holiday.model.js';
+import ScheduleException from '../../models/scheduleException.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { ActiveAppointmentStatuses, ScheduleExceptionTypes } from '../../utils/constants.js';
+import logger from '../../utils/logger.js';
+import { addDaysToDateKey, getDayOfWeek, getDoctorTimeZone, isValidDateKey, mergeTimeBlocks, subtractTimeBlocks, toDateKey, zonedTimeToDate } from '../../utils/schedule.js';
+import { assertCan } from './permission.service.js';
+
+// Applies holidays and schedule exceptions to the weekly schedule of one date
+const computeWorkingBlocks = (doctorProfile, dateKey, isHoliday, exceptions) => {
+    if (isHoliday || exceptions.some(exception => exception.type === ScheduleExceptionTypes.DAY_OFF)) return [];
+
+    const weeklyBlocks = doctorProfile.weeklySchedule
+        .filter(slot => slot.dayOfWeek === getDayOfWeek(dateKey))
+        .map(slot => ({ startTime: slot.startTime, endTime: slot.endTime }));
+    const extraBlocks = exceptions.filter(exception => exception.type === ScheduleExceptionTypes.EXTRA_HOURS);
+    const blockedBlocks = exceptions.filter(exception => exception.type === ScheduleExceptionTypes.BLOCKED);
+
+    return subtractTimeBlocks(mergeTimeBlocks([...weeklyBlocks, ...extraBlocks]), blockedBlocks);
+};
+
+/**
+ * Loads holidays and schedule exceptions for a set of doctors and a date range in two queries,
+ * so working blocks of many days can be computed without further database round trips.
+ * Dates are keys in each doctor's own timezone.
+ * @param {Array<string>} doctorIds - DoctorProfile IDs.
+ * @param {string} fromKey - First date of the range (YYYY-MM-DD).
+ * @param {string} toKey - Last date of the range (YYYY-MM-DD, inclusive).
+ * @returns {Promise<{getWorkingBlocks: Function}>} getWorkingBlocks(doctorProfile, dateKey) returns the merged working blocks of that date.
+ */
+export const loadScheduleCalendar = async (doctorIds, fromKey, toKey) => {
+    const dateRange = { $gte: fromKey, $lte: toKey };
+    const [holidays, exceptions] = await Promise.all([
+        Holiday.find({ date: dateRange, isDeleted: { $ne: true } }).select('date').lean(),
+        ScheduleException.find({ doctor: { $in: doctorIds }, date: dateRange, isDeleted: { $ne: true } }).lean(),
+    ]);
+
+    const holidayDates = new Set(holidays.map(holiday => holiday.date));
+    const exceptionsByDoctorDate = new Map();
+    exceptions.forEach(exception => {
+        const key = `${exception.doctor}|${exception.date}`;
+        if (!exceptionsByDoctorDate.has(key)) exceptionsByDoctorDate.set(key, []);
+        exceptionsByDoctorDate.get(key).push(exception);
+    });
+
+    return {
+        getWorkingBlocks: (doctorProfile, dateKey) => {
+            return computeWorkingBlocks(
+                doctorProfile,
+                dateKey,
+                holidayDates.has(dateKey),
+                exceptionsByDoctorDate.get(`${doctorProfile._id}|${dateKey}`) || []
+            );
+        },
+    };
+};
+
+/**
+ * Returns the blocks a doctor works on a date: the weekly schedule for that weekday,
+ * with clinic holidays, days off and blocked hours removed and extra hours added.
+ * @param {object} doctorProfile - The DoctorProfile document (needs _id, weeklySchedule and timezone).
+ * @param {string} dateKey - The date to check (YYYY-MM-DD in the doctor's timezone).
+ * @returns {Promise<Array<{startTime: string, endTime: string}>>} Merged working blocks, empty when the doctor does not work.
+ */
+export const getWorkingBlocksForDate = async (doctorProfile, dateKey) => {
+    const calendar = await loadScheduleCalendar([doctorProfile._id], dateKey, dateKey);
+    return calendar.getWorkingBlocks(doctorProfile, dateKey);
+};
+
+/**
+ * Finds active appointments that fall inside a time range on a date, so new time-off can warn about them.
+ * @param {object} criteria - { doctor (optional, all doctors when omitted), date (YYYY-MM-DD), startTime, endTime (HH:MM, whole day when omitted), timeZone }.
+ * @returns {Promise<Array<object>>} Colliding appointments (lean, minimal fields).
+ */
+const findCollidingAppointments = async ({ doctor, date, startTime, endTime, timeZone = config.clinic.timezone }) => {
+    const rangeStart = zonedTimeToDate(date, startTime || '00:00', timeZone);
+    const rangeEnd = endTime ? zonedTimeToDate(date, endTime, timeZone) : zonedTimeToDate(addDaysToDateKey(date, 1), '00:00', timeZone);
+
+    const filter = {
+        status: { $in: ActiveAppointmentStatuses },
+        isDeleted: { $ne: true },
+        // Check for overlap: (StartA < EndB) and (EndA > StartB)
+        appointmentTime: { $lt: rangeEnd },
+        $expr: { $gt: [{ $add: ['$appointmentTime', { $multiply: ['$durationMinutes', 60000] }] }, rangeStart] }
+    };
+    if (doctor) filter.doctor = doctor;
+
+    return Appointment.find(filter)
+        .select('patient doctor appointmentTime durationMinutes status')
+        .sort({ appointmentTime: 1 })
+        .lean();
+};
+
+const buildCollisionWarning = (appointments) => appointments.length
+    ? `${appointments.length} existing appointment(s) fall within this time. They were not changed; reschedule or cancel them as needed.`
+    : null;
+
+// Checks that the doctor exists and the user may manage their schedule
+const assertCanManageSchedule = async (doctorId, requestingUser) => {
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } }).select('timezone');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+    await assertCan(requestingUser, 'schedules:manage', { doctor: doctorId }, "Forbidden: You are not authorized to manage this doctor's schedule.");
+    return doctorProfile;
+};
+
+/**
+ * Lists a doctor's schedule exceptions.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {object} queryOptions - Optional from/to dates (YYYY-MM-DD).
+ * @param {object} requestingUser - The doctor themselves, Staff or Admin.
+ * @returns {Promise<Array<object>>} Exceptions sorted by date.
+ */
+export const listScheduleExceptions = async (doctorId, queryOptions = {}, requestingUser) => {
+    logger.debug(`ScheduleService: Listing schedule exceptions of doctor ${doctorId}`, queryOptions);
+    await assertCanManageSchedule(doctorId, requestingUser);
+
+    const filter = { doctor: doctorId, isDeleted: { $ne: true } };
+    if (queryOptions.from || queryOptions.to) {
+        filter.date = {};
+        if (queryOptions.from) filter.date.$gte = queryOptions.from;
+        if (queryOptions.to) filter.date.$lte = queryOptions.to;
+    }
+    return ScheduleException.find(filter).sort({ date: 1, startTime: 1 }).select('-__v');
+};
+
+/**
+ * Adds a schedule exception (day off, blocked hours or extra hours) for a doctor.
+ * Existing appointments are never changed; the ones colliding with new time-off are returned as a warning.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {object} exceptionData - { date, type, startTime, endTime, reason }.
+ * @param {object} requestingUser - The doctor themselves, Staff or Admin.
+ * @returns {Promise<object>} { exception, conflictingAppointments, warning }.
+ */
+export const createScheduleException = async (doctorId, exceptionData, requestingUser) => {
+    logger.debug(`ScheduleService: Adding schedule exception for doctor ${doctorId} by user ${requestingUser._id}`, exceptionData);
+    const doctorProfile = await assertCanManageSchedule(doctorId, requestingUser);
+
+    const { date, type, reason } = exceptionData;
+    const isDayOff = type === ScheduleExceptionTypes.DAY_OFF;
+    const exception = await ScheduleException.create({
+        doctor: doctorId,
+        date,
+        type,
+        startTime: isDayOff ? undefined : exceptionData.startTime,
+        endTime: isDayOff ? undefined : exceptionData.endTime,
+        reason,
+        createdBy: requestingUser._id,
+        updatedBy: requestingUser._id,
+    });
+
+    // Extra hours only add availability, so they cannot collide with bookings
+    const conflictingAppointments = type === ScheduleExceptionTypes.EXTRA_HOURS
+        ? []
+        : await findCollidingAppointments({ doctor: doctorId, date, startTime: exception.startTime, endTime: exception.endTime, timeZone: getDoctorTimeZone(doctorProfile) });
+    if (conflictingAppointments.length) {
+        logger.warn(`ScheduleService: New ${type} exception ${exception._id} for doctor ${doctorId} on ${date} collides with ${conflictingAppointments.length} appointment(s)`);
+    }
+
+    logger.info(`Schedule exception ${exception._id} (${type} on ${date}) added for doctor ${doctorId} by ${requestingUser._id}`);
+    return { exception, conflictingAppointments, warning: buildCollisionWarning(conflictingAppointments) };
+};
+
+/**
+ * Removes a schedule exception (soft delete).
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {string} exceptionId - The exception ID.
+ * @param {object} requestingUser - The doctor themselves, Staff or Admin.
+ * @returns {Promise<void>}
+ */
+export const deleteScheduleException = async (doctorId, exceptionId, requestingUser) => {
+    logger.warn(`ScheduleService: Removing schedule exception ${exceptionId} of doctor ${doctorId} by user ${requestingUser._id}`);
+    await assertCanManageSchedule(doctorId, requestingUser);
+
+    const exception = await ScheduleException.findOne({ _id: exceptionId, doctor: doctorId, isDeleted: { $ne: true } });
+    if (!exception) throw new ApiError(404, 'Schedule exception not found.');
+
+    await exception.softDelete(requestingUser._id);
+    logger.info(`Schedule exception ${exceptionId} removed by ${requestingUser._id}`);
+};
+
+/**
+ * Lists clinic holidays.
+ * @param {object} queryOptions - Optional year, or from/to dates (YYYY-MM-DD).
+ * @returns {Promise<Array<object>>} Holidays sorted by date.
+ */
+export const listHolidays = async (queryOptions = {}) => {
+    logger.debug('ScheduleService: Listing holidays', queryOptions);
+    const { year, from, to } = queryOptions;
+
+    const filter = { isDeleted: { $ne: true } };
+    if (year) {
+        filter.date = { $gte: `${year}-01-01`, $lte: `${year}-12-31` };
+    } else if (from || to) {
+        filter.date = {};
+        if (from) filter.date.$gte = from;
+        if (to) filter.date.$lte = to;
+    }
+    return Holiday.find(filter).sort({ date: 1 }).select('-__v');
+};
+
+/**
+ * Adds a clinic holiday. Appointments already booked on that date are returned as a warning.
+ * @param {object} holidayData - { date, name }.
+ * @param {object} requestingUser - Staff or Admin.
+ * @returns {Promise<object>} { holiday, conflictingAppointments, warning }.
+ */
+export const createHoliday = async ({ date, name }, requestingUser) => {
+    logger.debug(`ScheduleService: Adding holiday ${date} (${name}) by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'holidays:manage', null, 'Forbidden: You are not authorized to manage holidays.');
+
+    if (await Holiday.exists({ date, isDeleted: { $ne: true } })) {
+        throw new ApiError(409, `A holiday already exists on ${date}.`);
+    }
+    let holiday;
+    try {
+        holiday = await Holiday.create({ date, name, createdBy: requestingUser._id, updatedBy: requestingUser._id });
+    } catch (error) {
+        // Added by a concurrent request between the check above and the insert
+        if (error.code !== 11000) throw error;
+        throw new ApiError(409, `A holiday already exists on ${date}.`);
+    }
+
+    const conflictingAppointments = await findCollidingAppointments({ date });
+    if (conflictingAppointments.length) {
+        logger.warn(`ScheduleService: New holiday on ${date} collides with ${conflictingAppointments.length} appointment(s)`);
+    }
+
+    logger.info(`Holiday ${holiday._id} (${date}) added by ${requestingUser._id}`);
+    return { holiday, conflictingAppointments, warning: buildCollisionWarning(conflictingAppointments) };
+};
+
+/**
+ * Removes a clinic holiday (soft delete).
+ * @param {string} holidayId - The holiday ID.
+ * @param {object} requestingUser - Staff or Admin.
+ * @returns {Promise<void>}
+ */
+export const deleteHoliday = async (holidayId, requestingUser) => {
+    logger.warn(`ScheduleService: Removing holiday ${holidayId} by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'holidays:manage', null, 'Forbidden: You are not authorized to manage holidays.');
+
+    const holiday = await Holiday.findOne({ _id: holidayId, isDeleted: { $ne: true } });
+    if (!holiday) throw new ApiError(404, 'Holiday not found.');
+
+    await holiday.softDelete(requestingUser._id);
+    logger.info(`Holiday ${holidayId} removed by ${requestingUser._id}`);
+};
+
+/**
+ * Imports the clinic holiday calendar from a local JSON file (array of { date: "YYYY-MM-DD", name }).
+ * Existing holidays on the same date are renamed; invalid entries are skipped and reported.
+ * @param {object} requestingUser - Staff or Admin.
+ * @param {string} [filePath=config.holidays.importFile] - Path of the file to import.
+ * @returns {Promise<object>} { imported, updated, skipped, conflictingAppointments, warning }.
+ */
+export const importHolidaysFromFile = async (requestingUser, filePath = config.holidays.importFile) => {
+    logger.info(`ScheduleService: Importing holidays from ${filePath} by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'holidays:manage', null, 'Forbidden: You are not authorized to manage holidays.');
+
+    let entries;
+    try {
+        entries = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+        logger.error(`Failed to read holiday file ${filePath}: ${error.message}`);
+        throw new ApiError(500, 'Failed to read the holiday calendar file.');
+    }
+    if (!Array.isArray(entries)) {
+        throw new ApiError(500, 'Holiday calendar file must contain a JSON array.');
+    }
+
+    const skipped = [];
+    const operations = [];
+    const seenDates = new Set();
+    entries.forEach((entry, index) => {
+        const date = entry?.date;
+        const name = typeof entry?.name === 'string' ? entry.name.trim() : '';
+        if (!isValidDateKey(date) || !name || seenDates.has(date)) {
+            skipped.push({ index, entry, message: seenDates.has(date) ? 'Duplicate date in file.' : 'Entry needs a YYYY-MM-DD date and a name.' });
+            return;
+        }
+        seenDates.add(date);
+        operations.push({
+            updateOne: {
+                filter: { date, isDeleted: false },
+                update: {
+                    $set: { name, source: 'import', updatedBy: requestingUser._id },
+                    $setOnInsert: { date, createdBy: requestingUser._id },
+                },
+                upsert: true,
+            },
+        });
+    });
+
+    const result = operations.length ? await Holiday.bulkWrite(operations) : null;
+
+    // Warn about bookings on any imported date that is still ahead
+    const today = toDateKey(new Date(), config.clinic.timezone);
+    const conflictingAppointments = [];
+    for (const date of [...seenDates].filter(date => date >= today).sort()) {
+        conflictingAppointments.push(...await findCollidingAppointments({ date }));
+    }
+
+    const summary = {
+        imported: result?.upsertedCount || 0,
+        updated: result?.modifiedCount || 0,
+        skipped,
+        conflictingAppointments,
+        warning: buildCollisionWarning(conflictingAppointments),
+    };
+    logger.info(`Holidays imported from ${filePath}: ${summary.imported} new, ${summary.updated} updated, ${skipped.length} skipped`);
+    return summary;
+};
@@ -0,0 +1,195 @@
+// src/api/services/session.service.js
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import config from '../../config/index.js';
+import Session from '../../models/session.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+
+// Refresh tokens are stored hashed, like password reset tokens
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Signs a refresh token for a session and returns it with its expiry date
+const signRefreshToken = (userId, sessionId) => {
+    const token = jwt.sign(
+        { id: userId, sid: sessionId, jti: crypto.randomBytes(16).toString('hex') },
+        config.jwt.refreshSecret,
+        { expiresIn: config.jwt.refreshExpiresIn }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, expiresAt: new Date(exp * 1000) };
+};
+
+/**
+ * Starts a new session (refresh token family) for a user.
+ * @param {string} userId - The ID of the user logging in.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress).
+ * @returns {Promise<object>} Object containing the session and its first refresh token.
+ */
+export const createSession = async (userId, meta = {}) => {
+    const session = new Session({
+        user: userId,
+        userAgent: meta.userAgent,
+        ipAddress: meta.ipAddress,
+    });
+    const { token, expiresAt } = signRefreshToken(userId, session._id);
+    session.refreshTokenHash = hashToken(token);
+    session.expiresAt = expiresAt;
+
+    await session.save();
+    logger.info(`Session ${session._id} created for user ${userId}`);
+    return { session, refreshToken: token };
+};
+
+/**
+ * Exchanges a refresh token for a new one, rotating the session.
+ * Presenting a token that was already rotated revokes the whole session.
+ * @param {string} refreshToken - The refresh token presented by the client.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress).
+ * @returns {Promise<object>} Object containing the rotated session and the new refresh token.
+ */
+export const rotateSession = async (refreshToken, meta = {}) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(refreshToken, config.jwt.refreshSecret);
+    } catch (error) {
+        throw new ApiError(401, 'Invalid or expired refresh token. Please log in again.');
+    }
+
+    const session = await Session.findById(decoded.sid).select('+refreshTokenHash');
+    if (!session || !session.isValid() || !session.user.equals(decoded.id)) {
+        throw new ApiError(401, 'Session has expired or been revoked. Please log in again.');
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    if (session.refreshTokenHash !== presentedHash) {
+        logger.warn(`Refresh token reuse detected for session ${session._id} (user ${session.user}). Revoking session.`);
+        await session.revoke('token_reuse');
+        throw new ApiError(401, 'Refresh token has already been used. Please log in again.');
+    }
+
+    const { token, expiresAt } = signRefreshToken(session.user, session._id);
+
+    // Conditional update so two concurrent refreshes cannot both rotate the same token
+    const rotatedSession = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+        {
+            refreshTokenHash: hashToken(token),
+            expiresAt,
+            lastSeenAt: new Date(),
+            ...(meta.userAgent && { userAgent: meta.userAgent }),
+            ...(meta.ipAddress && { ipAddress: meta.ipAddress }),
+        },
+        { new: true }
+    );
+    if (!rotatedSession) {
+        logger.warn(`Concurrent refresh detected for session ${session._id}. Revoking session.`);
+        await session.revoke('token_reuse');
+        throw new ApiError(401, 'Refresh token has already been used. Please log in again.');
+    }
+
+    logger.debug(`SessionService: Session ${session._id} rotated`);
+    return { session: rotatedSession, refreshToken: token };
+};
+
+/**
+ * Issues a new refresh token for an active session without presenting the old one,
+ * so every refresh token handed out earlier for it stops working.
+ * @param {string} sessionId - The ID of the session.
+ * @param {string} userId - The ID of the user owning the session.
+ * @returns {Promise<object>} Object containing the session and its new refresh token.
+ */
+export const renewSession = async (sessionId, userId) => {
+    const session = await Session.findOne({ _id: sessionId, user: userId });
+    if (!session || !session.isValid()) {
+        throw new ApiError(401, 'Your session has been revoked or has expired. Please log in again.');
+    }
+    const { token, expiresAt } = signRefreshToken(userId, session._id);
+    session.refreshTokenHash = hashToken(token);
+    session.expiresAt = expiresAt;
+    session.lastSeenAt = new Date();
+    await session.save();
+    logger.debug(`SessionService: Session ${session._id} renewed`);
+    return { session, refreshToken: token };
+};
+
+/**
+ * Revokes a single session.
+ * @param {string} sessionId - The ID of the session.
+ * @param {string} reason - Why the session is revoked.
+ * @returns {Promise<void>}
+ */
+export const revokeSession = async (sessionId, reason) => {
+    const session = await Session.findById(sessionId);
+    if (!session) {
+        logger.debug(`SessionService: Session ${sessionId} not found for revocation`);
+        return;
+    }
+    await session.revoke(reason);
+    logger.info(`Session ${sessionId} revoked (${reason})`);
+};
+
+/**
+ * Revokes every active session of a user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} reason - Why the sessions are revoked.
+ * @param {string} [exceptSessionId] - A session to keep (e.g. the one changing the password).
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+export const revokeAllUserSessions = async (userId, reason, exceptSessionId) => {
+    const result = await Session.updateMany(
+        { user: userId, revokedAt: null, ...(exceptSessionId && { _id: { $ne: exceptSessionId } }) },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+    logger.info(`Revoked ${result.modifiedCount} session(s) for user ${userId} (${reason})`);
+    return result.modifiedCount;
+};
+
+/**
+ * Ensures the session a token was issued for is still active and records activity.
+ * Used by the authenticate middleware so revoked sessions stop working immediately.
+ * @param {string} sessionId - The session ID from the access token.
+ * @param {string} userId - The user ID from the access token.
+ * @returns {Promise<object>} The active session document.
+ */
+export const assertActiveSession = async (sessionId, userId) => {
+    const session = sessionId ? await Session.findById(sessionId) : null;
+    if (!session || !session.user.equals(userId) || !session.isValid()) {
+        throw new ApiError(401, 'Your session has been revoked or has expired. Please log in again.');
+    }
+
+    // Only write lastSeenAt once a minute to avoid a DB write on every request
+    if (Date.now() - session.lastSeenAt.getTime() > 60 * 1000) {
+        session.lastSeenAt = new Date();
+        await session.save();
+    }
+    return session;
+};
+
+/**
+ * Lists the active sessions of a user, most recently used first.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} List of session documents.
+ */
+export const listUserSessions = async (userId) => {
+    logger.debug(`SessionService: Listing sessions for user ${userId}`);
+    return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .sort({ lastSeenAt: -1 })
+        .select('userAgent ipAddress lastSeenAt createdAt expiresAt');
+};
+
+/**
+ * Revokes one session of a specific user.
+ * @param {string} userId - The ID of the user owning the session.
+ * @param {string} sessionId - The ID of the session to revoke.
+ * @param {string} reason - Why the session is revoked.
+ * @returns {Promise<void>}
+ */
+export const revokeUserSession = async (userId, sessionId, reason) => {
+    const session = await Session.findOne({ _id: sessionId, user: userId, revokedAt: null });
+    if (!session) {
+        throw new ApiError(404, 'Session not found or already revoked.');
+    }
+    await session.revoke(reason);
+    logger.info(`Session ${sessionId} of user ${userId} revoked (${reason})`);
+};
@@ -0,0 +1,111 @@
+// src/api/services/slotLock.service.js
+import SlotLock from '../../models/slotLock.model.js';
+import logger from '../../utils/logger.js';
+import { getBlockedMinutes } from '../../utils/schedule.js';
+
+const SLOT_LOCK_MINUTES = 5; // Bucket size; the shortest appointment is 5 minutes
+const PENDING_LOCK_MINUTES = 2; // Locks taken while an appointment is being saved expire if the save never completes
+
+/**
+ * Start times of the lock buckets covered by [start, start + durationMinutes).
+ * @param {Date} start
+ * @param {number} durationMinutes
+ * @returns {Array<Date>}
+ */
+export const getLockSlotStarts = (start, durationMinutes) => {
+    const bucketMs = SLOT_LOCK_MINUTES * 60000;
+    const end = start.getTime() + durationMinutes * 60000;
+    const slotStarts = [];
+    for (let time = Math.floor(start.getTime() / bucketMs) * bucketMs; time < end; time += bucketMs) {
+        slotStarts.push(new Date(time));
+    }
+    return slotStarts;
+};
+
+/**
+ * Expiry for the locks of an appointment that is about to be saved.
+ * @returns {Date}
+ */
+export const getPendingLockExpiry = () => new Date(Date.now() + PENDING_LOCK_MINUTES * 60000);
+
+// Filter matching the locks of one owner ({ appointment } or { hold })
+const ownerFilter = (owner) => (owner.appointment ? { appointment: owner.appointment } : { hold: owner.hold });
+
+/**
+ * Claims the time range for an owner. Buckets the owner already has (e.g. when an appointment
+ * is moved to an overlapping time) are kept; all other buckets must be free.
+ * Either every missing bucket is claimed or none is.
+ * @param {string} doctorId - The DoctorProfile ID.
+ * @param {Date} start - Start of the range.
+ * @param {number} durationMinutes - Length of the range.
+ * @param {object} owner - { appointment } or { hold } ID the locks belong to.
+ * @param {Date|null} [expiresAt=null] - Expiry of the new locks until they are confirmed (see getPendingLockExpiry).
+ * @returns {Promise<boolean>} False when another appointment or an active hold already has part of the range.
+ */
+export const acquireSlotLocks = async (doctorId, start, durationMinutes, owner, expiresAt = null) => {
+    const slotStarts = getLockSlotStarts(start, durationMinutes);
+    const ownedLocks = await SlotLock.find({ doctor: doctorId, slotStart: { $in: slotStarts }, ...ownerFilter(owner) }).select('slotStart').lean();
+    const ownedTimes = new Set(ownedLocks.map(lock => lock.slotStart.getTime()));
+    const missingSlotStarts = slotStarts.filter(slotStart => !ownedTimes.has(slotStart.getTime()));
+    if (missingSlotStarts.length === 0) return true;
+
+    // The TTL monitor only runs about once a minute, so expired locks may still be around
+    await SlotLock.deleteMany({ doctor: doctorId, slotStart: { $in: missingSlotStarts }, expiresAt: { $ne: null, $lte: new Date() } });
+
+    try {
+        await SlotLock.insertMany(
+            missingSlotStarts.map(slotStart => ({ doctor: doctorId, slotStart, appointment: owner.appointment || null, hold: owner.hold || null, expiresAt })),
+            { ordered: true }
+        );
+        return true;
+    } catch (error) {
+        if (error.code !== 11000) throw error;
+        // Another booking or hold got there first: give back whatever part of the range was claimed
+        await SlotLock.deleteMany({ doctor: doctorId, slotStart: { $in: missingSlotStarts }, ...ownerFilter(owner) });
+        logger.debug(`SlotLockService: Slot of doctor ${doctorId} at ${start.toISOString()} (${durationMinutes} min) is already taken`);
+        return false;
+    }
+};
+
+/**
+ * Confirms an appointment's locks for its current time and drops the ones it no longer needs
+ * (called once the appointment has been saved). Confirmed locks expire when the appointment's time is over.
+ * @param {object} appointment - The saved appointment (needs _id, doctor, appointmentTime, durationMinutes, bufferMinutes).
+ * @returns {Promise<void>}
+ */
+export const confirmSlotLocks = async (appointment) => {
+    const blockedMinutes = getBlockedMinutes(appointment);
+    const slotStarts = getLockSlotStarts(appointment.appointmentTime, blockedMinutes);
+    await SlotLock.updateMany(
+        { appointment: appointment._id, slotStart: { $in: slotStarts } },
+        { $set: { confirmed: true, expiresAt: new Date(appointment.appointmentTime.getTime() + blockedMinutes * 60000) } }
+    );
+    await SlotLock.deleteMany({ appointment: appointment._id, slotStart: { $nin: slotStarts } });
+};
+
+/**
+ * Hands the locks of an active hold over to an appointment, so the held time is never free in between.
+ * @param {string} holdId - The SlotHold ID.
+ * @param {string} appointmentId - The appointment taking over the locks.
+ * @param {Date} expiresAt - Expiry until the appointment is saved (see getPendingLockExpiry).
+ * @returns {Promise<number>} Number of locks taken over.
+ */
+export const transferHoldLocks = async (holdId, appointmentId, expiresAt) => {
+    const result = await SlotLock.updateMany(
+        { hold: holdId, expiresAt: { $gt: new Date() } },
+        { $set: { appointment: appointmentId, hold: null, expiresAt } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Frees the time claimed by an owner (cancelled appointment, released hold, failed save).
+ * @param {object} owner - { appointment } or { hold } ID.
+ * @param {object} [options]
+ * @param {boolean} [options.pendingOnly=false] - Only free temporary locks (e.g. after a failed reschedule).
+ * @returns {Promise<void>}
+ */
+export const releaseSlotLocks = async (owner, { pendingOnly = false } = {}) => {
+    const result = await SlotLock.deleteMany({ ...ownerFilter(owner), ...(pendingOnly ? { confirmed: false } : {}) });
+    logger.debug(`SlotLockService: Released ${result.deletedCount} slot lock(s)`, owner);
+};
@@ -0,0 +1,259 @@
+// src/api/services/twoFactor.service.js
+import jwt from 'jsonwebtoken';
+import config from '../../config/index.js';
+import User from '../../models/user.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import logger from '../../utils/logger.js';
+import { buildOtpauthUri, generateTotpSecret, verifyTotp } from '../../utils/totp.js';
+import { assertAccountNotLocked, recordFailedLogin } from './accountLockout.service.js';
+import { assertCan } from './permission.service.js';
+import { revokeAllUserSessions } from './session.service.js';
+
+const CHALLENGE_PURPOSE = '2fa_challenge';
+const TWO_FACTOR_FIELDS = '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// Checks a TOTP code against a secret and rejects replay of an already used time step
+const acceptTotpCode = (user, secret, code) => {
+    const step = verifyTotp(secret, code);
+    if (step === null) return false;
+    if (user.twoFactorLastUsedStep !== undefined && user.twoFactorLastUsedStep !== null && step <= user.twoFactorLastUsedStep) {
+        logger.warn(`TwoFactorService: Replayed TOTP code rejected for user ${user._id}`);
+        return false;
+    }
+    user.twoFactorLastUsedStep = step;
+    return true;
+};
+
+// Generates a pending secret for the user and returns the data an authenticator app needs
+const startEnrollment = async (user) => {
+    const secret = generateTotpSecret();
+    user.twoFactorPendingSecret = secret;
+    await user.save({ validateBeforeSave: false });
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri({ secret, accountName: user.email, issuer: config.twoFactor.issuer }),
+    };
+};
+
+// Verifies the first code of a pending enrollment, activates 2FA and returns fresh recovery codes
+const finishEnrollment = async (user, code) => {
+    if (!user.twoFactorPendingSecret) {
+        throw new ApiError(400, 'No two-factor enrollment in progress. Start the setup first.');
+    }
+    if (!acceptTotpCode(user, user.twoFactorPendingSecret, code)) {
+        throw new ApiError(400, 'Invalid two-factor authentication code.');
+    }
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorEnabled = true;
+    const recoveryCodes = user.generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+    await user.save({ validateBeforeSave: false });
+    logger.info(`Two-factor authentication enabled for user ${user._id}`);
+    return recoveryCodes;
+};
+
+/**
+ * Whether TOTP 2FA is mandatory for a role (configured via TWO_FACTOR_ENFORCED_ROLES).
+ * @param {string} role - User role.
+ * @returns {boolean}
+ */
+export const isTwoFactorEnforced = (role) => config.twoFactor.enforcedRoles.includes(role);
+
+/**
+ * Issues a short-lived challenge token proving the password step of a login succeeded.
+ * The token cannot be used as an access token (it is not bound to a session).
+ * @param {object} user - The user logging in.
+ * @returns {string} Signed challenge token.
+ */
+export const createLoginChallenge = (user) => {
+    return jwt.sign(
+        { id: user._id, purpose: CHALLENGE_PURPOSE },
+        config.jwt.secret,
+        { expiresIn: config.twoFactor.challengeExpiresIn }
+    );
+};
+
+// Resolves the user from a challenge token, including the 2FA fields
+const getUserFromChallenge = async (challengeToken) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(challengeToken, config.jwt.secret);
+    } catch (error) {
+        throw new ApiError(401, 'Two-factor challenge is invalid or has expired. Please log in again.');
+    }
+    if (decoded.purpose !== CHALLENGE_PURPOSE) {
+        throw new ApiError(401, 'Two-factor challenge is invalid or has expired. Please log in again.');
+    }
+
+    const user = await User.findOne({ _id: decoded.id, isActive: true, isDeleted: { $ne: true } })
+        .select(`${TWO_FACTOR_FIELDS} +passwordChangedAt`);
+    if (!user || user.passwordChangedAfter(decoded.iat)) {
+        throw new ApiError(401, 'Two-factor challenge is invalid or has expired. Please log in again.');
+    }
+    return user;
+};
+
+/**
+ * Starts mandatory enrollment during login for a user whose role requires 2FA.
+ * @param {string} challengeToken - Challenge token returned by the login step.
+ * @returns {Promise<object>} Object containing the secret and otpauth URI.
+ */
+export const startChallengeEnrollment = async (challengeToken) => {
+    const user = await getUserFromChallenge(challengeToken);
+    if (user.twoFactorEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is already enabled for this account.');
+    }
+    logger.debug(`TwoFactorService: Starting login enrollment for user ${user._id}`);
+    return startEnrollment(user);
+};
+
+/**
+ * Completes the second login step with a TOTP code or a recovery code.
+ * For users still enrolling, the code confirms the pending secret.
+ * Wrong codes count towards the account lockout like wrong passwords.
+ * @param {string} challengeToken - Challenge token returned by the login step.
+ * @param {object} credentials - Either { code } or { recoveryCode }.
+ * @param {object} [meta={}] - Request metadata (userAgent, ipAddress).
+ * @returns {Promise<object>} Object containing the user and, after enrollment, new recovery codes.
+ */
+export const completeLoginChallenge = async (challengeToken, { code, recoveryCode }, meta = {}) => {
+    const user = await getUserFromChallenge(challengeToken);
+    assertAccountNotLocked(user);
+
+    if (!user.twoFactorEnabled) {
+        if (!isTwoFactorEnforced(user.role)) {
+            throw new ApiError(400, 'Two-factor authentication is not enabled for this account.');
+        }
+        try {
+            const recoveryCodes = await finishEnrollment(user, code);
+            return { user, recoveryCodes };
+        } catch (error) {
+            if (error.statusCode === 400) await recordFailedLogin(user, meta);
+            throw error;
+        }
+    }
+
+    if (recoveryCode) {
+        if (!user.consumeRecoveryCode(recoveryCode)) {
+            await recordFailedLogin(user, meta);
+            logger.warn(`TwoFactorService: Invalid recovery code used for user ${user._id}`);
+            throw new ApiError(401, 'Invalid recovery code.');
+        }
+        logger.warn(`TwoFactorService: Recovery code used for user ${user._id} (${user.twoFactorRecoveryCodes.length} remaining)`);
+    } else if (!acceptTotpCode(user, user.twoFactorSecret, code)) {
+        await recordFailedLogin(user, meta);
+        logger.warn(`TwoFactorService: Invalid TOTP code during login for user ${user._id}`);
+        throw new ApiError(401, 'Invalid two-factor authentication code.');
+    }
+
+    await user.save({ validateBeforeSave: false });
+    return { user, recoveryCodes: null };
+};
+
+/**
+ * Starts optional 2FA enrollment for an authenticated user.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<object>} Object containing the secret and otpauth URI.
+ */
+export const beginTwoFactorSetup = async (userId) => {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw new ApiError(404, 'User not found.');
+    if (user.twoFactorEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is already enabled. Disable it first to re-enroll.');
+    }
+    logger.debug(`TwoFactorService: Starting enrollment for user ${userId}`);
+    return startEnrollment(user);
+};
+
+/**
+ * Confirms 2FA enrollment for an authenticated user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} code - TOTP code from the authenticator app.
+ * @returns {Promise<Array<string>>} Recovery codes (shown once).
+ */
+export const confirmTwoFactorSetup = async (userId, code) => {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw new ApiError(404, 'User not found.');
+    if (user.twoFactorEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is already enabled.');
+    }
+    return finishEnrollment(user, code);
+};
+
+/**
+ * Disables 2FA for an authenticated user after re-checking password and code.
+ * Not allowed for roles where 2FA is enforced.
+ * @param {string} userId - The ID of the user.
+ * @param {string} password - Current password.
+ * @param {string} code - Current TOTP code.
+ * @returns {Promise<void>}
+ */
+export const disableTwoFactor = async (userId, password, code) => {
+    const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} +password`);
+    if (!user) throw new ApiError(404, 'User not found.');
+    if (!user.twoFactorEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is not enabled.');
+    }
+    if (isTwoFactorEnforced(user.role)) {
+        throw new ApiError(403, `Two-factor authentication is mandatory for the ${user.role} role.`);
+    }
+    if (!(await user.comparePassword(password))) {
+        throw new ApiError(401, 'Current password is incorrect.');
+    }
+    if (!acceptTotpCode(user, user.twoFactorSecret, code)) {
+        throw new ApiError(401, 'Invalid two-factor authentication code.');
+    }
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    await user.save({ validateBeforeSave: false });
+    logger.info(`Two-factor authentication disabled by user ${userId}`);
+};
+
+/**
+ * Replaces the recovery codes of an authenticated user.
+ * @param {string} userId - The ID of the user.
+ * @param {string} code - Current TOTP code.
+ * @returns {Promise<Array<string>>} New recovery codes (shown once).
+ */
+export const regenerateRecoveryCodes = async (userId, code) => {
+    const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+    if (!user) throw new ApiError(404, 'User not found.');
+    if (!user.twoFactorEnabled) {
+        throw new ApiError(400, 'Two-factor authentication is not enabled.');
+    }
+    if (!acceptTotpCode(user, user.twoFactorSecret, code)) {
+        throw new ApiError(401, 'Invalid two-factor authentication code.');
+    }
+    const recoveryCodes = user.generateRecoveryCodes(config.twoFactor.recoveryCodeCount);
+    await user.save({ validateBeforeSave: false });
+    logger.info(`Recovery codes regenerated for user ${userId}`);
+    return recoveryCodes;
+};
+
+/**
+ * Resets 2FA of any user (e.g. lost device) and signs them out everywhere - Admin only.
+ * If 2FA is enforced for their role, they will be asked to enroll again on next login.
+ * @param {string} userId - The ID of the user.
+ * @param {object} requestingUser - The admin performing the reset.
+ * @returns {Promise<void>}
+ */
+export const resetTwoFactorByAdmin = async (userId, requestingUser) => {
+    logger.warn(`TwoFactorService: Admin ${requestingUser?._id} resetting 2FA for user ${userId}`);
+    await assertCan(requestingUser, 'users:manage-security', null, 'Forbidden: Only administrators can reset two-factor authentication.');
+    const user = await User.findOne({ _id: userId, isDeleted: { $ne: true } }).select(TWO_FACTOR_FIELDS);
+    if (!user) throw new ApiError(404, 'User not found.');
+
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = undefined;
+    user.twoFactorPendingSecret = undefined;
+    user.twoFactorRecoveryCodes = undefined;
+    user.twoFactorLastUsedStep = undefined;
+    user.updatedBy = requestingUser._id;
+    await user.save({ validateBeforeSave: false });
+
+    await revokeAllUserSessions(user._id, '2fa_reset');
+    logger.info(`Two-factor authentication reset for user ${userId} by admin ${requestingUser._id}`);
+};
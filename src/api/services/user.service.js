@@ -10,6 +10,8 @@ import StaffProfile from '../../models/staffProfile.model.js';     // For profil
 import { ApiError } from '../../utils/ApiError.js';
 import { UserRoles } from '../../utils/constants.js';
 import logger from '../../utils/logger.js';
+import { assertCan, can } from './permission.service.js';
+import { listUserSessions, revokeAllUserSessions, revokeUserSession } from './session.service.js';
 
 // Helper function to upload to Cloudinary and cleanup local file
 const uploadToCloudinary = async (localFilePath, userId) => {
@@ -63,16 +65,21 @@ const deleteFromCloudinary = async (publicId) => {
 
 /**
  * Get a list of users (potentially with filtering/pagination).
- * @param {object} queryOptions - Options for filtering (role, isActive), sorting, pagination (limit, page).
+ * Each user includes its lockout state (isLocked, lockUntil, failedLoginAttempts, lockoutCount).
+ * @param {object} queryOptions - Options for filtering (role, isActive, isLocked), sorting, pagination (limit, page).
  * @returns {Promise<object>} Object containing list of users and pagination info.
  */
 export const getUsers = async (queryOptions = {}) => {
     logger.debug('UserService: Fetching users with options:', queryOptions);
-    const { role, isActive, sortBy = 'createdAt', order = 'desc', limit = 10, page = 1, search } = queryOptions;
+    const { role, isActive, isLocked, sortBy = 'createdAt', order = 'desc', limit = 10, page = 1, search } = queryOptions;
 
     const filter = { isDeleted: { $ne: true } };
     if (role) filter.role = role;
     if (isActive !== undefined) filter.isActive = isActive === 'true' || isActive === true;
+    if (isLocked !== undefined) {
+        const now = new Date();
+        filter.lockUntil = (isLocked === 'true' || isLocked === true) ? { $gt: now } : { $not: { $gt: now } };
+    }
 
     // Basic search: searches firstName, lastName, email
     if (search) {
@@ -159,12 +166,8 @@ export const updateUser = async (userId, updateData, requestingUser) => {
         throw new ApiError(404, 'User not found.');
     }
 
-    const isAdmin = requestingUser.role === UserRoles.ADMIN;
-    const isSelf = userToUpdate._id.equals(requestingUser._id);
-
-    if (!isAdmin && !isSelf) {
-        throw new ApiError(403, 'Forbidden: You are not authorized to update this user.');
-    }
+    await assertCan(requestingUser, 'users:update', { owner: userToUpdate._id }, 'Forbidden: You are not authorized to update this user.');
+    const isAdmin = await can(requestingUser, 'users:update'); // "any" scope: may also change role/status
 
     const allowedUpdates = {};
     // Fields user can update for themselves (excluding profile picture here, handled separately)
@@ -225,9 +228,7 @@ export const updateUser = async (userId, updateData, requestingUser) => {
  */
 export const deleteUser = async (userId, requestingUser) => {
     logger.warn(`UserService: Attempting delete for user ${userId} by admin ${requestingUser?._id}`);
-    if (requestingUser.role !== UserRoles.ADMIN) {
-        throw new ApiError(403, 'Forbidden: Only administrators can delete users.');
-    }
+    await assertCan(requestingUser, 'users:delete', null, 'Forbidden: Only administrators can delete users.');
     if (userId === requestingUser._id.toString()) {
         throw new ApiError(400, 'Administrators cannot delete their own account.');
     }
@@ -305,3 +306,32 @@ export const updateUserProfilePicture = async (userId, localFilePath) => {
     logger.info(`Profile picture updated successfully for user ${userId}`);
     return updatedUser;
 };
+
+/**
+ * Get the active sessions of any user - Admin only.
+ * @param {string} userId - The ID of the user.
+ * @returns {Promise<Array<object>>} List of active session documents.
+ */
+export const getUserSessions = async (userId) => {
+    logger.debug(`UserService: Fetching sessions for user ${userId}`);
+    await getUserById(userId); // Ensures the user exists
+    return listUserSessions(userId);
+};
+
+/**
+ * Revoke one or all sessions of a user - Admin only.
+ * @param {string} userId - The ID of the user.
+ * @param {string|null} sessionId - The session to revoke, or null to revoke all sessions.
+ * @param {object} requestingUser - The admin performing the revocation.
+ * @returns {Promise<number>} Number of sessions revoked.
+ */
+export const revokeSessionsByAdmin = async (userId, sessionId, requestingUser) => {
+    logger.warn(`UserService: Admin ${requestingUser._id} revoking ${sessionId ? `session ${sessionId}` : 'all sessions'} of user ${userId}`);
+    await assertCan(requestingUser, 'users:manage-security', null, 'Forbidden: You are not authorized to revoke sessions of other users.');
+    await getUserById(userId); // Ensures the user exists
+    if (sessionId) {
+        await revokeUserSession(userId, sessionId, 'admin_revoked');
+        return 1;
+    }
+    return revokeAllUserSessions(userId, 'admin_revoked');
+};
@@ -0,0 +1,482 @@
+// src/api/services/waitlist.service.js
+import crypto from 'crypto';
+import config from '../../config/index.js';
+import Appointment from '../../models/appointment.model.js';
+import DoctorProfile from '../../models/doctorProfile.model.js';
+import PatientProfile from '../../models/patientProfile.model.js';
+import SlotHold from '../../models/slotHold.model.js';
+import WaitlistEntry from '../../models/waitlistEntry.model.js';
+import WaitlistOffer from '../../models/waitlistOffer.model.js';
+import { ApiError } from '../../utils/ApiError.js';
+import { UserRoles, WaitlistOfferStatus, WaitlistStatus } from '../../utils/constants.js';
+import { sendEmail } from '../../utils/emailSender.js';
+import logger from '../../utils/logger.js';
+import { addDaysToDateKey, getDoctorTimeZone, getMinutesOfDay, minutesToTime, timeToMinutes, toDateKey } from '../../utils/schedule.js';
+import { checkDoctorAvailability, getAppointmentById, getInitialBookingState, hasVerifiedEmailForBooking, resolveBookingPatient, saveNewAppointment } from './appointment.service.js';
+import { assertCan, can } from './permission.service.js';
+import { acquireSlotLocks, releaseSlotLocks } from './slotLock.service.js';
+
+const ACTIVE_ENTRY_STATUSES = [WaitlistStatus.WAITING, WaitlistStatus.OFFERED];
+
+// "YYYY-MM-DD HH:MM" wall-clock time of an instant in a timezone, for emails
+const formatInZone = (date, timeZone) => `${toDateKey(date, timeZone)} ${minutesToTime(getMinutesOfDay(date, timeZone))}`;
+
+// The freed slot an offer was made for, so it can be passed on
+const slotOfOffer = (offer) => ({
+    doctor: offer.doctor,
+    appointmentTime: offer.appointmentTime,
+    durationMinutes: offer.slotDurationMinutes,
+});
+
+// Emails the claim link of an offer to the patient
+const sendWaitlistOfferEmail = async (offer, token, patientUser, doctorProfile) => {
+    const timeZone = getDoctorTimeZone(doctorProfile);
+    const doctorName = `${doctorProfile.userAccount?.firstName || ''} ${doctorProfile.userAccount?.lastName || ''}`.trim();
+    const offerURL = `${config.cors.origin[0]}/waitlist-offer/${token}`;
+    const message = `Hello ${patientUser.firstName},\n\nA slot has opened up with Dr. ${doctorName} on ${formatInZone(offer.appointmentTime, timeZone)} (${timeZone}) for ${offer.durationMinutes} minutes. To book it, submit a POST request to: ${offerURL}/claim\nIf you cannot make it, submit a POST request to ${offerURL}/decline so it can be offered to the next patient.\nThis offer expires at ${formatInZone(offer.expiresAt, timeZone)}; after that the slot goes to the next patient on the waitlist and you keep your place for future slots.`;
+
+    await sendEmail({
+        to: patientUser.email,
+        subject: 'A slot has opened up for you at KonsulDok',
+        text: message,
+    });
+    logger.info(`Waitlist offer email sent to ${patientUser.email}`);
+};
+
+// Gives the held slot back and puts the entry back in the queue (offer declined, expired or withdrawn)
+const closeOffer = async (offer) => {
+    if (offer.hold) {
+        await releaseSlotLocks({ hold: offer.hold });
+        await SlotHold.deleteOne({ _id: offer.hold });
+    }
+    await WaitlistEntry.updateOne({ _id: offer.entry, status: WaitlistStatus.OFFERED }, { $set: { status: WaitlistStatus.WAITING } });
+};
+
+// Finds a pending, unexpired offer by its unhashed token
+const findPendingOfferByToken = async (token) => {
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const offer = await WaitlistOffer.findOne({
+        tokenHash,
+        status: WaitlistOfferStatus.PENDING,
+        expiresAt: { $gt: Date.now() },
+    });
+    if (!offer) {
+        throw new ApiError(400, 'Offer is invalid, has expired or was already answered.');
+    }
+    return offer;
+};
+
+/**
+ * Reserves the slot for one waiting entry and emails the patient the claim link.
+ * @returns {Promise<object|null>} The offer, or null when the slot could not be reserved or the email failed.
+ */
+const createOffer = async (entry, slot, doctorProfile) => {
+    const patientUser = entry.patient.userAccount;
+    const expiresAt = new Date(Math.min(Date.now() + config.waitlist.offerMinutes * 60000, slot.appointmentTime.getTime()));
+    const hold = new SlotHold({
+        doctor: slot.doctor,
+        patient: entry.patient._id,
+        heldBy: patientUser._id,
+        appointmentTime: slot.appointmentTime,
+        durationMinutes: entry.durationMinutes,
+        expiresAt,
+    });
+    const locked = await acquireSlotLocks(slot.doctor, slot.appointmentTime, entry.durationMinutes, { hold: hold._id }, expiresAt);
+    if (!locked) return null;
+    await hold.save();
+
+    const offer = new WaitlistOffer({
+        entry: entry._id,
+        patient: entry.patient._id,
+        doctor: slot.doctor,
+        appointmentTime: slot.appointmentTime,
+        slotDurationMinutes: slot.durationMinutes,
+        durationMinutes: entry.durationMinutes,
+        hold: hold._id,
+        expiresAt,
+    });
+    const token = offer.createClaimToken();
+    await offer.save();
+    entry.status = WaitlistStatus.OFFERED;
+    await entry.save();
+
+    try {
+        await sendWaitlistOfferEmail(offer, token, patientUser, doctorProfile);
+    } catch (emailError) {
+        logger.error(`Failed to send waitlist offer ${offer._id} to ${patientUser.email}`, emailError);
+        offer.status = WaitlistOfferStatus.EXPIRED;
+        await offer.save();
+        await closeOffer(offer);
+        return null;
+    }
+    return offer;
+};
+
+/**
+ * Offers a freed slot to the first waiting patient it fits (joining order), skipping everyone it was already offered to.
+ * An entry fits when the date is in its range, the slot is long enough for its duration and that duration fits its time-of-day window.
+ * @param {object} slot - { doctor, appointmentTime (Date), durationMinutes } of the freed time.
+ * @param {object} [options]
+ * @param {string} [options.excludePatient] - Patient not to offer the slot to (the one who gave it up).
+ * @returns {Promise<object|null>} The new offer, or null when nobody could be offered the slot.
+ */
+export const offerSlotToNextPatient = async (slot, { excludePatient = null } = {}) => {
+    const { doctor: doctorId, appointmentTime, durationMinutes } = slot;
+    if (appointmentTime.getTime() <= Date.now()) return null;
+
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } })
+        .select('timezone userAccount')
+        .populate('userAccount', 'firstName lastName');
+    if (!doctorProfile) return null;
+
+    const timeZone = getDoctorTimeZone(doctorProfile);
+    const dateKey = toDateKey(appointmentTime, timeZone);
+    const startMinutes = getMinutesOfDay(appointmentTime, timeZone);
+    const alreadyOffered = await WaitlistOffer.distinct('entry', { doctor: doctorId, appointmentTime });
+
+    const filter = {
+        doctor: doctorId,
+        status: WaitlistStatus.WAITING,
+        isDeleted: { $ne: true },
+        _id: { $nin: alreadyOffered },
+        durationMinutes: { $lte: durationMinutes },
+        $and: [
+            { $or: [{ fromDate: null }, { fromDate: { $lte: dateKey } }] },
+            { $or: [{ toDate: null }, { toDate: { $gte: dateKey } }] },
+            { $or: [{ earliestTime: null }, { earliestTime: { $lte: minutesToTime(startMinutes) } }] },
+        ],
+    };
+    if (excludePatient) filter.patient = { $ne: excludePatient };
+
+    const candidates = await WaitlistEntry.find(filter)
+        .sort({ createdAt: 1 })
+        .populate({ path: 'patient', select: 'userAccount', populate: { path: 'userAccount', select: 'firstName email role isEmailVerified' } });
+
+    const availabilityByDuration = new Map(); // Entries mostly share a few durations
+    for (const entry of candidates) {
+        if (entry.latestTime && startMinutes + entry.durationMinutes > timeToMinutes(entry.latestTime)) continue;
+        if (!entry.patient?.userAccount?.email) continue;
+        if (!hasVerifiedEmailForBooking(entry.patient.userAccount)) continue; // Could not claim the offer
+
+        if (!availabilityByDuration.has(entry.durationMinutes)) {
+            availabilityByDuration.set(entry.durationMinutes, await checkDoctorAvailability(doctorId, appointmentTime, entry.durationMinutes));
+        }
+        if (!availabilityByDuration.get(entry.durationMinutes)) continue;
+
+        const offer = await createOffer(entry, slot, doctorProfile);
+        if (offer) {
+            logger.info(`Slot of doctor ${doctorId} at ${appointmentTime.toISOString()} offered to waitlist entry ${entry._id} until ${offer.expiresAt.toISOString()}`);
+            return offer;
+        }
+    }
+    logger.debug(`WaitlistService: No waiting patient could be offered the slot of doctor ${doctorId} at ${appointmentTime.toISOString()}`);
+    return null;
+};
+
+/**
+ * Starts offering a slot that was just freed (cancellation, reschedule) to the waitlist, without waiting for it.
+ * Errors are logged, never thrown, so the change that freed the slot is not affected.
+ * @param {object} appointment - The appointment's previous { doctor, patient, appointmentTime, durationMinutes }.
+ */
+export const announceFreedSlot = (appointment) => {
+    const { doctor, patient, appointmentTime, durationMinutes } = appointment;
+    offerSlotToNextPatient({ doctor, appointmentTime, durationMinutes }, { excludePatient: patient })
+        .catch(error => logger.error(`WaitlistService: Failed to offer the freed slot of doctor ${doctor} at ${appointmentTime.toISOString()}: ${error.message}`, { error }));
+};
+
+/**
+ * Add a patient to a doctor's waitlist (patients for themselves, Staff/Admin for any patient).
+ * @param {object} entryData - { doctor, patient (Staff/Admin), fromDate, toDate, earliestTime, latestTime, durationMinutes, reasonForVisit }.
+ * @param {object} requestingUser - The user adding the entry.
+ * @returns {Promise<object>} The created entry.
+ */
+export const joinWaitlist = async (entryData, requestingUser) => {
+    const { doctor: doctorId, fromDate = null, toDate = null, earliestTime = null, latestTime = null, durationMinutes = 30, reasonForVisit } = entryData;
+    const patientProfileId = resolveBookingPatient(entryData.patient, requestingUser);
+    logger.debug(`WaitlistService: Adding patient ${patientProfileId} to the waitlist of doctor ${doctorId} by user ${requestingUser._id}`);
+    await assertCan(requestingUser, 'waitlist:manage', { patient: patientProfileId }, 'Forbidden: You are not authorized to add this patient to the waitlist.');
+
+    const patientExists = await PatientProfile.countDocuments({ _id: patientProfileId, isDeleted: { $ne: true } });
+    const doctorProfile = await DoctorProfile.findOne({ _id: doctorId, isDeleted: { $ne: true } }).select('timezone');
+    if (!patientExists) throw new ApiError(404, 'Patient profile not found.');
+    if (!doctorProfile) throw new ApiError(404, 'Doctor profile not found.');
+
+    if (fromDate && toDate && fromDate > toDate) {
+        throw new ApiError(400, 'The from date must not be after the to date.');
+    }
+    if (toDate && toDate < toDateKey(new Date(), getDoctorTimeZone(doctorProfile))) {
+        throw new ApiError(400, 'The date range is already over.');
+    }
+    if (earliestTime && latestTime && timeToMinutes(latestTime) - timeToMinutes(earliestTime) < durationMinutes) {
+        throw new ApiError(400, 'The time-of-day window is shorter than the appointment duration.');
+    }
+    if (await WaitlistEntry.countDocuments({ patient: patientProfileId, doctor: doctorId, status: { $in: ACTIVE_ENTRY_STATUSES }, isDeleted: { $ne: true } })) {
+        throw new ApiError(400, 'The patient is already on the waitlist for this doctor.');
+    }
+
+    const entry = await WaitlistEntry.create({
+        patient: patientProfileId,
+        doctor: doctorId,
+        fromDate,
+        toDate,
+        earliestTime,
+        latestTime,
+        durationMinutes,
+        reasonForVisit,
+        createdBy: requestingUser._id,
+        updatedBy: requestingUser._id,
+    });
+    logger.info(`Waitlist entry ${entry._id} created for patient ${patientProfileId} with doctor ${doctorId} by ${requestingUser._id}`);
+    return entry;
+};
+
+/**
+ * Get waitlist entries. Patients only see their own and doctors the ones for themselves;
+ * Staff/Admin may filter by doctor and patient.
+ * @param {object} queryOptions - Filters (doctorId, patientId, status) and pagination (limit, page).
+ * @param {object} requestingUser - The requesting user.
+ * @returns {Promise<object>} Object containing list of entries (in queue order) and pagination info.
+ */
+export const getWaitlistEntries = async (queryOptions, requestingUser) => {
+    logger.debug('WaitlistService: Fetching waitlist entries with options:', queryOptions);
+    const { doctorId, patientId, status, limit = 10, page = 1 } = queryOptions;
+
+    const filter = { isDeleted: { $ne: true } };
+    if (await can(requestingUser, 'waitlist:read')) {
+        if (doctorId) filter.doctor = doctorId;
+        if (patientId) filter.patient = patientId;
+    } else if (requestingUser.role === UserRoles.PATIENT && requestingUser.patientProfile) {
+        filter.patient = requestingUser.patientProfile;
+        if (doctorId) filter.doctor = doctorId;
+    } else if (requestingUser.role === UserRoles.DOCTOR && requestingUser.doctorProfile) {
+        filter.doctor = requestingUser.doctorProfile;
+        if (patientId) filter.patient = patientId;
+    } else {
+        throw new ApiError(403, 'Forbidden: You are not authorized to view the waitlist.');
+    }
+    filter.status = status || { $in: ACTIVE_ENTRY_STATUSES };
+
+    const limitValue = parseInt(limit, 10);
+    const pageValue = parseInt(page, 10);
+    const skip = (pageValue - 1) * limitValue;
+
+    const entries = await WaitlistEntry.find(filter)
+        .populate({ path: 'patient', select: 'userAccount', populate: { path: 'userAccount', select: 'firstName lastName' } })
+        .populate({ path: 'doctor', select: 'userAccount specialty', populate: { path: 'userAccount', select: 'firstName lastName' } })
+        .sort({ createdAt: 1 })
+        .skip(skip)
+        .limit(limitValue)
+        .select('-__v');
+    const totalCount = await WaitlistEntry.countDocuments(filter);
+
+    return {
+        entries,
+        totalPages: Math.ceil(totalCount / limitValue),
+        currentPage: pageValue,
+        totalCount,
+    };
+};
+
+/**
+ * Remove a patient from the waitlist. A slot currently offered to them is passed on.
+ * @param {string} entryId - The waitlist entry ID.
+ * @param {object} requestingUser - The patient or Staff/Admin.
+ * @returns {Promise<void>}
+ */
+export const leaveWaitlist = async (entryId, requestingUser) => {
+    logger.debug(`WaitlistService: Removing waitlist entry ${entryId} by user ${requestingUser._id}`);
+    const entry = await WaitlistEntry.findOne({ _id: entryId, isDeleted: { $ne: true } });
+    if (!entry || !(await can(requestingUser, 'waitlist:read', { patient: entry.patient, doctor: entry.doctor }))) {
+        throw new ApiError(404, 'Waitlist entry not found.');
+    }
+    await assertCan(requestingUser, 'waitlist:manage', { patient: entry.patient }, 'Forbidden: You are not authorized to change this waitlist entry.');
+    if (!ACTIVE_ENTRY_STATUSES.includes(entry.status)) {
+        throw new ApiError(400, `The waitlist entry is already ${entry.status.toLowerCase()}.`);
+    }
+
+    entry.status = WaitlistStatus.CANCELLED;
+    entry.updatedBy = requestingUser._id;
+    await entry.save();
+
+    const offer = await WaitlistOffer.findOneAndUpdate(
+        { entry: entry._id, status: WaitlistOfferStatus.PENDING },
+        { $set: { status: WaitlistOfferStatus.DECLINED, respondedAt: new Date() } },
+        { new: true }
+    );
+    if (offer) {
+        await closeOffer(offer);
+        await offerSlotToNextPatient(slotOfOffer(offer));
+    }
+    logger.info(`Waitlist entry ${entryId} cancelled by ${requestingUser._id}`);
+};
+
+/**
+ * Returns the details of an open offer (to show before claiming).
+ * @param {string} token - The unhashed token from the emailed link.
+ * @returns {Promise<object>} Doctor, time, duration and expiry of the offered slot.
+ */
+export const getWaitlistOfferByToken = async (token) => {
+    const offer = await findPendingOfferByToken(token);
+    const doctorProfile = await DoctorProfile.findById(offer.doctor)
+        .select('userAccount specialty timezone')
+        .populate('userAccount', 'firstName lastName');
+    const { appointmentTime, durationMinutes, expiresAt } = offer;
+    return {
+        doctor: {
+            _id: offer.doctor,
+            firstName: doctorProfile?.userAccount?.firstName,
+            lastName: doctorProfile?.userAccount?.lastName,
+            specialty: doctorProfile?.specialty,
+        },
+        appointmentTime,
+        durationMinutes,
+        timezone: getDoctorTimeZone(doctorProfile),
+        expiresAt,
+    };
+};
+
+/**
+ * Claims an offer: books the held slot for the waitlisted patient.
+ * The appointment is created as if the patient had booked it themselves.
+ * @param {string} token - The unhashed token from the emailed link.
+ * @returns {Promise<object>} The created appointment.
+ */
+export const claimWaitlistOffer = async (token) => {
+    logger.debug('WaitlistService: Claiming waitlist offer');
+    const pendingOffer = await findPendingOfferByToken(token);
+    // Same rule as booking directly; the offer stays open so the patient can verify and claim it in time
+    const patientProfile = await PatientProfile.findById(pendingOffer.patient).populate('userAccount', 'role isEmailVerified');
+    const patientUser = patientProfile?.userAccount;
+    if (patientUser && !hasVerifiedEmailForBooking(patientUser)) {
+        throw new ApiError(403, 'Please verify your email address before booking an appointment.');
+    }
+    // Only one of claim, decline and expiry may act on an offer
+    const offer = await WaitlistOffer.findOneAndUpdate(
+        { _id: pendingOffer._id, status: WaitlistOfferStatus.PENDING, expiresAt: { $gt: new Date() } },
+        { $set: { status: WaitlistOfferStatus.CLAIMED, respondedAt: new Date() } },
+        { new: true }
+    );
+    if (!offer) throw new ApiError(400, 'Offer is invalid, has expired or was already answered.');
+
+    const entry = await WaitlistEntry.findById(offer.entry);
+    const hold = offer.hold ? await SlotHold.findById(offer.hold) : null;
+
+    const isAvailable = hold?.isActive() && patientUser
+        && await checkDoctorAvailability(offer.doctor.toString(), offer.appointmentTime, offer.durationMinutes);
+    if (!isAvailable) {
+        offer.status = WaitlistOfferStatus.EXPIRED;
+        await offer.save();
+        await closeOffer(offer);
+        throw new ApiError(409, 'Sorry, this slot is no longer available. You keep your place on the waitlist.');
+    }
+
+    const { status: initialStatus, requiresStaffConfirmation } = await getInitialBookingState(patientUser, offer.patient);
+    const appointment = new Appointment({
+        patient: offer.patient,
+        doctor: offer.doctor,
+        appointmentTime: offer.appointmentTime,
+        durationMinutes: offer.durationMinutes,
+        reasonForVisit: entry?.reasonForVisit,
+        status: initialStatus,
+        statusHistory: [{ from: null, to: initialStatus, changedBy: patientUser._id, changedByRole: patientUser.role, reason: 'Claimed from the waitlist' }],
+        requiresStaffConfirmation,
+        createdBy: patientUser._id,
+        updatedBy: patientUser._id,
+    });
+    try {
+        await saveNewAppointment(appointment, hold);
+    } catch (error) {
+        offer.status = WaitlistOfferStatus.EXPIRED;
+        await offer.save();
+        await closeOffer(offer);
+        throw error;
+    }
+
+    offer.appointment = appointment._id;
+    await offer.save();
+    if (entry) {
+        entry.status = WaitlistStatus.BOOKED;
+        entry.bookedAppointment = appointment._id;
+        entry.updatedBy = patientUser._id;
+        await entry.save();
+    }
+    logger.info(`Waitlist offer ${offer._id} claimed; appointment ${appointment._id} created for patient ${offer.patient}`);
+    return getAppointmentById(appointment._id);
+};
+
+/**
+ * Declines an offer; the patient stays on the waitlist and the slot goes to the next patient.
+ * @param {string} token - The unhashed token from the emailed link.
+ * @returns {Promise<void>}
+ */
+export const declineWaitlistOffer = async (token) => {
+    logger.debug('WaitlistService: Declining waitlist offer');
+    const pendingOffer = await findPendingOfferByToken(token);
+    const offer = await WaitlistOffer.findOneAndUpdate(
+        { _id: pendingOffer._id, status: WaitlistOfferStatus.PENDING },
+        { $set: { status: WaitlistOfferStatus.DECLINED, respondedAt: new Date() } },
+        { new: true }
+    );
+    if (!offer) throw new ApiError(400, 'Offer is invalid, has expired or was already answered.');
+
+    await closeOffer(offer);
+    logger.info(`Waitlist offer ${offer._id} declined by patient ${offer.patient}`);
+    await offerSlotToNextPatient(slotOfOffer(offer));
+};
+
+/**
+ * Passes the slots of offers that ran out to the next waiting patient and expires entries whose date range is over.
+ * Safe to run from several processes: each offer is taken over atomically.
+ * @returns {Promise<{expiredOffers: number, expiredEntries: number}>}
+ */
+export const expireWaitlistOffers = async () => {
+    const now = new Date();
+    const dueOffers = await WaitlistOffer.find({ status: WaitlistOfferStatus.PENDING, expiresAt: { $lte: now } }).select('_id').lean();
+
+    let expiredOffers = 0;
+    for (const { _id } of dueOffers) {
+        const offer = await WaitlistOffer.findOneAndUpdate(
+            { _id, status: WaitlistOfferStatus.PENDING },
+            { $set: { status: WaitlistOfferStatus.EXPIRED } },
+            { new: true }
+        );
+        if (!offer) continue; // Answered in the meantime
+        await closeOffer(offer);
+        await offerSlotToNextPatient(slotOfOffer(offer));
+        expiredOffers++;
+    }
+
+    // A day of slack covers doctors in timezones behind the clinic's
+    const { modifiedCount: expiredEntries } = await WaitlistEntry.updateMany(
+        { status: WaitlistStatus.WAITING, toDate: { $ne: null, $lt: addDaysToDateKey(toDateKey(now), -1) } },
+        { $set: { status: WaitlistStatus.EXPIRED } }
+    );
+
+    if (expiredOffers || expiredEntries) {
+        logger.info(`WaitlistService: ${expiredOffers} offer(s) passed on, ${expiredEntries} entry(ies) expired`);
+    }
+    return { expiredOffers, expiredEntries };
+};
+
+let sweepTimer = null;
+
+/**
+ * Runs expireWaitlistOffers every config.waitlist.sweepIntervalSeconds (called once at server start).
+ */
+export const startWaitlistSweeper = () => {
+    if (sweepTimer) return;
+    let isSweeping = false;
+    sweepTimer = setInterval(async () => {
+        if (isSweeping) return;
+        isSweeping = true;
+        try {
+            await expireWaitlistOffers();
+        } catch (error) {
+            logger.error(`WaitlistService: Sweep failed: ${error.message}`, { error });
+        } finally {
+            isSweeping = false;
+        }
+    }, config.waitlist.sweepIntervalSeconds * 1000);
+    sweepTimer.unref(); // Never keeps the process alive on its own
+    logger.info(`Waitlist sweeper started (every ${config.waitlist.sweepIntervalSeconds}s)`);
+};
@@ -1,6 +1,7 @@
 // src/api/validators/appointment.validator.js
 import { body } from 'express-validator';
-import { AppointmentStatus, AvailableAppointmentStatuses } from '../../utils/constants.js';
+import { AppointmentStatus, AvailableAppointmentStatuses, AvailableRecurrenceFrequencies, AvailableSeriesEditScopes } from '../../utils/constants.js';
+import { isValidDateKey, parseDateTimeInZone } from '../../utils/schedule.js';
 
 // Validation for creating a new appointment
 export const createAppointmentValidator = [
@@ -18,24 +19,23 @@ export const createAppointmentValidator = [
     body('appointmentTime')
         .notEmpty().withMessage('Appointment time is required.')
         .isISO8601().withMessage('Appointment time must be a valid ISO8601 date string.')
-        .toDate() // Converts to a Date object for the custom validation
-        .custom((value, { req }) => {
-            // value is now a Date object
-            if (value <= new Date()) {
-                throw new Error('Appointment time must be in the future.');
-            }
-            // Additional check: Ensure the selected time is not in the past relative to current time
-            // This is mostly covered by the above, but good for clarity if date part is today
-            const requestedTime = new Date(req.body.appointmentTime); // Re-parse original string for full precision
-            if (requestedTime.getTime() <= Date.now()) {
-                 throw new Error('Appointment date and time must be in the future.');
+        // Kept as a string: times without an offset are read in the doctor's timezone by the service.
+        // The clinic timezone is close enough for this early "not in the past" check.
+        .custom((value) => {
+            if (parseDateTimeInZone(value).getTime() <= Date.now()) {
+                throw new Error('Appointment date and time must be in the future.');
             }
             return true;
         }),
 
     body('durationMinutes')
         .optional()
-        .isInt({ min: 5 }).withMessage('Duration must be an integer of at least 5 minutes.'),
+        .isInt({ min: 5 }).withMessage('Duration must be an integer of at least 5 minutes.')
+        .toInt(), // Compared with the duration of a slot hold
+
+    body('appointmentType')
+        .optional()
+        .isMongoId().withMessage('Invalid appointment type ID format.'),
 
     body('reasonForVisit')
         .optional({ checkFalsy: true }) // Allows empty string, null, undefined to pass if optional
@@ -43,32 +43,86 @@ export const createAppointmentValidator = [
         .isLength({ max: 500 }).withMessage('Reason for visit cannot exceed 500 characters.')
         .escape(), // Sanitize
 
+    body('holdId')
+        .optional()
+        .isMongoId().withMessage('Invalid slot hold ID format.'),
+
+    // Optional recurrence rule: books a series starting at appointmentTime
+    body('recurrence')
+        .optional()
+        .isObject().withMessage('Recurrence must be an object.')
+        .custom((value) => {
+            if ((value.count === undefined) === (value.until === undefined)) {
+                throw new Error('Recurrence needs either a count or an until date (not both).');
+            }
+            return true;
+        }),
+    body('recurrence.frequency')
+        .if(body('recurrence').exists())
+        .isIn(AvailableRecurrenceFrequencies).withMessage(`Recurrence frequency must be one of: ${AvailableRecurrenceFrequencies.join(', ')}.`),
+    body('recurrence.count')
+        .optional()
+        .isInt({ min: 2 }).withMessage('Recurrence count must be an integer of at least 2.')
+        .toInt(),
+    body('recurrence.until')
+        .optional()
+        .custom(isValidDateKey).withMessage('Recurrence until must be a valid date in YYYY-MM-DD format.'),
+    body('recurrence.skipConflicts')
+        .optional()
+        .isBoolean().withMessage('Recurrence skipConflicts must be a boolean.')
+        .toBoolean(),
+
     body('status')
         .not().exists().withMessage('Status cannot be set during creation.'), // Status is set by backend logic
 ];
 
+// Validation for holding a slot during checkout (POST /api/doctors/:doctorId/holds)
+export const createSlotHoldValidator = [
+    body('patient')
+        .optional()
+        .isMongoId().withMessage('Invalid Patient ID format (if provided in body).'),
+
+    body('appointmentTime')
+        .notEmpty().withMessage('Appointment time is required.')
+        .isISO8601().withMessage('Appointment time must be a valid ISO8601 date string.')
+        .custom((value) => {
+            if (parseDateTimeInZone(value).getTime() <= Date.now()) {
+                throw new Error('Appointment date and time must be in the future.');
+            }
+            return true;
+        }),
+
+    body('durationMinutes')
+        .optional()
+        .isInt({ min: 5 }).withMessage('Duration must be an integer of at least 5 minutes.')
+        .toInt(),
+
+    body('appointmentType')
+        .optional()
+        .isMongoId().withMessage('Invalid appointment type ID format.'),
+];
+
 // Validation for updating an appointment (e.g., confirming, cancelling)
 export const updateAppointmentValidator = [
     body('appointmentTime')
         .optional()
         .isISO8601().withMessage('Appointment time must be a valid ISO8601 date string.')
-        .toDate()
-        .custom((value, { req }) => {
-            if (value <= new Date()) {
-                throw new Error('Appointment time must be in the future.');
-            }
-            const requestedTime = new Date(req.body.appointmentTime);
-            if (requestedTime.getTime() <= Date.now()) {
-                 throw new Error('Appointment date and time must be in the future.');
+        .custom((value) => {
+            if (parseDateTimeInZone(value).getTime() <= Date.now()) {
+                throw new Error('Appointment date and time must be in the future.');
             }
             return true;
         }),
     body('durationMinutes')
         .optional()
-        .isInt({ min: 5 }).withMessage('Duration must be an integer of at least 5 minutes.'),
+        .isInt({ min: 5 }).withMessage('Duration must be an integer of at least 5 minutes.')
+        .toInt(),
     body('status')
         .optional()
         .isIn(AvailableAppointmentStatuses).withMessage('Invalid appointment status specified.'),
+    body('scope')
+        .optional()
+        .isIn(AvailableSeriesEditScopes).withMessage(`Scope must be one of: ${AvailableSeriesEditScopes.join(', ')}.`),
     body('cancellationReason')
         .optional({ checkFalsy: true })
         .if(body('status').equals(AppointmentStatus.CANCELLED)) // Only require if status is being set to Cancelled
@@ -85,4 +139,25 @@ export const updateAppointmentValidator = [
     // Prevent changing patient or doctor during an update
     body('patient').not().exists().withMessage('Patient cannot be changed during update.'),
     body('doctor').not().exists().withMessage('Doctor cannot be changed during update.'),
+    body('appointmentType').not().exists().withMessage('Appointment type cannot be changed during update. Cancel and book again.'),
+];
+
+// Validation for cancelling an appointment (or several occurrences of a series)
+export const cancelAppointmentValidator = [
+    body('reason')
+        .notEmpty().withMessage('Cancellation reason is required.')
+        .trim()
+        .escape(),
+    body('scope')
+        .optional()
+        .isIn(AvailableSeriesEditScopes).withMessage(`Scope must be one of: ${AvailableSeriesEditScopes.join(', ')}.`),
+];
+
+// Validation for checking in (patients send the code of the clinic's check-in QR code)
+export const checkInValidator = [
+    body('code')
+        .optional()
+        .isString().withMessage('Check-in code must be a string.')
+        .trim()
+        .isLength({ max: 64 }).withMessage('Invalid check-in code.'),
 ];
@@ -0,0 +1,67 @@
+// src/api/validators/appointmentType.validator.js
+import { body, query } from 'express-validator';
+import { commonIndonesianSpecialties } from '../../models/doctorProfile.model.js';
+import { AvailableVisitCategories } from '../../utils/constants.js';
+
+// Rules shared by create and update; create additionally requires the core fields
+const appointmentTypeRules = (isCreate) => [
+    body('name')
+        .if((value) => isCreate || value !== undefined)
+        .trim()
+        .notEmpty().withMessage('Name is required.')
+        .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters.'),
+    body('description')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 }).withMessage('Description cannot exceed 500 characters.'),
+    body('category')
+        .if((value) => isCreate || value !== undefined)
+        .isIn(AvailableVisitCategories).withMessage(`Category must be one of: ${AvailableVisitCategories.join(', ')}.`),
+    body('defaultDurationMinutes')
+        .if((value) => isCreate || value !== undefined)
+        .isInt({ min: 5, max: 480 }).withMessage('Default duration must be an integer between 5 and 480 minutes.')
+        .toInt(),
+    body('bufferMinutes')
+        .optional()
+        .isInt({ min: 0, max: 120 }).withMessage('Buffer must be an integer between 0 and 120 minutes.')
+        .toInt(),
+    body('price')
+        .if((value) => isCreate || value !== undefined)
+        .isFloat({ min: 0 }).withMessage('Price must be a non-negative number.')
+        .toFloat(),
+    body('specialties')
+        .optional()
+        .isArray().withMessage('Specialties must be an array.'),
+    body('specialties.*')
+        .isIn(commonIndonesianSpecialties).withMessage('Invalid specialty specified.'),
+    body('doctors')
+        .optional()
+        .isArray().withMessage('Doctors must be an array of doctor IDs.'),
+    body('doctors.*')
+        .isMongoId().withMessage('Invalid Doctor ID format.'),
+    body('isActive')
+        .optional()
+        .isBoolean().withMessage('isActive must be true or false.')
+        .toBoolean(),
+];
+
+export const createAppointmentTypeValidator = appointmentTypeRules(true);
+
+export const updateAppointmentTypeValidator = appointmentTypeRules(false);
+
+// Filters of the catalog listing
+export const listAppointmentTypesQueryValidator = [
+    query('doctorId')
+        .optional()
+        .isMongoId().withMessage('Invalid Doctor ID format.'),
+    query('category')
+        .optional()
+        .isIn(AvailableVisitCategories).withMessage(`Category must be one of: ${AvailableVisitCategories.join(', ')}.`),
+];
+
+// Optional ?appointmentType= on availability and doctor searches
+export const appointmentTypeQueryValidator = [
+    query('appointmentType')
+        .optional()
+        .isMongoId().withMessage('Invalid appointment type ID format.'),
+];
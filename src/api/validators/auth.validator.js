@@ -1,14 +1,20 @@
 // src/validators/auth.validator.js (Remove Escape from Specialty)
-import { body } from 'express-validator';
-// Import BOTH AvailableUserRoles and the UserRoles enum object
-import { AvailableUserRoles, UserRoles } from '../../utils/constants.js'; // Adjust path
-// Import specialties list if validating against it here (usually done by model enum)
-// import { commonIndonesianSpecialties } from '../../models/doctorProfile.model.js'; // Example if needed
+import { body, param } from 'express-validator';
+import { UserRoles } from '../../utils/constants.js'; // Adjust path
+import { getPasswordPolicyViolations } from '../../utils/passwordPolicy.js';
 
 // Regex for common Indonesian phone number formats
 const indonesianPhoneRegex = /^(^\+62|62|^08)(\d{3,4}-?){2}\d{3,4}$/;
-// Regex for password complexity: min 8 chars, 1 lowercase, 1 uppercase, 1 number
-const passwordComplexityRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+
+// Reusable rule for a new password: complexity and blocklist from the configured password policy
+export const newPasswordRule = (field = 'password', label = 'Password') =>
+    body(field)
+        .notEmpty().withMessage(`${label} is required.`)
+        .custom((value, { req }) => {
+            const violations = getPasswordPolicyViolations(value, req.body);
+            if (violations.length) throw new Error(violations.join(' '));
+            return true;
+        });
 
 
 // Validation rules for user registration
@@ -17,12 +23,8 @@ export const registerValidator = [
         .notEmpty().withMessage('Email is required.')
         .isEmail().withMessage('Please provide a valid email address.')
         .normalizeEmail(),
-    body('password')
-        .notEmpty().withMessage('Password is required.')
-        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long.')
-        // Enforce complexity requirements
-        .matches(passwordComplexityRegex)
-        .withMessage('Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number.')
+    // Enforce the password policy (complexity, common passwords, no name/email)
+    newPasswordRule('password')
         .trim(), // Trim after validation checks
     body('firstName')
         .notEmpty().withMessage('First name is required.')
@@ -33,8 +35,8 @@ export const registerValidator = [
         .trim()
         .escape(), // Prevent XSS
     body('role')
-        .notEmpty().withMessage('Role is required.')
-        .isIn(AvailableUserRoles).withMessage('Invalid user role specified.'),
+        .optional()
+        .equals(UserRoles.PATIENT).withMessage('Public registration is only available for patients. Doctor and Staff accounts are created by invitation.'),
     body('phoneNumber')
         .optional({ checkFalsy: true }) // Allows empty string or null/undefined
         .trim()
@@ -56,20 +58,7 @@ export const registerValidator = [
     body('address.province')
         .optional({ checkFalsy: true })
         .trim().escape(),
-    // Doctor specific fields (if registering directly)
-    body('specialty')
-        .if(body('role').equals(UserRoles.DOCTOR)) // Only required if role is Doctor
-        .notEmpty().withMessage('Specialty is required for Doctor role.')
-        .trim(), // <<<--- REMOVED .escape() HERE
-        // The model's enum validator handles the actual list check
-        // .isIn(commonIndonesianSpecialties).withMessage('Invalid specialty.') // Usually redundant if model enum is used
-    body('licenseNumber')
-        .if(body('role').equals(UserRoles.DOCTOR))
-        .notEmpty().withMessage('License number is required for Doctor role.')
-        .trim()
-        .escape(), // Keep escape here as it might contain user input potentially
-    // Add similar .if(body('role').equals(UserRoles.STAFF)) for staff-specific fields if needed
-    // Add similar .if(body('role').equals(UserRoles.PATIENT)) for patient-specific fields if needed
+    // Doctor/Staff fields are not accepted here; those accounts are created via admin invitations
 ];
 
 // Validation rules for user login
@@ -92,12 +81,68 @@ export const forgotPasswordValidator = [
 
 // Validation rules for resetting password
 export const resetPasswordValidator = [
-    body('password')
-        .notEmpty().withMessage('New password is required.')
-        .isLength({ min: 8 }).withMessage('Password must be at least 8 characters long.')
-         // Also enforce complexity on reset
-        .matches(passwordComplexityRegex)
-        .withMessage('Password must be at least 8 characters long and contain at least one uppercase letter, one lowercase letter, and one number.')
+    // Also enforce the password policy on reset (history is checked by the service)
+    newPasswordRule('password', 'New password')
         .trim(),
     // Token is validated via route param typically
 ];
+
+// Validation rules for changing the password of the logged-in user
+export const changePasswordValidator = [
+    body('currentPassword')
+        .notEmpty().withMessage('Current password is required.'),
+    newPasswordRule('newPassword', 'New password')
+        .custom((value, { req }) => value !== req.body.currentPassword)
+        .withMessage('New password must be different from the current password.')
+        .trim(),
+];
+
+// Validation rules for verifying an email address
+export const verifyEmailValidator = [
+    param('token')
+        .notEmpty().withMessage('Verification token is required.')
+        .isJWT().withMessage('Invalid verification token format.'),
+];
+
+// Validation rules for refreshing tokens (token may also come from the cookie)
+export const refreshTokenValidator = [
+    body('refreshToken')
+        .optional()
+        .isJWT().withMessage('Invalid refresh token format.'),
+];
+
+// Validation rules for a TOTP code (enable, recovery code regeneration)
+export const twoFactorCodeValidator = [
+    body('code')
+        .notEmpty().withMessage('Two-factor code is required.')
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits.'),
+];
+
+// Validation rules for starting enrollment from a login challenge
+export const twoFactorChallengeSetupValidator = [
+    body('challengeToken')
+        .notEmpty().withMessage('Challenge token is required.')
+        .isJWT().withMessage('Invalid challenge token format.'),
+];
+
+// Validation rules for completing a login challenge
+export const twoFactorChallengeVerifyValidator = [
+    ...twoFactorChallengeSetupValidator,
+    body('code')
+        .if(body('recoveryCode').not().exists())
+        .notEmpty().withMessage('Either a two-factor code or a recovery code is required.')
+        .trim()
+        .matches(/^\d{6}$/).withMessage('Two-factor code must be 6 digits.'),
+    body('recoveryCode')
+        .optional()
+        .trim()
+        .notEmpty().withMessage('Recovery code cannot be empty.'),
+];
+
+// Validation rules for disabling 2FA
+export const disableTwoFactorValidator = [
+    body('password')
+        .notEmpty().withMessage('Current password is required.'),
+    ...twoFactorCodeValidator,
+];
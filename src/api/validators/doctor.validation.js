@@ -1,17 +1,10 @@
-import { body } from 'express-validator';
+import { body, query } from 'express-validator';
+import { isValidTimeZone } from '../../utils/schedule.js';
 
-// Validation for creating/updating a doctor profile (usually by Admin)
-export const doctorProfileValidator = [
-    body('specialty')
-        .notEmpty()
-		.withMessage('Specialty is required.')
-        .trim()
-        .escape(),
-    body('licenseNumber')
-        .notEmpty()
-		.withMessage('License number is required.')
-        .trim()
-        .escape(),
+const timeRegex = /^(0[0-9]|1[0-9]|2[0-3]):([0-5][0-9])$/;
+
+// Optional profile details shared by create and update
+const doctorProfileDetailRules = [
     body('yearsOfExperience')
         .optional({ checkFalsy: true })
         .isInt({ min: 0 })
@@ -64,5 +57,86 @@ export const doctorProfileValidator = [
 		.withMessage('User account cannot be changed directly on profile update.'),
 ];
 
+// Validation for creating a doctor profile (usually by Admin)
+export const doctorProfileValidator = [
+    body('specialty')
+        .notEmpty()
+		.withMessage('Specialty is required.')
+        .trim(), // No escape: values like 'Obstetri & Ginekologi' must match the model enum
+    body('licenseNumber')
+        .notEmpty()
+		.withMessage('License number is required.')
+        .trim()
+        .escape(),
+    ...doctorProfileDetailRules,
+];
+
+// Validation for partially updating a doctor profile (doctor themselves, Staff or Admin)
+export const updateDoctorProfileValidator = [
+    body('specialty')
+        .optional()
+        .notEmpty()
+		.withMessage('Specialty cannot be empty.')
+        .trim(),
+    body('licenseNumber')
+        .optional()
+        .notEmpty()
+		.withMessage('License number cannot be empty.')
+        .trim()
+        .escape(),
+    body('timezone')
+        .optional()
+        .custom(isValidTimeZone)
+		.withMessage('Timezone must be a valid IANA timezone name (e.g. Asia/Jakarta).'),
+    ...doctorProfileDetailRules,
+    body('weeklySchedule')
+		.not()
+		.exists()
+		.withMessage('Use the schedule endpoint to change the weekly schedule.'),
+];
+
+// Validation for replacing the weekly schedule (overlaps are checked by the DoctorProfile model)
+export const weeklyScheduleValidator = [
+    body('weeklySchedule')
+        .isArray()
+		.withMessage('Weekly schedule must be an array of availability blocks.'),
+    body('weeklySchedule.*.dayOfWeek')
+        .isInt({ min: 0, max: 6 })
+		.withMessage('Day of week must be an integer from 0 (Sunday) to 6 (Saturday).')
+        .toInt(),
+    body('weeklySchedule.*.startTime')
+        .matches(timeRegex)
+		.withMessage('Start time must be in HH:MM format.'),
+    body('weeklySchedule.*.endTime')
+        .matches(timeRegex)
+		.withMessage('End time must be in HH:MM format.')
+        .bail()
+        .custom((value, { req, path }) => {
+            const index = Number(path.match(/\[(\d+)\]/)[1]);
+            return value > req.body.weeklySchedule[index].startTime;
+        })
+		.withMessage('End time must be after start time.'),
+];
+
+// Validation for the "next available slot" search
+export const nextAvailableQueryValidator = [
+    query('specialty')
+        .trim()
+        .notEmpty()
+		.withMessage('Specialty query parameter is required.'),
+    query('duration')
+        .optional()
+        .isInt({ min: 5, max: 480 })
+		.withMessage('Duration must be an integer between 5 and 480 minutes.'),
+];
+
+// Validation for calling the next patient (optionally a specific checked-in appointment, out of turn)
+export const callNextPatientValidator = [
+    body('appointmentId')
+        .optional()
+        .isMongoId()
+		.withMessage('Appointment ID must be a valid ID.'),
+];
+
 // You might reuse mongoIdParamValidator for routes like GET /api/doctors/:doctorId
 // export const getDoctorValidator = mongoIdParamValidator('doctorId');
@@ -0,0 +1,68 @@
+import { body, param } from 'express-validator';
+import { InvitableUserRoles, UserRoles } from '../../utils/constants.js';
+import { asyncHandler } from '../../utils/asyncHandler.js';
+import { newPasswordRule } from './auth.validator.js';
+import { doctorProfileValidator } from './doctor.validation.js';
+import { staffProfileValidator } from './staff.validator.js';
+
+// Regex for common Indonesian phone number formats
+const indonesianPhoneRegex = /^(^\+62|62|^08)(\d{3,4}-?){2}\d{3,4}$/;
+
+// Profile validator to run for each invited role (Admins have no profile)
+const profileValidatorsByRole = {
+    [UserRoles.DOCTOR]: doctorProfileValidator,
+    [UserRoles.STAFF]: staffProfileValidator,
+};
+
+// Validation for creating an invitation (Admin)
+export const createInvitationValidator = [
+    body('email')
+        .notEmpty().withMessage('Email is required.')
+        .isEmail().withMessage('Please provide a valid email address.')
+        .normalizeEmail(),
+    body('role')
+        .notEmpty().withMessage('Role is required.')
+        .isIn(InvitableUserRoles).withMessage(`Invitations can only be sent for: ${InvitableUserRoles.join(', ')}.`),
+    body('firstName')
+        .notEmpty().withMessage('First name is required.')
+        .trim()
+        .escape(),
+    body('lastName')
+        .notEmpty().withMessage('Last name is required.')
+        .trim()
+        .escape(),
+    body('phoneNumber')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(indonesianPhoneRegex).withMessage('Please provide a valid Indonesian phone number (e.g., 08..., 62..., +62...).')
+        .escape(),
+    // Role-specific profile fields (doctorProfileValidator / staffProfileValidator)
+    asyncHandler(async (req, res, next) => {
+        const chains = profileValidatorsByRole[req.body.role] || [];
+        for (const chain of chains) {
+            await chain.run(req);
+        }
+        next();
+    }),
+];
+
+// Validation for accepting an invitation (invitee sets their password)
+export const acceptInvitationValidator = [
+    param('token')
+        .notEmpty().withMessage('Invitation token is required.')
+        .isHexadecimal().withMessage('Invalid invitation token format.'),
+    newPasswordRule('password')
+        .trim(),
+    body('phoneNumber')
+        .optional({ checkFalsy: true })
+        .trim()
+        .matches(indonesianPhoneRegex).withMessage('Please provide a valid Indonesian phone number (e.g., 08..., 62..., +62...).')
+        .escape(),
+];
+
+// Validation for looking up an invitation by token
+export const invitationTokenValidator = [
+    param('token')
+        .notEmpty().withMessage('Invitation token is required.')
+        .isHexadecimal().withMessage('Invalid invitation token format.'),
+];
@@ -0,0 +1,19 @@
+// src/api/validators/permission.validator.js
+import { body, param } from 'express-validator';
+import { AvailablePermissions, AvailableUserRoles } from '../../utils/constants.js';
+
+// Validation rules for replacing the permissions of a role
+export const updateRolePermissionsValidator = [
+    param('role')
+        .isIn(AvailableUserRoles)
+        .withMessage(`Role must be one of: ${AvailableUserRoles.join(', ')}`),
+    body('permissions')
+        .isArray()
+        .withMessage('Permissions must be an array.'),
+    body('permissions.*')
+        .isString()
+        .withMessage('Each permission must be a string.')
+        .bail()
+        .isIn(AvailablePermissions)
+        .withMessage('Unknown permission. See GET /api/permissions for the available permissions.'),
+];
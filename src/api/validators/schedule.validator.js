@@ -0,0 +1,66 @@
+// src/api/validators/schedule.validator.js
+import { body, query } from 'express-validator';
+import { AvailableScheduleExceptionTypes, ScheduleExceptionTypes } from '../../utils/constants.js';
+import { isValidDateKey } from '../../utils/schedule.js';
+
+const timeRegex = /^(0[0-9]|1[0-9]|2[0-3]):([0-5][0-9])$/;
+
+// A YYYY-MM-DD string that is also a real calendar date
+const isDateKey = (value) => isValidDateKey(value);
+
+// Validation for adding a schedule exception (day off, blocked hours, extra hours)
+export const createScheduleExceptionValidator = [
+    body('date')
+        .custom(isDateKey)
+        .withMessage('Date must be a valid date in YYYY-MM-DD format.'),
+    body('type')
+        .isIn(AvailableScheduleExceptionTypes)
+        .withMessage(`Type must be one of: ${AvailableScheduleExceptionTypes.join(', ')}`),
+    body('startTime')
+        .if(body('type').not().equals(ScheduleExceptionTypes.DAY_OFF))
+        .matches(timeRegex)
+        .withMessage('Start time is required in HH:MM format.'),
+    body('endTime')
+        .if(body('type').not().equals(ScheduleExceptionTypes.DAY_OFF))
+        .matches(timeRegex)
+        .withMessage('End time is required in HH:MM format.')
+        .bail()
+        .custom((value, { req }) => value > req.body.startTime)
+        .withMessage('End time must be after start time.'),
+    body('reason')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Reason cannot exceed 500 characters.')
+        .escape(),
+];
+
+// Validation for adding a clinic holiday
+export const createHolidayValidator = [
+    body('date')
+        .custom(isDateKey)
+        .withMessage('Date must be a valid date in YYYY-MM-DD format.'),
+    body('name')
+        .trim()
+        .notEmpty()
+        .withMessage('Holiday name is required.')
+        .isLength({ max: 200 })
+        .withMessage('Holiday name cannot exceed 200 characters.')
+        .escape(),
+];
+
+// Optional date range / year filters for listing
+export const dateRangeQueryValidator = [
+    query('from')
+        .optional()
+        .custom(isDateKey)
+        .withMessage('From must be a valid date in YYYY-MM-DD format.'),
+    query('to')
+        .optional()
+        .custom(isDateKey)
+        .withMessage('To must be a valid date in YYYY-MM-DD format.'),
+    query('year')
+        .optional()
+        .isInt({ min: 2000, max: 2100 })
+        .withMessage('Year must be a 4-digit year.'),
+];
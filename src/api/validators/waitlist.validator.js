@@ -0,0 +1,51 @@
+// src/api/validators/waitlist.validator.js
+import { body, param, query } from 'express-validator';
+import { AvailableWaitlistStatuses } from '../../utils/constants.js';
+import { isValidDateKey } from '../../utils/schedule.js';
+
+const timeRegex = /^(0[0-9]|1[0-9]|2[0-3]):([0-5][0-9])$/;
+
+// Validation for joining a doctor's waitlist
+export const createWaitlistEntryValidator = [
+    body('doctor')
+        .notEmpty().withMessage('Doctor ID is required.')
+        .isMongoId().withMessage('Invalid Doctor ID format.'),
+    body('patient') // Required for Staff/Admin, ignored for patients (checked in the service)
+        .optional()
+        .isMongoId().withMessage('Invalid Patient ID format.'),
+    body('fromDate')
+        .optional({ nullable: true })
+        .custom(isValidDateKey).withMessage('From date must be a valid date in YYYY-MM-DD format.'),
+    body('toDate')
+        .optional({ nullable: true })
+        .custom(isValidDateKey).withMessage('To date must be a valid date in YYYY-MM-DD format.'),
+    body('earliestTime')
+        .optional({ nullable: true })
+        .matches(timeRegex).withMessage('Earliest time must be in HH:MM format.'),
+    body('latestTime')
+        .optional({ nullable: true })
+        .matches(timeRegex).withMessage('Latest time must be in HH:MM format.'),
+    body('durationMinutes')
+        .optional()
+        .isInt({ min: 5 }).withMessage('Duration must be an integer of at least 5 minutes.')
+        .toInt(),
+    body('reasonForVisit')
+        .optional({ checkFalsy: true })
+        .trim()
+        .isLength({ max: 500 }).withMessage('Reason cannot exceed 500 characters.')
+        .escape(),
+];
+
+// Validation for listing waitlist entries
+export const listWaitlistValidator = [
+    query('doctorId').optional().isMongoId().withMessage('Invalid Doctor ID format.'),
+    query('patientId').optional().isMongoId().withMessage('Invalid Patient ID format.'),
+    query('status').optional().isIn(AvailableWaitlistStatuses).withMessage(`Status must be one of: ${AvailableWaitlistStatuses.join(', ')}.`),
+];
+
+// Validation for the token of an emailed waitlist offer
+export const waitlistOfferTokenValidator = [
+    param('token')
+        .notEmpty().withMessage('Offer token is required.')
+        .isHexadecimal().withMessage('Invalid offer token format.'),
+];
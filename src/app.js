@@ -20,7 +20,8 @@ app.use(cors({
     origin: config.cors.origin,
     methods: config.cors.methods,
     credentials: config.cors.credentials,
-    allowedHeaders: config.cors.allowedHeaders
+    allowedHeaders: config.cors.allowedHeaders,
+    exposedHeaders: config.cors.exposedHeaders
 }));
 
 // 2. Set various HTTP headers for security
@@ -1,6 +1,7 @@
 // src/config/index.js
 // Loads environment variables from .env file and exports them as a configuration object.
 
+import crypto from 'crypto';
 import dotenv from 'dotenv';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -21,6 +22,7 @@ const requiredEnvVars = [
     'DB_NAME',
     'JWT_SECRET',
     'JWT_EXPIRES_IN',
+    'JWT_REFRESH_SECRET',
     'CORS_ORIGIN',
     'CLOUDINARY_CLOUD_NAME',
     'CLOUDINARY_API_KEY',
@@ -45,6 +47,11 @@ requiredEnvVars.forEach((varName) => {
     }
 });
 
+// Derives a separate key for one purpose from a secret, so the secret itself is used for one thing only
+const deriveKey = (secret, purpose) => (secret
+    ? crypto.createHmac('sha256', secret).update(`konsuldok:${purpose}`).digest('hex')
+    : undefined);
+
 // Export configuration object
 const config = {
     nodeEnv: process.env.NODE_ENV || 'development',
@@ -61,18 +68,143 @@ const config = {
 
     jwt: {
         secret: process.env.JWT_SECRET,
-        expiresIn: process.env.JWT_EXPIRES_IN || '1h',
-        refreshSecret: process.env.JWT_REFRESH_SECRET, // Optional: for refresh tokens
-        refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', // Optional
+        expiresIn: process.env.JWT_EXPIRES_IN || '15m', // Short-lived access token
+        refreshSecret: process.env.JWT_REFRESH_SECRET, // Signs rotating refresh tokens
+        refreshExpiresIn: process.env.JWT_REFRESH_EXPIRES_IN || '7d', // Lifetime of a session (token family)
         cookieName: process.env.JWT_COOKIE_NAME || 'konsuldok_jwt',
+        refreshCookieName: process.env.JWT_REFRESH_COOKIE_NAME || 'konsuldok_refresh',
         cookieExpiresInDays: parseInt(process.env.JWT_COOKIE_EXPIRES_IN_DAYS || '30', 10),
     },
 
+    emailVerification: {
+        tokenExpiresIn: process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h',
+        // Block patients from booking appointments until their email is verified
+        requiredForBooking: process.env.REQUIRE_VERIFIED_EMAIL_FOR_BOOKING !== 'false',
+    },
+
+    invitation: {
+        expiresInDays: parseInt(process.env.INVITATION_EXPIRES_IN_DAYS || '7', 10),
+    },
+
+    accountLockout: {
+        maxFailedAttempts: parseInt(process.env.LOCKOUT_MAX_FAILED_ATTEMPTS || '5', 10), // Failed logins before the account is locked
+        attemptWindowMinutes: parseInt(process.env.LOCKOUT_ATTEMPT_WINDOW_MINUTES || '15', 10), // Failures older than this are forgotten
+        baseLockMinutes: parseInt(process.env.LOCKOUT_BASE_MINUTES || '15', 10), // First lockout; doubles with each consecutive lockout
+        maxLockMinutes: parseInt(process.env.LOCKOUT_MAX_MINUTES || '1440', 10), // Upper bound for a single lockout window
+    },
+
+    passwordPolicy: {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+        requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+        requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+        requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+        requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+        historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT || '5', 10), // Last N passwords that cannot be reused
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS || '90', 10),
+        // Roles whose passwords expire after maxAgeDays (comma-separated, defaults to clinical roles)
+        maxAgeRoles: process.env.PASSWORD_MAX_AGE_ROLES
+            ? process.env.PASSWORD_MAX_AGE_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+            : ['Doctor', 'Staff'],
+        // Newline-separated list of common passwords that are always rejected
+        blocklistFile: process.env.PASSWORD_BLOCKLIST_FILE || path.resolve(__dirname, 'common-passwords.txt'),
+    },
+
+    clinic: {
+        // IANA timezone the clinic's schedules are expressed in (WIB "Asia/Jakarta", WITA "Asia/Makassar", WIT "Asia/Jayapura").
+        // Doctors practicing at a location in another zone can override it on their profile.
+        timezone: process.env.CLINIC_TIMEZONE || 'Asia/Jakarta',
+    },
+
+    availability: {
+        maxRangeDays: parseInt(process.env.AVAILABILITY_MAX_RANGE_DAYS || '31', 10), // Longest from/to range for slot searches
+        nextAvailableMaxDays: parseInt(process.env.NEXT_AVAILABLE_MAX_DAYS || '60', 10), // How far ahead "next available" looks
+        searchWindowDays: 14, // "Next available" loads this many days per round of queries
+    },
+
+    booking: {
+        holdMinutes: parseInt(process.env.SLOT_HOLD_MINUTES || '5', 10), // How long POST /api/doctors/:doctorId/holds reserves a slot
+        maxActiveHoldsPerUser: parseInt(process.env.SLOT_HOLD_MAX_PER_USER || '2', 10), // Stops one user from blocking a doctor's calendar
+    },
+
+    appointmentSeries: {
+        maxOccurrences: parseInt(process.env.SERIES_MAX_OCCURRENCES || '52', 10), // Upper bound for one recurring series
+    },
+
+    waitlist: {
+        offerMinutes: parseInt(process.env.WAITLIST_OFFER_MINUTES || '30', 10), // How long a waitlisted patient has to claim a freed slot
+        sweepIntervalSeconds: parseInt(process.env.WAITLIST_SWEEP_INTERVAL_SECONDS || '60', 10), // How often expired offers are passed on
+    },
+
+    reminders: {
+        // Minutes before a confirmed appointment at which the patient is emailed (comma-separated, default 24h and 2h)
+        offsetsMinutes: (process.env.REMINDER_OFFSETS_MINUTES || '1440,120')
+            .split(',').map(offset => parseInt(offset, 10)).filter(offset => offset > 0),
+    },
+
+    noShow: {
+        graceMinutes: parseInt(process.env.NO_SHOW_GRACE_MINUTES || '15', 10), // Confirmed appointments not checked in this long after their end become NoShow
+        checkIntervalSeconds: parseInt(process.env.NO_SHOW_CHECK_INTERVAL_SECONDS || '300', 10), // How often the no-show job runs
+        // Only appointments that ended within this window before the grace cutoff are marked, so the first run after
+        // rollout (or after downtime) does not turn every older Confirmed appointment into a NoShow
+        lookbackHours: parseInt(process.env.NO_SHOW_LOOKBACK_HOURS || '24', 10),
+        // Patients with this many no-shows within policyWindowDays need staff to confirm new bookings (0 disables the policy)
+        policyMaxNoShows: parseInt(process.env.NO_SHOW_POLICY_MAX || '0', 10),
+        policyWindowDays: parseInt(process.env.NO_SHOW_POLICY_WINDOW_DAYS || '90', 10),
+    },
+
+    checkIn: {
+        // Signs the rotating check-in QR code shown at the clinic (default: a key derived from JWT_SECRET, never JWT_SECRET itself)
+        qrSecret: process.env.CHECK_IN_QR_SECRET || deriveKey(process.env.JWT_SECRET, 'check-in-qr'),
+        qrRotateMinutes: parseInt(process.env.CHECK_IN_QR_ROTATE_MINUTES || '5', 10), // A code is accepted for two periods
+        earliestMinutesBefore: parseInt(process.env.CHECK_IN_EARLIEST_MINUTES || '60', 10), // Patients can self check-in this early
+        // Address of the patient app's check-in page host, encoded in the QR code (e.g. "https://app.konsuldok.id")
+        baseUrl: (process.env.CHECK_IN_BASE_URL || '').replace(/\/+$/, '') || null,
+    },
+
+    appointmentEvents: {
+        heartbeatSeconds: parseInt(process.env.EVENTS_HEARTBEAT_SECONDS || '25', 10), // Keeps idle event streams open through proxies
+        retryMs: 5000, // How long browsers wait before reconnecting a dropped stream
+    },
+
+    jobs: {
+        pollIntervalSeconds: parseInt(process.env.JOB_POLL_INTERVAL_SECONDS || '30', 10), // How often due jobs are looked for
+        maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS || '5', 10), // Runs of a failing job before it is marked failed
+        retryDelaySeconds: 60, // Delay before the first retry; doubles with each attempt
+        lockTimeoutSeconds: 300, // A job "running" longer than this (e.g. the process died) is picked up again
+        batchSize: 50, // Jobs run per poll
+        retentionDays: 30, // Finished jobs are purged after this
+    },
+
+    idempotency: {
+        ttlHours: parseInt(process.env.IDEMPOTENCY_TTL_HOURS || '24', 10), // How long a stored response can be replayed
+        processingTimeoutSeconds: 120, // A key stuck "in progress" (e.g. after a crash) is freed after this
+    },
+
+    holidays: {
+        // Clinic-wide holiday calendar imported by POST /api/holidays/import (JSON array of { date: "YYYY-MM-DD", name })
+        importFile: process.env.HOLIDAYS_FILE || path.resolve(__dirname, 'holidays-id.json'),
+    },
+
+    impersonation: {
+        expiresIn: process.env.IMPERSONATION_EXPIRES_IN || '15m', // Lifetime of an admin impersonation token (not renewable)
+    },
+
+    twoFactor: {
+        issuer: process.env.TWO_FACTOR_ISSUER || 'KonsulDok', // Name shown in authenticator apps
+        // Roles that must use TOTP 2FA (comma-separated, e.g. "Doctor,Staff,Admin")
+        enforcedRoles: process.env.TWO_FACTOR_ENFORCED_ROLES
+            ? process.env.TWO_FACTOR_ENFORCED_ROLES.split(',').map(role => role.trim()).filter(Boolean)
+            : [],
+        challengeExpiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m', // Lifetime of a login challenge token
+        recoveryCodeCount: parseInt(process.env.TWO_FACTOR_RECOVERY_CODE_COUNT || '10', 10),
+    },
+
     cors: {
         origin: process.env.CORS_ORIGIN ? process.env.CORS_ORIGIN.split(',') : '*', // Handle comma-separated origins or default
         methods: 'GET,HEAD,PUT,PATCH,POST,DELETE',
         credentials: true, // Allow cookies to be sent
-        allowedHeaders: ['Content-Type', 'Authorization']
+        allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+        exposedHeaders: ['Idempotent-Replayed'],
     },
 
     rateLimit: {
@@ -107,4 +239,12 @@ const config = {
     // }
 };
 
+// An unknown timezone would silently shift every schedule, so refuse to start with one
+try {
+    new Intl.DateTimeFormat('en-US', { timeZone: config.clinic.timezone });
+} catch (error) {
+    console.error(`FATAL ERROR: Invalid CLINIC_TIMEZONE "${config.clinic.timezone}". Use an IANA name such as Asia/Jakarta.`);
+    process.exit(1);
+}
+
 export default config;
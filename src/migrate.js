@@ -0,0 +1,75 @@
+// migrate.js
+// One-off data migrations for databases created before a feature was rolled out.
+// Every step only touches documents that still need it, so running the script again is harmless.
+
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+dotenv.config({ path: path.resolve(__dirname, './.env') }); // Load .env from root
+
+import connectDB from './config/db.js';
+import { User } from './models/index.js';
+import logger from './utils/logger.js';
+
+const migrations = [
+    {
+        name: 'verify-existing-emails',
+        description: 'Mark accounts created before email verification as verified, so existing patients can keep booking',
+        // Accounts created since then store isEmailVerified explicitly (false until verified)
+        run: async () => {
+            const result = await User.updateMany(
+                { isEmailVerified: { $exists: false } },
+                { $set: { isEmailVerified: true, emailVerifiedAt: new Date() } }
+            );
+            return result.modifiedCount;
+        },
+    },
+    {
+        name: 'start-password-age',
+        description: 'Start the password age of accounts created before the password policy now, instead of at account creation',
+        // New accounts get passwordChangedAt when they are created
+        run: async () => {
+            const result = await User.updateMany(
+                { passwordChangedAt: { $exists: false } },
+                { $set: { passwordChangedAt: new Date() } }
+            );
+            return result.modifiedCount;
+        },
+    },
+];
+
+const disconnectDB = async () => {
+    try {
+        await mongoose.connection.close();
+        logger.info('MongoDB Disconnected.');
+    } catch (err) {
+        logger.error(`Error disconnecting MongoDB: ${err.message}`);
+        process.exit(1);
+    }
+};
+
+const runMigrations = async () => {
+    logger.info('--- Database Migration Script ---');
+    try {
+        await connectDB();
+        for (const migration of migrations) {
+            logger.info(`\n${migration.name}: ${migration.description}`);
+            const updatedCount = await migration.run();
+            logger.info(`  ${updatedCount} document(s) updated.`);
+        }
+        logger.info('\n--- Database migration completed successfully! ---');
+    } catch (error) {
+        logger.error('\n--- FATAL ERROR during database migration: ---');
+        logger.error(error);
+        process.exitCode = 1;
+    } finally {
+        await disconnectDB();
+    }
+};
+
+// --- Run the Migrations ---
+runMigrations();
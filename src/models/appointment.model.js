@@ -1,6 +1,63 @@
 import mongoose from 'mongoose';
 import { trackingFieldsPlugin } from './base.model.js';
-import { AvailableAppointmentStatuses, AppointmentStatus } from '../utils/constants.js';
+import { AvailableAppointmentStatuses, AppointmentStatus, AvailableCheckInMethods, AvailableReminderStatuses, ReminderStatus } from '../utils/constants.js';
+
+// One entry per status change, kept for auditing
+const statusHistorySchema = new mongoose.Schema({
+    from: {
+        type: String,
+        enum: [...AvailableAppointmentStatuses, null],
+        default: null, // null for the initial status
+    },
+    to: {
+        type: String,
+        required: true,
+        enum: AvailableAppointmentStatuses,
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+    changedByRole: {
+        type: String,
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Delivery state of one reminder email (see reminder.service)
+const reminderSchema = new mongoose.Schema({
+    offsetMinutes: { // How long before the appointment it is sent
+        type: Number,
+        required: true,
+    },
+    appointmentTime: { // The appointment time it reminds of (a reschedule gets new reminders)
+        type: Date,
+        required: true,
+    },
+    sendAt: {
+        type: Date,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: AvailableReminderStatuses,
+        default: ReminderStatus.SCHEDULED,
+    },
+    sentAt: {
+        type: Date,
+    },
+    detail: { // Why it was skipped or the last delivery error
+        type: String,
+    },
+}, { _id: false });
 
 const appointmentSchema = new mongoose.Schema({
     patient: {
@@ -30,6 +87,21 @@ const appointmentSchema = new mongoose.Schema({
         default: 30,
         min: [5, 'Duration must be at least 5 minutes'],
     },
+    appointmentType: { // Visit type from the catalog (duration, buffer and price were taken from it at booking)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        default: null,
+        index: true,
+    },
+    bufferMinutes: { // Kept free after the visit; counts as busy time of the doctor
+        type: Number,
+        default: 0,
+        min: [0, 'Buffer cannot be negative'],
+    },
+    price: { // Price of the appointment type when booked (null for untyped bookings)
+        type: Number,
+        default: null,
+    },
     reasonForVisit: {
         type: String,
         trim: true,
@@ -55,11 +127,41 @@ const appointmentSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
-    // Optional: Type of service requested/provided
-    // serviceType: {
-    //     type: String,
-    //     trim: true
-    // }
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: [],
+    },
+    series: { // Set for occurrences of a recurring series
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentSeries',
+        default: null,
+        index: true,
+    },
+    reminders: {
+        type: [reminderSchema],
+        default: [],
+    },
+    requiresStaffConfirmation: { // Booked by a patient over the no-show limit: only Staff/Admin may confirm it
+        type: Boolean,
+        default: false,
+    },
+    // Arrival and the doctor's daily queue (see queue.service)
+    checkedInAt: {
+        type: Date,
+    },
+    checkInMethod: {
+        type: String,
+        enum: AvailableCheckInMethods,
+    },
+    queueDate: { // "YYYY-MM-DD" in the doctor's timezone; queue numbers restart every day
+        type: String,
+    },
+    queueNumber: { // Arrival order in the doctor's queue of queueDate
+        type: Number,
+    },
+    consultationStartedAt: { // When the doctor called the patient in
+        type: Date,
+    },
 });
 
 // Apply the tracking fields plugin
@@ -67,6 +169,7 @@ appointmentSchema.plugin(trackingFieldsPlugin);
 
 appointmentSchema.index({ doctor: 1, appointmentTime: 1 });
 appointmentSchema.index({ patient: 1, appointmentTime: 1 });
+appointmentSchema.index({ doctor: 1, queueDate: 1, queueNumber: 1 });
 
 
 const Appointment = mongoose.model('Appointment', appointmentSchema);
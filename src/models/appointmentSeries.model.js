@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+import { trackingFieldsPlugin } from './base.model.js';
+import { AvailableRecurrenceFrequencies } from '../utils/constants.js';
+
+// A date left out of the series because the doctor was not available
+const skippedDateSchema = new mongoose.Schema({
+    date: { // YYYY-MM-DD in the series timezone
+        type: String,
+        required: true,
+    },
+    reason: {
+        type: String,
+        trim: true,
+    },
+}, { _id: false });
+
+/**
+ * A recurring series of appointments (e.g. weekly physiotherapy) of one patient with one doctor.
+ * The occurrences are regular Appointment documents linked through Appointment.series;
+ * the series keeps the rule they were generated from.
+ */
+const appointmentSeriesSchema = new mongoose.Schema({
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientProfile',
+        required: [true, 'Patient is required for the series'],
+        index: true,
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: [true, 'Doctor is required for the series'],
+        index: true,
+    },
+    frequency: {
+        type: String,
+        required: [true, 'Recurrence frequency is required'],
+        enum: {
+            values: AvailableRecurrenceFrequencies,
+            message: 'Invalid recurrence frequency.'
+        },
+    },
+    count: { // Number of occurrences requested (when the series is not bounded by a date)
+        type: Number,
+        min: [2, 'A series needs at least two occurrences'],
+    },
+    until: { // Last possible date (YYYY-MM-DD, inclusive)
+        type: String,
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Until must be a date in YYYY-MM-DD format'],
+    },
+    firstDate: { // YYYY-MM-DD of the first occurrence
+        type: String,
+        required: true,
+    },
+    startTime: { // "HH:MM" wall-clock time of every occurrence
+        type: String,
+        required: true,
+    },
+    timezone: { // Timezone the dates and startTime are expressed in (the doctor's at creation)
+        type: String,
+        required: true,
+    },
+    durationMinutes: {
+        type: Number,
+        default: 30,
+        min: [5, 'Duration must be at least 5 minutes'],
+    },
+    appointmentType: { // Visit type every occurrence is booked as
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        default: null,
+    },
+    reasonForVisit: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    skippedDates: {
+        type: [skippedDateSchema],
+        default: [],
+    },
+    cancelledAt: { // Set once every remaining occurrence was cancelled
+        type: Date,
+        default: null,
+    },
+});
+
+appointmentSeriesSchema.plugin(trackingFieldsPlugin);
+
+const AppointmentSeries = mongoose.model('AppointmentSeries', appointmentSeriesSchema);
+
+export default AppointmentSeries;
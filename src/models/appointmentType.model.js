@@ -0,0 +1,69 @@
+// src/models/appointmentType.model.js
+import mongoose from 'mongoose';
+import { AvailableVisitCategories } from '../utils/constants.js';
+import { trackingFieldsPlugin } from './base.model.js';
+import { commonIndonesianSpecialties } from './doctorProfile.model.js';
+
+/**
+ * A kind of visit patients can book (e.g. "Konsultasi Awal", "Kontrol", a procedure, telemedicine).
+ * Offered by the listed doctors and by every doctor of the listed specialties; by all doctors when both are empty.
+ */
+const appointmentTypeSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Appointment type name is required'],
+        trim: true,
+        maxlength: [100, 'Appointment type name cannot exceed 100 characters'],
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters'],
+    },
+    category: {
+        type: String,
+        required: [true, 'Category is required'],
+        enum: {
+            values: AvailableVisitCategories,
+            message: 'Invalid appointment type category.',
+        },
+    },
+    defaultDurationMinutes: { // Length of the visit
+        type: Number,
+        required: [true, 'Default duration is required'],
+        min: [5, 'Duration must be at least 5 minutes'],
+        max: [480, 'Duration cannot exceed 480 minutes'],
+    },
+    bufferMinutes: { // Kept free after the visit (cleanup, notes); cannot be booked by anyone else
+        type: Number,
+        default: 0,
+        min: [0, 'Buffer cannot be negative'],
+        max: [120, 'Buffer cannot exceed 120 minutes'],
+    },
+    price: { // In the clinic's currency (IDR), like DoctorProfile.consultationFee
+        type: Number,
+        required: [true, 'Price is required'],
+        min: [0, 'Price cannot be negative'],
+    },
+    specialties: {
+        type: [{ type: String, enum: { values: commonIndonesianSpecialties, message: 'Invalid specialty specified.' } }],
+        default: [],
+    },
+    doctors: {
+        type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'DoctorProfile' }],
+        default: [],
+    },
+    isActive: { // Inactive types stay on existing appointments but cannot be booked
+        type: Boolean,
+        default: true,
+    },
+});
+
+appointmentTypeSchema.plugin(trackingFieldsPlugin);
+
+// One active type per name (soft-deleted entries may repeat)
+appointmentTypeSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+
+const AppointmentType = mongoose.model('AppointmentType', appointmentTypeSchema);
+
+export default AppointmentType;
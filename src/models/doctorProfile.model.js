@@ -1,9 +1,10 @@
 // src/models/doctorProfile.model.js (Day-Specific Availability)
 import mongoose from 'mongoose';
+import { isValidTimeZone } from '../utils/schedule.js';
 import { trackingFieldsPlugin } from './base.model.js';
 
 // List of common medical specialties in Indonesia (approx. 20)
-const commonIndonesianSpecialties = [
+export const commonIndonesianSpecialties = [
     'Penyakit Dalam', // Internal Medicine
     'Anak', // Pediatrics
     'Obstetri & Ginekologi', // Obstetrics & Gynecology
@@ -109,6 +110,13 @@ const doctorProfileSchema = new mongoose.Schema({
         type: [String],
         default: ['Bahasa Indonesia'],
     },
+    // IANA timezone of the location the doctor practices at; the weekly schedule is in this zone.
+    // Empty means the clinic timezone (CLINIC_TIMEZONE).
+    timezone: {
+        type: String,
+        trim: true,
+        validate: [value => !value || isValidTimeZone(value), 'Invalid timezone. Use an IANA name such as Asia/Makassar.'],
+    },
 
     // --- NEW: Weekly Availability Schedule ---
     // Array of availability blocks. Allows multiple blocks per day (e.g., morning/afternoon)
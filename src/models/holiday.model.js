@@ -0,0 +1,32 @@
+// src/models/holiday.model.js
+import mongoose from 'mongoose';
+import { trackingFieldsPlugin } from './base.model.js';
+
+// Clinic-wide day without consultations (e.g. national holidays); applies to every doctor
+const holidaySchema = new mongoose.Schema({
+    date: { // Local clinic date, YYYY-MM-DD
+        type: String,
+        required: [true, 'Date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD).'],
+    },
+    name: {
+        type: String,
+        required: [true, 'Holiday name is required'],
+        trim: true,
+        maxlength: [200, 'Holiday name cannot exceed 200 characters'],
+    },
+    source: {
+        type: String,
+        enum: ['manual', 'import'],
+        default: 'manual',
+    },
+});
+
+holidaySchema.plugin(trackingFieldsPlugin);
+
+// One active holiday per date (soft-deleted entries may repeat)
+holidaySchema.index({ date: 1 }, { unique: true, partialFilterExpression: { isDeleted: false } });
+
+const Holiday = mongoose.model('Holiday', holidaySchema);
+
+export default Holiday;
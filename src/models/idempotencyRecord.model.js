@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+import { IdempotencyStates } from '../utils/constants.js';
+
+/**
+ * Remembers a write request sent with an Idempotency-Key header, so a retry of the same
+ * request replays the stored response instead of creating a duplicate.
+ * Keys are scoped to the authenticated user (null for public endpoints such as registration).
+ */
+const idempotencyRecordSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+    method: {
+        type: String,
+        required: true,
+    },
+    path: {
+        type: String,
+        required: true,
+    },
+    requestHash: { // SHA-256 fingerprint of method, path, body and uploaded file
+        type: String,
+        required: true,
+    },
+    state: {
+        type: String,
+        enum: Object.values(IdempotencyStates),
+        default: IdempotencyStates.PROCESSING,
+    },
+    responseStatus: {
+        type: Number,
+    },
+    responseBody: {
+        type: mongoose.Schema.Types.Mixed,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+idempotencyRecordSchema.index({ key: 1, user: 1 }, { unique: true });
+// Let MongoDB purge records once the replay window has passed
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const IdempotencyRecord = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
+
+export default IdempotencyRecord;
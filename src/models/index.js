@@ -1,12 +1,25 @@
 import Appointment from './appointment.model.js';
+import AppointmentSeries from './appointmentSeries.model.js';
+import AppointmentType from './appointmentType.model.js';
 import DoctorProfile from './doctorProfile.model.js';
+import Holiday from './holiday.model.js';
+import IdempotencyRecord from './idempotencyRecord.model.js';
+import Invitation from './invitation.model.js';
 import MedicalDocument from './medicalDocument.model.js';
 import MedicalNote from './medicalNote.model.js';
 import PatientProfile from './patientProfile.model.js';
+import QueueCounter from './queueCounter.model.js';
+import RolePermission from './rolePermission.model.js';
+import ScheduleException from './scheduleException.model.js';
+import ScheduledJob from './scheduledJob.model.js';
+import Session from './session.model.js';
+import SlotHold from './slotHold.model.js';
+import SlotLock from './slotLock.model.js';
 import StaffProfile from './staffProfile.model.js';
 import User from './user.model.js';
+import WaitlistEntry from './waitlistEntry.model.js';
+import WaitlistOffer from './waitlistOffer.model.js';
 
 export {
-	Appointment, DoctorProfile, MedicalDocument, MedicalNote, PatientProfile, StaffProfile, User
+	Appointment, AppointmentSeries, AppointmentType, DoctorProfile, Holiday, IdempotencyRecord, Invitation, MedicalDocument, MedicalNote, PatientProfile, QueueCounter, RolePermission, ScheduleException, ScheduledJob, Session, SlotHold, SlotLock, StaffProfile, User, WaitlistEntry, WaitlistOffer
 };
-
@@ -0,0 +1,94 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { AvailableInvitationStatuses, InvitableUserRoles, InvitationStatus } from '../utils/constants.js';
+import { trackingFieldsPlugin } from './base.model.js';
+
+const invitationSchema = new mongoose.Schema({
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        trim: true,
+        lowercase: true,
+        index: true,
+        match: [/.+@.+\..+/, 'Please provide a valid email address'],
+    },
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        enum: {
+            values: InvitableUserRoles,
+            message: 'Invalid role specified. Invitations can be sent for: ' + InvitableUserRoles.join(', ')
+        },
+    },
+    firstName: {
+        type: String,
+        required: [true, 'First name is required'],
+        trim: true,
+    },
+    lastName: {
+        type: String,
+        required: [true, 'Last name is required'],
+        trim: true,
+    },
+    phoneNumber: {
+        type: String,
+        trim: true,
+    },
+    profileData: { // Doctor/Staff profile fields, applied when the invitation is accepted
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    status: {
+        type: String,
+        enum: AvailableInvitationStatuses,
+        default: InvitationStatus.PENDING,
+        index: true,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    acceptedAt: {
+        type: Date,
+    },
+    acceptedUser: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+});
+
+invitationSchema.plugin(trackingFieldsPlugin);
+
+// Never expose the token hash, even right after it was generated
+invitationSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+/**
+ * Generates a new invitation token, stores its hash and resets the expiry.
+ * @param {number} expiresInDays - Days until the invitation link expires.
+ * @returns {string} The unhashed token to send by email.
+ */
+invitationSchema.methods.createInvitationToken = function(expiresInDays) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    this.expiresAt = Date.now() + expiresInDays * 24 * 60 * 60 * 1000;
+    return token;
+};
+
+const Invitation = mongoose.model('Invitation', invitationSchema);
+
+export default Invitation;
@@ -48,6 +48,14 @@ const patientProfileSchema = new mongoose.Schema({
         type: String,
         trim: true,
     },
+    noShowCount: { // Appointments the patient did not attend (maintained by the appointment service)
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    lastNoShowAt: {
+        type: Date,
+    },
     insuranceProvider: { type: String, trim: true },
     insurancePolicyNumber: { type: String, trim: true },
 });
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Hands out queue numbers for one doctor and day. Numbers are taken with an atomic $inc,
+ * so two patients checking in at the same moment never share a number.
+ * Also serves as the lock that lets only one "call next" run at a time for that doctor and day.
+ */
+const queueCounterSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: [true, 'Doctor is required for the queue counter'],
+    },
+    date: { // "YYYY-MM-DD" in the doctor's timezone
+        type: String,
+        required: [true, 'Date is required for the queue counter'],
+    },
+    lastNumber: { // Last queue number given out
+        type: Number,
+        default: 0,
+    },
+    callLockedUntil: { // Set while a patient is being called in; expires by itself if that request dies
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+queueCounterSchema.index({ doctor: 1, date: 1 }, { unique: true });
+
+const QueueCounter = mongoose.model('QueueCounter', queueCounterSchema);
+
+export default QueueCounter;
@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+import { AvailablePermissions, AvailableUserRoles } from '../utils/constants.js';
+import { trackingFieldsPlugin } from './base.model.js';
+
+/**
+ * Permissions granted to a role, editable by admins.
+ * Roles without a stored document use DefaultRolePermissions from constants.
+ */
+const rolePermissionSchema = new mongoose.Schema({
+    role: {
+        type: String,
+        required: [true, 'Role is required'],
+        unique: true,
+        enum: {
+            values: AvailableUserRoles,
+            message: 'Invalid role specified. Valid roles are: ' + AvailableUserRoles.join(', ')
+        },
+    },
+    permissions: {
+        type: [{
+            type: String,
+            enum: {
+                values: AvailablePermissions,
+                message: 'Unknown permission: {VALUE}'
+            },
+        }],
+        default: [],
+    },
+});
+
+rolePermissionSchema.plugin(trackingFieldsPlugin);
+
+const RolePermission = mongoose.model('RolePermission', rolePermissionSchema);
+
+export default RolePermission;
@@ -0,0 +1,55 @@
+// src/models/scheduleException.model.js
+import mongoose from 'mongoose';
+import { AvailableScheduleExceptionTypes, ScheduleExceptionTypes } from '../utils/constants.js';
+import { trackingFieldsPlugin } from './base.model.js';
+
+const timeFormat = /^(0[0-9]|1[0-9]|2[0-3]):([0-5][0-9])$/;
+
+// A date-specific change to a doctor's weekly schedule (leave, blocked hours or extra hours)
+const scheduleExceptionSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: [true, 'Doctor is required'],
+        index: true,
+    },
+    date: { // Local clinic date, YYYY-MM-DD
+        type: String,
+        required: [true, 'Date is required'],
+        match: [/^\d{4}-\d{2}-\d{2}$/, 'Invalid date format (YYYY-MM-DD).'],
+    },
+    type: {
+        type: String,
+        required: [true, 'Exception type is required'],
+        enum: {
+            values: AvailableScheduleExceptionTypes,
+            message: 'Invalid exception type. Allowed: ' + AvailableScheduleExceptionTypes.join(', ')
+        },
+    },
+    startTime: { // HH:MM, not used for DayOff
+        type: String,
+        match: [timeFormat, 'Invalid start time format (HH:MM).'],
+        required: [function () { return this.type !== ScheduleExceptionTypes.DAY_OFF; }, 'Start time is required for this exception type.'],
+    },
+    endTime: { // HH:MM, not used for DayOff
+        type: String,
+        match: [timeFormat, 'Invalid end time format (HH:MM).'],
+        required: [function () { return this.type !== ScheduleExceptionTypes.DAY_OFF; }, 'End time is required for this exception type.'],
+        validate: [function (value) {
+            return !value || !this.startTime || value > this.startTime;
+        }, 'End time must be after start time.']
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+});
+
+scheduleExceptionSchema.plugin(trackingFieldsPlugin);
+
+scheduleExceptionSchema.index({ doctor: 1, date: 1 });
+
+const ScheduleException = mongoose.model('ScheduleException', scheduleExceptionSchema);
+
+export default ScheduleException;
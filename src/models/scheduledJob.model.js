@@ -0,0 +1,67 @@
+import mongoose from 'mongoose';
+import config from '../config/index.js';
+import { AvailableJobStatuses, JobStatus } from '../utils/constants.js';
+
+/**
+ * A unit of background work (e.g. an appointment reminder) to run at runAt.
+ * Jobs live in MongoDB so they survive restarts; the scheduler claims due jobs atomically,
+ * so several server processes can poll the same collection.
+ */
+const scheduledJobSchema = new mongoose.Schema({
+    name: { // Handler to run (see registerJobHandler)
+        type: String,
+        required: true,
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {},
+    },
+    runAt: {
+        type: Date,
+        required: true,
+    },
+    status: {
+        type: String,
+        enum: AvailableJobStatuses,
+        default: JobStatus.PENDING,
+    },
+    uniqueKey: { // Optional; scheduling a job with the key of a pending/finished one returns that job instead
+        type: String,
+    },
+    repeatIntervalSeconds: { // Set for recurring jobs: after each run the job is due again this much later
+        type: Number,
+        default: null,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    maxAttempts: {
+        type: Number,
+        default: 1,
+    },
+    lockedAt: { // When the current run started
+        type: Date,
+        default: null,
+    },
+    lockedBy: { // "<host>:<pid>" of the process running the job
+        type: String,
+        default: null,
+    },
+    lastError: {
+        type: String,
+    },
+    finishedAt: {
+        type: Date,
+    },
+}, { timestamps: true });
+
+// Due jobs are looked up by status and time
+scheduledJobSchema.index({ status: 1, runAt: 1 });
+scheduledJobSchema.index({ uniqueKey: 1 }, { unique: true, partialFilterExpression: { uniqueKey: { $type: 'string' } } });
+// Let MongoDB purge finished jobs after a while
+scheduledJobSchema.index({ finishedAt: 1 }, { expireAfterSeconds: config.jobs.retentionDays * 24 * 60 * 60 });
+
+const ScheduledJob = mongoose.model('ScheduledJob', scheduledJobSchema);
+
+export default ScheduledJob;
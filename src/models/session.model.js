@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+/**
+ * A Session represents one login of a user on one device (a refresh token family).
+ * Every refresh rotates the stored token hash; presenting an already-rotated token
+ * is treated as token theft and revokes the whole session.
+ */
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'User is required for the session'],
+        index: true,
+    },
+    refreshTokenHash: { // SHA-256 of the currently valid refresh token
+        type: String,
+        required: true,
+        select: false,
+    },
+    userAgent: {
+        type: String,
+        trim: true,
+    },
+    ipAddress: {
+        type: String,
+        trim: true,
+    },
+    lastSeenAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: { // Expiry of the current refresh token
+        type: Date,
+        required: true,
+    },
+    revokedAt: {
+        type: Date,
+        default: null,
+    },
+    revokedReason: {
+        type: String,
+        trim: true,
+    },
+}, { timestamps: true });
+
+// Human-readable device label derived from the user agent (e.g. "Chrome on Android")
+sessionSchema.virtual('device').get(function() {
+    const ua = this.userAgent || '';
+    if (!ua) return 'Unknown device';
+    const browser = [
+        ['Edge', /Edg\//], ['Opera', /OPR\//], ['Chrome', /Chrome\//], ['Firefox', /Firefox\//],
+        ['Safari', /Safari\//],
+    ].find(([, pattern]) => pattern.test(ua));
+    const os = [
+        ['Android', /Android/], ['iOS', /iPhone|iPad|iPod/], ['Windows', /Windows/],
+        ['macOS', /Mac OS X/], ['Linux', /Linux/],
+    ].find(([, pattern]) => pattern.test(ua));
+    return `${browser ? browser[0] : 'Unknown browser'} on ${os ? os[0] : 'unknown OS'}`;
+});
+
+sessionSchema.set('toJSON', { virtuals: true });
+sessionSchema.set('toObject', { virtuals: true });
+
+// Let MongoDB purge sessions once their refresh token has expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the session can still be used to refresh or authenticate.
+ * @returns {boolean}
+ */
+sessionSchema.methods.isValid = function() {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+/**
+ * Marks the session as revoked.
+ * @param {string} reason - Why the session was revoked (e.g. 'logout', 'token_reuse').
+ * @returns {Promise<mongoose.Document>} The saved session.
+ */
+sessionSchema.methods.revoke = function(reason) {
+    if (this.revokedAt) return Promise.resolve(this);
+    this.revokedAt = new Date();
+    this.revokedReason = reason;
+    return this.save();
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
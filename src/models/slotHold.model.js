@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+/**
+ * A SlotHold reserves a doctor's slot for a patient for a few minutes while they finish booking.
+ * The time itself is claimed through SlotLock documents; booking with the hold turns its locks into
+ * the appointment's locks. Holds that are not used expire on their own.
+ */
+const slotHoldSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: [true, 'Doctor is required for the hold'],
+        index: true,
+    },
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientProfile',
+        required: [true, 'Patient is required for the hold'],
+    },
+    heldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'The user placing the hold is required'],
+        index: true,
+    },
+    appointmentTime: {
+        type: Date,
+        required: [true, 'Appointment time is required for the hold'],
+    },
+    durationMinutes: {
+        type: Number,
+        default: 30,
+        min: [5, 'Duration must be at least 5 minutes'],
+    },
+    appointmentType: { // Type the slot is held for (its buffer is held too)
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AppointmentType',
+        default: null,
+    },
+    bufferMinutes: {
+        type: Number,
+        default: 0,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+}, { timestamps: true });
+
+// Let MongoDB purge holds once they expire
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether the hold still reserves its slot.
+ * @returns {boolean}
+ */
+slotHoldSchema.methods.isActive = function() {
+    return this.expiresAt > new Date();
+};
+
+const SlotHold = mongoose.model('SlotHold', slotHoldSchema);
+
+export default SlotHold;
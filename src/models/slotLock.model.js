@@ -0,0 +1,49 @@
+import mongoose from 'mongoose';
+
+/**
+ * A SlotLock claims one small, fixed-size time bucket of a doctor's calendar for an appointment or a hold.
+ * The unique index on (doctor, slotStart) is what makes booking race-free: when two requests try to take
+ * overlapping time at the same moment, only one of them can insert the lock of a shared bucket.
+ * Locks of holds (and of bookings still being saved) expire after a few minutes; the confirmed locks of a saved
+ * appointment last until the appointment's time is over (or it is cancelled, moved or deleted), so past
+ * buckets are purged by the TTL index instead of piling up.
+ */
+const slotLockSchema = new mongoose.Schema({
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: [true, 'Doctor is required for the slot lock'],
+    },
+    slotStart: { // Start of the bucket (aligned to the lock size)
+        type: Date,
+        required: [true, 'Slot start is required for the slot lock'],
+    },
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        default: null,
+        index: true,
+    },
+    hold: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlotHold',
+        default: null,
+        index: true,
+    },
+    expiresAt: { // Pending locks: a few minutes from now; confirmed locks: the end of the appointment (incl. buffer)
+        type: Date,
+        default: null,
+    },
+    confirmed: { // Belongs to a saved appointment (pending locks are given back when a booking or reschedule fails)
+        type: Boolean,
+        default: false,
+    },
+}, { timestamps: true });
+
+slotLockSchema.index({ doctor: 1, slotStart: 1 }, { unique: true });
+// Let MongoDB purge locks once they expire (documents with a null expiresAt are kept)
+slotLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const SlotLock = mongoose.model('SlotLock', slotLockSchema);
+
+export default SlotLock;
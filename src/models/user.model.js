@@ -1,6 +1,7 @@
 import bcrypt from 'bcrypt';
 import crypto from 'crypto';
 import mongoose from 'mongoose';
+import config from '../config/index.js';
 import { AvailableUserRoles, UserRoles } from '../utils/constants.js';
 import { trackingFieldsPlugin } from './base.model.js';
 
@@ -26,6 +27,11 @@ const userSchema = new mongoose.Schema({
         type: Date,
         select: false,
     },
+    passwordHistory: { // Hashes of the most recent passwords (incl. the current one), prevents reuse
+        type: [String],
+        select: false,
+        default: undefined,
+    },
     firstName: {
         type: String,
         required: [true, 'First name is required'],
@@ -55,6 +61,13 @@ const userSchema = new mongoose.Schema({
         default: true,
         index: true,
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false,
+    },
+    emailVerifiedAt: {
+        type: Date,
+    },
     // --- ADDED FOR PROFILE PICTURE ---
     profilePictureUrl: {
         type: String,
@@ -93,6 +106,44 @@ const userSchema = new mongoose.Schema({
         type: Date,
         select: false,
     },
+    // --- ACCOUNT LOCKOUT ---
+    failedLoginAttempts: { // Consecutive failed logins inside the attempt window
+        type: Number,
+        default: 0,
+    },
+    lastFailedLoginAt: {
+        type: Date,
+    },
+    lockUntil: { // Login is refused until this time
+        type: Date,
+        default: null,
+    },
+    lockoutCount: { // Consecutive lockouts since the last successful login, drives the exponential window
+        type: Number,
+        default: 0,
+    },
+    // --- TOTP TWO-FACTOR AUTHENTICATION ---
+    twoFactorEnabled: {
+        type: Boolean,
+        default: false,
+    },
+    twoFactorSecret: { // Base32 secret of the enrolled authenticator
+        type: String,
+        select: false,
+    },
+    twoFactorPendingSecret: { // Secret generated during enrollment, until the first code is verified
+        type: String,
+        select: false,
+    },
+    twoFactorRecoveryCodes: { // SHA-256 hashes of unused recovery codes
+        type: [String],
+        select: false,
+        default: undefined,
+    },
+    twoFactorLastUsedStep: { // Last accepted TOTP time step, prevents code replay
+        type: Number,
+        select: false,
+    },
 });
 
 userSchema.plugin(trackingFieldsPlugin);
@@ -102,9 +153,15 @@ userSchema.pre('save', async function (next) {
     try {
         const salt = await bcrypt.genSalt(10);
         this.password = await bcrypt.hash(this.password, salt);
-        if (!this.isNew) {
-            this.passwordChangedAt = Date.now() - 1000;
+        // Also set for new accounts: the password age (see isPasswordExpired) counts from here
+        this.passwordChangedAt = Date.now() - 1000;
+        // Keep the last N hashes; load them first if the caller did not select the field
+        let history = this.passwordHistory;
+        if (!this.isNew && !this.isSelected('passwordHistory')) {
+            const existing = await this.constructor.findById(this._id).select('+passwordHistory');
+            history = existing?.passwordHistory;
         }
+        this.passwordHistory = [this.password, ...(history || [])].slice(0, Math.max(config.passwordPolicy.historyCount, 1));
         this.passwordResetToken = undefined;
         this.passwordResetExpires = undefined;
         next();
@@ -124,6 +181,19 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return bcrypt.compare(candidatePassword, this.password);
 };
 
+userSchema.methods.isPasswordReused = async function (candidatePassword) {
+    let history = this.passwordHistory;
+    if (!this.isSelected('passwordHistory')) {
+        const userWithHistory = await this.constructor.findById(this._id).select('+passwordHistory');
+        history = userWithHistory?.passwordHistory;
+    }
+    const recent = (history || []).slice(0, config.passwordPolicy.historyCount);
+    for (const hash of recent) {
+        if (await bcrypt.compare(candidatePassword, hash)) return true;
+    }
+    return false;
+};
+
 userSchema.methods.createPasswordResetToken = function() {
     const resetToken = crypto.randomBytes(32).toString('hex');
     this.passwordResetToken = crypto.createHash('sha256').update(resetToken).digest('hex');
@@ -131,6 +201,24 @@ userSchema.methods.createPasswordResetToken = function() {
     return resetToken;
 };
 
+userSchema.methods.generateRecoveryCodes = function(count = 10) {
+    const codes = Array.from({ length: count }, () => {
+        const raw = crypto.randomBytes(5).toString('hex'); // 10 hex chars
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    this.twoFactorRecoveryCodes = codes.map(code => crypto.createHash('sha256').update(code).digest('hex'));
+    return codes;
+};
+
+userSchema.methods.consumeRecoveryCode = function(candidateCode) {
+    const normalized = String(candidateCode || '').trim().toLowerCase();
+    const hashed = crypto.createHash('sha256').update(normalized).digest('hex');
+    const codes = this.twoFactorRecoveryCodes || [];
+    if (!codes.includes(hashed)) return false;
+    this.twoFactorRecoveryCodes = codes.filter(code => code !== hashed);
+    return true;
+};
+
 userSchema.methods.passwordChangedAfter = function(JWTTimestamp) {
     if (this.passwordChangedAt) {
         const changedTimestamp = parseInt(this.passwordChangedAt.getTime() / 1000, 10);
@@ -139,6 +227,10 @@ userSchema.methods.passwordChangedAfter = function(JWTTimestamp) {
     return false;
 };
 
+userSchema.virtual('isLocked').get(function() {
+    return !!(this.lockUntil && this.lockUntil.getTime() > Date.now());
+});
+
 userSchema.virtual('fullName').get(function() {
     return `${this.firstName} ${this.lastName}`.trim();
 });
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+import { trackingFieldsPlugin } from './base.model.js';
+import { AvailableWaitlistStatuses, WaitlistStatus } from '../utils/constants.js';
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+/**
+ * A patient waiting for an earlier or any slot with a doctor.
+ * When an appointment of the doctor is cancelled or moved, the freed slot is offered to the
+ * waiting entries it fits, oldest first (see WaitlistOffer).
+ */
+const waitlistEntrySchema = new mongoose.Schema({
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientProfile',
+        required: [true, 'Patient is required for the waitlist entry'],
+        index: true,
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: [true, 'Doctor is required for the waitlist entry'],
+    },
+    fromDate: { // Earliest acceptable date (YYYY-MM-DD in the doctor's timezone), null for any
+        type: String,
+        default: null,
+        match: [DATE_KEY_REGEX, 'From date must be in YYYY-MM-DD format'],
+    },
+    toDate: { // Latest acceptable date (inclusive), null for any
+        type: String,
+        default: null,
+        match: [DATE_KEY_REGEX, 'To date must be in YYYY-MM-DD format'],
+    },
+    earliestTime: { // Appointment may not start before this time of day ("HH:MM"), null for any
+        type: String,
+        default: null,
+        match: [TIME_REGEX, 'Earliest time must be in HH:MM format'],
+    },
+    latestTime: { // Appointment must end by this time of day, null for any
+        type: String,
+        default: null,
+        match: [TIME_REGEX, 'Latest time must be in HH:MM format'],
+    },
+    durationMinutes: {
+        type: Number,
+        default: 30,
+        min: [5, 'Duration must be at least 5 minutes'],
+    },
+    reasonForVisit: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+    },
+    status: {
+        type: String,
+        enum: {
+            values: AvailableWaitlistStatuses,
+            message: 'Invalid waitlist status.'
+        },
+        default: WaitlistStatus.WAITING,
+        index: true,
+    },
+    bookedAppointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        default: null,
+    },
+});
+
+waitlistEntrySchema.plugin(trackingFieldsPlugin);
+
+// Freed slots look up the waiting entries of a doctor in joining order
+waitlistEntrySchema.index({ doctor: 1, status: 1, createdAt: 1 });
+
+const WaitlistEntry = mongoose.model('WaitlistEntry', waitlistEntrySchema);
+
+export default WaitlistEntry;
@@ -0,0 +1,92 @@
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { AvailableWaitlistOfferStatuses, WaitlistOfferStatus } from '../utils/constants.js';
+
+/**
+ * A freed slot offered to one waitlisted patient. The slot is reserved for them through a SlotHold
+ * until the offer expires; claiming the emailed link books it, declining or letting it expire
+ * passes the slot on to the next waiting patient.
+ */
+const waitlistOfferSchema = new mongoose.Schema({
+    entry: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WaitlistEntry',
+        required: true,
+        index: true,
+    },
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PatientProfile',
+        required: true,
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'DoctorProfile',
+        required: true,
+    },
+    appointmentTime: { // Start of the freed slot
+        type: Date,
+        required: true,
+    },
+    slotDurationMinutes: { // Length of the freed slot, so it can be passed on to entries that need longer
+        type: Number,
+        required: true,
+    },
+    durationMinutes: { // Length offered to this patient (their entry's duration)
+        type: Number,
+        required: true,
+    },
+    hold: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SlotHold',
+        default: null,
+    },
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false,
+    },
+    status: {
+        type: String,
+        enum: AvailableWaitlistOfferStatuses,
+        default: WaitlistOfferStatus.PENDING,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    respondedAt: {
+        type: Date,
+    },
+    appointment: { // Appointment created when the offer was claimed
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        default: null,
+    },
+}, { timestamps: true });
+
+// Finding offers that ran out, and the patients a slot was already offered to
+waitlistOfferSchema.index({ status: 1, expiresAt: 1 });
+waitlistOfferSchema.index({ doctor: 1, appointmentTime: 1 });
+
+// Never expose the token hash, even right after it was generated
+waitlistOfferSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.tokenHash;
+        return ret;
+    }
+});
+
+/**
+ * Generates the claim token and stores its hash.
+ * @returns {string} The unhashed token to send by email.
+ */
+waitlistOfferSchema.methods.createClaimToken = function() {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    return token;
+};
+
+const WaitlistOffer = mongoose.model('WaitlistOffer', waitlistOfferSchema);
+
+export default WaitlistOffer;
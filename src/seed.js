@@ -17,15 +17,27 @@ dotenv.config({ path: path.resolve(__dirname, './.env') }); // Load .env from ro
 import connectDB from './config/db.js';
 import {
     Appointment,
+    AppointmentSeries,
+    AppointmentType,
     DoctorProfile,
+    IdempotencyRecord,
     MedicalDocument,
     MedicalNote,
     PatientProfile,
+    QueueCounter,
+    RolePermission,
+    ScheduledJob,
+    Session,
+    SlotHold,
+    SlotLock,
     StaffProfile,
-    User
+    User,
+    WaitlistEntry,
+    WaitlistOffer
 } from './models/index.js'; // Use the index exporter
-import { AppointmentStatus, Genders, UserRoles } from './utils/constants.js';
+import { AppointmentStatus, Genders, UserRoles, VisitCategories } from './utils/constants.js';
 import logger from './utils/logger.js';
+import { addDaysToDateKey, getDayOfWeek, minutesToTime, toDateKey, zonedTimeToDate } from './utils/schedule.js';
 
 // --- Configuration from Arguments ---
 const ARGS = process.argv.slice(2).reduce((acc, arg) => {
@@ -91,6 +103,7 @@ const createBaseUser = (role, password) => {
         role: role,
         phoneNumber: generatedPhoneNumber,
         isActive: true,
+        isEmailVerified: true, // Seeded accounts skip the email verification flow
     };
 };
 
@@ -195,20 +208,22 @@ const createPatientProfileData = (userId, staffUserId) => {
 
 // Creates appointment data object (not saved yet).
 const createAppointmentData = (patientProfileId, doctorProfileId, creatorUserId) => {
-    const futureDate = faker.date.soon({ days: 45 });
-    futureDate.setHours(faker.number.int({ min: 8, max: 16 }), faker.helpers.arrayElement([0, 30]), 0, 0);
-    const day = futureDate.getDay();
-    if (day === 0) futureDate.setDate(futureDate.getDate() + 1);
+    // Working hours are wall-clock times in the clinic timezone, whatever the timezone of this process
+    let dateKey = toDateKey(faker.date.soon({ days: 45 }));
+    if (getDayOfWeek(dateKey) === 0) dateKey = addDaysToDateKey(dateKey, 1);
+    const futureDate = zonedTimeToDate(dateKey, minutesToTime(faker.number.int({ min: 8, max: 16 }) * 60 + faker.helpers.arrayElement([0, 30])));
 
     const reasons = ['Konsultasi Rutin', 'Pemeriksaan Kesehatan', 'Keluhan Demam', 'Sakit Kepala', 'Kontrol Pasca Rawat', 'Vaksinasi', 'Imunisasi Anak', 'Pusing', 'Mual'];
     const statuses = [AppointmentStatus.REQUESTED, AppointmentStatus.CONFIRMED];
+    const status = faker.helpers.arrayElement(statuses);
 
     return {
         patient: patientProfileId,
         doctor: doctorProfileId,
         appointmentTime: futureDate,
         durationMinutes: faker.helpers.arrayElement([15, 30, 45]),
-        status: faker.helpers.arrayElement(statuses),
+        status,
+        statusHistory: [{ from: null, to: status, changedBy: creatorUserId }],
         reasonForVisit: faker.helpers.arrayElement(reasons),
         createdBy: creatorUserId,
         updatedBy: creatorUserId,
@@ -274,11 +289,22 @@ const seedDatabase = async () => {
         logger.warn('\nDeleting existing data...');
         try {
             await Appointment.deleteMany({}); logger.info('  Appointments deleted.');
+            await AppointmentSeries.deleteMany({}); logger.info('  Appointment series deleted.');
+            await AppointmentType.deleteMany({}); logger.info('  Appointment types deleted.');
+            await SlotLock.deleteMany({}); logger.info('  Slot locks deleted.');
+            await SlotHold.deleteMany({}); logger.info('  Slot holds deleted.');
+            await WaitlistEntry.deleteMany({}); logger.info('  Waitlist entries deleted.');
+            await WaitlistOffer.deleteMany({}); logger.info('  Waitlist offers deleted.');
+            await ScheduledJob.deleteMany({}); logger.info('  Scheduled jobs deleted.');
+            await QueueCounter.deleteMany({}); logger.info('  Queue counters deleted.');
             await MedicalNote.deleteMany({}); logger.info('  Medical Notes deleted.');
             await MedicalDocument.deleteMany({}); logger.info('  Medical Documents deleted.');
             await PatientProfile.deleteMany({}); logger.info('  Patient Profiles deleted.');
             await DoctorProfile.deleteMany({}); logger.info('  Doctor Profiles deleted.');
             await StaffProfile.deleteMany({}); logger.info('  Staff Profiles deleted.');
+            await Session.deleteMany({}); logger.info('  Sessions deleted.');
+            await IdempotencyRecord.deleteMany({}); logger.info('  Idempotency records deleted.');
+            await RolePermission.deleteMany({}); logger.info('  Role permissions deleted (defaults apply).');
             await User.deleteMany({}); logger.info('  Users deleted.');
             logger.info('Existing data deletion complete.');
         } catch (err) {
@@ -392,6 +418,22 @@ const seedDatabase = async () => {
         const createdPatientUsers = createdUsersMap[UserRoles.PATIENT];
 
 
+        // --- Create the appointment type catalog (offered by every doctor) ---
+        if (adminUser) {
+            logger.info('\nCreating appointment types...');
+            const appointmentTypesData = [
+                { name: 'Konsultasi Awal', category: VisitCategories.INITIAL_CONSULTATION, defaultDurationMinutes: 30, bufferMinutes: 5, price: 250000 },
+                { name: 'Kontrol', category: VisitCategories.FOLLOW_UP, defaultDurationMinutes: 15, bufferMinutes: 0, price: 150000 },
+                { name: 'Tindakan', category: VisitCategories.PROCEDURE, defaultDurationMinutes: 60, bufferMinutes: 15, price: 750000 },
+                { name: 'Telekonsultasi', category: VisitCategories.TELEMEDICINE, defaultDurationMinutes: 20, bufferMinutes: 0, price: 100000 },
+            ].map(typeData => ({ ...typeData, createdBy: adminUser._id, updatedBy: adminUser._id }));
+            try {
+                const createdTypes = await AppointmentType.insertMany(appointmentTypesData);
+                logger.info(`  Successfully created ${createdTypes.length} appointment types.`);
+            } catch (typeErr) { logger.error('  Error creating appointment types:', typeErr.message); }
+        } else { logger.info('\nSkipping appointment type creation (no admin user).'); }
+
+
         // --- Create Appointments ---
         if (NUM_APPOINTMENTS > 0 && createdPatientProfiles.length > 0 && createdDoctorProfiles.length > 0) {
             logger.info('\nCreating appointments...');
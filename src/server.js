@@ -2,12 +2,19 @@ import app from './app.js';
 import { configureCloudinary } from './config/cloudinary.js';
 import connectDB from './config/db.js';
 import config from './config/index.js';
+import { closeAppointmentEventStreams } from './api/services/appointmentEvents.service.js';
+import { startJobScheduler, stopJobScheduler } from './api/services/jobScheduler.service.js';
+import { registerNoShowJob } from './api/services/noShow.service.js';
+import { registerAppointmentReminderJob } from './api/services/reminder.service.js';
+import { startWaitlistSweeper } from './api/services/waitlist.service.js';
 import logger from './utils/logger.js';
 
 // --- Graceful Shutdown Handling ---
 // Function to handle shutdown signals
 const gracefulShutdown = (signal) => {
     logger.warn(`Received ${signal}. Shutting down gracefully...`);
+    stopJobScheduler();
+    closeAppointmentEventStreams();
     server.close(() => {
         logger.info('HTTP server closed.');
         process.exit(0);
@@ -36,6 +43,14 @@ const startServer = async () => {
             logger.info(`API base URL: ${config.apiBaseUrl}`);
         });
 
+        // 4. Pass on waitlist offers nobody answered in time
+        startWaitlistSweeper();
+
+        // 5. Run background jobs (appointment reminders, no-show marking) stored in MongoDB, including ones due while the server was down
+        registerAppointmentReminderJob();
+        await registerNoShowJob();
+        startJobScheduler();
+
         // --- Global Error Handling for Uncaught Exceptions/Rejections ---
 
         // Handle Unhandled Promise Rejections (e.g., database connection errors not caught initially)
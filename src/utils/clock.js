@@ -0,0 +1,43 @@
+/**
+ * The current time as seen by background jobs. Production code reads it through now();
+ * tests can swap in a fake clock to run jobs that are due hours or days ahead.
+ */
+const systemClock = () => new Date();
+
+let currentClock = systemClock;
+
+/**
+ * The current time.
+ * @returns {Date}
+ */
+export const now = () => new Date(currentClock().getTime());
+
+/**
+ * Replaces the clock, e.g. with createFakeClock(...).now.
+ * @param {function(): Date} clock
+ */
+export const setClock = (clock) => {
+    currentClock = clock;
+};
+
+/**
+ * Goes back to the system clock.
+ */
+export const resetClock = () => {
+    currentClock = systemClock;
+};
+
+/**
+ * A clock that only moves when told to.
+ * @param {Date|string|number} [start=new Date()] - Initial time.
+ * @returns {{now: function(): Date, set: function(Date|string|number): void, advanceBy: function(number): void}}
+ *          advanceBy takes milliseconds.
+ */
+export const createFakeClock = (start = new Date()) => {
+    let time = new Date(start).getTime();
+    return {
+        now: () => new Date(time),
+        set: (date) => { time = new Date(date).getTime(); },
+        advanceBy: (ms) => { time += ms; },
+    };
+};
@@ -12,9 +12,22 @@ export const UserRoles = Object.freeze({
 
 export const AvailableUserRoles = Object.values(UserRoles);
 
+// Roles that cannot self-register and must be invited by an admin
+export const InvitableUserRoles = [UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN];
+
+export const InvitationStatus = Object.freeze({
+    PENDING: 'Pending',
+    ACCEPTED: 'Accepted',
+    REVOKED: 'Revoked',
+});
+
+export const AvailableInvitationStatuses = Object.values(InvitationStatus);
+
 export const AppointmentStatus = Object.freeze({
     REQUESTED: 'Requested',
     CONFIRMED: 'Confirmed',
+    CHECKED_IN: 'CheckedIn', // Arrived at the clinic and waiting in the doctor's queue
+    IN_CONSULTATION: 'InConsultation', // Called in by the doctor
     CANCELLED: 'Cancelled',
     COMPLETED: 'Completed',
     NO_SHOW: 'NoShow',
@@ -22,6 +35,134 @@ export const AppointmentStatus = Object.freeze({
 
 export const AvailableAppointmentStatuses = Object.values(AppointmentStatus);
 
+// Statuses that still occupy the doctor's time slot
+export const ActiveAppointmentStatuses = [AppointmentStatus.REQUESTED, AppointmentStatus.CONFIRMED, AppointmentStatus.CHECKED_IN, AppointmentStatus.IN_CONSULTATION];
+
+// Statuses only reachable through the check-in and queue endpoints (they assign queue numbers and call times)
+export const QueueAppointmentStatuses = [AppointmentStatus.CHECKED_IN, AppointmentStatus.IN_CONSULTATION];
+
+// Allowed status changes: current status -> { next status: roles allowed to make the change }
+// Statuses without entries are final.
+export const AppointmentStatusTransitions = Object.freeze({
+    [AppointmentStatus.REQUESTED]: {
+        [AppointmentStatus.CONFIRMED]: [UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN],
+        [AppointmentStatus.CANCELLED]: [UserRoles.PATIENT, UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN],
+    },
+    [AppointmentStatus.CONFIRMED]: {
+        [AppointmentStatus.CHECKED_IN]: [UserRoles.PATIENT, UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN], // Patients only with the clinic's QR code
+        [AppointmentStatus.NO_SHOW]: [UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN],
+        [AppointmentStatus.CANCELLED]: [UserRoles.PATIENT, UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN],
+    },
+    [AppointmentStatus.CHECKED_IN]: {
+        [AppointmentStatus.IN_CONSULTATION]: [UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN],
+        [AppointmentStatus.COMPLETED]: [UserRoles.DOCTOR, UserRoles.ADMIN],
+        [AppointmentStatus.CANCELLED]: [UserRoles.DOCTOR, UserRoles.STAFF, UserRoles.ADMIN],
+    },
+    [AppointmentStatus.IN_CONSULTATION]: {
+        [AppointmentStatus.COMPLETED]: [UserRoles.DOCTOR, UserRoles.ADMIN],
+        [AppointmentStatus.CANCELLED]: [UserRoles.DOCTOR, UserRoles.ADMIN],
+    },
+    [AppointmentStatus.COMPLETED]: {},
+    [AppointmentStatus.CANCELLED]: {},
+    [AppointmentStatus.NO_SHOW]: {},
+});
+
+// Kinds of visit in the appointment type catalog
+export const VisitCategories = Object.freeze({
+    INITIAL_CONSULTATION: 'InitialConsultation',
+    FOLLOW_UP: 'FollowUp',
+    PROCEDURE: 'Procedure',
+    TELEMEDICINE: 'Telemedicine',
+});
+
+export const AvailableVisitCategories = Object.values(VisitCategories);
+
+// Recurrence of an appointment series
+export const RecurrenceFrequencies = Object.freeze({
+    WEEKLY: 'Weekly',
+    BIWEEKLY: 'Biweekly',
+    MONTHLY: 'Monthly', // Same day of the month (last day when the month is shorter)
+});
+export const AvailableRecurrenceFrequencies = Object.values(RecurrenceFrequencies);
+
+// Which occurrences of a series an edit or cancellation applies to
+export const SeriesEditScopes = Object.freeze({
+    THIS: 'this',
+    FOLLOWING: 'following',
+    ALL: 'all',
+});
+export const AvailableSeriesEditScopes = Object.values(SeriesEditScopes);
+
+export const WaitlistStatus = Object.freeze({
+    WAITING: 'Waiting', // Gets offered freed slots that fit
+    OFFERED: 'Offered', // Has an open offer; goes back to Waiting if the offer is declined or expires
+    BOOKED: 'Booked', // Claimed an offer
+    CANCELLED: 'Cancelled', // Left the waitlist
+    EXPIRED: 'Expired', // Its date range is over
+});
+
+export const AvailableWaitlistStatuses = Object.values(WaitlistStatus);
+
+export const WaitlistOfferStatus = Object.freeze({
+    PENDING: 'Pending',
+    CLAIMED: 'Claimed',
+    DECLINED: 'Declined',
+    EXPIRED: 'Expired',
+});
+
+export const AvailableWaitlistOfferStatuses = Object.values(WaitlistOfferStatus);
+
+// Changes pushed to connected clients (GET /api/appointments/events)
+export const AppointmentEventTypes = Object.freeze({
+    CREATED: 'created',
+    UPDATED: 'updated', // Rescheduled, status changed, checked in, called in
+    CANCELLED: 'cancelled',
+    DELETED: 'deleted',
+});
+
+// How a patient was checked in
+export const CheckInMethods = Object.freeze({
+    STAFF: 'Staff', // At the front desk
+    QR: 'QR', // By the patient, scanning the clinic's check-in QR code
+});
+
+export const AvailableCheckInMethods = Object.values(CheckInMethods);
+
+export const JobStatus = Object.freeze({
+    PENDING: 'Pending', // Waiting for runAt (also between retries)
+    RUNNING: 'Running',
+    COMPLETED: 'Completed',
+    FAILED: 'Failed', // Gave up after maxAttempts
+    CANCELLED: 'Cancelled',
+});
+
+export const AvailableJobStatuses = Object.values(JobStatus);
+
+// Delivery state of one reminder of an appointment
+export const ReminderStatus = Object.freeze({
+    SCHEDULED: 'Scheduled',
+    SENT: 'Sent',
+    SKIPPED: 'Skipped', // Appointment cancelled, rescheduled or no longer confirmed
+    FAILED: 'Failed',
+});
+
+export const AvailableReminderStatuses = Object.values(ReminderStatus);
+
+// Date-specific changes to a doctor's weekly schedule
+export const ScheduleExceptionTypes = Object.freeze({
+    DAY_OFF: 'DayOff', // Not working at all on the date
+    BLOCKED: 'Blocked', // Not available between startTime and endTime
+    EXTRA_HOURS: 'ExtraHours', // Available between startTime and endTime in addition to the weekly schedule
+});
+
+export const AvailableScheduleExceptionTypes = Object.values(ScheduleExceptionTypes);
+
+// Lifecycle of a request sent with an Idempotency-Key header
+export const IdempotencyStates = Object.freeze({
+    PROCESSING: 'processing',
+    COMPLETED: 'completed',
+});
+
 export const Genders = Object.freeze({
     MALE: 'Male',
     FEMALE: 'Female',
@@ -30,3 +171,91 @@ export const Genders = Object.freeze({
 });
 
 export const AvailableGenders = Object.values(Genders);
+
+// --- Permissions ---
+// A permission is "<resource>:<action>:<scope>"; the scope limits which records it applies to.
+export const PermissionScopes = Object.freeze({
+    OWN: 'own', // Records about the user themselves (their account, patient profile or appointments)
+    AUTHORED: 'authored', // Records the user created (notes they wrote, documents they uploaded)
+    OWN_PATIENTS: 'own-patients', // Records of patients the doctor has appointments with
+    ANY: 'any',
+});
+
+// Scopes that make sense for each "<resource>:<action>"
+export const PermissionActions = Object.freeze({
+    'users:read': ['any'],
+    'users:update': ['own', 'any'],
+    'users:delete': ['any'],
+    'users:manage-security': ['any'], // Sessions, 2FA reset, unlock
+    'users:impersonate': ['any'],
+    'invitations:manage': ['any'],
+    'doctors:update': ['own', 'any'], // Doctor profile; credentials (specialty, license) need "any"
+    'schedules:manage': ['own', 'any'], // Weekly schedule and schedule exceptions (time-off, extra hours)
+    'holidays:manage': ['any'],
+    'permissions:manage': ['any'],
+    'patients:read': ['own', 'own-patients', 'any'],
+    'patients:create': ['any'],
+    'patients:update': ['own', 'any'],
+    'patients:delete': ['any'],
+    'notes:read': ['own', 'authored', 'own-patients', 'any'],
+    'notes:create': ['own-patients', 'any'],
+    'notes:update': ['authored', 'own-patients', 'any'],
+    'notes:delete': ['authored', 'own-patients', 'any'],
+    'documents:read': ['own', 'authored', 'own-patients', 'any'],
+    'documents:create': ['own', 'own-patients', 'any'],
+    'documents:update': ['authored', 'own-patients', 'any'],
+    'documents:delete': ['authored', 'own-patients', 'any'],
+    'appointments:read': ['own', 'any'],
+    'appointments:create': ['own', 'any'],
+    'appointments:update': ['own', 'any'],
+    'appointments:cancel': ['own', 'any'],
+    'appointments:delete': ['any'],
+    'appointments:check-in': ['own', 'any'],
+    'appointment-types:manage': ['any'], // Catalog of visit types (duration, buffer, price, who offers them)
+    'queue:read': ['own', 'any'], // A doctor's queue for today
+    'queue:manage': ['own', 'any'], // Call the next patient; show the check-in QR code
+    'waitlist:read': ['own', 'any'],
+    'waitlist:manage': ['own', 'any'], // Join and leave the waitlist
+});
+
+export const AvailablePermissions = Object.entries(PermissionActions)
+    .flatMap(([action, scopes]) => scopes.map(scope => `${action}:${scope}`));
+
+// Used until an admin stores a mapping for the role in the database
+export const DefaultRolePermissions = Object.freeze({
+    [UserRoles.PATIENT]: [
+        'users:update:own',
+        'patients:read:own',
+        'notes:read:own',
+        'documents:read:own', 'documents:create:own',
+        'appointments:read:own', 'appointments:create:own', 'appointments:update:own', 'appointments:cancel:own',
+        'appointments:check-in:own',
+        'waitlist:read:own', 'waitlist:manage:own',
+    ],
+    [UserRoles.DOCTOR]: [
+        'users:update:own',
+        'doctors:update:own', 'schedules:manage:own',
+        'patients:read:any',
+        // Same access as before per-permission checks; admins can narrow it to the doctor's own patients (own-patients)
+        'notes:read:any', 'notes:create:any', 'notes:update:authored', 'notes:delete:authored',
+        'documents:read:any', 'documents:create:any', 'documents:update:any', 'documents:delete:any',
+        'appointments:read:own', 'appointments:update:own', 'appointments:cancel:own', 'appointments:check-in:own',
+        'queue:read:own', 'queue:manage:own',
+        'waitlist:read:own',
+    ],
+    [UserRoles.STAFF]: [
+        'users:update:own',
+        'doctors:update:any', 'schedules:manage:any', 'holidays:manage:any',
+        'patients:read:any', 'patients:create:any', 'patients:update:any',
+        'notes:read:any', 'notes:create:any', 'notes:update:authored', 'notes:delete:authored',
+        'documents:read:any', 'documents:create:any', 'documents:update:any', 'documents:delete:any',
+        'appointments:read:any', 'appointments:create:any', 'appointments:update:any', 'appointments:cancel:any',
+        'appointments:check-in:any', 'queue:read:any', 'queue:manage:any',
+        'waitlist:read:any', 'waitlist:manage:any',
+    ],
+    // Admins manage everything but do not author or edit clinical notes
+    [UserRoles.ADMIN]: AvailablePermissions.filter(permission => permission.endsWith(':any') && !['notes:create:any', 'notes:update:any'].includes(permission)),
+});
+
+// Permissions the Admin role always keeps, so admins cannot lock themselves out
+export const LockedAdminPermissions = ['permissions:manage:any'];
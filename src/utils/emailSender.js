@@ -3,7 +3,7 @@ import config from '../config/index.js';
 import { ApiError } from './ApiError.js';
 import logger from './logger.js';
 
-const transporter = nodemailer.createTransport({
+const defaultTransporter = nodemailer.createTransport({
     host: config.email.host,
     port: config.email.port,
     secure: config.email.secure,
@@ -13,6 +13,32 @@ const transporter = nodemailer.createTransport({
     },
 });
 
+let transporter = defaultTransporter;
+
+/**
+ * Replaces the mail transport, e.g. with createCapturingTransport() in tests.
+ * Emails are sent through a replaced transport even when NODE_ENV is "test".
+ * @param {object} [customTransport] - Anything with a nodemailer-style sendMail(mail); omit to restore the SMTP transport.
+ */
+export const setEmailTransport = (customTransport) => {
+    transporter = customTransport || defaultTransporter;
+};
+
+/**
+ * A transport that keeps sent emails in memory instead of delivering them.
+ * @returns {{sentMails: Array<object>, sendMail: function(object): Promise<object>}}
+ */
+export const createCapturingTransport = () => {
+    const sentMails = [];
+    return {
+        sentMails,
+        sendMail: async (mail) => {
+            sentMails.push(mail);
+            return { messageId: `captured-${sentMails.length}` };
+        },
+    };
+};
+
 /**
  * Sends an email using the pre-configured transporter.
  * @param {object} mailOptions - Options for Nodemailer sendMail
@@ -22,7 +48,7 @@ const transporter = nodemailer.createTransport({
  * @param {string} mailOptions.html - HTML body
  */
 export const sendEmail = async ({ to, subject, text, html }) => {
-    if (config.nodeEnv === 'test') {
+    if (config.nodeEnv === 'test' && transporter === defaultTransporter) {
         // Avoid sending emails during automated tests
         logger.info(`Skipping email send in test environment to: ${to}, subject: ${subject}`);
         return { messageId: 'test-skipped-email' };
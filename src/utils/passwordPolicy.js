@@ -0,0 +1,99 @@
+/**
+ * Password policy: complexity rules, a local blocklist of common passwords and maximum password age.
+ * Reuse prevention (password history) lives on the User model since it needs the stored hashes.
+ */
+import fs from 'fs';
+import config from '../config/index.js';
+import { ApiError } from './ApiError.js';
+import logger from './logger.js';
+
+let blocklist = null;
+
+// Loads the blocklist file once; a missing file disables the check instead of breaking logins
+const getBlocklist = () => {
+    if (blocklist) return blocklist;
+    try {
+        blocklist = new Set(
+            fs.readFileSync(config.passwordPolicy.blocklistFile, 'utf8')
+                .split(/\r?\n/)
+                .map(line => line.trim().toLowerCase())
+                .filter(line => line && !line.startsWith('#'))
+        );
+        logger.info(`Password blocklist loaded (${blocklist.size} entries)`);
+    } catch (error) {
+        logger.error(`Failed to load password blocklist from ${config.passwordPolicy.blocklistFile}: ${error.message}`);
+        blocklist = new Set();
+    }
+    return blocklist;
+};
+
+// Also catches a common word with digits/symbols appended (e.g. "Password123!")
+const isBlocklisted = (password) => {
+    const list = getBlocklist();
+    const normalized = password.toLowerCase();
+    const base = normalized.replace(/[\d\W_]+$/, '');
+    return list.has(normalized) || (base.length >= 4 && list.has(base));
+};
+
+/**
+ * Checks a candidate password against the complexity rules and the blocklist.
+ * @param {string} password - The plain text password.
+ * @param {object} [userInfo={}] - Optional { email, firstName, lastName } so passwords containing them are rejected.
+ * @returns {Array<string>} Violation messages (empty when the password is acceptable).
+ */
+export const getPasswordPolicyViolations = (password, userInfo = {}) => {
+    const { minLength, requireUppercase, requireLowercase, requireNumber, requireSymbol } = config.passwordPolicy;
+    const value = String(password || '');
+    const violations = [];
+
+    if (value.length < minLength) violations.push(`Password must be at least ${minLength} characters long.`);
+    if (requireUppercase && !/[A-Z]/.test(value)) violations.push('Password must contain at least one uppercase letter.');
+    if (requireLowercase && !/[a-z]/.test(value)) violations.push('Password must contain at least one lowercase letter.');
+    if (requireNumber && !/\d/.test(value)) violations.push('Password must contain at least one number.');
+    if (requireSymbol && !/[^A-Za-z0-9]/.test(value)) violations.push('Password must contain at least one symbol.');
+
+    if (value && isBlocklisted(value)) {
+        violations.push('Password is too common. Please choose a less predictable password.');
+    }
+
+    const lowered = value.toLowerCase();
+    const personalParts = [userInfo.email?.split('@')[0], userInfo.firstName, userInfo.lastName]
+        .filter(part => part && part.length >= 3)
+        .map(part => part.toLowerCase());
+    if (personalParts.some(part => lowered.includes(part))) {
+        violations.push('Password must not contain your name or email address.');
+    }
+
+    return violations;
+};
+
+/**
+ * Enforces the full policy for a new password of a user, including reuse of recent passwords.
+ * @param {string} password - The new plain text password.
+ * @param {object} user - User document (email, firstName, lastName; history is loaded when needed).
+ * @throws {ApiError} 400 with the list of violations.
+ * @returns {Promise<void>}
+ */
+export const assertPasswordPolicy = async (password, user) => {
+    const violations = getPasswordPolicyViolations(password, user);
+    if (!violations.length && !user.isNew && await user.isPasswordReused(password)) {
+        violations.push(`Password must not match any of your last ${config.passwordPolicy.historyCount} passwords.`);
+    }
+    if (violations.length) {
+        throw new ApiError(400, 'Password does not meet the password policy.', violations.map(message => ({ field: 'password', message })));
+    }
+};
+
+/**
+ * Whether the password of a user has passed the maximum age for their role.
+ * Accounts without passwordChangedAt (created before the policy, until `npm run migrate` backfills it) never expire,
+ * so rolling the policy out does not lock out every older clinical account at once.
+ * @param {object} user - User document with role and passwordChangedAt.
+ * @returns {boolean}
+ */
+export const isPasswordExpired = (user) => {
+    const { maxAgeDays, maxAgeRoles } = config.passwordPolicy;
+    if (!maxAgeDays || !maxAgeRoles.includes(user.role)) return false;
+    if (!user.passwordChangedAt) return false;
+    return Date.now() - new Date(user.passwordChangedAt).getTime() > maxAgeDays * 24 * 60 * 60 * 1000;
+};
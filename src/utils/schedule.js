@@ -0,0 +1,248 @@
+/**
+ * Helpers for working with schedule times.
+ * Times of day are "HH:MM" strings and dates are "YYYY-MM-DD" keys, both in the clinic's (or doctor's) timezone,
+ * as stored on the schedule models. Nothing here depends on the timezone of the server process.
+ */
+import config from '../config/index.js';
+
+const DATE_KEY_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+// ISO-like date-time without "Z" or an offset, e.g. "2026-05-04T09:30" (read as wall-clock time in a timezone)
+const LOCAL_DATE_TIME_REGEX = /^(\d{4}-\d{2}-\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?$/;
+
+const formatters = new Map();
+
+// Intl formatters are expensive to create, so one is kept per timezone
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+/**
+ * Whether a string is a valid IANA timezone name (e.g. "Asia/Jakarta", "Asia/Makassar", "Asia/Jayapura").
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimeZone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * The timezone a doctor's schedule is expressed in: the doctor's override, or the clinic timezone.
+ * @param {object} [doctorProfile]
+ * @returns {string}
+ */
+export const getDoctorTimeZone = (doctorProfile) => doctorProfile?.timezone || config.clinic.timezone;
+
+/**
+ * Wall-clock parts of an instant in a timezone.
+ * @param {Date} date
+ * @param {string} timeZone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+export const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    return parts;
+};
+
+// Minutes the timezone is ahead of UTC at the given instant
+const getOffsetMinutes = (date, timeZone) => {
+    const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+};
+
+/**
+ * Formats an instant as a "YYYY-MM-DD" key in a timezone.
+ * @param {Date} date
+ * @param {string} [timeZone=config.clinic.timezone]
+ * @returns {string}
+ */
+export const toDateKey = (date, timeZone = config.clinic.timezone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Minutes since midnight of an instant in a timezone (e.g. 09:30 -> 570).
+ * @param {Date} date
+ * @param {string} [timeZone=config.clinic.timezone]
+ * @returns {number}
+ */
+export const getMinutesOfDay = (date, timeZone = config.clinic.timezone) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return hour * 60 + minute;
+};
+
+/**
+ * Whether a string is a "YYYY-MM-DD" key of a real calendar date.
+ * @param {string} dateKey
+ * @returns {boolean}
+ */
+export const isValidDateKey = (dateKey) => {
+    if (!DATE_KEY_REGEX.test(dateKey || '')) return false;
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Day of the week of a date key, 0 (Sunday) - 6 (Saturday), consistent with Date.getDay().
+ * @param {string} dateKey
+ * @returns {number}
+ */
+export const getDayOfWeek = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+};
+
+/**
+ * Adds calendar days to a date key.
+ * @param {string} dateKey
+ * @param {number} days - May be negative.
+ * @returns {string}
+ */
+export const addDaysToDateKey = (dateKey, days) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Adds calendar months to a date key, keeping the day of the month
+ * (clamped to the last day of shorter months, e.g. 2026-01-31 + 1 -> 2026-02-28).
+ * @param {string} dateKey
+ * @param {number} months
+ * @returns {string}
+ */
+export const addMonthsToDateKey = (dateKey, months) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const lastDayOfTargetMonth = new Date(Date.UTC(year, month - 1 + months + 1, 0)).getUTCDate();
+    const date = new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDayOfTargetMonth)));
+    return date.toISOString().slice(0, 10);
+};
+
+/**
+ * Every date key from fromKey to toKey (inclusive); empty when toKey is before fromKey.
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @returns {Array<string>}
+ */
+export const eachDateKey = (fromKey, toKey) => {
+    const keys = [];
+    for (let key = fromKey; key <= toKey; key = addDaysToDateKey(key, 1)) keys.push(key);
+    return keys;
+};
+
+/**
+ * The instant at which the wall clock in a timezone shows the given date and time.
+ * @param {string} dateKey - "YYYY-MM-DD".
+ * @param {string} [time='00:00'] - "HH:MM".
+ * @param {string} [timeZone=config.clinic.timezone]
+ * @returns {Date}
+ */
+export const zonedTimeToDate = (dateKey, time = '00:00', timeZone = config.clinic.timezone) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hours, minutes] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hours, minutes);
+    // Two passes settle on the right offset around DST changes
+    let result = new Date(asUtc - getOffsetMinutes(new Date(asUtc), timeZone) * 60000);
+    result = new Date(asUtc - getOffsetMinutes(result, timeZone) * 60000);
+    return result;
+};
+
+/**
+ * Parses a client-supplied date/time. Values with "Z" or an offset are absolute; a bare date
+ * ("2026-05-04") or date-time ("2026-05-04T09:30") is read as wall-clock time in the timezone.
+ * @param {string|Date} value
+ * @param {string} [timeZone=config.clinic.timezone]
+ * @returns {Date} Invalid Date when the value cannot be parsed.
+ */
+export const parseDateTimeInZone = (value, timeZone = config.clinic.timezone) => {
+    if (value instanceof Date) return new Date(value.getTime());
+    const match = LOCAL_DATE_TIME_REGEX.exec(String(value ?? '').trim());
+    if (!match) return new Date(value);
+    const [, dateKey, hours = '00', minutes = '00'] = match;
+    if (!isValidDateKey(dateKey)) return new Date(NaN);
+    return zonedTimeToDate(dateKey, `${hours}:${minutes}`, timeZone);
+};
+
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+export const minutesToTime = (totalMinutes) =>
+    `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+
+/**
+ * Sorts blocks and merges overlapping or touching ones.
+ * @param {Array<{startTime: string, endTime: string}>} blocks
+ * @returns {Array<{startTime: string, endTime: string}>}
+ */
+export const mergeTimeBlocks = (blocks) => {
+    const sorted = blocks
+        .map(block => ({ start: timeToMinutes(block.startTime), end: timeToMinutes(block.endTime) }))
+        .filter(block => block.end > block.start)
+        .sort((a, b) => a.start - b.start);
+
+    const merged = [];
+    for (const block of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && block.start <= last.end) {
+            last.end = Math.max(last.end, block.end);
+        } else {
+            merged.push({ ...block });
+        }
+    }
+    return merged.map(block => ({ startTime: minutesToTime(block.start), endTime: minutesToTime(block.end) }));
+};
+
+/**
+ * Removes the removed blocks from the working blocks (e.g. blocked hours from a working day).
+ * @param {Array<{startTime: string, endTime: string}>} blocks - Working blocks.
+ * @param {Array<{startTime: string, endTime: string}>} removed - Blocks to cut out.
+ * @returns {Array<{startTime: string, endTime: string}>} Remaining blocks, merged and sorted.
+ */
+export const subtractTimeBlocks = (blocks, removed) => {
+    let remaining = mergeTimeBlocks(blocks).map(block => ({ start: timeToMinutes(block.startTime), end: timeToMinutes(block.endTime) }));
+    for (const cut of removed) {
+        const cutStart = timeToMinutes(cut.startTime);
+        const cutEnd = timeToMinutes(cut.endTime);
+        remaining = remaining.flatMap(block => {
+            if (cutEnd <= block.start || cutStart >= block.end) return [block];
+            const parts = [];
+            if (cutStart > block.start) parts.push({ start: block.start, end: cutStart });
+            if (cutEnd < block.end) parts.push({ start: cutEnd, end: block.end });
+            return parts;
+        });
+    }
+    return remaining.map(block => ({ startTime: minutesToTime(block.start), endTime: minutesToTime(block.end) }));
+};
+
+/**
+ * Minutes a booking keeps the doctor busy: the visit plus the buffer kept free after it (see AppointmentType).
+ * @param {{durationMinutes: number, bufferMinutes?: number}} booking - Appointment, hold or slot.
+ * @returns {number}
+ */
+export const getBlockedMinutes = ({ durationMinutes, bufferMinutes }) => durationMinutes + (bufferMinutes || 0);
+
+// MongoDB expression for the end of the time an appointment or hold blocks (getBlockedMinutes after appointmentTime)
+export const blockedUntilExpression = {
+    $add: ['$appointmentTime', { $multiply: [{ $add: ['$durationMinutes', { $ifNull: ['$bufferMinutes', 0] }] }, 60000] }],
+};
@@ -0,0 +1,148 @@
+/**
+ * Time-based one-time passwords (RFC 6238) built on HOTP (RFC 4226).
+ * Implemented with Node's crypto module only, so no network or external service is involved.
+ */
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const DEFAULT_OPTIONS = Object.freeze({
+    step: 30, // Seconds per time step
+    digits: 6,
+    window: 1, // Accept codes from one step before/after to tolerate clock drift
+});
+
+/**
+ * Encodes a buffer as RFC 4648 base32 (no padding), the format authenticator apps expect.
+ * @param {Buffer} buffer - Bytes to encode.
+ * @returns {string} Base32 string.
+ */
+export const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+};
+
+/**
+ * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored).
+ * @param {string} input - Base32 string.
+ * @returns {Buffer} Decoded bytes.
+ */
+export const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/[\s=]/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+    return Buffer.from(bytes);
+};
+
+/**
+ * Generates a random base32 TOTP secret.
+ * @param {number} [byteLength=20] - Secret length in bytes (20 bytes = 160 bits, as recommended for SHA-1).
+ * @returns {string} Base32-encoded secret.
+ */
+export const generateTotpSecret = (byteLength = 20) => base32Encode(crypto.randomBytes(byteLength));
+
+/**
+ * Computes an HOTP value for a counter (RFC 4226).
+ * @param {Buffer} key - Shared secret bytes.
+ * @param {number} counter - Moving factor.
+ * @param {number} digits - Number of digits in the code.
+ * @returns {string} Zero-padded code.
+ */
+const hotp = (key, counter, digits) => {
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = ((hmac[offset] & 0x7f) << 24)
+        | (hmac[offset + 1] << 16)
+        | (hmac[offset + 2] << 8)
+        | hmac[offset + 3];
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * Generates the TOTP code for a secret at a given time.
+ * @param {string} secret - Base32 secret.
+ * @param {object} [options] - Optional overrides.
+ * @param {number} [options.timestamp=Date.now()] - Time in milliseconds.
+ * @param {number} [options.step=30] - Time step in seconds.
+ * @param {number} [options.digits=6] - Code length.
+ * @returns {string} The TOTP code.
+ */
+export const generateTotp = (secret, options = {}) => {
+    const { timestamp = Date.now(), step, digits } = { ...DEFAULT_OPTIONS, ...options };
+    const counter = Math.floor(timestamp / 1000 / step);
+    return hotp(base32Decode(secret), counter, digits);
+};
+
+/**
+ * Verifies a TOTP code, allowing for a small clock drift window.
+ * @param {string} secret - Base32 secret.
+ * @param {string} token - Code entered by the user.
+ * @param {object} [options] - Optional overrides (timestamp, step, digits, window).
+ * @returns {number|null} The matched time step (counter) or null if the code is invalid.
+ *   Callers should store the counter and reject reuse of the same or an earlier step.
+ */
+export const verifyTotp = (secret, token, options = {}) => {
+    const { timestamp = Date.now(), step, digits, window } = { ...DEFAULT_OPTIONS, ...options };
+    const normalized = String(token || '').replace(/\s/g, '');
+    if (!/^\d+$/.test(normalized) || normalized.length !== digits) return null;
+
+    const key = base32Decode(secret);
+    const currentCounter = Math.floor(timestamp / 1000 / step);
+    for (let offset = -window; offset <= window; offset++) {
+        const counter = currentCounter + offset;
+        if (counter < 0) continue;
+        const expected = hotp(key, counter, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+            return counter;
+        }
+    }
+    return null;
+};
+
+/**
+ * Builds the otpauth:// URI used by authenticator apps (usually rendered as a QR code).
+ * @param {object} params
+ * @param {string} params.secret - Base32 secret.
+ * @param {string} params.accountName - Account label (e.g. the user's email).
+ * @param {string} params.issuer - Issuer name shown in the app.
+ * @returns {string} The otpauth URI.
+ */
+export const buildOtpauthUri = ({ secret, accountName, issuer }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const query = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DEFAULT_OPTIONS.digits),
+        period: String(DEFAULT_OPTIONS.step),
+    });
+    return `otpauth://totp/${label}?${query.toString()}`;
+};
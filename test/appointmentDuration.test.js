@@ -0,0 +1,35 @@
+// test/appointmentDuration.test.js
+// Who may change the duration of an appointment booked with an appointment type.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import mongoose from 'mongoose';
+import { validationResult } from 'express-validator';
+import { assertMayChangeDuration } from '../src/api/services/appointment.service.js';
+import { updateAppointmentValidator } from '../src/api/validators/appointment.validator.js';
+import { UserRoles } from '../src/utils/constants.js';
+
+const typedAppointment = { appointmentType: new mongoose.Types.ObjectId(), durationMinutes: 30 };
+const untypedAppointment = { appointmentType: null, durationMinutes: 30 };
+
+describe('assertMayChangeDuration', () => {
+    test('lets only staff and admins stretch a typed appointment', () => {
+        assert.throws(() => assertMayChangeDuration(typedAppointment, 90, { role: UserRoles.PATIENT }), { statusCode: 403 });
+        assert.throws(() => assertMayChangeDuration(typedAppointment, 90, { role: UserRoles.DOCTOR }), { statusCode: 403 });
+        assert.doesNotThrow(() => assertMayChangeDuration(typedAppointment, 90, { role: UserRoles.STAFF }));
+        assert.doesNotThrow(() => assertMayChangeDuration(typedAppointment, 90, { role: UserRoles.ADMIN }));
+    });
+
+    test('allows any duration on appointments without a type, and no duration change at all', () => {
+        assert.doesNotThrow(() => assertMayChangeDuration(untypedAppointment, 90, { role: UserRoles.PATIENT }));
+        assert.doesNotThrow(() => assertMayChangeDuration(typedAppointment, undefined, { role: UserRoles.PATIENT }));
+    });
+});
+
+describe('updateAppointmentValidator', () => {
+    test('converts durationMinutes to a number', async () => {
+        const req = { body: { durationMinutes: '45' } };
+        for (const rule of updateAppointmentValidator) await rule.run(req);
+        assert.ok(validationResult(req).isEmpty());
+        assert.equal(req.body.durationMinutes, 45);
+    });
+});
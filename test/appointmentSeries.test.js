@@ -0,0 +1,231 @@
+// test/appointmentSeries.test.js
+// Recurring series: planning the occurrences and moving several of them at once, with the Appointment and
+// AppointmentSeries collections kept in memory; npm test runs this under UTC and Asia/Jakarta.
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import config from '../src/config/index.js';
+import Appointment from '../src/models/appointment.model.js';
+import AppointmentSeries from '../src/models/appointmentSeries.model.js';
+import DoctorProfile from '../src/models/doctorProfile.model.js';
+import Holiday from '../src/models/holiday.model.js';
+import PatientProfile from '../src/models/patientProfile.model.js';
+import RolePermission from '../src/models/rolePermission.model.js';
+import ScheduleException from '../src/models/scheduleException.model.js';
+import ScheduledJob from '../src/models/scheduledJob.model.js';
+import SlotLock from '../src/models/slotLock.model.js';
+import WaitlistEntry from '../src/models/waitlistEntry.model.js';
+import WaitlistOffer from '../src/models/waitlistOffer.model.js';
+import { createAppointmentSeries, updateSeriesOccurrences } from '../src/api/services/appointmentSeries.service.js';
+import { AppointmentStatus, RecurrenceFrequencies, SeriesEditScopes, UserRoles } from '../src/utils/constants.js';
+import { getMinutesOfDay, minutesToTime, toDateKey, zonedTimeToDate } from '../src/utils/schedule.js';
+import { fakeQuery, matchesFilter } from './helpers.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const wallClock = (date, timeZone) => `${toDateKey(date, timeZone)} ${minutesToTime(getMinutesOfDay(date, timeZone))}`;
+
+describe('appointment series', () => {
+    const originalOffsets = config.reminders.offsetsMinutes;
+    const staff = { _id: new mongoose.Types.ObjectId(), role: UserRoles.STAFF };
+    const patientId = new mongoose.Types.ObjectId();
+    let doctorProfile;
+    let appointments;
+    let seriesStore;
+    let takenSlotStarts; // Slot-lock buckets another booking grabs between the check and the save
+
+    const setDoctorTimeZone = (timezone) => {
+        doctorProfile = {
+            _id: new mongoose.Types.ObjectId(),
+            timezone,
+            weeklySchedule: [0, 1, 2, 3, 4, 5, 6].map(dayOfWeek => ({ dayOfWeek, startTime: '08:00', endTime: '17:00' })),
+        };
+    };
+
+    const bookSeries = (appointmentTime, recurrence) => createAppointmentSeries(
+        { doctor: doctorProfile._id, patient: patientId, appointmentTime, recurrence },
+        staff
+    );
+
+    beforeEach(() => {
+        setDoctorTimeZone('Asia/Jakarta');
+        appointments = [];
+        seriesStore = [];
+        takenSlotStarts = new Set();
+        config.reminders.offsetsMinutes = []; // Reminders have their own tests
+
+        mock.method(RolePermission, 'find', () => fakeQuery([])); // Default role permissions
+        mock.method(PatientProfile, 'countDocuments', async () => 1);
+        mock.method(DoctorProfile, 'findOne', () => fakeQuery(doctorProfile));
+        mock.method(DoctorProfile, 'findById', () => fakeQuery(doctorProfile));
+        mock.method(Holiday, 'find', () => fakeQuery([]));
+        mock.method(ScheduleException, 'find', () => fakeQuery([]));
+
+        mock.method(Appointment, 'findOne', (filter) => fakeQuery(appointments.find(appointment => matchesFilter(appointment, filter)) || null));
+        mock.method(Appointment, 'find', (filter) => fakeQuery(appointments
+            .filter(appointment => matchesFilter(appointment, filter))
+            .sort((a, b) => a.appointmentTime - b.appointmentTime)));
+        mock.method(Appointment, 'updateOne', async () => ({ modifiedCount: 0 }));
+        mock.method(Appointment.prototype, 'save', async function () {
+            if (!appointments.includes(this)) appointments.push(this);
+            return this;
+        });
+
+        mock.method(AppointmentSeries, 'create', async (fields) => {
+            const series = new AppointmentSeries(fields);
+            seriesStore.push(series);
+            return series;
+        });
+        mock.method(AppointmentSeries, 'findOne', (filter) => fakeQuery(seriesStore.find(series => matchesFilter(series, filter)) || null));
+        mock.method(AppointmentSeries.prototype, 'save', async function () { return this; });
+
+        mock.method(SlotLock, 'find', () => fakeQuery([]));
+        mock.method(SlotLock, 'insertMany', async (locks) => {
+            if (locks.some(lock => takenSlotStarts.has(lock.slotStart.getTime()))) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            return locks;
+        });
+        mock.method(SlotLock, 'deleteMany', async () => ({ deletedCount: 0 }));
+        mock.method(SlotLock, 'updateMany', async () => ({ modifiedCount: 0 }));
+        mock.method(ScheduledJob, 'updateMany', async () => ({ modifiedCount: 0 }));
+        // Freed slots are offered to an empty waitlist
+        mock.method(WaitlistOffer, 'distinct', async () => []);
+        mock.method(WaitlistEntry, 'find', () => fakeQuery([]));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        config.reminders.offsetsMinutes = originalOffsets;
+    });
+
+    describe('createAppointmentSeries', () => {
+        test('books weekly occurrences at the same wall-clock time', async () => {
+            const { occurrences, conflicts } = await bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: 4 });
+
+            assert.deepEqual(occurrences.map(occurrence => wallClock(occurrence.appointmentTime, 'Asia/Jakarta')),
+                ['2030-01-07 09:00', '2030-01-14 09:00', '2030-01-21 09:00', '2030-01-28 09:00']);
+            assert.ok(occurrences.every(occurrence => occurrence.status === AppointmentStatus.CONFIRMED), 'staff bookings are confirmed');
+            assert.deepEqual(conflicts, []);
+        });
+
+        test('books monthly occurrences on the last day when a month is shorter', async () => {
+            const { occurrences } = await bookSeries('2030-01-31T10:00', { frequency: RecurrenceFrequencies.MONTHLY, until: '2030-04-30' });
+
+            assert.deepEqual(occurrences.map(occurrence => toDateKey(occurrence.appointmentTime, 'Asia/Jakarta')),
+                ['2030-01-31', '2030-02-28', '2030-03-31', '2030-04-30']);
+        });
+
+        test('keeps the wall-clock time in the doctor\'s timezone across a DST change', async () => {
+            setDoctorTimeZone('Europe/Berlin'); // Clocks go forward on 2030-03-31
+
+            const { occurrences } = await bookSeries('2030-03-25T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: 2 });
+
+            assert.deepEqual(occurrences.map(occurrence => wallClock(occurrence.appointmentTime, 'Europe/Berlin')),
+                ['2030-03-25 09:00', '2030-04-01 09:00']);
+            assert.equal(occurrences[1].appointmentTime - occurrences[0].appointmentTime, 7 * DAY - 60 * 60 * 1000);
+        });
+
+        test('refuses series over the occurrence cap', async () => {
+            const { maxOccurrences } = config.appointmentSeries;
+
+            await assert.rejects(
+                bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: maxOccurrences + 1 }),
+                { statusCode: 400, message: `A recurring series can have at most ${maxOccurrences} occurrences.` }
+            );
+            await assert.rejects(
+                bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, until: '2035-01-01' }),
+                { statusCode: 400 }
+            );
+            assert.equal(appointments.length, 0);
+        });
+
+        test('books nothing when an occurrence conflicts, unless conflicts may be skipped', async () => {
+            appointments.push(new Appointment({
+                patient: new mongoose.Types.ObjectId(),
+                doctor: doctorProfile._id,
+                appointmentTime: zonedTimeToDate('2030-01-14', '09:00', 'Asia/Jakarta'),
+                durationMinutes: 30,
+                status: AppointmentStatus.CONFIRMED,
+            }));
+
+            const error = await bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: 3 }).catch(rejection => rejection);
+            assert.equal(error.statusCode, 409);
+            assert.deepEqual(error.errors.map(conflict => conflict.date), ['2030-01-14']);
+            assert.equal(appointments.length, 1);
+
+            const { series, occurrences } = await bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: 3, skipConflicts: true });
+            assert.deepEqual(occurrences.map(occurrence => toDateKey(occurrence.appointmentTime, 'Asia/Jakarta')), ['2030-01-07', '2030-01-21']);
+            assert.deepEqual(series.skippedDates.map(skipped => skipped.date), ['2030-01-14']);
+        });
+
+        test('reports an occurrence whose slot was taken between the check and the save', async () => {
+            takenSlotStarts.add(zonedTimeToDate('2030-01-14', '09:00', 'Asia/Jakarta').getTime());
+
+            const { occurrences, conflicts } = await bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: 3 });
+
+            assert.equal(occurrences.length, 2);
+            assert.deepEqual(conflicts.map(conflict => conflict.date), ['2030-01-14']);
+            assert.match(conflicts[0].reason, /booked by someone else/);
+        });
+    });
+
+    describe('updateSeriesOccurrences', () => {
+        let occurrences;
+
+        beforeEach(async () => {
+            ({ occurrences } = await bookSeries('2030-01-07T09:00', { frequency: RecurrenceFrequencies.WEEKLY, count: 4 }));
+        });
+
+        const times = () => occurrences.map(occurrence => wallClock(occurrence.appointmentTime, 'Asia/Jakarta'));
+
+        test('"following" moves this occurrence and the later ones by the same shift', async () => {
+            await updateSeriesOccurrences(occurrences[1]._id, { appointmentTime: '2030-01-14T11:00', scope: SeriesEditScopes.FOLLOWING }, staff);
+
+            assert.deepEqual(times(), ['2030-01-07 09:00', '2030-01-14 11:00', '2030-01-21 11:00', '2030-01-28 11:00']);
+        });
+
+        test('"all" moves every upcoming occurrence, including earlier ones', async () => {
+            await updateSeriesOccurrences(occurrences[2]._id, { appointmentTime: '2030-01-21T10:00', scope: SeriesEditScopes.ALL }, staff);
+
+            assert.deepEqual(times(), ['2030-01-07 10:00', '2030-01-14 10:00', '2030-01-21 10:00', '2030-01-28 10:00']);
+        });
+
+        test('moves occurrences into each other\'s old slots without reporting conflicts', async () => {
+            // Moving by a week puts each occurrence on its successor's old time
+            const result = await updateSeriesOccurrences(occurrences[0]._id, { appointmentTime: '2030-01-14T09:00', scope: SeriesEditScopes.ALL }, staff);
+
+            assert.deepEqual(result.conflicts, []);
+            assert.deepEqual(times(), ['2030-01-14 09:00', '2030-01-21 09:00', '2030-01-28 09:00', '2030-02-04 09:00']);
+        });
+
+        test('changes nothing when a moved occurrence would conflict', async () => {
+            appointments.push(new Appointment({
+                patient: new mongoose.Types.ObjectId(),
+                doctor: doctorProfile._id,
+                appointmentTime: zonedTimeToDate('2030-01-28', '13:00', 'Asia/Jakarta'),
+                durationMinutes: 30,
+                status: AppointmentStatus.CONFIRMED,
+            }));
+            const saves = Appointment.prototype.save.mock.callCount();
+
+            const error = await updateSeriesOccurrences(occurrences[0]._id, { appointmentTime: '2030-01-07T13:00', scope: SeriesEditScopes.ALL }, staff)
+                .catch(rejection => rejection);
+
+            assert.equal(error.statusCode, 409);
+            assert.equal(error.errors.length, 1);
+            assert.ok(error.errors[0].appointmentId.equals(occurrences[3]._id));
+            assert.equal(Appointment.prototype.save.mock.callCount(), saves);
+            assert.deepEqual(times(), ['2030-01-07 09:00', '2030-01-14 09:00', '2030-01-21 09:00', '2030-01-28 09:00']);
+        });
+
+        test('reports occurrences that lost their new slot to a concurrent booking and moves the rest', async () => {
+            takenSlotStarts.add(zonedTimeToDate('2030-01-21', '14:00', 'Asia/Jakarta').getTime());
+
+            const result = await updateSeriesOccurrences(occurrences[0]._id, { appointmentTime: '2030-01-07T14:00', scope: SeriesEditScopes.ALL }, staff);
+
+            assert.equal(result.conflicts.length, 1);
+            assert.ok(result.conflicts[0].appointmentId.equals(occurrences[2]._id));
+            assert.deepEqual(times(), ['2030-01-07 14:00', '2030-01-14 14:00', '2030-01-21 09:00', '2030-01-28 14:00']);
+        });
+    });
+});
@@ -0,0 +1,36 @@
+// test/auth.test.js
+// Password login with the User queries replaced (no database or network).
+import assert from 'node:assert/strict';
+import { afterEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import User from '../src/models/user.model.js';
+import { loginUser } from '../src/api/services/auth.service.js';
+import { UserRoles } from '../src/utils/constants.js';
+import { fakeQuery } from './helpers.js';
+
+describe('loginUser', () => {
+    afterEach(() => mock.restoreAll());
+
+    test('answers a locked account exactly like an unknown email', async () => {
+        mock.method(User, 'findOne', () => fakeQuery(null));
+        const unknown = await loginUser('nobody@example.com', 'Whatever123!').catch((error) => error);
+
+        const comparePassword = mock.fn(async () => true);
+        const lockedUser = {
+            _id: new mongoose.Types.ObjectId(),
+            email: 'locked@example.com',
+            role: UserRoles.PATIENT,
+            isActive: true,
+            isLocked: true,
+            lockUntil: new Date(Date.now() + 15 * 60000),
+            comparePassword,
+        };
+        User.findOne.mock.mockImplementation(() => fakeQuery(lockedUser));
+        const locked = await loginUser(lockedUser.email, 'Correct123!').catch((error) => error);
+
+        assert.equal(unknown.statusCode, 401);
+        assert.equal(locked.statusCode, unknown.statusCode);
+        assert.equal(locked.message, unknown.message);
+        assert.equal(comparePassword.mock.callCount(), 0); // No more guessing while locked
+    });
+});
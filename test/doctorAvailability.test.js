@@ -0,0 +1,113 @@
+// test/doctorAvailability.test.js
+// Slot calculations with the database queries replaced; npm test runs this under UTC and Asia/Jakarta.
+import assert from 'node:assert/strict';
+import { afterEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import Appointment from '../src/models/appointment.model.js';
+import Holiday from '../src/models/holiday.model.js';
+import ScheduleException from '../src/models/scheduleException.model.js';
+import SlotHold from '../src/models/slotHold.model.js';
+import { computeAvailabilityForRange, computeFreeSlots } from '../src/api/services/doctor.service.js';
+import { ScheduleExceptionTypes } from '../src/utils/constants.js';
+import { zonedTimeToDate } from '../src/utils/schedule.js';
+import { fakeQuery } from './helpers.js';
+
+const MONDAY = '2030-01-07';
+const TUESDAY = '2030-01-08';
+const longAgo = new Date(0);
+
+const interval = (dateKey, startTime, minutes, timeZone = 'Asia/Jakarta') => {
+    const start = zonedTimeToDate(dateKey, startTime, timeZone).getTime();
+    return { start, end: start + minutes * 60000 };
+};
+
+describe('computeFreeSlots', () => {
+    const morning = [{ startTime: '09:00', endTime: '10:00' }];
+
+    test('offers every 15-minute start where the slot fits in the working block', () => {
+        assert.deepEqual(computeFreeSlots(morning, MONDAY, 'Asia/Jakarta', 30, [], longAgo), ['09:00', '09:15', '09:30']);
+    });
+
+    test('skips slots overlapping busy time', () => {
+        const busy = [interval(MONDAY, '09:00', 30)];
+        assert.deepEqual(computeFreeSlots(morning, MONDAY, 'Asia/Jakarta', 30, busy, longAgo), ['09:30']);
+    });
+
+    test('compares busy instants in the doctor\'s timezone', () => {
+        // 09:00 in Makassar is 08:00 in Jakarta, so it does not touch a Jakarta morning
+        const busy = [interval(MONDAY, '09:00', 30, 'Asia/Makassar')];
+        assert.deepEqual(computeFreeSlots(morning, MONDAY, 'Asia/Jakarta', 30, busy, longAgo), ['09:00', '09:15', '09:30']);
+        assert.deepEqual(computeFreeSlots(morning, MONDAY, 'Asia/Makassar', 30, busy, longAgo), ['09:30']);
+    });
+
+    test('skips slots starting before notBefore', () => {
+        const notBefore = zonedTimeToDate(MONDAY, '09:20', 'Asia/Jakarta');
+        assert.deepEqual(computeFreeSlots(morning, MONDAY, 'Asia/Jakarta', 30, [], notBefore), ['09:30']);
+    });
+
+    test('returns nothing when the slot is longer than the block', () => {
+        assert.deepEqual(computeFreeSlots(morning, MONDAY, 'Asia/Jakarta', 75, [], longAgo), []);
+    });
+});
+
+describe('computeAvailabilityForRange', () => {
+    const jakartaDoctor = {
+        _id: new mongoose.Types.ObjectId(),
+        weeklySchedule: [{ dayOfWeek: 1, startTime: '09:00', endTime: '10:00' }],
+    };
+    const makassarDoctor = {
+        _id: new mongoose.Types.ObjectId(),
+        timezone: 'Asia/Makassar',
+        weeklySchedule: [{ dayOfWeek: 1, startTime: '09:00', endTime: '10:00' }],
+    };
+
+    const stubQueries = ({ holidays = [], exceptions = [], appointments = [], holds = [] } = {}) => {
+        mock.method(Holiday, 'find', () => fakeQuery(holidays));
+        mock.method(ScheduleException, 'find', () => fakeQuery(exceptions));
+        mock.method(Appointment, 'find', () => fakeQuery(appointments));
+        mock.method(SlotHold, 'find', () => fakeQuery(holds));
+    };
+
+    const booking = (doctor, dateKey, startTime, durationMinutes, extra = {}) => ({
+        doctor: doctor._id,
+        appointmentTime: zonedTimeToDate(dateKey, startTime, doctor.timezone || 'Asia/Jakarta'),
+        durationMinutes,
+        ...extra,
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('lists each day of the range in the doctor\'s own timezone', async () => {
+        stubQueries();
+        const availability = await computeAvailabilityForRange([jakartaDoctor, makassarDoctor], MONDAY, TUESDAY, 30);
+
+        const expectedDays = [
+            { date: MONDAY, availableSlots: ['09:00', '09:15', '09:30'] },
+            { date: TUESDAY, availableSlots: [] },
+        ];
+        assert.deepEqual(availability.get(jakartaDoctor._id.toString()), expectedDays);
+        assert.deepEqual(availability.get(makassarDoctor._id.toString()), expectedDays);
+    });
+
+    test('removes booked and held time, including the buffer after a booking', async () => {
+        stubQueries({
+            appointments: [booking(jakartaDoctor, MONDAY, '09:00', 30, { bufferMinutes: 15 })],
+            holds: [booking(makassarDoctor, MONDAY, '09:30', 30)],
+        });
+        const availability = await computeAvailabilityForRange([jakartaDoctor, makassarDoctor], MONDAY, MONDAY, 30);
+
+        assert.deepEqual(availability.get(jakartaDoctor._id.toString())[0].availableSlots, []);
+        assert.deepEqual(availability.get(makassarDoctor._id.toString())[0].availableSlots, ['09:00']);
+    });
+
+    test('applies holidays and schedule exceptions', async () => {
+        stubQueries({
+            holidays: [{ date: MONDAY }],
+            exceptions: [{ doctor: makassarDoctor._id, date: TUESDAY, type: ScheduleExceptionTypes.EXTRA_HOURS, startTime: '13:00', endTime: '13:30' }],
+        });
+        const availability = await computeAvailabilityForRange([jakartaDoctor, makassarDoctor], MONDAY, TUESDAY, 30);
+
+        assert.deepEqual(availability.get(jakartaDoctor._id.toString()).map(day => day.availableSlots), [[], []]);
+        assert.deepEqual(availability.get(makassarDoctor._id.toString()).map(day => day.availableSlots), [[], ['13:00']]);
+    });
+});
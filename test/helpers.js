@@ -0,0 +1,91 @@
+// test/helpers.js
+// Shared helpers for the unit tests (run with `npm test`, no database or network needed).
+
+/**
+ * Stands in for a Mongoose query: chainable select/sort/populate/limit, resolved with the given result
+ * either by awaiting the query or through lean()/exec().
+ * @param {*} result - What the query resolves to.
+ * @returns {object}
+ */
+export const fakeQuery = (result) => {
+    const query = {
+        select: () => query,
+        sort: () => query,
+        populate: () => query,
+        limit: () => query,
+        lean: async () => result,
+        exec: async () => result,
+        then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+    };
+    return query;
+};
+
+// Comparable form of a stored or filter value: IDs (and populated documents) as strings, dates as numbers
+const comparable = (value) => {
+    if (value instanceof Date) return value.getTime();
+    if (value?._id) return String(value._id);
+    if (value && typeof value === 'object' && value._bsontype === 'ObjectId') return String(value);
+    return value;
+};
+
+const isOperatorObject = (condition) => condition?.constructor === Object && Object.keys(condition).every(key => key.startsWith('$'));
+
+/**
+ * Evaluates the aggregation expressions used in $expr filters ($add, $multiply, $ifNull, comparisons, $and)
+ * against a plain document.
+ * @param {*} expression - The expression, e.g. { $gt: ['$appointmentTime', someDate] }.
+ * @param {object} doc - The document the "$field" paths refer to.
+ * @returns {*}
+ */
+export const evaluateExpression = (expression, doc) => {
+    if (typeof expression === 'string' && expression.startsWith('$')) return doc[expression.slice(1)];
+    if (!isOperatorObject(expression)) return expression;
+    const [[operator, args]] = Object.entries(expression);
+    const values = [].concat(args).map(arg => comparable(evaluateExpression(arg, doc)));
+    switch (operator) {
+        case '$add': return values.reduce((sum, value) => sum + value, 0);
+        case '$multiply': return values.reduce((product, value) => product * value, 1);
+        case '$ifNull': return values[0] ?? values[1];
+        case '$gt': return values[0] > values[1];
+        case '$gte': return values[0] >= values[1];
+        case '$lt': return values[0] < values[1];
+        case '$lte': return values[0] <= values[1];
+        case '$and': return values.every(Boolean);
+        default: throw new Error(`evaluateExpression: unsupported operator ${operator}`);
+    }
+};
+
+const matchesCondition = (value, condition) => {
+    if (!isOperatorObject(condition)) {
+        if (condition === null) return value == null;
+        return comparable(value) === comparable(condition);
+    }
+    return Object.entries(condition).every(([operator, operand]) => {
+        switch (operator) {
+            case '$ne': return !matchesCondition(value, operand);
+            case '$in': return operand.some(candidate => matchesCondition(value, candidate));
+            case '$nin': return !operand.some(candidate => matchesCondition(value, candidate));
+            case '$exists': return (value !== undefined) === operand;
+            case '$lt': return value != null && comparable(value) < comparable(operand);
+            case '$lte': return value != null && comparable(value) <= comparable(operand);
+            case '$gt': return value != null && comparable(value) > comparable(operand);
+            case '$gte': return value != null && comparable(value) >= comparable(operand);
+            default: throw new Error(`matchesFilter: unsupported operator ${operator}`);
+        }
+    });
+};
+
+/**
+ * Whether a plain document matches a MongoDB filter, for in-memory stand-ins of a collection.
+ * Covers the operators the services use: $ne, $in, $nin, $exists, comparisons, $and, $or and $expr.
+ * @param {object} doc - The document.
+ * @param {object} filter - The filter the service passed to the model.
+ * @returns {boolean}
+ */
+export const matchesFilter = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+    if (path === '$and') return condition.every(part => matchesFilter(doc, part));
+    if (path === '$or') return condition.some(part => matchesFilter(doc, part));
+    if (path === '$expr') return !!evaluateExpression(condition, doc);
+    const value = path.split('.').reduce((current, key) => current?.[key], doc);
+    return matchesCondition(value, condition);
+});
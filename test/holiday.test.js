@@ -0,0 +1,29 @@
+// test/holiday.test.js
+// Adding clinic holidays, with the database queries replaced.
+import assert from 'node:assert/strict';
+import { afterEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import Holiday from '../src/models/holiday.model.js';
+import RolePermission from '../src/models/rolePermission.model.js';
+import { createHoliday } from '../src/api/services/schedule.service.js';
+import { UserRoles } from '../src/utils/constants.js';
+import { fakeQuery } from './helpers.js';
+
+describe('createHoliday', () => {
+    const staff = { _id: new mongoose.Types.ObjectId(), role: UserRoles.STAFF };
+
+    afterEach(() => mock.restoreAll());
+
+    test('reports a holiday added concurrently on the same date as a conflict', async () => {
+        mock.method(RolePermission, 'find', () => fakeQuery([])); // Default role permissions
+        mock.method(Holiday, 'exists', async () => null); // The other request has not inserted yet
+        mock.method(Holiday, 'create', async () => {
+            throw Object.assign(new Error('E11000 duplicate key error collection: holidays index: date_1'), { code: 11000 });
+        });
+
+        await assert.rejects(
+            createHoliday({ date: '2030-08-17', name: 'Hari Kemerdekaan' }, staff),
+            { statusCode: 409, message: 'A holiday already exists on 2030-08-17.' }
+        );
+    });
+});
@@ -0,0 +1,137 @@
+// test/idempotency.test.js
+// The Idempotency-Key middleware on a small Express app, with IdempotencyRecord kept in memory.
+import assert from 'node:assert/strict';
+import { after, afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import express from 'express';
+import IdempotencyRecord from '../src/models/idempotencyRecord.model.js';
+import { globalErrorHandler } from '../src/api/middleware/globalErrorHandler.js';
+import { idempotent } from '../src/api/middleware/idempotency.js';
+import { ApiResponse } from '../src/utils/ApiResponse.js';
+import { IdempotencyStates } from '../src/utils/constants.js';
+import { matchesFilter } from './helpers.js';
+
+// Resolves once a condition holds (the outcome of a request is stored after its response is sent)
+const waitFor = async (condition) => {
+    for (let attempt = 0; attempt < 100 && !condition(); attempt++) {
+        await new Promise(resolve => setImmediate(resolve));
+    }
+    assert.ok(condition(), 'condition not reached');
+};
+
+describe('idempotent middleware', () => {
+    let server;
+    let baseUrl;
+    let records;
+    let handlerCalls;
+    let releaseSlowRequest;
+
+    before(async () => {
+        const app = express();
+        app.use(express.json());
+        app.post('/register', idempotent({ omitFromReplay: ['data.accessToken', 'data.refreshToken'] }), (req, res) => {
+            handlerCalls++;
+            res.status(201).json(new ApiResponse(201, { user: { email: req.body.email }, accessToken: 'access', refreshToken: 'refresh' }, 'User registered successfully.'));
+        });
+        app.post('/slow', idempotent(), async (req, res) => {
+            handlerCalls++;
+            await new Promise(resolve => { releaseSlowRequest = resolve; });
+            res.status(201).json(new ApiResponse(201, { done: true }));
+        });
+        app.use(globalErrorHandler);
+        await new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); });
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        records = [];
+        handlerCalls = 0;
+        mock.method(IdempotencyRecord, 'create', async (fields) => {
+            if (records.some(record => record.key === fields.key && String(record.user) === String(fields.user))) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            const record = { _id: records.length + 1, state: IdempotencyStates.PROCESSING, ...fields };
+            records.push(record);
+            return record;
+        });
+        mock.method(IdempotencyRecord, 'findOne', async (filter) => records.find(record => matchesFilter(record, filter)) || null);
+        mock.method(IdempotencyRecord, 'updateOne', async (filter, update) => {
+            const record = records.find(candidate => matchesFilter(candidate, filter));
+            if (record) Object.assign(record, update.$set);
+            return { modifiedCount: record ? 1 : 0 };
+        });
+        mock.method(IdempotencyRecord, 'deleteOne', async (filter) => {
+            const index = records.findIndex(record => matchesFilter(record, filter));
+            if (index >= 0) records.splice(index, 1);
+            return { deletedCount: index >= 0 ? 1 : 0 };
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    const post = (path, body, key) => fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...(key && { 'Idempotency-Key': key }) },
+        body: JSON.stringify(body),
+    });
+
+    test('replays the stored response of a repeated request without running it again', async () => {
+        const first = await post('/register', { email: 'budi@example.com' }, 'register-key-1');
+        assert.equal(first.status, 201);
+        assert.equal(first.headers.get('Idempotent-Replayed'), null);
+        await waitFor(() => records[0]?.state === IdempotencyStates.COMPLETED);
+
+        const replay = await post('/register', { email: 'budi@example.com' }, 'register-key-1');
+
+        assert.equal(replay.status, 201);
+        assert.equal(replay.headers.get('Idempotent-Replayed'), 'true');
+        assert.equal(handlerCalls, 1);
+        const { data } = await replay.json();
+        assert.deepEqual(data.user, { email: 'budi@example.com' });
+    });
+
+    test('leaves the tokens out of a replayed register response', async () => {
+        const first = await post('/register', { email: 'citra@example.com' }, 'register-key-2');
+        assert.equal((await first.json()).data.accessToken, 'access');
+        await waitFor(() => records[0]?.state === IdempotencyStates.COMPLETED);
+
+        const { data } = await (await post('/register', { email: 'citra@example.com' }, 'register-key-2')).json();
+
+        assert.equal(data.accessToken, undefined);
+        assert.equal(data.refreshToken, undefined);
+        assert.equal(records[0].responseBody.data.accessToken, undefined, 'tokens are never stored');
+    });
+
+    test('rejects the same key with a different body', async () => {
+        await post('/register', { email: 'dewi@example.com' }, 'register-key-3');
+        await waitFor(() => records[0]?.state === IdempotencyStates.COMPLETED);
+
+        const reused = await post('/register', { email: 'someone-else@example.com' }, 'register-key-3');
+
+        assert.equal(reused.status, 409);
+        assert.match((await reused.json()).message, /already used for a different request/);
+        assert.equal(handlerCalls, 1);
+    });
+
+    test('rejects a repeat while the first request is still running', async () => {
+        const firstResponse = post('/slow', { amount: 1 }, 'slow-key-1');
+        await waitFor(() => handlerCalls === 1 && releaseSlowRequest);
+
+        const repeat = await post('/slow', { amount: 1 }, 'slow-key-1');
+        assert.equal(repeat.status, 409);
+        assert.match((await repeat.json()).message, /still being processed/);
+
+        releaseSlowRequest();
+        assert.equal((await firstResponse).status, 201);
+        assert.equal(handlerCalls, 1);
+    });
+
+    test('leaves requests without a key alone', async () => {
+        await post('/register', { email: 'eko@example.com' });
+        await post('/register', { email: 'eko@example.com' });
+
+        assert.equal(handlerCalls, 2);
+        assert.equal(records.length, 0);
+    });
+});
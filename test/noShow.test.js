@@ -0,0 +1,158 @@
+// test/noShow.test.js
+// Automatic no-shows and the staff-confirmation policy, with a fake clock and the database queries
+// answered from memory.
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import config from '../src/config/index.js';
+import Appointment from '../src/models/appointment.model.js';
+import PatientProfile from '../src/models/patientProfile.model.js';
+import SlotLock from '../src/models/slotLock.model.js';
+import { applyStatusTransition } from '../src/api/services/appointment.service.js';
+import { isStaffConfirmationRequired, markNoShows } from '../src/api/services/noShow.service.js';
+import { createFakeClock, resetClock, setClock } from '../src/utils/clock.js';
+import { AppointmentStatus, UserRoles } from '../src/utils/constants.js';
+import { fakeQuery, matchesFilter } from './helpers.js';
+
+const MINUTE = 60 * 1000;
+const NOW = new Date('2030-03-04T08:00:00.000Z');
+
+describe('markNoShows', () => {
+    let appointments;
+    let noShowUpdates;
+
+    const addAppointment = (minutesAgo, durationMinutes, status = AppointmentStatus.CONFIRMED) => {
+        const appointment = {
+            _id: new mongoose.Types.ObjectId(),
+            patient: new mongoose.Types.ObjectId(),
+            doctor: new mongoose.Types.ObjectId(),
+            appointmentTime: new Date(NOW.getTime() - minutesAgo * MINUTE),
+            durationMinutes,
+            status,
+        };
+        appointments.push(appointment);
+        return appointment;
+    };
+
+    beforeEach(() => {
+        appointments = [];
+        noShowUpdates = [];
+        setClock(createFakeClock(NOW).now);
+        mock.method(Appointment, 'find', (filter) => fakeQuery(appointments.filter(appointment => matchesFilter(appointment, filter))));
+        mock.method(Appointment, 'updateOne', async (filter, update) => {
+            const appointment = appointments.find(candidate => candidate._id.equals(filter._id) && candidate.status === filter.status);
+            if (!appointment) return { modifiedCount: 0 };
+            appointment.status = update.$set.status;
+            return { modifiedCount: 1 };
+        });
+        mock.method(PatientProfile, 'updateOne', async (filter, update) => {
+            noShowUpdates.push({ filter, update });
+            return { modifiedCount: 1 };
+        });
+        mock.method(SlotLock, 'deleteMany', async () => ({ deletedCount: 1 }));
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        resetClock();
+    });
+
+    test('marks appointments whose end, duration included, is past the grace period', async () => {
+        const overdue = addAppointment(60, 30); // Ended 30 minutes ago
+        const inGrace = addAppointment(40, 30); // Ended 10 minutes ago
+        const stillRunning = addAppointment(30, 30); // Started before the grace cutoff but ends now
+
+        assert.equal(await markNoShows(), 1);
+        assert.equal(overdue.status, AppointmentStatus.NO_SHOW);
+        assert.equal(inGrace.status, AppointmentStatus.CONFIRMED);
+        assert.equal(stillRunning.status, AppointmentStatus.CONFIRMED);
+    });
+
+    test('leaves appointments that ended before the lookback window alone', async () => {
+        const historical = addAppointment(config.noShow.lookbackHours * 60 + 60, 30);
+
+        assert.equal(await markNoShows(), 0);
+        assert.equal(historical.status, AppointmentStatus.CONFIRMED);
+        assert.equal(noShowUpdates.length, 0);
+    });
+
+    test('adds the no-show to the patient record', async () => {
+        const overdue = addAppointment(60, 30);
+
+        await markNoShows();
+
+        assert.equal(noShowUpdates.length, 1);
+        assert.equal(noShowUpdates[0].filter._id, overdue.patient);
+        assert.deepEqual(noShowUpdates[0].update, { $inc: { noShowCount: 1 }, $max: { lastNoShowAt: overdue.appointmentTime } });
+    });
+
+    test('skips an appointment checked in or cancelled while the job ran', async () => {
+        const overdue = addAppointment(60, 30);
+        // The check-in lands between the job's query and its update
+        Appointment.find.mock.mockImplementation((filter) => {
+            const found = appointments.filter(appointment => matchesFilter(appointment, filter));
+            overdue.status = AppointmentStatus.CHECKED_IN;
+            return fakeQuery(found);
+        });
+
+        assert.equal(await markNoShows(), 0);
+        assert.equal(overdue.status, AppointmentStatus.CHECKED_IN);
+        assert.equal(noShowUpdates.length, 0);
+        assert.equal(SlotLock.deleteMany.mock.callCount(), 0);
+    });
+});
+
+describe('no-show policy', () => {
+    const originalPolicy = { ...config.noShow };
+
+    beforeEach(() => {
+        setClock(createFakeClock(NOW).now);
+    });
+
+    afterEach(() => {
+        Object.assign(config.noShow, originalPolicy);
+        mock.restoreAll();
+        resetClock();
+    });
+
+    test('requires staff confirmation once the patient reaches the limit within the window', async () => {
+        Object.assign(config.noShow, { policyMaxNoShows: 3, policyWindowDays: 90 });
+        const countDocuments = mock.method(Appointment, 'countDocuments', async () => 3);
+        const patientId = new mongoose.Types.ObjectId();
+
+        assert.equal(await isStaffConfirmationRequired(patientId), true);
+        const [filter] = countDocuments.mock.calls[0].arguments;
+        assert.equal(filter.status, AppointmentStatus.NO_SHOW);
+        assert.equal(filter.appointmentTime.$gte.getTime(), NOW.getTime() - 90 * 24 * 60 * MINUTE);
+
+        countDocuments.mock.mockImplementation(async () => 2);
+        assert.equal(await isStaffConfirmationRequired(patientId), false);
+    });
+
+    test('never applies while the policy is off', async () => {
+        Object.assign(config.noShow, { policyMaxNoShows: 0 });
+        const countDocuments = mock.method(Appointment, 'countDocuments', async () => 10);
+
+        assert.equal(await isStaffConfirmationRequired(new mongoose.Types.ObjectId()), false);
+        assert.equal(countDocuments.mock.callCount(), 0);
+    });
+
+    test('only staff and admins can confirm a flagged request', () => {
+        const flaggedRequest = () => ({
+            _id: new mongoose.Types.ObjectId(),
+            status: AppointmentStatus.REQUESTED,
+            requiresStaffConfirmation: true,
+            appointmentTime: new Date(NOW.getTime() + 24 * 60 * MINUTE),
+            statusHistory: [],
+        });
+        const userWithRole = (role) => ({ _id: new mongoose.Types.ObjectId(), role });
+
+        assert.throws(
+            () => applyStatusTransition(flaggedRequest(), AppointmentStatus.CONFIRMED, userWithRole(UserRoles.DOCTOR)),
+            { statusCode: 403 }
+        );
+        const appointment = flaggedRequest();
+        applyStatusTransition(appointment, AppointmentStatus.CONFIRMED, userWithRole(UserRoles.STAFF));
+        assert.equal(appointment.status, AppointmentStatus.CONFIRMED);
+    });
+});
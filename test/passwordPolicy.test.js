@@ -0,0 +1,23 @@
+// test/passwordPolicy.test.js
+// Maximum password age for clinical roles.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { isPasswordExpired } from '../src/utils/passwordPolicy.js';
+import { UserRoles } from '../src/utils/constants.js';
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+describe('isPasswordExpired', () => {
+    test('expires clinical passwords older than the maximum age', () => {
+        assert.equal(isPasswordExpired({ role: UserRoles.DOCTOR, passwordChangedAt: daysAgo(91) }), true);
+        assert.equal(isPasswordExpired({ role: UserRoles.STAFF, passwordChangedAt: daysAgo(89) }), false);
+    });
+
+    test('does not apply to other roles', () => {
+        assert.equal(isPasswordExpired({ role: UserRoles.PATIENT, passwordChangedAt: daysAgo(400) }), false);
+    });
+
+    test('does not count the age of accounts created before the policy from their creation date', () => {
+        assert.equal(isPasswordExpired({ role: UserRoles.DOCTOR, createdAt: daysAgo(400) }), false);
+    });
+});
@@ -0,0 +1,41 @@
+// test/permission.test.js
+// Default role permissions, with the stored role mappings replaced (none stored, so the defaults apply).
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import Appointment from '../src/models/appointment.model.js';
+import RolePermission from '../src/models/rolePermission.model.js';
+import { can } from '../src/api/services/permission.service.js';
+import { UserRoles } from '../src/utils/constants.js';
+import { fakeQuery } from './helpers.js';
+
+describe('default role permissions', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const doctor = { _id: id(), role: UserRoles.DOCTOR, doctorProfile: id() };
+    const staff = { _id: id(), role: UserRoles.STAFF };
+    const admin = { _id: id(), role: UserRoles.ADMIN };
+    // A record of a patient the doctor has never seen, written by someone else
+    const otherRecord = { patient: id(), author: id() };
+
+    beforeEach(() => {
+        mock.method(RolePermission, 'find', () => fakeQuery([]));
+        mock.method(Appointment, 'exists', async () => null);
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('doctors keep full access to notes and documents of any patient', async () => {
+        for (const action of ['notes:read', 'notes:create', 'documents:read', 'documents:create', 'documents:update', 'documents:delete']) {
+            assert.equal(await can(doctor, action, otherRecord), true, action);
+        }
+    });
+
+    test('notes can only be edited by their author and deleted by their author or an admin', async () => {
+        for (const user of [doctor, staff, admin]) {
+            assert.equal(await can(user, 'notes:update', otherRecord), false, user.role);
+            assert.equal(await can(user, 'notes:update', { ...otherRecord, author: user._id }), user.role !== UserRoles.ADMIN, user.role);
+        }
+        assert.equal(await can(staff, 'notes:delete', otherRecord), false);
+        assert.equal(await can(admin, 'notes:delete', otherRecord), true);
+    });
+});
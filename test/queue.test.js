@@ -0,0 +1,121 @@
+// test/queue.test.js
+// Calling the next patient in, with the database queries answered from memory.
+import assert from 'node:assert/strict';
+import { afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import config from '../src/config/index.js';
+import Appointment from '../src/models/appointment.model.js';
+import DoctorProfile from '../src/models/doctorProfile.model.js';
+import QueueCounter from '../src/models/queueCounter.model.js';
+import RolePermission from '../src/models/rolePermission.model.js';
+import { callNextPatient, getCheckInCode } from '../src/api/services/queue.service.js';
+import { AppointmentStatus, UserRoles } from '../src/utils/constants.js';
+import { fakeQuery } from './helpers.js';
+
+describe('callNextPatient', () => {
+    const doctorId = new mongoose.Types.ObjectId();
+    const staff = { _id: new mongoose.Types.ObjectId(), role: UserRoles.STAFF };
+    let appointments;
+    let callLockedUntil;
+
+    const waitingAppointment = (queueNumber) => ({
+        _id: new mongoose.Types.ObjectId(),
+        doctor: doctorId,
+        queueNumber,
+        status: AppointmentStatus.CHECKED_IN,
+        statusHistory: [],
+        save: async () => {},
+    });
+
+    beforeEach(() => {
+        appointments = [waitingAppointment(1), waitingAppointment(2)];
+        callLockedUntil = null;
+
+        mock.method(RolePermission, 'find', () => fakeQuery([])); // Default role permissions
+        mock.method(DoctorProfile, 'findOne', () => fakeQuery({ _id: doctorId, timezone: 'Asia/Jakarta' }));
+        mock.method(Appointment, 'find', () => fakeQuery([]));
+        mock.method(Appointment, 'findOne', (filter) => {
+            const found = appointments
+                .filter(appointment => !filter.status || appointment.status === filter.status)
+                .filter(appointment => !filter._id || appointment._id.equals(filter._id))
+                .sort((a, b) => a.queueNumber - b.queueNumber)[0];
+            return fakeQuery(found || null);
+        });
+        // The per-doctor-day counter document acting as the "call next" lock
+        mock.method(QueueCounter, 'findOneAndUpdate', async (filter, update) => {
+            const [, { callLockedUntil: expired }] = filter.$or;
+            if (callLockedUntil && callLockedUntil > expired.$lte) {
+                throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+            }
+            callLockedUntil = update.$set.callLockedUntil;
+            return { doctor: doctorId, callLockedUntil };
+        });
+        mock.method(QueueCounter, 'updateOne', async (filter, update) => {
+            callLockedUntil = update.$set.callLockedUntil;
+        });
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('calls the lowest queue number in and releases the lock', async () => {
+        await callNextPatient(doctorId, {}, staff);
+
+        assert.equal(appointments[0].status, AppointmentStatus.IN_CONSULTATION);
+        assert.ok(appointments[0].consultationStartedAt);
+        assert.equal(appointments[1].status, AppointmentStatus.CHECKED_IN);
+        assert.equal(callLockedUntil, null);
+    });
+
+    test('lets only one of two simultaneous calls start a consultation', async () => {
+        const results = await Promise.allSettled([
+            callNextPatient(doctorId, {}, staff),
+            callNextPatient(doctorId, {}, staff),
+        ]);
+
+        assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+        const [rejected] = results.filter(result => result.status === 'rejected');
+        assert.equal(rejected.reason.statusCode, 409);
+        assert.equal(appointments.filter(appointment => appointment.status === AppointmentStatus.IN_CONSULTATION).length, 1);
+        assert.equal(callLockedUntil, null);
+    });
+
+    test('refuses while a patient is still in consultation, and releases the lock', async () => {
+        appointments[0].status = AppointmentStatus.IN_CONSULTATION;
+
+        await assert.rejects(callNextPatient(doctorId, {}, staff), { statusCode: 409, message: /still in consultation/ });
+        assert.equal(appointments[1].status, AppointmentStatus.CHECKED_IN);
+        assert.equal(callLockedUntil, null);
+    });
+
+    test('takes over a lock left behind by a request that died', async () => {
+        callLockedUntil = new Date(Date.now() - 1000);
+
+        await callNextPatient(doctorId, {}, staff);
+        assert.equal(appointments[0].status, AppointmentStatus.IN_CONSULTATION);
+    });
+});
+
+describe('getCheckInCode', () => {
+    const configuredBaseUrl = config.checkIn.baseUrl;
+
+    before(() => {
+        config.checkIn.qrSecret ||= 'test-check-in-secret';
+    });
+
+    afterEach(() => {
+        config.checkIn.baseUrl = configuredBaseUrl;
+    });
+
+    test('links the code to the configured patient app', () => {
+        config.checkIn.baseUrl = 'https://app.konsuldok.id';
+        const { code, checkInURL, validFrom, refreshAt } = getCheckInCode();
+
+        assert.equal(checkInURL, `https://app.konsuldok.id/check-in?code=${code}`);
+        assert.equal(refreshAt - validFrom, config.checkIn.qrRotateMinutes * 60000);
+    });
+
+    test('fails clearly when no check-in address is configured', () => {
+        config.checkIn.baseUrl = null;
+        assert.throws(() => getCheckInCode(), { statusCode: 500, message: /CHECK_IN_BASE_URL/ });
+    });
+});
@@ -0,0 +1,263 @@
+// test/reminders.test.js
+// Reminder jobs run with a fake clock and a captured-mail transport; the ScheduledJob and Appointment
+// queries the scheduler makes are answered from memory, so no database is needed.
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import config from '../src/config/index.js';
+import Appointment from '../src/models/appointment.model.js';
+import ScheduledJob from '../src/models/scheduledJob.model.js';
+import { runDueJobs } from '../src/api/services/jobScheduler.service.js';
+import { registerAppointmentReminderJob, syncAppointmentReminders } from '../src/api/services/reminder.service.js';
+import { createFakeClock, resetClock, setClock } from '../src/utils/clock.js';
+import { AppointmentStatus, JobStatus, ReminderStatus } from '../src/utils/constants.js';
+import { createCapturingTransport, setEmailTransport } from '../src/utils/emailSender.js';
+import { fakeQuery } from './helpers.js';
+
+const HOUR = 60 * 60 * 1000;
+const START = new Date('2030-03-04T01:00:00.000Z');
+
+// Compares a stored value with a filter value (plain value, Date or { $ne })
+const matchesValue = (actual, expected) => {
+    if (expected && typeof expected === 'object' && '$ne' in expected) return !matchesValue(actual, expected.$ne);
+    if (expected instanceof Date || actual instanceof Date) return new Date(actual).getTime() === new Date(expected).getTime();
+    return String(actual) === String(expected);
+};
+
+// In-memory ScheduledJob collection covering the queries of jobScheduler.service
+const createJobStore = (clock) => {
+    const jobs = [];
+    const save = async function () { return this; };
+    const applyUpdate = (job, { $set = {}, $setOnInsert, $inc = {}, $unset = {} }, isInsert) => {
+        Object.assign(job, isInsert ? $setOnInsert : {}, $set);
+        Object.entries($inc).forEach(([field, amount]) => { job[field] = (job[field] || 0) + amount; });
+        Object.keys($unset).forEach(field => { delete job[field]; });
+    };
+
+    mock.method(ScheduledJob, 'findOneAndUpdate', async (filter, update) => {
+        if (filter.uniqueKey) {
+            const existing = jobs.find(job => job.uniqueKey === filter.uniqueKey);
+            if (existing) {
+                applyUpdate(existing, update, false);
+                return existing;
+            }
+            const job = { _id: new mongoose.Types.ObjectId(), uniqueKey: filter.uniqueKey, save };
+            applyUpdate(job, update, true);
+            jobs.push(job);
+            return job;
+        }
+        // Claiming the oldest due job
+        const staleLockTime = filter.$or[1].lockedAt.$lte;
+        const due = jobs
+            .filter(job => job.runAt <= filter.runAt.$lte)
+            .filter(job => job.status === JobStatus.PENDING || (job.status === JobStatus.RUNNING && job.lockedAt <= staleLockTime))
+            .sort((a, b) => a.runAt - b.runAt)[0];
+        if (due) applyUpdate(due, update, false);
+        return due || null;
+    });
+
+    mock.method(ScheduledJob, 'updateMany', async (filter, update) => {
+        const matching = jobs.filter(job => Object.entries(filter).every(([path, expected]) => {
+            const actual = path.startsWith('payload.') ? job.payload[path.slice('payload.'.length)] : job[path];
+            return matchesValue(actual, expected);
+        }));
+        matching.forEach(job => applyUpdate(job, update, false));
+        return { modifiedCount: matching.length };
+    });
+
+    return {
+        jobs,
+        pending: () => jobs.filter(job => job.status === JobStatus.PENDING),
+        now: clock.now,
+    };
+};
+
+// One appointment answering the reminder service's Appointment queries
+const createAppointmentStore = (appointment) => {
+    const matchesReminder = (reminder, arrayFilter) => Object.entries(arrayFilter)
+        .every(([path, expected]) => matchesValue(reminder[path.slice('reminder.'.length)], expected));
+
+    mock.method(Appointment, 'findOne', () => fakeQuery(appointment.isDeleted ? null : {
+        ...appointment,
+        patient: { userAccount: { firstName: 'Budi', email: 'budi@example.com' } },
+        doctor: { timezone: 'Asia/Jakarta', userAccount: { firstName: 'Sari', lastName: 'Wijaya' } },
+    }));
+
+    mock.method(Appointment, 'updateOne', async (filter, update, options = {}) => {
+        if (update.$push) {
+            const { offsetMinutes, appointmentTime } = filter.reminders.$not.$elemMatch;
+            const exists = appointment.reminders.some(reminder => reminder.offsetMinutes === offsetMinutes && matchesValue(reminder.appointmentTime, appointmentTime));
+            if (!exists) appointment.reminders.push({ status: ReminderStatus.SCHEDULED, ...update.$push.reminders });
+            return { modifiedCount: exists ? 0 : 1 };
+        }
+        const [arrayFilter] = options.arrayFilters;
+        const matching = appointment.reminders.filter(reminder => matchesReminder(reminder, arrayFilter));
+        matching.forEach(reminder => {
+            Object.entries(update.$set).forEach(([path, value]) => {
+                reminder[path.slice('reminders.$[reminder].'.length)] = value;
+            });
+        });
+        return { modifiedCount: matching.length };
+    });
+};
+
+const reminderStatuses = (appointment) => Object.fromEntries(
+    appointment.reminders.map(reminder => [`${reminder.offsetMinutes}@${new Date(reminder.appointmentTime).toISOString()}`, reminder.status])
+);
+
+describe('appointment reminders', () => {
+    let clock;
+    let jobStore;
+    let transport;
+    let appointment;
+    const configuredOffsets = config.reminders.offsetsMinutes;
+    const appointmentTime = new Date(START.getTime() + 72 * HOUR);
+
+    beforeEach(() => {
+        clock = createFakeClock(START);
+        setClock(clock.now);
+        transport = createCapturingTransport();
+        setEmailTransport(transport);
+        jobStore = createJobStore(clock);
+        appointment = {
+            _id: new mongoose.Types.ObjectId(),
+            status: AppointmentStatus.CONFIRMED,
+            appointmentTime,
+            isDeleted: false,
+            reminders: [],
+        };
+        createAppointmentStore(appointment);
+        config.reminders.offsetsMinutes = [1440, 120];
+        registerAppointmentReminderJob();
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        config.reminders.offsetsMinutes = configuredOffsets;
+        resetClock();
+        setEmailTransport();
+    });
+
+    test('emails a Confirmed appointment 24 hours and 2 hours before', async () => {
+        await syncAppointmentReminders(appointment);
+        assert.equal(jobStore.pending().length, 2);
+        assert.deepEqual(appointment.reminders.map(reminder => reminder.status), [ReminderStatus.SCHEDULED, ReminderStatus.SCHEDULED]);
+
+        assert.equal(await runDueJobs(), 0, 'nothing is due yet');
+
+        clock.set(appointmentTime.getTime() - 24 * HOUR);
+        assert.equal(await runDueJobs(), 1);
+        assert.equal(transport.sentMails.length, 1);
+        assert.equal(transport.sentMails[0].to, 'budi@example.com');
+        assert.match(transport.sentMails[0].text, /is in 24 hours, on 2030-03-07 at 08:00 \(Asia\/Jakarta\)/);
+
+        clock.set(appointmentTime.getTime() - 2 * HOUR);
+        assert.equal(await runDueJobs(), 1);
+        assert.equal(transport.sentMails.length, 2);
+        assert.match(transport.sentMails[1].text, /is in 2 hours/);
+
+        assert.deepEqual(appointment.reminders.map(reminder => reminder.status), [ReminderStatus.SENT, ReminderStatus.SENT]);
+        assert.ok(appointment.reminders.every(reminder => reminder.sentAt));
+        assert.equal(await runDueJobs(), 0, 'each reminder is sent once');
+    });
+
+    test('skips reminders in the past when booked late', async () => {
+        clock.set(appointmentTime.getTime() - 10 * HOUR);
+        await syncAppointmentReminders(appointment);
+        assert.deepEqual(appointment.reminders.map(reminder => reminder.offsetMinutes), [120]);
+    });
+
+    test('sends nothing after the appointment is cancelled', async () => {
+        await syncAppointmentReminders(appointment);
+        appointment.status = AppointmentStatus.CANCELLED;
+        await syncAppointmentReminders(appointment);
+
+        assert.equal(jobStore.pending().length, 0);
+        assert.deepEqual(appointment.reminders.map(reminder => reminder.status), [ReminderStatus.SKIPPED, ReminderStatus.SKIPPED]);
+        assert.equal(appointment.reminders[0].detail, 'Appointment is Cancelled.');
+
+        clock.set(appointmentTime.getTime() - HOUR);
+        assert.equal(await runDueJobs(), 0);
+        assert.equal(transport.sentMails.length, 0);
+    });
+
+    test('skips a due reminder when the appointment stopped being Confirmed without a sync', async () => {
+        await syncAppointmentReminders(appointment);
+        appointment.status = AppointmentStatus.CANCELLED;
+
+        clock.set(appointmentTime.getTime() - 24 * HOUR);
+        assert.equal(await runDueJobs(), 1);
+        assert.equal(transport.sentMails.length, 0);
+        assert.equal(appointment.reminders[0].status, ReminderStatus.SKIPPED);
+        assert.equal(appointment.reminders[1].status, ReminderStatus.SCHEDULED);
+    });
+
+    test('sends nothing for the old time after a reschedule, and reminds of the new time', async () => {
+        await syncAppointmentReminders(appointment);
+        const newTime = new Date(appointmentTime.getTime() + 24 * HOUR);
+        appointment.appointmentTime = newTime;
+        await syncAppointmentReminders(appointment);
+
+        assert.deepEqual(reminderStatuses(appointment), {
+            [`1440@${appointmentTime.toISOString()}`]: ReminderStatus.SKIPPED,
+            [`120@${appointmentTime.toISOString()}`]: ReminderStatus.SKIPPED,
+            [`1440@${newTime.toISOString()}`]: ReminderStatus.SCHEDULED,
+            [`120@${newTime.toISOString()}`]: ReminderStatus.SCHEDULED,
+        });
+
+        clock.set(appointmentTime); // Past both old reminders, and 24 hours before the new time
+        await runDueJobs();
+        assert.equal(transport.sentMails.length, 1, 'only the 24-hour reminder of the new time is due');
+        assert.match(transport.sentMails[0].text, /on 2030-03-08 at 08:00/);
+        assert.equal(reminderStatuses(appointment)[`1440@${newTime.toISOString()}`], ReminderStatus.SENT);
+    });
+
+    test('retries a failed delivery with backoff and marks it Failed after the last attempt', async () => {
+        const failingTransport = { sendMail: async () => { throw new Error('SMTP unavailable'); } };
+        setEmailTransport(failingTransport);
+        config.reminders.offsetsMinutes = [1440];
+        await syncAppointmentReminders(appointment);
+        const [job] = jobStore.jobs;
+        const { maxAttempts, retryDelaySeconds } = config.jobs;
+
+        clock.set(job.runAt);
+        for (let attempt = 1; attempt < maxAttempts; attempt++) {
+            const failedAt = clock.now().getTime();
+            assert.equal(await runDueJobs(), 1);
+            assert.equal(job.status, JobStatus.PENDING);
+            assert.equal(job.attempts, attempt);
+            assert.equal(job.runAt.getTime() - failedAt, retryDelaySeconds * 1000 * 2 ** (attempt - 1), `backoff after attempt ${attempt}`);
+            assert.equal(appointment.reminders[0].status, ReminderStatus.SCHEDULED);
+            assert.equal(appointment.reminders[0].detail, 'Failed to send email. Please try again later.');
+
+            assert.equal(await runDueJobs(), 0, 'not retried before the backoff has passed');
+            clock.set(job.runAt);
+        }
+
+        assert.equal(await runDueJobs(), 1);
+        assert.equal(job.status, JobStatus.FAILED);
+        assert.equal(appointment.reminders[0].status, ReminderStatus.FAILED);
+    });
+
+    test('delivers on a retry after a temporary failure', async () => {
+        let failuresLeft = 1;
+        setEmailTransport({
+            sendMail: async (mail) => {
+                if (failuresLeft-- > 0) throw new Error('Temporary failure');
+                return transport.sendMail(mail);
+            },
+        });
+        config.reminders.offsetsMinutes = [1440];
+        await syncAppointmentReminders(appointment);
+
+        clock.set(appointmentTime.getTime() - 24 * HOUR);
+        await runDueJobs();
+        clock.advanceBy(config.jobs.retryDelaySeconds * 1000);
+        await runDueJobs();
+
+        assert.equal(transport.sentMails.length, 1);
+        assert.equal(jobStore.jobs[0].status, JobStatus.COMPLETED);
+        assert.equal(appointment.reminders[0].status, ReminderStatus.SENT);
+        assert.equal(appointment.reminders[0].detail, null);
+    });
+});
@@ -0,0 +1,83 @@
+// test/schedule.test.js
+// Timezone helpers: results must not depend on the TZ of the process (npm test runs this under UTC and Asia/Jakarta).
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { addDaysToDateKey, parseDateTimeInZone, toDateKey, zonedTimeToDate } from '../src/utils/schedule.js';
+
+describe('zonedTimeToDate', () => {
+    test('reads wall-clock time in WIB, WITA and WIT', () => {
+        assert.equal(zonedTimeToDate('2026-05-04', '09:30', 'Asia/Jakarta').toISOString(), '2026-05-04T02:30:00.000Z');
+        assert.equal(zonedTimeToDate('2026-05-04', '09:30', 'Asia/Makassar').toISOString(), '2026-05-04T01:30:00.000Z');
+        assert.equal(zonedTimeToDate('2026-05-04', '09:30', 'Asia/Jayapura').toISOString(), '2026-05-04T00:30:00.000Z');
+    });
+
+    test('midnight in WIB is the previous day in UTC', () => {
+        assert.equal(zonedTimeToDate('2026-01-01', '00:00', 'Asia/Jakarta').toISOString(), '2025-12-31T17:00:00.000Z');
+    });
+
+    test('defaults to midnight', () => {
+        assert.equal(zonedTimeToDate('2026-05-04', undefined, 'UTC').toISOString(), '2026-05-04T00:00:00.000Z');
+    });
+
+    test('uses the offset in effect on that date around DST changes', () => {
+        assert.equal(zonedTimeToDate('2026-03-07', '09:00', 'America/New_York').toISOString(), '2026-03-07T14:00:00.000Z');
+        assert.equal(zonedTimeToDate('2026-03-09', '09:00', 'America/New_York').toISOString(), '2026-03-09T13:00:00.000Z');
+    });
+});
+
+describe('parseDateTimeInZone', () => {
+    test('reads a date-time without offset in the given timezone', () => {
+        assert.equal(parseDateTimeInZone('2026-05-04T09:30', 'Asia/Jakarta').toISOString(), '2026-05-04T02:30:00.000Z');
+        assert.equal(parseDateTimeInZone('2026-05-04 09:30:15', 'Asia/Makassar').toISOString(), '2026-05-04T01:30:00.000Z');
+    });
+
+    test('reads a bare date as midnight in the timezone', () => {
+        assert.equal(parseDateTimeInZone('2026-05-04', 'Asia/Jakarta').toISOString(), '2026-05-03T17:00:00.000Z');
+    });
+
+    test('keeps values with Z or an offset absolute', () => {
+        assert.equal(parseDateTimeInZone('2026-05-04T09:30:00Z', 'Asia/Jakarta').toISOString(), '2026-05-04T09:30:00.000Z');
+        assert.equal(parseDateTimeInZone('2026-05-04T09:30:00+08:00', 'Asia/Jakarta').toISOString(), '2026-05-04T01:30:00.000Z');
+    });
+
+    test('copies Date instances', () => {
+        const date = new Date('2026-05-04T02:30:00.000Z');
+        const parsed = parseDateTimeInZone(date, 'Asia/Jakarta');
+        assert.notEqual(parsed, date);
+        assert.equal(parsed.getTime(), date.getTime());
+    });
+
+    test('returns an invalid date for impossible or garbled input', () => {
+        assert.ok(Number.isNaN(parseDateTimeInZone('2026-02-30T09:00', 'Asia/Jakarta').getTime()));
+        assert.ok(Number.isNaN(parseDateTimeInZone('not a date', 'Asia/Jakarta').getTime()));
+    });
+});
+
+describe('toDateKey', () => {
+    test('formats the date as seen in the timezone', () => {
+        const instant = new Date('2026-05-03T17:30:00.000Z');
+        assert.equal(toDateKey(instant, 'Asia/Jakarta'), '2026-05-04');
+        assert.equal(toDateKey(instant, 'UTC'), '2026-05-03');
+    });
+
+    test('round-trips with zonedTimeToDate', () => {
+        assert.equal(toDateKey(zonedTimeToDate('2026-12-31', '23:59', 'Asia/Jayapura'), 'Asia/Jayapura'), '2026-12-31');
+    });
+});
+
+describe('addDaysToDateKey', () => {
+    test('crosses month and year ends', () => {
+        assert.equal(addDaysToDateKey('2026-12-31', 1), '2027-01-01');
+        assert.equal(addDaysToDateKey('2026-01-31', 1), '2026-02-01');
+    });
+
+    test('handles leap years and negative days', () => {
+        assert.equal(addDaysToDateKey('2024-02-28', 1), '2024-02-29');
+        assert.equal(addDaysToDateKey('2026-03-01', -1), '2026-02-28');
+    });
+
+    test('is unaffected by DST in the process timezone', () => {
+        assert.equal(addDaysToDateKey('2026-03-08', 1), '2026-03-09');
+        assert.equal(addDaysToDateKey('2026-11-01', 1), '2026-11-02');
+    });
+});
@@ -0,0 +1,40 @@
+// test/slotLock.test.js
+// Confirming and releasing slot locks, with the database queries replaced.
+import assert from 'node:assert/strict';
+import { afterEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import SlotLock from '../src/models/slotLock.model.js';
+import { confirmSlotLocks, releaseSlotLocks } from '../src/api/services/slotLock.service.js';
+
+describe('slot locks', () => {
+    const appointment = {
+        _id: new mongoose.Types.ObjectId(),
+        doctor: new mongoose.Types.ObjectId(),
+        appointmentTime: new Date('2030-03-04T02:00:00Z'),
+        durationMinutes: 30,
+        bufferMinutes: 10,
+    };
+
+    afterEach(() => mock.restoreAll());
+
+    test('confirmed locks expire at the end of the appointment, buffer included', async () => {
+        const updateMany = mock.method(SlotLock, 'updateMany', async () => ({ modifiedCount: 1 }));
+        mock.method(SlotLock, 'deleteMany', async () => ({ deletedCount: 0 }));
+
+        await confirmSlotLocks(appointment);
+
+        const [filter, update] = updateMany.mock.calls[0].arguments;
+        assert.equal(filter.appointment, appointment._id);
+        assert.deepEqual(update.$set, { confirmed: true, expiresAt: new Date('2030-03-04T02:40:00Z') });
+    });
+
+    test('a failed reschedule only gives back the locks that were never confirmed', async () => {
+        const deleteMany = mock.method(SlotLock, 'deleteMany', async () => ({ deletedCount: 1 }));
+
+        await releaseSlotLocks({ appointment: appointment._id }, { pendingOnly: true });
+        await releaseSlotLocks({ appointment: appointment._id });
+
+        assert.deepEqual(deleteMany.mock.calls[0].arguments[0], { appointment: appointment._id, confirmed: false });
+        assert.deepEqual(deleteMany.mock.calls[1].arguments[0], { appointment: appointment._id });
+    });
+});
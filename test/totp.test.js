@@ -0,0 +1,88 @@
+// test/totp.test.js
+// RFC 6238 TOTP, computed locally with no network access.
+import assert from 'node:assert/strict';
+import { describe, test } from 'node:test';
+import { base32Decode, base32Encode, buildOtpauthUri, generateTotp, verifyTotp } from '../src/utils/totp.js';
+
+// RFC 6238 Appendix B: the SHA-1 seed is the ASCII string "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_SHA1_VECTORS = [
+    [59, '94287082'],
+    [1111111109, '07081804'],
+    [1111111111, '14050471'],
+    [1234567890, '89005924'],
+    [2000000000, '69279037'],
+    [20000000000, '65353130'],
+];
+
+describe('base32', () => {
+    test('encodes the RFC 6238 seed as authenticator apps expect', () => {
+        assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    });
+
+    test('decodes case-insensitively and ignores padding and spaces', () => {
+        assert.equal(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq====').toString('ascii'), '12345678901234567890');
+    });
+
+    test('rejects characters outside the alphabet', () => {
+        assert.throws(() => base32Decode('GEZD1'), /Invalid base32 character/);
+    });
+});
+
+describe('generateTotp', () => {
+    for (const [seconds, expected] of RFC_SHA1_VECTORS) {
+        test(`matches the RFC 6238 SHA-1 vector at T=${seconds}`, () => {
+            assert.equal(generateTotp(RFC_SECRET, { timestamp: seconds * 1000, digits: 8 }), expected);
+        });
+    }
+
+    test('uses the last 6 digits by default', () => {
+        assert.equal(generateTotp(RFC_SECRET, { timestamp: 59 * 1000 }), '287082');
+    });
+});
+
+describe('verifyTotp', () => {
+    const timestamp = 1111111111 * 1000;
+    const currentStep = Math.floor(1111111111 / 30);
+    const codeAtStep = (step) => generateTotp(RFC_SECRET, { timestamp: step * 30 * 1000 });
+
+    test('accepts the current code and returns its time step', () => {
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep), { timestamp }), currentStep);
+    });
+
+    test('accepts codes one step before or after (clock drift)', () => {
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep - 1), { timestamp }), currentStep - 1);
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep + 1), { timestamp }), currentStep + 1);
+    });
+
+    test('rejects codes outside the window', () => {
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep - 2), { timestamp }), null);
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep + 2), { timestamp }), null);
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep - 1), { timestamp, window: 0 }), null);
+    });
+
+    test('accepts a wider window when configured', () => {
+        assert.equal(verifyTotp(RFC_SECRET, codeAtStep(currentStep - 2), { timestamp, window: 2 }), currentStep - 2);
+    });
+
+    test('ignores spaces and rejects malformed codes', () => {
+        const code = codeAtStep(currentStep);
+        assert.equal(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`, { timestamp }), currentStep);
+        assert.equal(verifyTotp(RFC_SECRET, code.slice(1), { timestamp }), null);
+        assert.equal(verifyTotp(RFC_SECRET, 'abcdef', { timestamp }), null);
+        assert.equal(verifyTotp(RFC_SECRET, undefined, { timestamp }), null);
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    test('describes the secret, issuer and parameters', () => {
+        const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'dokter@example.com', issuer: 'KonsulDok' }));
+        assert.equal(uri.protocol, 'otpauth:');
+        assert.equal(uri.host, 'totp');
+        assert.equal(decodeURIComponent(uri.pathname), '/KonsulDok:dokter@example.com');
+        assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+        assert.equal(uri.searchParams.get('issuer'), 'KonsulDok');
+        assert.equal(uri.searchParams.get('digits'), '6');
+        assert.equal(uri.searchParams.get('period'), '30');
+    });
+});
@@ -0,0 +1,78 @@
+// test/twoFactor.test.js
+// Two-factor login and recovery codes with the User queries replaced (no database or network).
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import { afterEach, before, beforeEach, describe, mock, test } from 'node:test';
+import config from '../src/config/index.js';
+import User from '../src/models/user.model.js';
+import { completeLoginChallenge, createLoginChallenge, regenerateRecoveryCodes } from '../src/api/services/twoFactor.service.js';
+import { UserRoles } from '../src/utils/constants.js';
+import { generateTotp, generateTotpSecret } from '../src/utils/totp.js';
+import { fakeQuery } from './helpers.js';
+
+describe('two-factor service', () => {
+    let user;
+
+    before(() => {
+        config.jwt.secret ||= 'test-jwt-secret';
+    });
+
+    beforeEach(() => {
+        user = new User({
+            firstName: 'Sari',
+            lastName: 'Wijaya',
+            email: 'sari@example.com',
+            role: UserRoles.DOCTOR,
+            twoFactorEnabled: true,
+            twoFactorSecret: generateTotpSecret(),
+        });
+        mock.method(user, 'save', async () => user);
+        mock.method(User, 'findById', () => fakeQuery(user));
+        mock.method(User, 'findOne', () => fakeQuery(user));
+        // Failed attempts are counted, but stay below the lockout threshold
+        mock.method(User, 'findOneAndUpdate', async () => ({ failedLoginAttempts: 1 }));
+    });
+
+    afterEach(() => mock.restoreAll());
+
+    test('accepts a TOTP code once and rejects its reuse', async () => {
+        const code = generateTotp(user.twoFactorSecret);
+        const challenge = createLoginChallenge(user);
+
+        const result = await completeLoginChallenge(challenge, { code });
+        assert.equal(result.user, user);
+        assert.equal(typeof user.twoFactorLastUsedStep, 'number');
+
+        await assert.rejects(completeLoginChallenge(challenge, { code }), { statusCode: 401 });
+        assert.equal(User.findOneAndUpdate.mock.callCount(), 1, 'the replay counts as a failed attempt');
+    });
+
+    test('rejects a code of a step before the last used one', async () => {
+        const previousCode = generateTotp(user.twoFactorSecret, { timestamp: Date.now() - 30 * 1000 });
+        await regenerateRecoveryCodes(user._id, generateTotp(user.twoFactorSecret));
+
+        await assert.rejects(regenerateRecoveryCodes(user._id, previousCode), { statusCode: 401 });
+    });
+
+    test('stores recovery codes hashed and accepts each one only once', async () => {
+        const recoveryCodes = await regenerateRecoveryCodes(user._id, generateTotp(user.twoFactorSecret));
+        assert.equal(recoveryCodes.length, config.twoFactor.recoveryCodeCount);
+        assert.equal(user.twoFactorRecoveryCodes.length, recoveryCodes.length);
+        recoveryCodes.forEach(code => {
+            assert.ok(!user.twoFactorRecoveryCodes.includes(code), 'plain codes are never stored');
+            assert.ok(user.twoFactorRecoveryCodes.includes(crypto.createHash('sha256').update(code).digest('hex')));
+        });
+
+        const challenge = createLoginChallenge(user);
+        await completeLoginChallenge(challenge, { recoveryCode: recoveryCodes[0].toUpperCase() });
+        assert.equal(user.twoFactorRecoveryCodes.length, recoveryCodes.length - 1);
+
+        await assert.rejects(completeLoginChallenge(challenge, { recoveryCode: recoveryCodes[0] }), { statusCode: 401 });
+        await completeLoginChallenge(challenge, { recoveryCode: recoveryCodes[1] });
+        assert.equal(user.twoFactorRecoveryCodes.length, recoveryCodes.length - 2);
+    });
+
+    test('rejects challenge tokens that are not 2FA challenges', async () => {
+        await assert.rejects(completeLoginChallenge('not-a-token', { code: '123456' }), { statusCode: 401 });
+    });
+});
@@ -0,0 +1,198 @@
+// test/waitlist.test.js
+// Offering freed slots to the waitlist, with the WaitlistEntry and WaitlistOffer collections kept in memory
+// and offer emails captured.
+import assert from 'node:assert/strict';
+import { afterEach, beforeEach, describe, mock, test } from 'node:test';
+import mongoose from 'mongoose';
+import config from '../src/config/index.js';
+import Appointment from '../src/models/appointment.model.js';
+import DoctorProfile from '../src/models/doctorProfile.model.js';
+import Holiday from '../src/models/holiday.model.js';
+import PatientProfile from '../src/models/patientProfile.model.js';
+import ScheduleException from '../src/models/scheduleException.model.js';
+import SlotHold from '../src/models/slotHold.model.js';
+import SlotLock from '../src/models/slotLock.model.js';
+import WaitlistEntry from '../src/models/waitlistEntry.model.js';
+import WaitlistOffer from '../src/models/waitlistOffer.model.js';
+import {
+    claimWaitlistOffer,
+    declineWaitlistOffer,
+    expireWaitlistOffers,
+    offerSlotToNextPatient
+} from '../src/api/services/waitlist.service.js';
+import { UserRoles, WaitlistOfferStatus, WaitlistStatus } from '../src/utils/constants.js';
+import { createCapturingTransport, setEmailTransport } from '../src/utils/emailSender.js';
+import { zonedTimeToDate } from '../src/utils/schedule.js';
+import { fakeQuery, matchesFilter } from './helpers.js';
+
+const SLOT_DATE = '2030-03-04'; // A Monday
+const slot = (doctorId) => ({ doctor: doctorId, appointmentTime: zonedTimeToDate(SLOT_DATE, '10:00', 'Asia/Jakarta'), durationMinutes: 30 });
+
+// The claim token is only sent by email
+const tokenFromMail = (mail) => mail.text.match(/waitlist-offer\/([0-9a-f]+)\/claim/)[1];
+
+describe('waitlist offers', () => {
+    const originalRequiredForBooking = config.emailVerification.requiredForBooking;
+    const doctorProfile = {
+        _id: new mongoose.Types.ObjectId(),
+        timezone: 'Asia/Jakarta',
+        weeklySchedule: [{ dayOfWeek: 1, startTime: '08:00', endTime: '17:00' }],
+        userAccount: { firstName: 'Sari', lastName: 'Wijaya' },
+    };
+    let entries;
+    let offers;
+    let transport;
+
+    const addEntry = (name, fields = {}) => {
+        const entry = {
+            _id: new mongoose.Types.ObjectId(),
+            doctor: doctorProfile._id,
+            patient: {
+                _id: new mongoose.Types.ObjectId(),
+                userAccount: { _id: new mongoose.Types.ObjectId(), firstName: name, email: `${name}@example.com`, role: UserRoles.PATIENT, isEmailVerified: true },
+            },
+            fromDate: null,
+            toDate: null,
+            earliestTime: null,
+            latestTime: null,
+            durationMinutes: 30,
+            status: WaitlistStatus.WAITING,
+            save: async function () { return this; },
+            ...fields,
+        };
+        entries.push(entry);
+        return entry;
+    };
+    const findEntry = (id) => entries.find(entry => entry._id.equals(id));
+    const mailsTo = (entry) => transport.sentMails.filter(mail => mail.to === entry.patient.userAccount.email);
+
+    beforeEach(() => {
+        entries = [];
+        offers = [];
+        transport = createCapturingTransport();
+        setEmailTransport(transport);
+        config.emailVerification.requiredForBooking = true;
+
+        mock.method(DoctorProfile, 'findOne', () => fakeQuery(doctorProfile));
+        mock.method(DoctorProfile, 'findById', () => fakeQuery(doctorProfile));
+        mock.method(Holiday, 'find', () => fakeQuery([]));
+        mock.method(ScheduleException, 'find', () => fakeQuery([]));
+        mock.method(Appointment, 'findOne', () => fakeQuery(null)); // No conflicting appointments
+        mock.method(SlotLock, 'find', () => fakeQuery([]));
+        mock.method(SlotLock, 'insertMany', async (locks) => locks);
+        mock.method(SlotLock, 'deleteMany', async () => ({ deletedCount: 0 }));
+        mock.method(SlotHold.prototype, 'save', async function () { return this; });
+        mock.method(SlotHold, 'deleteOne', async () => ({ deletedCount: 1 }));
+
+        mock.method(WaitlistEntry, 'find', (filter) => fakeQuery(entries.filter(entry => matchesFilter(entry, filter))));
+        mock.method(WaitlistEntry, 'findById', async (id) => findEntry(id));
+        mock.method(WaitlistEntry, 'updateOne', async (filter, update) => {
+            const entry = entries.find(candidate => matchesFilter(candidate, filter));
+            if (entry) Object.assign(entry, update.$set);
+            return { modifiedCount: entry ? 1 : 0 };
+        });
+        mock.method(WaitlistEntry, 'updateMany', async () => ({ modifiedCount: 0 }));
+
+        mock.method(WaitlistOffer.prototype, 'save', async function () {
+            if (!offers.includes(this)) offers.push(this);
+            return this;
+        });
+        mock.method(WaitlistOffer, 'distinct', async (field, filter) => offers.filter(offer => matchesFilter(offer, filter)).map(offer => offer[field]));
+        mock.method(WaitlistOffer, 'findOne', async (filter) => offers.find(offer => matchesFilter(offer, filter)) || null);
+        mock.method(WaitlistOffer, 'find', (filter) => fakeQuery(offers.filter(offer => matchesFilter(offer, filter))));
+        mock.method(WaitlistOffer, 'findOneAndUpdate', async (filter, update) => {
+            const offer = offers.find(candidate => matchesFilter(candidate, filter));
+            if (offer) Object.assign(offer, update.$set);
+            return offer || null;
+        });
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+        setEmailTransport();
+        config.emailVerification.requiredForBooking = originalRequiredForBooking;
+    });
+
+    test('offers the slot to the first waiting patient whose wishes it fits', async () => {
+        const tooLate = addEntry('ani', { fromDate: '2030-03-05' });
+        const tooEarly = addEntry('budi', { toDate: '2030-03-03' });
+        const afterEarliest = addEntry('citra', { earliestTime: '10:15' });
+        const pastLatest = addEntry('dewi', { latestTime: '10:20' }); // 10:00 + 30 minutes ends after 10:20
+        const tooLong = addEntry('eko', { durationMinutes: 45 });
+        const unverified = addEntry('fajar');
+        unverified.patient.userAccount.isEmailVerified = false;
+        const fits = addEntry('gita', { fromDate: '2030-03-01', toDate: '2030-03-04', earliestTime: '09:00', latestTime: '10:30', durationMinutes: 20 });
+
+        const offer = await offerSlotToNextPatient(slot(doctorProfile._id));
+
+        assert.ok(offer.entry.equals(fits._id));
+        assert.equal(offer.durationMinutes, 20);
+        assert.equal(fits.status, WaitlistStatus.OFFERED);
+        for (const skipped of [tooLate, tooEarly, afterEarliest, pastLatest, tooLong, unverified]) {
+            assert.equal(skipped.status, WaitlistStatus.WAITING, skipped.patient.userAccount.firstName);
+        }
+        assert.equal(transport.sentMails.length, 1);
+        assert.equal(mailsTo(fits).length, 1);
+    });
+
+    test('does not offer a slot twice to the same entry', async () => {
+        const declinedEarlier = addEntry('hadi');
+        const next = addEntry('indah');
+        offers.push(new WaitlistOffer({
+            entry: declinedEarlier._id,
+            patient: declinedEarlier.patient._id,
+            doctor: doctorProfile._id,
+            appointmentTime: slot(doctorProfile._id).appointmentTime,
+            slotDurationMinutes: 30,
+            durationMinutes: 30,
+            status: WaitlistOfferStatus.DECLINED,
+            expiresAt: new Date(),
+        }));
+
+        const offer = await offerSlotToNextPatient(slot(doctorProfile._id));
+
+        assert.ok(offer.entry.equals(next._id));
+        assert.equal(mailsTo(declinedEarlier).length, 0);
+    });
+
+    test('a declined offer goes to the next patient', async () => {
+        const first = addEntry('joko');
+        const second = addEntry('kartika');
+        await offerSlotToNextPatient(slot(doctorProfile._id));
+
+        await declineWaitlistOffer(tokenFromMail(mailsTo(first)[0]));
+
+        assert.equal(offers[0].status, WaitlistOfferStatus.DECLINED);
+        assert.equal(first.status, WaitlistStatus.WAITING, 'keeps their place for future slots');
+        assert.equal(second.status, WaitlistStatus.OFFERED);
+        assert.equal(mailsTo(second).length, 1);
+        assert.equal(mailsTo(first).length, 1, 'not offered the same slot again');
+    });
+
+    test('an offer that runs out goes to the next patient', async () => {
+        const first = addEntry('lina');
+        const second = addEntry('made');
+        await offerSlotToNextPatient(slot(doctorProfile._id));
+        offers[0].expiresAt = new Date(Date.now() - 1000);
+
+        const result = await expireWaitlistOffers();
+
+        assert.equal(result.expiredOffers, 1);
+        assert.equal(offers[0].status, WaitlistOfferStatus.EXPIRED);
+        assert.equal(first.status, WaitlistStatus.WAITING);
+        assert.equal(second.status, WaitlistStatus.OFFERED);
+        assert.equal(mailsTo(second).length, 1);
+    });
+
+    test('a patient without a verified email cannot claim an offer', async () => {
+        const entry = addEntry('nina');
+        await offerSlotToNextPatient(slot(doctorProfile._id));
+        mock.method(PatientProfile, 'findById', () => fakeQuery({
+            _id: entry.patient._id,
+            userAccount: { ...entry.patient.userAccount, isEmailVerified: false },
+        }));
+
+        await assert.rejects(claimWaitlistOffer(tokenFromMail(mailsTo(entry)[0])), { statusCode: 403 });
+        assert.equal(offers[0].status, WaitlistOfferStatus.PENDING, 'the offer stays open until it is verified');
+    });
+});